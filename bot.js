@@ -3,18 +3,104 @@
 
 'use strict';
 
-let bot = require('./src/emtBot');
+const TelegramBot = require('node-telegram-bot-api');
+const _ = require('lodash');
+const P = require('bluebird');
+const settings = require('./src/settings.js');
+const telemetry = require('./src/telemetry.js');
+const server = require('./src/server.js');
+const createProvider = require('./src/providers');
+const createBot = require('./src/emtBot');
 
-console.log('Bot started: ' + (new Date()).toUTCString());
+const isWebhook = !_.isNil(settings.webhookUrl);
+const secret = _.defaultTo(settings.webhookSecret, server.createSecret());
 
+// In polling mode the webhook has to be removed first, so polling is started
+// once it's done
+const telegram = new TelegramBot(settings.token, {
+    polling: isWebhook ? false : {
+        autoStart: false
+    }
+});
+const provider = createProvider();
+const telemetryClient = telemetry.createTelemetry(settings.telemetry);
+const bot = createBot({
+    telegram: telegram,
+    provider: provider,
+    telemetry: telemetryClient
+});
+bot.start();
+
+let httpServer;
+if (isWebhook || !_.isNil(settings.httpPort)) {
+    httpServer = server.createServer({
+        telegram: telegram,
+        bot: bot,
+        provider: provider,
+        telemetry: telemetryClient,
+        webhookUrl: isWebhook ? settings.webhookUrl : undefined,
+        secret: secret
+    });
+    httpServer.listen(_.defaultTo(settings.httpPort, settings.defaultHttpPort))
+        .catch(function (error) {
+            console.error(`The HTTP server could not be started: ${error}`);
+            process.exit(1);
+        });
+}
+
+if (isWebhook) {
+    telegram.setWebHook(settings.webhookUrl, {
+        secret_token: secret
+    }).catch(function (error) {
+        console.error(`The webhook could not be set: ${error}`);
+        process.exit(1);
+    });
+} else {
+    telegram.deleteWebHook()
+        .then(function () {
+            return telegram.startPolling();
+        })
+        .catch(function (error) {
+            console.error(`Polling could not be started: ${error}`);
+            process.exit(1);
+        });
+}
+
+console.log(`Bot started (${isWebhook ? 'webhook' : 'polling'}): ` + (new Date()).toUTCString());
+
+let exiting = false;
+
+/**
+ * Stop receiving updates, give the queries being answered some time to
+ * finish and exit.
+ */
 function handler() {
+    if (exiting) {
+        return;
+    }
+    exiting = true;
     console.log('Bot exiting: ' + (new Date()).toUTCString());
-    bot.stopPolling()
+    if (httpServer !== undefined) {
+        httpServer.drain();
+    }
+    bot.stop();
+    P.resolve(isWebhook ? undefined : telegram.stopPolling())
         .then(function () {
+            return bot.drain(settings.drainTimeout * 1000);
+        })
+        .then(function (drained) {
+            if (!drained) {
+                console.log('Some queries were not answered in time');
+            }
+            return httpServer === undefined ? undefined : httpServer.close().timeout(1000);
+        })
+        .catch(function (error) {
+            console.error(`Error exiting: ${error}`);
+        })
+        .finally(function () {
             process.exit();
         });
 }
 
 process.on('SIGINT', handler);
 process.on('SIGTERM', handler);
-process.on('exit', handler);
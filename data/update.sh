@@ -1,2 +0,0 @@
-wget http://opendata.emtmadrid.es/data/opendata/XML/Lines.xml -O Lines.xml
-wget http://opendata.emtmadrid.es/data/opendata/XML/NodesLines.xml -O NodesLines.xml
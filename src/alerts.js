@@ -0,0 +1,191 @@
+// Copyright (c) 2018 Jesús Fernández <jesus@nublar.net>
+// MIT License
+
+'use strict';
+
+const _ = require('lodash');
+const uuid = require('uuid');
+const settings = require('./settings.js');
+const debug = require('debug')('bot-alerts');
+
+// busTimeLeft used by EMT when the bus is more than 20 minutes away
+const farAway = 999999;
+
+/* Example of the alerts of a user in the store
+'12345678': [{
+    id: '1b9d6bcd',
+    userId: 12345678,
+    chatId: 12345678,
+    stopId: '2443',
+    line: '27',
+    minutes: 5,
+    languageCode: 'es',
+    created: 1546300800000,
+    expires: 1546304400000
+}]
+*/
+
+/**
+ * Alerts that notify a user when the next bus of a line is less than some
+ * minutes away from a stop.
+ * Each alert polls the arrivals of its stop. The closer the bus is to the
+ * threshold, the more often it's polled.
+ *
+ * Options:
+ * - store: where the alerts are persisted, so that they survive a restart.
+ * - getArrivals: function (stopId) that returns a Promise of arriving buses.
+ * - onTrigger: function (alert, bus) called when the bus is close enough.
+ * - onExpire: function (alert) called when the alert expires.
+ * - clock: object with a now() function, Date by default.
+ */
+const createAlerts = function (options) {
+    const store = options.store;
+    const clock = _.defaultTo(options.clock, Date);
+    const timers = {};
+    let stopped = false;
+
+    const list = function (userId) {
+        return store.get(`${userId}`, []);
+    };
+
+    const isActive = function (alert) {
+        return !stopped && _.some(list(alert.userId), ['id', alert.id]);
+    };
+
+    const removeAlert = function (alert) {
+        clearTimeout(timers[alert.id]);
+        delete timers[alert.id];
+        let current = list(alert.userId);
+        let removed = _.remove(current, ['id', alert.id]);
+        if (current.length === 0) {
+            store.remove(`${alert.userId}`);
+        } else {
+            store.set(`${alert.userId}`, current);
+        }
+        return removed.length > 0;
+    };
+
+    /**
+     * Poll more often when the bus is about to cross the threshold.
+     */
+    const nextCheckDelay = function (alert, bus) {
+        if (bus === undefined) {
+            return settings.alertMaxInterval * 1000;
+        }
+        let margin = bus.busTimeLeft - alert.minutes * 60;
+        return _.clamp(margin * 1000 / 2,
+            settings.alertMinInterval * 1000,
+            settings.alertMaxInterval * 1000);
+    };
+
+    let schedule;
+
+    const check = function (alert) {
+        delete timers[alert.id];
+        if (clock.now() >= alert.expires) {
+            debug(`Alert ${alert.id} expired`);
+            removeAlert(alert);
+            options.onExpire(alert);
+            return;
+        }
+        options.getArrivals(alert.stopId)
+            .then(function (arriving) {
+                if (!isActive(alert)) {
+                    // Cancelled while we were waiting for the arrivals
+                    return;
+                }
+                let buses = _.filter(arriving, function (bus) {
+                    return _.toUpper(bus.lineId) === alert.line &&
+                        bus.busTimeLeft !== farAway;
+                });
+                let next = _.minBy(buses, 'busTimeLeft');
+                if (next !== undefined && next.busTimeLeft <= alert.minutes * 60) {
+                    debug(`Alert ${alert.id} triggered`);
+                    removeAlert(alert);
+                    options.onTrigger(alert, next);
+                    return;
+                }
+                schedule(alert, nextCheckDelay(alert, next));
+            })
+            .catch(function (error) {
+                debug(`Alert ${alert.id} error: ${error}`);
+                if (isActive(alert)) {
+                    schedule(alert, settings.alertMaxInterval * 1000);
+                }
+            });
+    };
+
+    schedule = function (alert, delay) {
+        let remaining = Math.max(alert.expires - clock.now(), 0);
+        timers[alert.id] = setTimeout(check, Math.min(delay, remaining), alert);
+    };
+
+    /**
+     * Create an alert for the user and start polling. The language_code of
+     * the user is kept to notify them in their language.
+     * Returns the new alert or undefined if the user has too many already.
+     */
+    const create = function (userId, chatId, stopId, line, minutes, languageCode) {
+        let current = list(userId);
+        if (current.length >= settings.maxAlerts) {
+            return undefined;
+        }
+        const now = clock.now();
+        const alert = {
+            id: uuid.v4().slice(0, 8),
+            userId: userId,
+            chatId: chatId,
+            stopId: `${stopId}`,
+            line: _.toUpper(line),
+            minutes: minutes,
+            languageCode: languageCode,
+            created: now,
+            expires: now + settings.alertDuration * 60 * 1000
+        };
+        current.push(alert);
+        store.set(`${userId}`, current);
+        schedule(alert, 0);
+        return alert;
+    };
+
+    /**
+     * Cancel an alert of the user. Returns false if it didn't exist.
+     */
+    const cancel = function (userId, alertId) {
+        let alert = _.find(list(userId), ['id', alertId]);
+        if (alert === undefined) {
+            return false;
+        }
+        return removeAlert(alert);
+    };
+
+    /**
+     * Start polling the alerts that were persisted before a restart.
+     */
+    const start = function () {
+        stopped = false;
+        _.forEach(store.keys(), function (userId) {
+            _.forEach(list(userId), function (alert) {
+                schedule(alert, 0);
+            });
+        });
+    };
+
+    /**
+     * Stop polling, the alerts are kept in the store.
+     */
+    const stop = function () {
+        stopped = true;
+        _.forEach(timers, clearTimeout);
+    };
+
+    return {
+        cancel,
+        create,
+        list,
+        start,
+        stop
+    };
+};
+
+module.exports = createAlerts;
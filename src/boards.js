@@ -0,0 +1,164 @@
+// Copyright (c) 2018 Jesús Fernández <jesus@nublar.net>
+// MIT License
+
+'use strict';
+
+const _ = require('lodash');
+const debug = require('debug')('bot-boards');
+const settings = require('./settings.js');
+const scheduler = require('./scheduler.js');
+
+/* Example of the board of a group in the store
+'-1001234567': {
+    stops: [{
+        stopId: '2443',
+        lines: ['47']
+    }, {
+        stopId: '72',
+        lines: []
+    }],
+    messageId: 1234,
+    languageCode: 'es'
+}
+The message is the last one the board was sent in, the one that is refreshed.
+*/
+
+/**
+ * Whether the boards are refreshed at that time: on boardDays between
+ * boardStartHour and boardEndHour in the time zone of the bot.
+ */
+const isWorkingTime = function (time) {
+    const now = scheduler.localTime(new Date(time));
+    return _.includes(settings.boardDays, now.weekday) &&
+        now.minutes >= settings.boardStartHour * 60 && now.minutes < settings.boardEndHour * 60;
+};
+
+/**
+ * Boards of stops shared by the groups in a single message, persisted in the
+ * given store and indexed by the chat ID. Every minute the boards whose
+ * message wasn't refreshed in boardRefreshMinutes are refreshed, but only in
+ * working time.
+ *
+ * Options:
+ * - store: where the boards are persisted.
+ * - onRefresh: function (chatId, board) called when it's time to refresh.
+ * - clock: object with a now() function, Date by default.
+ */
+const createBoards = function (options) {
+    const store = options.store;
+    const clock = _.defaultTo(options.clock, Date);
+    // When the message of each board was refreshed for the last time
+    const refreshed = {};
+    let timer;
+
+    const get = function (chatId) {
+        return store.get(`${chatId}`);
+    };
+
+    /**
+     * Add a stop to the board of the chat or change its lines if it's there
+     * already. The language_code of the user is kept for the board.
+     * Returns 'added', 'updated' or 'full' if the board has too many stops.
+     */
+    const add = function (chatId, stopId, lines, languageCode) {
+        const board = _.defaultTo(get(chatId), {
+            stops: [],
+            messageId: null
+        });
+        const current = _.find(board.stops, ['stopId', `${stopId}`]);
+        if (current === undefined && board.stops.length >= settings.maxBoardStops) {
+            return 'full';
+        }
+        if (current === undefined) {
+            board.stops.push({
+                stopId: `${stopId}`,
+                lines: lines
+            });
+        } else {
+            current.lines = lines;
+        }
+        board.languageCode = languageCode;
+        store.set(`${chatId}`, board);
+        return current === undefined ? 'added' : 'updated';
+    };
+
+    /**
+     * Remove a stop from the board of the chat. The board is removed with its
+     * last stop.
+     * Returns false if the stop wasn't in the board.
+     */
+    const remove = function (chatId, stopId) {
+        const board = get(chatId);
+        if (board === undefined || _.remove(board.stops, ['stopId', `${stopId}`]).length === 0) {
+            return false;
+        }
+        if (board.stops.length === 0) {
+            store.remove(`${chatId}`);
+            delete refreshed[`${chatId}`];
+        } else {
+            store.set(`${chatId}`, board);
+        }
+        return true;
+    };
+
+    /**
+     * Remember the message the board was sent in, it's the one refreshed from
+     * now on.
+     */
+    const setMessage = function (chatId, messageId) {
+        const board = get(chatId);
+        if (board === undefined) {
+            return;
+        }
+        board.messageId = messageId;
+        store.set(`${chatId}`, board);
+        markRefreshed(chatId);
+    };
+
+    const markRefreshed = function (chatId) {
+        refreshed[`${chatId}`] = clock.now();
+    };
+
+    /**
+     * Refresh the boards that are due.
+     */
+    const tick = function () {
+        const now = clock.now();
+        if (!isWorkingTime(now)) {
+            return;
+        }
+        _.forEach(store.keys(), function (chatId) {
+            const board = get(chatId);
+            if (_.isNil(board.messageId) ||
+                now - _.get(refreshed, chatId, 0) < settings.boardRefreshMinutes * 60 * 1000) {
+                return;
+            }
+            debug(`Refreshing the board of ${chatId}`);
+            refreshed[chatId] = now;
+            options.onRefresh(chatId, board);
+        });
+    };
+
+    const start = function () {
+        timer = setInterval(tick, 60 * 1000);
+    };
+
+    const stop = function () {
+        clearInterval(timer);
+    };
+
+    return {
+        add,
+        get,
+        markRefreshed,
+        remove,
+        setMessage,
+        start,
+        stop,
+        tick
+    };
+};
+
+createBoards.isWorkingTime = isWorkingTime;
+
+module.exports = createBoards;
@@ -0,0 +1,48 @@
+// Copyright (c) 2018 Jesús Fernández <jesus@nublar.net>
+// MIT License
+
+'use strict';
+
+const http = require('http');
+const https = require('https');
+const url = require('url');
+const P = require('bluebird');
+const settings = require('./settings.js');
+
+const maxRedirects = 3;
+
+/**
+ * Download a file following a few redirects.
+ * Returns a Promise object that fulfills to the content of the file.
+ */
+const download = function (fileUrl, redirects = 0) {
+    return new P(function (resolve, reject) {
+        const client = url.parse(fileUrl).protocol === 'https:' ? https : http;
+        const request = client.get(fileUrl, function (response) {
+            const status = response.statusCode;
+            if (status >= 300 && status < 400 && response.headers.location) {
+                response.resume();
+                if (redirects >= maxRedirects) {
+                    return reject(new Error(`Too many redirects downloading ${fileUrl}`));
+                }
+                const next = url.resolve(fileUrl, response.headers.location);
+                return resolve(download(next, redirects + 1));
+            }
+            if (status !== 200) {
+                response.resume();
+                return reject(new Error(`Error ${status} downloading ${fileUrl}`));
+            }
+            let chunks = [];
+            response.on('data', chunk => chunks.push(chunk));
+            response.on('end', () => resolve(Buffer.concat(chunks).toString('utf-8')));
+            response.on('error', reject);
+        });
+        request.setTimeout(settings.dataDownloadTimeout * 1000, function () {
+            request.abort();
+            reject(new Error(`Timeout downloading ${fileUrl}`));
+        });
+        request.on('error', reject);
+    });
+};
+
+module.exports = download;
@@ -2,601 +2,2442 @@
 // MIT License
 'use strict';
 
+const fs = require('fs');
+const path = require('path');
 const settings = require('./settings.js');
-const TelegramBot = require('node-telegram-bot-api');
-// FUTURE: seems like a better library https://github.com/Lorengamboa/EMT-library
-const EMTAPI = require('node-emtmad-bus-promise');
 const _ = require('lodash');
-const uuid = require('uuid');
-const xml2json = require('./xml2json.js');
 const debug = require('debug')('bot');
-const debugCache = require('debug')('bot-cache');
-const debugBuild = require('debug')('bot-build');
 const P = require('bluebird');
-const utm = require('utm');
-
-// TELEGRAM BOT ///////////////////////////////////////////////////////////////
-
-const bot = new TelegramBot(settings.token, {
-    polling: true
-});
-
-// Azure Application Insights /////////////////////////////////////////////////
-
-const appInsights = require('applicationinsights');
-const instrumentationKey = _.isNil(process.env.APPINSIGHTS_INSTRUMENTATIONKEY) ?
-    'testingKey' :
-    process.env.APPINSIGHTS_INSTRUMENTATIONKEY;
-
-appInsights
-    .setup(instrumentationKey)
-    .setAutoCollectConsole(false)
-    .setAutoCollectPerformance(false)
-    .setAutoCollectRequests(false)
-    .setAutoCollectDependencies(false)
-    .start();
-const telemetryClient = appInsights.defaultClient;
+const search = require('./search.js');
+const lines = require('./lines.js');
+const geo = require('./geo.js');
+const queries = require('./query.js');
+const render = require('./render.js');
+const i18n = require('./i18n.js');
+const telemetry = require('./telemetry.js');
+const createStore = require('./store.js');
+const createFavourites = require('./favourites.js');
+const createPreferences = require('./preferences.js');
+const createAlerts = require('./alerts.js');
+const createIncidents = require('./incidents.js');
+const createSubscriptions = require('./subscriptions.js');
+const createJourneys = require('./journeys.js');
+const createBoards = require('./boards.js');
+const createHistory = require('./history.js');
+const createRuntimeSettings = require('./runtimeSettings.js');
+const scheduler = require('./scheduler.js');
+const stopCatalogue = require('./stopCatalogue.js');
+const createProvider = require('./providers');
+const createUpstream = require('./upstream.js');
 
 const telemetryEvents = {
     InlineQuery: 'InlineQuery',
+    InlineQueryOutcome: 'InlineQueryOutcome',
     QueryWithLocation: 'QueryWithLocation',
     QueryWithText: 'QueryWithText',
-    RefreshQuery: 'RefreshQuery'
+    QueryWithName: 'QueryWithName',
+    QueryWithLine: 'QueryWithLine',
+    QueryWithFavourites: 'QueryWithFavourites',
+    RefreshQuery: 'RefreshQuery',
+    LineQuery: 'LineQuery',
+    FavouriteCommand: 'FavouriteCommand',
+    FormatCommand: 'FormatCommand',
+    LanguageCommand: 'LanguageCommand',
+    AlertCommand: 'AlertCommand',
+    AlertTriggered: 'AlertTriggered',
+    StopMessage: 'StopMessage',
+    ScheduleCommand: 'ScheduleCommand',
+    ScheduleDelivered: 'ScheduleDelivered',
+    LocationMessage: 'LocationMessage',
+    LiveLocationUpdate: 'LiveLocationUpdate',
+    BusLocation: 'BusLocation',
+    IncidentCommand: 'IncidentCommand',
+    IncidentNotified: 'IncidentNotified',
+    JourneyCommand: 'JourneyCommand',
+    BoardCommand: 'BoardCommand',
+    BoardRefresh: 'BoardRefresh',
+    BoardUpdate: 'BoardUpdate',
+    ReliabilityCommand: 'ReliabilityCommand',
+    NewsCommand: 'NewsCommand',
+    AdminCommand: 'AdminCommand'
 };
 
 // CONSTANTS //////////////////////////////////////////////////////////////////
 
-const xmlLines = xml2json(settings.emt_linesxml).TABLA.DocumentElement[0].REG;
 const emptyLocation = {
     latitude: 0,
     longitude: 0
 };
-const utmXoffset = -110;
-const utmYoffset = -197;
 
-// Properties of a stop that will be rendered in a table
-const columns = ['lineId', 'destination', 'time'];
+// How many stops of a line are queried at the same time
+const lineConcurrency = 5;
+
+// The stores of the data of the users in the storage directory
+const userData = ['favourites', 'preferences', 'alerts', 'schedules', 'subscriptions', 'news', 'boards'];
 
-// CACHES //////////////////////////////////////////////////////////////////////
 /**
- * Cache of Stop objects indexed by their ID.
+ * Create the bot on top of a Telegram client, which can be a TelegramBot
+ * polling for updates, one fed by a webhook or a fake one in the tests.
+ * Nothing is started until start() is called.
+ *
+ * Options:
+ * - telegram: the Telegram client (node-telegram-bot-api), required.
+ * - provider: the data provider, the one in the settings by default.
+ * - telemetry: sink with trackEvent, trackException and trackDuration, none
+ *   by default.
+ * - clock: object with a now() function, Date by default.
+ * - storagePath: directory of the user data, the one in the settings by default.
  */
-var stopCache = {};
-
-function buildStopCache() {
-    debugCache('Stop cache: building...');
-    const maxId = 6500;
-    let firstId = 1,
-        step = 100,
-        timeout = 0,
-        timeoutStep = 2000;
-    while (firstId < maxId) {
-        loadStopBatch(firstId, firstId + step, timeout);
-        timeout += timeoutStep;
-        firstId += step;
-    }
-    debugCache('Stop cache: complete');
-}
+const createBot = function (options) {
+    const bot = options.telegram;
+    const provider = _.isNil(options.provider) ? createProvider() : options.provider;
+    const telemetryClient = _.defaultTo(options.telemetry, telemetry.noop);
+    const clock = _.defaultTo(options.clock, Date);
+    const storagePath = _.defaultTo(options.storagePath, settings.storagePath);
+    // The queries of the users go through the request layer, the catalogue
+    // uses the provider because it has its own retries
+    const upstream = createUpstream(provider, {
+        clock: clock,
+        telemetry: telemetryClient
+    });
+    const startedAt = clock.now();
 
-function loadStopBatch(first, last, timeout) {
-    setTimeout(function () {
-        EMTAPI.getNodesLines(_.range(first, last))
-            .then(function (results) {
-                debugCache(`Stop cache: results from ${first} to ${last}`);
-                return Promise.all(_.map(results, buildStop));
-            })
-            .then(function (stops) {
-                _.map(stops, function (item) {
-                    _.set(stopCache, item.Id, item);
-                });
-            })
-            .catch(function (err) {
-                debugCache(`Stop cache: Error: ${err} ${err.stack}`);
-                loadStopBatch(first, last, 0);
-            });
-    }, timeout);
-}
+    /**
+     * Send an event done by a user to the telemetry. Only a hash of the user
+     * is sent.
+     */
+    const trackUser = function (event, user, properties) {
+        telemetryClient.trackEvent(event, _.assign({
+            user: telemetry.hashUser(user.id)
+        }, properties));
+    };
+    let liveLocationsTimer;
+    let busLocationsTimer;
+
+    /**
+     * Queries being answered, so that they can finish before exiting.
+     */
+    const inFlight = new Set();
 
-buildStopCache();
+    const track = function (promise) {
+        const tracked = P.resolve(promise).finally(function () {
+            inFlight.delete(tracked);
+        });
+        inFlight.add(tracked);
+        return tracked;
+    };
 
+    // USER DATA ///////////////////////////////////////////////////////////////
 
-// UTILS //////////////////////////////////////////////////////////////////////
-/**
- * Look for a bus line in the Lines XML using the line Id, which is a 3 digit
- * code that identifies the line, but it's not the same as the label the line has
- * For example, the code 516 is the line N16.
- */
-const findXmlLine = function (lineId) {
-    return xmlLines.find(function (o) {
-        return o.Line[0] === _.padStart(lineId, 3, 0);
-    });
-};
+    const stores = _.zipObject(userData, _.map(userData, function (name) {
+        return createStore(name, storagePath);
+    }));
+    const favourites = createFavourites(stores.favourites);
+    const preferences = createPreferences(stores.preferences);
+    // The settings changed by the admins apply from the beginning
+    const runtimeSettings = createRuntimeSettings(createStore('settings', storagePath));
+    runtimeSettings.load();
 
-/**
- * Get the buses arriving to this stop and set the arriving property.
- * Returns a Promise object.
- */
-const getArrivingBuses = function (stop) {
-    // Return a promise
-    return new P(function (resolve) {
-        EMTAPI.getIncomingBusesToStop(stop.Id)
-            .then(function (arriving) {
-                arriving = _.concat([], arriving);
-                stop.arriving = _.map(arriving, function (bus) {
-                    // Pretty print the arriving time
-                    let time = bus.busTimeLeft;
-                    let timeMin = _.floor(time / 60);
-                    if (time === 0 || timeMin === 0) {
-                        time = '<<<';
-                    } else if (time === 999999) {
-                        time = '+20';
-                    } else {
-                        time = timeMin + '';
-                    }
-                    _.set(bus, 'time', time);
-                    return bus;
-                });
-                resolve(stop);
-            })
-            .catch(function (error) {
-                debug(`Error: ${error}`);
-                resolve(`Error: ${error}`);
+    /**
+     * The preferences of the user that sent an update, in the language of
+     * their Telegram unless they chose another one.
+     */
+    const userOptions = function (from) {
+        return preferences.get(from.id, from.language_code);
+    };
+
+    // INCIDENTS ///////////////////////////////////////////////////////////////
+
+    const subscriptions = createSubscriptions(stores.subscriptions);
+
+    /**
+     * The label users know of a line code, like N16 for 516.
+     */
+    const lineLabel = function (code) {
+        return _.get(lines.findByCode(code), 'Label[0]', code);
+    };
+
+    /**
+     * Tell the users that follow the lines of a new incident about it, one
+     * every broadcastDelay milliseconds. The users that blocked the bot stop
+     * following their lines.
+     */
+    const notifyIncident = function (incident) {
+        return P.each(subscriptions.subscribers(incident.lines), function (subscriber) {
+            const t = i18n.translator(preferences.get(subscriber.userId, subscriber.languageCode).language);
+            const header = t('newIncident', {
+                lines: _.join(_.map(incident.lines, lineLabel), ', ')
             });
+            return P.resolve(bot.sendMessage(subscriber.userId,
+                _.join(_.compact([header, incident.title, incident.description, incident.link]), '\r\n'), {
+                    disable_web_page_preview: true
+                }))
+                .then(function () {
+                    telemetryClient.trackEvent(telemetryEvents.IncidentNotified);
+                })
+                .catch(function (error) {
+                    debug(`Incident to ${subscriber.userId}: ${error}`);
+                    if (_.get(error, 'response.statusCode') === 403) {
+                        subscriptions.removeUser(subscriber.userId);
+                    }
+                })
+                .delay(settings.broadcastDelay);
+        });
+    };
+
+    const incidents = createIncidents({
+        filePath: _.defaultTo(settings.incidentsFile, path.join(storagePath, 'incidents.json')),
+        feedUrl: settings.incidentsUrl,
+        store: createStore('incidents', storagePath),
+        clock: clock,
+        onNew: notifyIncident
     });
-};
 
-/**
- * In order to print the arriving times in a table-like fashion, we need to know
- * in advance the max width of each column's text so that we can pad each column
- * with spaces according to their width.
- */
-const getColumnWidths = function (stop, columns) {
-    let format = {};
-    _.forEach(stop.arriving, function (bus) {
-        // bus is an arriving bus
-        _.forEach(columns, function (col) {
-            // col is a column that will be printed
-            let currentMax = _.get(format, col, 0);
-            // Enforce a max column width of so that the line is not too long
-            // Helps reading the results better in mobile phones.
-            let current = Math.min(_.get(bus, col, 0).length, settings.maxColumnWidth);
-            let max = Math.max(currentMax, current);
-            _.set(format, col, max);
-        });
+    // CACHES //////////////////////////////////////////////////////////////////
+    /**
+     * Catalogue of Stop objects indexed by their ID.
+     */
+    const catalogue = stopCatalogue.createStopCatalogue(provider, {
+        storagePath: storagePath,
+        clock: clock
     });
-    return format;
-};
 
-const getStopLocation = function (stopId, line, direction) {
-    debug(`Getting location for stop ${stopId} with line ${line} and direction ${direction}`);
-    let cachedStop = stopCache.filter(function (o) {
-        return o.Node == stopId;
-    })[0];
+    /**
+     * History of the arrivals of the stops queried, if it's recorded.
+     */
+    const history = settings.recordHistory ? createHistory({
+        storagePath: storagePath,
+        clock: clock
+    }) : undefined;
 
-    if (cachedStop) {
-        debug(`Found cached stop for ${stopId}`);
-        let x, y, location;
+    /**
+     * Load the lines and the stops of the open data files again and refresh
+     * the stops from the API in the background. Both files are read before
+     * any of them is used, so a bad file leaves the old lines and stops.
+     * Returns false if the files couldn't be loaded.
+     */
+    const reloadFiles = function () {
+        let newLines;
+        let newStops;
         try {
-            x = parseInt(cachedStop.PosxNode[0]) + utmXoffset;
-            y = parseInt(cachedStop.PosyNode[0]) + utmYoffset;
-            location = utm.toLatLon(x, y, 30, 'T');
+            newLines = lines.loadXml();
+            newStops = stopCatalogue.readXml();
         } catch (error) {
-            return new P(function (resolve, reject) {
-                reject(Error('Could not transform UTM to LatLon'));
-            });
+            console.error(`Error reloading the data files: ${error}`);
+            return false;
         }
-        debug(`Cached location: ${location.latitude},${location.longitude}`);
+        lines.reload(newLines);
+        catalogue.loadXml(newStops);
+        catalogue.refresh();
+        return true;
+    };
+
+    /**
+     * Reload the lines and the stops when the open data files are replaced by
+     * `npm run update-data`, so that the bot doesn't have to be restarted.
+     */
+    const reloadData = _.debounce(function () {
+        debug('Data files changed, reloading');
+        reloadFiles();
+    }, 5000);
+
+    // UTILS ///////////////////////////////////////////////////////////////////
+    /**
+     * Get the arrivals of a stop from the upstream and record them in the
+     * history. Every arrival the cache gets goes through here, so that the
+     * history doesn't skip the ones that are only cached.
+     * Returns a Promise object.
+     */
+    const getArrivals = function (stopId) {
+        return upstream.getArrivals(stopId)
+            .then(function (arriving) {
+                if (history !== undefined) {
+                    history.record(stopId, arriving);
+                }
+                return arriving;
+            });
+    };
+
+    /**
+     * Get the buses arriving to this stop and set the arriving property.
+     * Returns a Promise object.
+     */
+    const getArrivingBuses = function (stop) {
+        // Return a promise
         return new P(function (resolve) {
-            resolve(location);
-        });
-    }
-    return EMTAPI.getStopsLine(line, direction)
-        .then(function (results) {
-            let stops = _.get(results, 'stop', []);
-            let stop = stops.find(function (stop) {
-                return stop.stopId === stopId;
-            });
-            let location = {
-                latitude: stop.latitude,
-                longitude: stop.longitude
-            };
-            debug(`Location for stop ${stopId} and line ${line}/${direction}: ${location.latitude},${location.longitude}`);
-            return location;
-        })
-        .catch(function (error) {
-            console.error(`Error: ${error}`);
+            getArrivals(stop.Id)
+                .then(function (arriving) {
+                    let buses = _.map(arriving, function (bus) {
+                        // Pretty print the arriving time
+                        let time = bus.busTimeLeft;
+                        let timeMin = _.floor(time / 60);
+                        if (time === 0 || timeMin === 0) {
+                            time = '<<<';
+                        } else if (time === 999999) {
+                            time = '+20';
+                        } else {
+                            time = timeMin + '';
+                        }
+                        _.set(bus, 'time', time);
+                        return bus;
+                    });
+                    // Copy the stop so that the catalogue is not modified
+                    resolve(_.assign({}, stop, {
+                        arriving: buses
+                    }));
+                })
+                .catch(function (error) {
+                    debug(`Error: ${error}`);
+                    resolve(`Error: ${error}`);
+                });
         });
-};
+    };
 
-/* Example of a stop object from the XML file
-{
-    Node: ['4230'],
-    PosxNode: ['447148,3'],
-    PosyNode: ['4474608'],
-    Name: ['HNOS.GARCIANOBLEJAS-PZA.DEALSACIA'],
-    Lines: ['70/1']
-}
-Stop object from API
-{
-    stopId: '2443',
-    name: 'AV.ABRANTES-PZA.LASMENINAS',
-    postalAddress: 'Av.deAbrantes, 106',
-    longitude: -3.7324823992585,
-    latitude: 40.377653538528,
-    line: [Object]
-}
-
-From API Node:
-{ Wifi: '0',
-  node: 1,
-  name: 'Avenida Valdemarín-Blanca de Castilla',
-  lines: [ '', '161/1/1' ],
-  latitude: 40.47004454502,
-  longitude: -3.782887713069 }
-*/
-
-/*
- * Since the stop objects are different in the REST API and the XML, we build
- * a new object to have a consistent object across the rest of the functions.
- */
-const buildStop = function (rawStop) {
-    return new P(function (resolve, reject) {
-        let newStop = {};
-        let nodeId = _.get(rawStop, 'Node[0]', -1);
-        let stopId = _.get(rawStop, 'stopId', -1);
-        let node = _.get(rawStop, 'node', -1);
-        if (nodeId !== -1) {
-            // Build from XML
-            debugBuild(`StopBuild->Building stop from XML (${nodeId})`);
-            newStop.Id = nodeId;
-            newStop.Name = _.get(rawStop, 'Name[0]', `Parada ${newStop.Id}`);
-            let rawLines = _.get(rawStop, 'Lines[0]', '').split(' ');
-            let aLine = '';
-            newStop.Lines = _.map(rawLines, function (rawLine) {
-                aLine = rawLine;
-                let temp = rawLine.split('/');
-                let label = findXmlLine(temp[0]).Label[0];
-                if (temp[1] === '1') {
-                    return `${label} ida`;
+    /**
+     * Get the stops of a line in one direction, in order, with the next bus of
+     * that line arriving to each of them.
+     * Returns a Promise object that fulfills to an array of rows to render.
+     */
+    const getLineStops = function (line, direction) {
+        const label = line.Label[0];
+        return upstream.getLineStops(line.Line[0], direction)
+            .then(function (stops) {
+                debug(`Line ${label}/${direction} has ${stops.length} stops`);
+                return P.map(stops, function (stop) {
+                    return getArrivingBuses({
+                        Id: stop.stopId
+                    }).then(function (result) {
+                        let time = '?';
+                        if (!_.isString(result)) {
+                            let next = _.find(result.arriving, function (bus) {
+                                return _.toString(bus.lineId) === label;
+                            });
+                            time = next === undefined ? '-' : next.time;
+                        }
+                        return {
+                            stopId: stop.stopId,
+                            name: stop.name,
+                            time: time
+                        };
+                    });
+                }, {
+                    concurrency: lineConcurrency
+                });
+            });
+    };
+
+    const logErrors = function (query, id, error) {
+        console.error(`Inline Query with error: ${query}`);
+        console.error(error);
+        bot.answerInlineQuery(id, []);
+    };
+
+    /**
+     * The stops closest to the location, at most limit, with how far
+     * they are (distance, in metres) and the point of the compass to walk to
+     * them (direction). The stops are searched in searchRadius and, while
+     * there are less than minNearbyStops, in twice the radius up to
+     * maxSearchRadius. If the EMT API fails, they are taken from the
+     * catalogue.
+     * Returns a Promise object that fulfills to the stops, the closest first.
+     */
+    const findNearbyStops = function (location, limit) {
+        let fromCatalogue = false;
+        const lookup = function (radius) {
+            if (fromCatalogue) {
+                return P.resolve(search.findStopsNear(catalogue.all(), location, radius));
+            }
+            return upstream.getStopsFromLocation(location, radius)
+                .catch(function (error) {
+                    if (!catalogue.isReady()) {
+                        throw error;
+                    }
+                    debug(`Nearby stops from the catalogue: ${error}`);
+                    telemetryClient.trackException(error);
+                    fromCatalogue = true;
+                    return lookup(radius);
+                });
+        };
+        const expand = function (radius) {
+            return lookup(radius)
+                .then(function (stops) {
+                    if (stops.length >= settings.minNearbyStops || radius >= settings.maxSearchRadius) {
+                        return stops;
+                    }
+                    debug(`Only ${stops.length} stops in ${radius} metres`);
+                    return expand(Math.min(radius * 2, settings.maxSearchRadius));
+                });
+        };
+        return expand(Math.min(settings.searchRadius, settings.maxSearchRadius))
+            .then(function (stops) {
+                // The API doesn't always give the position of the stops
+                const located = _.map(stops, function (stop) {
+                    const position = geo.isValidPosition(stop.position) ?
+                        stop.position :
+                        _.get(catalogue.get(stop.Id), 'position');
+                    if (!geo.isValidPosition(position)) {
+                        return stop;
+                    }
+                    return _.assign({}, stop, {
+                        position: position,
+                        distance: geo.distance(location, position),
+                        direction: geo.compassPoint(geo.bearing(location, position))
+                    });
+                });
+                return _.take(_.sortBy(located, stop => _.defaultTo(stop.distance, Infinity)), limit);
+            });
+    };
+
+    /**
+     * Given a query text and a location object, both coming from the user, find
+     * a list of stops whose stop ID start with the query of the user, whose name
+     * matches the query or that are close to the location of the user.
+     * When the query is a text and there's a location too, the stops matching
+     * the text are ordered by their distance to the user.
+     * Returns a Promise object that fulfills to an array of at most limit
+     * Stops.
+     */
+    const findStops = function (query, location, exact = false, limit = settings.maxResults) {
+        return new P(function (resolve, reject) {
+            let isEmptyQuery = false;
+            let isLocationQuery = false;
+            let isNameQuery = false;
+
+            if (query.length === 0) {
+                debug('Empty query');
+                isEmptyQuery = true;
+            }
+            if (!isEmptyQuery && isNaN(+query)) {
+                debug('Query is not a number, searching by name');
+                isNameQuery = true;
+            }
+            if (location.latitude !== 0 || location.longitude !== 0) {
+                debug('Query contains location');
+                isLocationQuery = true;
+                telemetryClient.trackEvent(telemetryEvents.QueryWithLocation);
+            }
+            if (isEmptyQuery && !isLocationQuery) {
+                debug('Query is empty and the user didn\'t send a location');
+                return reject('Query is empty and the user didn\'t send a location');
+            }
+
+            if (isNameQuery) {
+                telemetryClient.trackEvent(telemetryEvents.QueryWithName);
+                let foundByName = search.findStopsByName(catalogue.all(), query, location);
+                debug(`Stops found by name: ${foundByName.length}`);
+                return resolve(_.slice(foundByName, 0, limit));
+            }
+
+            let foundByQuery = [];
+
+            if (!isEmptyQuery) {
+                debug('Query is not empty, find a matching stop in the cache');
+                telemetryClient.trackEvent(telemetryEvents.QueryWithText);
+                let findFunction = function (o) {
+                    return _.startsWith(o, query);
+                };
+                if (exact) {
+                    findFunction = function (o) {
+                        return o == query;
+                    };
+                }
+                // Look for stops that start with that number in the cache
+                foundByQuery = _.slice(catalogue.ids().filter(findFunction), 0, limit);
+                if (foundByQuery.length > 0) {
+                    // There was a query that matched some stops so return these
+                    return resolve(_.map(foundByQuery, catalogue.get));
                 } else {
-                    return `${label} vuelta`;
+                    debug('The stop is not in the cache!!!');
                 }
+                if (!isLocationQuery) {
+                    // Without a location there's nothing else to look for
+                    return resolve([]);
+                }
+            }
+
+            debug('Query was empty, matching by location');
+            return findNearbyStops(location, limit)
+                .then(function (stopsByLocation) {
+                    debug(`Stops found with location: ${stopsByLocation.length}`);
+                    resolve(stopsByLocation);
+                })
+                .catch(function (error) {
+                    telemetryClient.trackException(error);
+                    reject(error);
+                });
+        });
+    };
+
+    /**
+     * The favourite stops of the user that sent an update as stop objects
+     * with the alias they gave to each of them.
+     */
+    const getFavouriteStops = function (from) {
+        const t = i18n.translator(userOptions(from).language);
+        return _.map(favourites.list(from.id), function (favourite) {
+            let cached = _.defaultTo(catalogue.get(favourite.stopId), {
+                Id: favourite.stopId,
+                Name: t('stopName', {
+                    stop: favourite.stopId
+                }),
+                Lines: []
+            });
+            return _.assign({}, cached, {
+                Alias: favourite.alias
             });
-            getStopLocation(nodeId, aLine.split('/')[0], aLine.split('/')[1])
-                .then(function (position) {
-                    newStop.position = position;
-                    resolve(newStop);
+        });
+    };
+
+    /**
+     * Same as findStops, but an empty query returns the favourite stops of the
+     * user first, followed by the stops close to the user if there's a location.
+     */
+    const findInlineStops = function (query, location, from, limit) {
+        if (query.length > 0) {
+            return findStops(query, location, false, limit);
+        }
+        const favouriteStops = getFavouriteStops(from);
+        if (favouriteStops.length === 0) {
+            return findStops(query, location, false, limit);
+        }
+        telemetryClient.trackEvent(telemetryEvents.QueryWithFavourites);
+        if (!geo.isValidPosition(location)) {
+            return P.resolve(_.take(favouriteStops, limit));
+        }
+        return findStops(query, location, false, limit)
+            .then(function (stops) {
+                let all = _.uniqBy(_.concat(favouriteStops, stops), function (stop) {
+                    return `${stop.Id}`;
                 });
-        } else if (stopId !== -1) {
-            // Build from API
-            debugBuild(`StopBuild->Building stop from API:Stop (${stopId})`);
-            newStop.Id = stopId;
-            newStop.Name = _.get(rawStop, 'name', `Parada ${newStop.Id}`);
-            newStop.Lines = _.map(_.concat(rawStop.line, []), function (line) {
-                let label = line.line;
-                if (line.direction === 'B') {
-                    return `${label} ida`;
-                } else {
-                    return `${label} vuelta`;
+                return _.take(all, limit);
+            });
+    };
+
+    /**
+     * Get the buses of the lines in the filter arriving to the stop and render
+     * them in the format of the options with the incidents of the stop, or
+     * render that the EMT API is not responding.
+     * Returns a Promise object that fulfills to the rendered result.
+     */
+    const renderArrivals = function (stop, lineFilter, options) {
+        const stopIncidents = incidents.forStop(stop, lineFilter);
+        return getArrivingBuses(stop)
+            .then(function (result) {
+                if (_.isString(result)) {
+                    return render.renderUnavailable(_.assign({}, stop, {
+                        lineFilter: lineFilter,
+                        incidents: stopIncidents
+                    }), options);
                 }
+                return render.renderStop(_.assign(queries.filterLines(result, lineFilter), {
+                    incidents: stopIncidents
+                }), options);
             });
-            newStop.position = {
-                latitude: rawStop.latitude,
-                longitude: rawStop.longitude
-            };
-            resolve(newStop);
-        } else if (node !== -1) {
-            // Build from API NodesLines
-            debugBuild(`StopBuild->Building stop from API:Node (${node})`);
-            newStop.Id = node;
-            newStop.Name = _.get(rawStop, 'name', `Parada ${newStop.Id}`);
-            let rawLines = _.get(rawStop, 'lines', '').filter(x => x.length > 0);
-            newStop.Lines = _.map(rawLines, function (rawLine) {
-                let temp = rawLine.split('/');
-                // FIX: there may be missing lines in the XML too so this has to be built in some other way (API call)
-                let label = '';
-                try {
-                    label = findXmlLine(temp[0]).Label[0];
-                    if (temp[1] === '1') {
-                        return `${label} ida`;
-                    } else {
-                        return `${label} vuelta`;
-                    }
-                } catch (err) {
-                    debugBuild(`StopBuild->Line '${rawLine}' not found`);
+    };
+
+    /**
+     * Options to send a rendered result as a message, in its format.
+     */
+    const messageOptions = function (result) {
+        return _.assign(_.omit(result.input_message_content, 'message_text'), {
+            reply_markup: result.reply_markup
+        });
+    };
+
+    /**
+     * Find a single stop by its ID, get the buses arriving to it and render it.
+     * This is basically the same as in the inline query.
+     * Returns a Promise object that fulfills to the rendered result.
+     */
+    const getStopResult = function (stopId, lineFilter, options) {
+        return findStops(`${stopId}`, emptyLocation, true)
+            .then(function (stops) {
+                if (stops.length !== 1) {
+                    return P.reject('Error: more than one stop in refresh');
+                    // This is a refresh, we should never get more than one result
                 }
+                return stops[0];
+            })
+            .then(function (stop) {
+                return renderArrivals(stop, lineFilter, options);
             });
-            newStop.position = {
-                latitude: rawStop.latitude,
-                longitude: rawStop.longitude
-            };
-            resolve(newStop);
-        } else {
-            debugBuild('Bad raw stop');
-            reject('StopBuild->Bad raw stop');
+    };
+
+    // COMMANDS ////////////////////////////////////////////////////////////////
+
+    const sendHelp = function (msg) {
+        const t = i18n.translator(userOptions(msg.from).language);
+        bot.sendMessage(msg.from.id, t('help'));
+    };
+
+    // The buttons of the inline results to go to the private chat send
+    // /start with what the user needs to know
+    bot.onText(/^\/start(?:@\w+)?(?:\s+(\S+))?/, function (msg, match) {
+        if (match[1] === 'favoritas') {
+            const t = i18n.translator(userOptions(msg.from).language);
+            bot.sendMessage(msg.from.id, t('favouritesHelp'));
+            return;
         }
+        sendHelp(msg);
     });
-};
 
-const logErrors = function (query, id, error) {
-    console.error(`Inline Query with error: ${query}`);
-    console.error(error);
-    bot.answerInlineQuery(id, []);
-};
+    bot.onText(/^\/help.*/, sendHelp);
 
-/**
- * Given a query text and a location object, both coming from the user, find
- * a list of stops whose stop ID start with the query of the user or that are
- * close to the location of the user.
- * Returns a Promise object that fulfills to an array of Stops.
- */
-const findStops = function (query, location, exact = false) {
-    return new P(function (resolve, reject) {
-        let isEmptyQuery = false;
-        let isLocationQuery = false;
-        let isNaNQuery = false;
-
-        if (query.length === 0) {
-            debug('Empty query');
-            isEmptyQuery = true;
-        }
-        // Query must be a number
-        if (!isEmptyQuery && isNaN(+query)) {
-            debug('Query is not a number');
-            isNaNQuery = true;
-            isEmptyQuery = true;
-        }
-        if (location.latitude !== 0 || location.longitude !== 0) {
-            debug('Query contains location');
-            isLocationQuery = true;
-            telemetryClient.trackEvent(telemetryEvents.QueryWithLocation);
-        }
-        if ((isEmptyQuery && !isLocationQuery) || isNaNQuery) {
-            debug('Query is empty and the user didn\'t send a location');
-            return reject('Query is empty and the user didn\'t send a location');
-        }
-
-        let foundByQuery = [];
-        let stopsFound = [];
-
-        if (!isEmptyQuery) {
-            debug('Query is not empty, find a matching stop in the cache');
-            telemetryClient.trackEvent(telemetryEvents.QueryWithText);
-            let findFunction = function (o) {
-                return _.startsWith(o, query);
+    /**
+     * The list of favourites of the user with a button to remove each of them.
+     */
+    const renderFavourites = function (userId, t) {
+        const list = favourites.list(userId);
+        if (list.length === 0) {
+            return {
+                text: `${t('noFavourites')}\r\n\r\n${t('favouritesHelp')}`,
+                reply_markup: {
+                    inline_keyboard: []
+                }
             };
-            if (exact) {
-                findFunction = function (o) {
-                    return o == query;
-                };
+        }
+        const text = _.join(_.map(list, function (favourite) {
+            let name = _.get(catalogue.get(favourite.stopId), 'Name', '');
+            return `*${favourite.stopId}* ${render.escapeMarkdown(favourite.alias)} ${name}`;
+        }), '\r\n');
+        return {
+            text: `${t('favourites')}\r\n${text}`,
+            parse_mode: 'Markdown',
+            reply_markup: {
+                inline_keyboard: _.map(list, function (favourite) {
+                    return [{
+                        text: t('removeFavourite', {
+                            alias: favourite.alias
+                        }),
+                        callback_data: `fav:remove:${favourite.stopId}`
+                    }];
+                })
+            }
+        };
+    };
+
+    const processFavouriteCommand = function (msg, args) {
+        const userId = msg.from.id;
+        const parts = _.compact(_.split(args, /\s+/));
+        const operation = _.toLower(parts[0]);
+        const stopId = parts[1];
+        const t = i18n.translator(userOptions(msg.from).language);
+
+        if (msg.chat.type !== 'private') {
+            bot.sendMessage(msg.chat.id, t('favouritesPrivate'));
+            return;
+        }
+        switch (operation) {
+            case 'add': {
+                if (_.isNil(stopId) || isNaN(+stopId)) {
+                    bot.sendMessage(userId, t('favouritesHelp'));
+                    return;
+                }
+                let name = render.stopName(_.defaultTo(catalogue.get(stopId), {
+                    Id: stopId
+                }), t);
+                let alias = parts.length > 2 ? _.join(_.drop(parts, 2), ' ') : name;
+                let result = favourites.add(userId, stopId, alias);
+                if (result === 'full') {
+                    bot.sendMessage(userId, t('favouritesFull', {
+                        max: settings.maxFavourites
+                    }));
+                } else {
+                    bot.sendMessage(userId, t(result === 'added' ? 'favouriteAdded' : 'favouriteUpdated', {
+                        stop: stopId
+                    }));
+                }
+                break;
+            }
+            case 'remove':
+                if (_.isNil(stopId) || isNaN(+stopId)) {
+                    bot.sendMessage(userId, t('favouritesHelp'));
+                    return;
+                }
+                bot.sendMessage(userId, t(favourites.remove(userId, stopId) ? 'favouriteRemoved' : 'favouriteNotFound', {
+                    stop: stopId
+                }));
+                break;
+            case 'list': {
+                let content = renderFavourites(userId, t);
+                bot.sendMessage(userId, content.text, _.omit(content, 'text'));
+                break;
+            }
+            default:
+                bot.sendMessage(userId, t('favouritesHelp'));
+        }
+    };
+
+    bot.onText(/^\/fav(?:@\w+)?\b(.*)/, function (msg, match) {
+        trackUser(telemetryEvents.FavouriteCommand, msg.from);
+        processFavouriteCommand(msg, match[1]);
+    });
+
+    // PREFERENCES /////////////////////////////////////////////////////////////
+
+    // Keys of the translations of the format names
+    const formatNames = {
+        markdown: 'formatMarkdown',
+        html: 'formatHtml',
+        compact: 'formatCompact'
+    };
+
+    const tick = function (selected, text) {
+        return selected ? `✓ ${text}` : text;
+    };
+
+    /**
+     * The preferences of the user with buttons to change them. The current
+     * ones are marked with a tick.
+     */
+    const renderPreferences = function (from) {
+        const current = userOptions(from);
+        const t = i18n.translator(current.language);
+        return {
+            text: t('chooseFormat'),
+            reply_markup: {
+                inline_keyboard: [
+                    _.map(render.formatNames, function (format) {
+                        return {
+                            text: tick(current.format === format, t(formatNames[format])),
+                            callback_data: `fmt:format:${format}`
+                        };
+                    }), [{
+                        text: tick(current.distance, t('withDistance')),
+                        callback_data: 'fmt:distance:on'
+                    }, {
+                        text: tick(!current.distance, t('withoutDistance')),
+                        callback_data: 'fmt:distance:off'
+                    }]
+                ]
             }
-            // Look for stops that start with that number in the cache
-            foundByQuery = _.slice(Object.keys(stopCache).filter(findFunction), 0, settings.maxResults);
-            if (foundByQuery.length > 0) {
-                // There was a query that matched some stops so return these
-                return resolve(Promise.all(_.map(foundByQuery, id => stopCache[id])));
-            } else {
-                debug('The stop is not in the cache!!!');
+        };
+    };
+
+    /**
+     * The languages of the bot with buttons to pick one of them or the one of
+     * Telegram.
+     */
+    const renderLanguages = function (from) {
+        const chosen = preferences.getLanguage(from.id);
+        const t = i18n.translator(userOptions(from).language);
+        return {
+            text: t('chooseLanguage'),
+            reply_markup: {
+                inline_keyboard: [
+                    _.map(i18n.languages, function (language) {
+                        return {
+                            text: tick(chosen === language, i18n.languageNames[language]),
+                            callback_data: `fmt:language:${language}`
+                        };
+                    }), [{
+                        text: tick(chosen === 'auto', t('languageAuto')),
+                        callback_data: 'fmt:language:auto'
+                    }]
+                ]
             }
+        };
+    };
+
+    bot.onText(/^\/formato(?:@\w+)?\b/, function (msg) {
+        trackUser(telemetryEvents.FormatCommand, msg.from);
+        if (msg.chat.type !== 'private') {
+            const t = i18n.translator(userOptions(msg.from).language);
+            bot.sendMessage(msg.chat.id, t('formatPrivate'));
+            return;
+        }
+        const content = renderPreferences(msg.from);
+        bot.sendMessage(msg.chat.id, content.text, _.omit(content, 'text'));
+    });
+
+    bot.onText(/^\/idioma(?:@\w+)?\b/, function (msg) {
+        trackUser(telemetryEvents.LanguageCommand, msg.from);
+        if (msg.chat.type !== 'private') {
+            const t = i18n.translator(userOptions(msg.from).language);
+            bot.sendMessage(msg.chat.id, t('languagePrivate'));
+            return;
+        }
+        const content = renderLanguages(msg.from);
+        bot.sendMessage(msg.chat.id, content.text, _.omit(content, 'text'));
+    });
+
+    // CONVERSATIONAL MODE /////////////////////////////////////////////////////
+
+    /**
+     * Reply to a message with the same results as an inline query: a stop,
+     * a list of stops to pick one if the query matches several of them or the
+     * directions of a line.
+     */
+    const replyWithStops = function (msg, text) {
+        const chatId = msg.chat.id;
+        const options = userOptions(msg.from);
+        const t = i18n.translator(options.language);
+        const line = lines.parseQuery(text);
+        if (line !== undefined) {
+            bot.sendMessage(chatId, render.renderLineTitle(line, options), _.omitBy({
+                parse_mode: render.getParseMode(options),
+                reply_markup: {
+                    inline_keyboard: _.map(lines.directions(line), function (direction) {
+                        return [{
+                            text: `→ ${direction.to}`,
+                            callback_data: `line:${line.Line[0]}:${direction.direction}`
+                        }];
+                    })
+                }
+            }, _.isUndefined));
+            return;
         }
 
-        debug('Query was empty, matching by location');
-        return EMTAPI.getStopsFromLocation(location, settings.searchRadius)
+        const stopQuery = queries.parseStopQuery(text);
+        // A stop number is a single stop and not all the stops starting with it
+        const exact = !isNaN(+stopQuery.query);
+        track(findStops(stopQuery.query, emptyLocation, exact)
             .then(function (stops) {
-                // Got some stops with the location, convert the type and limit results
-                stops = _.slice(stops, 0, settings.maxResults);
-                return Promise.all(_.map(stops, buildStop));
-            })
-            .then(function (stopsByLocation) {
-                // Now we can add the converted to the results
-                debug(`Stops found with location: ${stopsByLocation.length}`);
-                resolve(_.concat(stopsFound, stopsByLocation));
+                if (stops.length === 0) {
+                    const notFound = t('stopNotFound', {
+                        query: text
+                    });
+                    return bot.sendMessage(chatId, `${notFound}\r\n${t('stopsHelp')}`);
+                }
+                if (stops.length === 1) {
+                    return getStopResult(stops[0].Id, stopQuery.lines, options)
+                        .then(function (result) {
+                            return bot.sendMessage(chatId, result.input_message_content.message_text,
+                                messageOptions(result));
+                        });
+                }
+                // Pressing one of the buttons refreshes this message with the stop
+                return bot.sendMessage(chatId, t('whichStop'), {
+                    reply_markup: {
+                        inline_keyboard: _.map(stops, function (stop) {
+                            return [{
+                                text: `${stop.Id} - ${render.stopName(stop, t)}`,
+                                callback_data: render.refreshData(_.assign({}, stop, {
+                                    lineFilter: stopQuery.lines
+                                }))
+                            }];
+                        })
+                    }
+                });
             })
             .catch(function (error) {
+                console.error(error);
                 telemetryClient.trackException(error);
+            }));
+    };
+
+    bot.onText(/^\/parada(?:@\w+)?\b(.*)/, function (msg, match) {
+        const text = _.trim(match[1]);
+        if (text.length === 0) {
+            const t = i18n.translator(userOptions(msg.from).language);
+            bot.sendMessage(msg.chat.id, t('stopsHelp'));
+            return;
+        }
+        trackUser(telemetryEvents.StopMessage, msg.from);
+        replyWithStops(msg, text);
+    });
+
+    // In private chats any text that isn't a command is a query. Messages sent
+    // via the bot are results of inline queries, so they are ignored.
+    bot.on('text', function (msg) {
+        const text = _.trim(msg.text);
+        if (msg.chat.type !== 'private' || _.startsWith(text, '/') ||
+            !_.isNil(msg.via_bot) || text.length === 0) {
+            return;
+        }
+        trackUser(telemetryEvents.StopMessage, msg.from);
+        replyWithStops(msg, text);
+    });
+
+    // JOURNEYS ////////////////////////////////////////////////////////////////
+
+    const journeys = createJourneys({
+        getLineStops: upstream.getLineStops,
+        getStop: catalogue.get,
+        getArrivals: function (stop) {
+            return getArrivingBuses(stop).then(function (result) {
+                if (_.isString(result)) {
+                    return P.reject(result);
+                }
+                return result.arriving;
             });
+        },
+        clock: clock
     });
-};
 
-/**
- * We want to format the estimations in a table that it's easier to read
- * We pad the column text with spaces and render each line with a monospace font
- */
-const renderStop = function (stop) {
-    return new P(function (resolve) {
-        let arriving = 'Sin estimaciones';
-        if (stop.arriving.length > 0) {
-            let widths = getColumnWidths(stop, columns);
-            arriving = _.join(_.map(stop.arriving, function (e) {
-                // Build the bus arriving line, padding the columns as needed
-                let keys = _.keys(widths);
-                let s = _.map(keys, function (w) {
-                    let value = _.get(e, w, '');
-                    value = _.truncate(value, {
-                        length: settings.maxColumnWidth
-                    });
-                    value = _.padEnd(value, widths[w], ' ');
-                    return value;
-                });
-                s = '`' + _.join(s, ' ') + '`';
-                return s;
-            }), '\r\n');
+    /**
+     * The origin and the destination of /ruta, separated by "a", "hasta",
+     * "to" or an arrow if they have spaces: "2443 72" or "abrantes a sol".
+     * Returns undefined if there aren't two of them.
+     */
+    const parseJourney = function (text) {
+        let places = _.split(text, /\s+(?:a|hasta|to)\s+|\s*(?:->|→)\s*/i);
+        if (places.length !== 2) {
+            places = _.split(text, /\s+/);
         }
-        let mapa = '';
-        if (stop.position != undefined) {
-            let url = `https://www.google.com/maps/@${stop.position.latitude},${stop.position.longitude},19z`;
-            mapa = `
+        if (places.length !== 2 || _.some(places, _.isEmpty)) {
+            return undefined;
+        }
+        return places;
+    };
 
-[¿Dónde está la parada?](${url})`;
+    /**
+     * The stops of a place of /ruta: the stop with that number or the ones
+     * whose name matches best.
+     */
+    const findPlace = function (place) {
+        if (!isNaN(+place)) {
+            return _.compact([catalogue.get(place)]);
         }
-        const content = `*${stop.Id}* ${stop.Name}
-${arriving}${mapa}`;
-        const result = {
-            type: 'article'
-        };
-        result.id = uuid.v4();
-        result.title = `${stop.Id} - ${stop.Name}`;
-        result.input_message_content = {
-            message_text: content,
-            parse_mode: 'Markdown',
-            disable_web_page_preview: true
-        };
-        result.description = 'Líneas: ' + _.join(stop.Lines, ', ');
-        result.thumb_url = settings.result_thumb;
-        result.reply_markup = {
-            inline_keyboard: [
-                [{
-                    text: 'Actualizar',
-                    callback_data: `refresh:${stop.Id}`
-                }]
-            ]
-        };
-        resolve(result);
+        return _.take(search.findStopsByName(catalogue.all(), place, emptyLocation), settings.routeCandidates);
+    };
+
+    const processJourneyCommand = function (msg, args) {
+        const chatId = msg.chat.id;
+        const options = userOptions(msg.from);
+        const t = i18n.translator(options.language);
+        const places = parseJourney(_.trim(args));
+        if (places === undefined) {
+            bot.sendMessage(chatId, t('journeysHelp'));
+            return;
+        }
+        const origins = findPlace(places[0]);
+        const destinations = findPlace(places[1]);
+        const missing = origins.length === 0 ? places[0] : places[1];
+        if (origins.length === 0 || destinations.length === 0) {
+            bot.sendMessage(chatId, t('stopNotFound', {
+                query: missing
+            }));
+            return;
+        }
+        track(journeys.plan(origins, destinations)
+            .then(function (found) {
+                if (found.length === 0) {
+                    return bot.sendMessage(chatId, t('noJourneys', {
+                        from: places[0],
+                        to: places[1]
+                    }));
+                }
+                return bot.sendMessage(chatId, render.renderJourneys(places[0], places[1], found, options),
+                    _.omitBy({
+                        parse_mode: render.getParseMode(options)
+                    }, _.isUndefined));
+            })
+            .catch(function (error) {
+                console.error(error);
+                telemetryClient.trackException(error);
+                bot.sendMessage(chatId, t('emtDownRetry'));
+            }));
+    };
+
+    bot.onText(/^\/ruta(?:@\w+)?\b(.*)/, function (msg, match) {
+        trackUser(telemetryEvents.JourneyCommand, msg.from);
+        processJourneyCommand(msg, match[1]);
     });
-};
 
-// COMMANDS ///////////////////////////////////////////////////////////////////
-
-const helpText =
-    'This bot is intended to be used in inline mode, just type ' +
-    '@emtbusbot and a bus stop number to get an estimation.' +
-    '\r\nIf you allow your Telegram client to send your location, ' +
-    'you will be shown a list of the bus stops closer to you.';
-
-bot.onText(/\/start.*/, function (msg) {
-    bot.sendMessage(msg.from.id, helpText);
-});
-
-bot.onText(/\/help.*/, function (msg) {
-    bot.sendMessage(msg.from.id, helpText);
-});
-
-// TELEGRAM INLINE MODE ////////////////////////////////////////////////////////
-/*
-Arriving example
-{
-    stopId: 2441,
-    lineId: '47',
-    isHead: 'False',
-    destination: 'CARABANCHELALTO',
-    busId: '8753',
-    busTimeLeft: 693,
-    busDistance: 2831,
-    longitude: -3.7001946964466,
-    latitude: 40.387599946339,
-    busPositionType: 1
-}
-*/
-bot.on('inline_query', function (request) {
-    const inlineId = request.id;
-    const query = request.query.trim();
-    const location = _.get(request, 'location', emptyLocation);
-    debug(`New inline query: ${query}`);
-    debug(`Location: ${location.latitude} ${location.longitude}`);
-
-    telemetryClient.trackEvent(telemetryEvents.InlineQuery);
-
-    findStops(query, location)
-        .then(function (stops) {
-            // Once we have some stops, find the buses arriving to them
-            debug(`We got ${stops.length} stops`);
-            return P.all(_.map(stops, getArrivingBuses));
-        })
-        .then(function (stops) {
-            // Once we have the stop with the arriving buses, build the results
-            // we are going to return to Telegram
-            stops = _.reject(stops, function (result) {
-                // If the result is a String, then an error ocurred
-                return _.isString(result);
-            });
-            return P.all(_.map(stops, renderStop));
-        })
-        .then(function (results) {
-            debug(`Final results: ${results.length}`);
-            bot.answerInlineQuery(inlineId, results, {
-                cache_time: 10
-            });
-        })
-        .catch(function (error) {
-            console.error(error);
-            telemetryClient.trackException(error);
-        });
-    // logErrors(request.query, inlineId, 'No results');
-});
+    // ALERTS //////////////////////////////////////////////////////////////////
 
-const processRefresh = function (request, stopId) {
-    if (_.isNaN(+stopId)) {
-        debug('Bad refresh stopId');
-        return;
-    }
-    let options = {
-        'answerText': 'Actualizando...'
+    const alertsHelp = function (t) {
+        return t('alertsHelp', {
+            duration: settings.alertDuration
+        });
     };
-    bot.answerCallbackQuery(request.id, options);
 
-    // This is basically the same as in the inline query
-    findStops(stopId, emptyLocation, true)
-        .then(function (stops) {
-            if (stops.length !== 1) {
-                return P.reject('Error: more than one stop in refresh');
-                // This is a refresh, we should never get more than one result
+    const alerts = createAlerts({
+        store: stores.alerts,
+        clock: clock,
+        getArrivals: function (stopId) {
+            return getArrivingBuses({
+                Id: stopId
+            }).then(function (stop) {
+                if (_.isString(stop)) {
+                    return P.reject(stop);
+                }
+                return stop.arriving;
+            });
+        },
+        onTrigger: function (alert, bus) {
+            telemetryClient.trackEvent(telemetryEvents.AlertTriggered);
+            const options = preferences.get(alert.userId, alert.languageCode);
+            const t = i18n.translator(options.language);
+            bot.sendMessage(alert.chatId, t('alertTriggered', {
+                arrival: render.describeArrival(bus, options),
+                stop: alert.stopId
+            }), {
+                parse_mode: 'Markdown'
+            });
+        },
+        onExpire: function (alert) {
+            const t = i18n.translator(preferences.get(alert.userId, alert.languageCode).language);
+            bot.sendMessage(alert.chatId, t('alertExpired', {
+                line: alert.line,
+                stop: alert.stopId
+            }));
+        }
+    });
+
+    /**
+     * The active alerts of the user with a button to cancel each of them.
+     */
+    const renderAlerts = function (userId, t) {
+        const list = alerts.list(userId);
+        if (list.length === 0) {
+            return {
+                text: `${t('noAlerts')}\r\n\r\n${alertsHelp(t)}`,
+                reply_markup: {
+                    inline_keyboard: []
+                }
+            };
+        }
+        const text = _.join(_.map(list, function (alert) {
+            return t('alert', {
+                line: alert.line,
+                stop: alert.stopId,
+                minutes: alert.minutes
+            });
+        }), '\r\n');
+        return {
+            text: `${t('alerts')}\r\n${text}`,
+            reply_markup: {
+                inline_keyboard: _.map(list, function (alert) {
+                    return [{
+                        text: t('cancelAlert', {
+                            line: alert.line,
+                            stop: alert.stopId
+                        }),
+                        callback_data: `alert:cancel:${alert.id}`
+                    }];
+                })
             }
-            return stops[0];
-        })
-        .then(getArrivingBuses)
-        .then(function (stop) {
-            if (_.isString(stop)) {
-                return P.reject('Error: getting arriving buses');
+        };
+    };
+
+    const processAlertCommand = function (msg, args) {
+        const userId = msg.from.id;
+        const parts = _.compact(_.split(args, /\s+/));
+        const t = i18n.translator(userOptions(msg.from).language);
+
+        if (msg.chat.type !== 'private') {
+            bot.sendMessage(msg.chat.id, t('alertsPrivate'));
+            return;
+        }
+        const stopId = parts[0];
+        const line = parts[1];
+        const minutes = +parts[2];
+        if (parts.length !== 3 || isNaN(+stopId) || !/^[a-z0-9]+$/i.test(line) ||
+            !_.isInteger(minutes) || minutes < 1 || minutes > 20) {
+            bot.sendMessage(userId, alertsHelp(t));
+            return;
+        }
+        const alert = alerts.create(userId, msg.chat.id, stopId, line, minutes, msg.from.language_code);
+        if (alert === undefined) {
+            bot.sendMessage(userId, t('alertsFull', {
+                max: settings.maxAlerts
+            }));
+            return;
+        }
+        bot.sendMessage(userId, t('alertCreated', {
+            line: alert.line,
+            minutes: minutes,
+            stop: stopId
+        }), {
+            reply_markup: {
+                inline_keyboard: [
+                    [{
+                        text: t('cancel'),
+                        callback_data: `alert:cancel:${alert.id}`
+                    }]
+                ]
             }
-            return stop;
-        })
-        .then(renderStop)
-        .then(function (result) {
-            bot.editMessageText(
-                result.input_message_content.message_text, {
-                    inline_message_id: request.inline_message_id,
-                    parse_mode: 'Markdown',
-                    reply_markup: {
-                        inline_keyboard: [
-                            [{
-                                text: 'Actualizar',
-                                callback_data: `refresh:${stopId}`
-                            }]
-                        ]
-                    }
-                }
-            );
-        })
-        .catch(function (error) {
-            console.error(error);
-            telemetryClient.trackException(error);
         });
-};
+    };
 
-bot.on('callback_query', function (request) {
-    debug('New CallbackQuery');
-    const data = _.get(request, 'data', 0);
-    debug(`Callback query data: ${data}`);
-    try {
-        const operation = data.split(':')[0];
-        switch (operation) {
-            case 'refresh':
-                telemetryClient.trackEvent(telemetryEvents.RefreshQuery);
-                processRefresh(request, data.split(':')[1]);
-                break;
-            default:
-                bot.answerCallbackQuery(request.id);
-        }
-    } catch (error) {
-        console.error(`Bad callback data: ${error}`);
-        bot.answerCallbackQuery(request.id);
-    }
-});
+    bot.onText(/^\/avisar(?:@\w+)?\b(.*)/, function (msg, match) {
+        trackUser(telemetryEvents.AlertCommand, msg.from);
+        processAlertCommand(msg, match[1]);
+    });
 
-// FUTURE: Act on use sending a location
-// bot.on('location', (msg) => {
-//     console.log(msg.location.latitude);
-//     console.log(msg.location.longitude);
-// });
+    bot.onText(/^\/avisos(?:@\w+)?\b/, function (msg) {
+        trackUser(telemetryEvents.AlertCommand, msg.from);
+        const content = renderAlerts(msg.from.id, i18n.translator(userOptions(msg.from).language));
+        bot.sendMessage(msg.from.id, content.text, _.omit(content, 'text'));
+    });
+
+    const processAlertCallback = function (request, operation, alertId) {
+        const userId = request.from.id;
+        if (operation !== 'cancel' || _.isNil(request.message)) {
+            bot.answerCallbackQuery(request.id);
+            return;
+        }
+        const t = i18n.translator(userOptions(request.from).language);
+        const cancelled = alerts.cancel(userId, alertId);
+        bot.answerCallbackQuery(request.id, {
+            text: t(cancelled ? 'alertCancelled' : 'alertNotFound')
+        });
+        const content = renderAlerts(userId, t);
+        bot.editMessageText(content.text, _.assign({
+            chat_id: request.message.chat.id,
+            message_id: request.message.message_id
+        }, _.omit(content, 'text')))
+            .catch(function (error) {
+                console.error(error);
+                telemetryClient.trackException(error);
+            });
+    };
+
+    // SCHEDULES ///////////////////////////////////////////////////////////////
+
+    const schedules = scheduler.createScheduler({
+        store: stores.schedules,
+        clock: clock,
+        onDeliver: function (schedule) {
+            telemetryClient.trackEvent(telemetryEvents.ScheduleDelivered);
+            // In private chats the chat ID is the ID of the user
+            getStopResult(schedule.stopId, schedule.lines, preferences.get(schedule.chatId, schedule.languageCode))
+                .then(function (result) {
+                    return bot.sendMessage(schedule.chatId, result.input_message_content.message_text,
+                        messageOptions(result));
+                })
+                .catch(function (error) {
+                    console.error(`Schedule ${schedule.id}: ${error}`);
+                    telemetryClient.trackException(error);
+                });
+        }
+    });
+
+    /**
+     * A schedule in the language of the options, with the time in their locale.
+     */
+    const describeSchedule = function (schedule, options) {
+        const t = i18n.translator(options.language);
+        let text = t('schedule', {
+            days: scheduler.formatDays(schedule.days, options.language),
+            time: scheduler.formatTime(schedule, options.locale),
+            stop: schedule.stopId
+        });
+        if (!_.isEmpty(schedule.lines)) {
+            text += ` (${_.join(schedule.lines, ', ')})`;
+        }
+        return text;
+    };
+
+    /**
+     * The schedules of the chat with a button to remove each of them.
+     */
+    const renderSchedules = function (chatId, options) {
+        const t = i18n.translator(options.language);
+        const list = schedules.list(chatId);
+        if (list.length === 0) {
+            return {
+                text: `${t('noSchedules')}\r\n\r\n${t('schedulesHelp')}`,
+                reply_markup: {
+                    inline_keyboard: []
+                }
+            };
+        }
+        const text = _.join(_.map(list, function (schedule, index) {
+            return `${index + 1}. ${describeSchedule(schedule, options)}`;
+        }), '\r\n');
+        return {
+            text: `${t('schedules')}\r\n${text}`,
+            reply_markup: {
+                inline_keyboard: _.map(list, function (schedule, index) {
+                    return [{
+                        text: t('removeSchedule', {
+                            schedule: `${index + 1}. ${describeSchedule(schedule, options)}`
+                        }),
+                        callback_data: `sched:remove:${schedule.id}`
+                    }];
+                })
+            }
+        };
+    };
+
+    const processScheduleCommand = function (msg, args) {
+        const chatId = msg.chat.id;
+        const parts = _.compact(_.split(args, /\s+/));
+        const operation = _.toLower(parts[0]);
+        const options = userOptions(msg.from);
+        const t = i18n.translator(options.language);
+
+        switch (operation) {
+            case 'add': {
+                const days = scheduler.parseDays(parts[1]);
+                const time = scheduler.parseTime(parts[2]);
+                const stopId = parts[3];
+                const stopLines = _.map(_.drop(parts, 4), _.toUpper);
+                if (days === undefined || time === undefined || _.isNil(stopId) || isNaN(+stopId) ||
+                    !_.every(stopLines, line => /^[A-Z0-9]+$/.test(line))) {
+                    bot.sendMessage(chatId, t('schedulesHelp'));
+                    return;
+                }
+                const schedule = schedules.add(chatId, days, time, stopId,
+                    _.take(_.uniq(stopLines), queries.maxFilterLines), msg.from.language_code);
+                if (schedule === undefined) {
+                    bot.sendMessage(chatId, t('schedulesFull', {
+                        max: settings.maxSchedules
+                    }));
+                    return;
+                }
+                bot.sendMessage(chatId, t('scheduleCreated', {
+                    stop: stopId,
+                    days: scheduler.formatDays(days, options.language),
+                    time: scheduler.formatTime(schedule, options.locale)
+                }));
+                break;
+            }
+            case 'remove': {
+                const list = schedules.list(chatId);
+                const schedule = list[+parts[1] - 1];
+                if (schedule !== undefined && schedules.remove(chatId, schedule.id)) {
+                    bot.sendMessage(chatId, t('scheduleRemoved', {
+                        number: parts[1]
+                    }));
+                } else {
+                    bot.sendMessage(chatId, t('scheduleNotFound'));
+                }
+                break;
+            }
+            case 'list': {
+                const content = renderSchedules(chatId, options);
+                bot.sendMessage(chatId, content.text, _.omit(content, 'text'));
+                break;
+            }
+            default:
+                bot.sendMessage(chatId, t('schedulesHelp'));
+        }
+    };
+
+    bot.onText(/^\/horario(?:@\w+)?\b(.*)/, function (msg, match) {
+        trackUser(telemetryEvents.ScheduleCommand, msg.from);
+        processScheduleCommand(msg, match[1]);
+    });
+
+    const processScheduleCallback = function (request, operation, scheduleId) {
+        if (operation !== 'remove' || _.isNil(request.message)) {
+            bot.answerCallbackQuery(request.id);
+            return;
+        }
+        const chatId = request.message.chat.id;
+        const options = userOptions(request.from);
+        const removed = schedules.remove(chatId, scheduleId);
+        bot.answerCallbackQuery(request.id, {
+            text: i18n.translator(options.language)(removed ? 'scheduleRemovedShort' : 'scheduleGone')
+        });
+        const content = renderSchedules(chatId, options);
+        bot.editMessageText(content.text, _.assign({
+            chat_id: chatId,
+            message_id: request.message.message_id
+        }, _.omit(content, 'text')))
+            .catch(function (error) {
+                console.error(error);
+                telemetryClient.trackException(error);
+            });
+    };
+
+    // BOARDS //////////////////////////////////////////////////////////////////
+
+    const boards = createBoards({
+        store: stores.boards,
+        clock: clock,
+        onRefresh: function (chatId, board) {
+            telemetryClient.trackEvent(telemetryEvents.BoardUpdate);
+            editBoard(chatId, board, board.messageId)
+                .catch(function (error) {
+                    // The message may have been deleted, a new one is sent the
+                    // next time the board is changed or shown
+                    debug(`Board of ${chatId}: ${error}`);
+                });
+        }
+    });
+
+    /**
+     * The board of a group with the estimations of its stops, rendered like
+     * the stops everywhere else, and a button to refresh it. It's in the
+     * preferences of the group, which are the defaults in the language of the
+     * last user that changed the board.
+     * Returns a Promise object that fulfills to {text, options} to send it.
+     */
+    const renderBoard = function (chatId, board) {
+        const options = preferences.get(chatId, board.languageCode);
+        return P.all(_.map(board.stops, function (boardStop) {
+            const stop = _.defaultTo(catalogue.get(boardStop.stopId), {
+                Id: boardStop.stopId,
+                Name: '',
+                Lines: []
+            });
+            return renderArrivals(stop, boardStop.lines, options);
+        })).then(function (results) {
+            const now = scheduler.localTime(new Date(clock.now()));
+            const time = i18n.formatTime(_.floor(now.minutes / 60), now.minutes % 60, options.locale);
+            return {
+                text: render.renderBoard(results, time, options),
+                options: _.omitBy({
+                    parse_mode: render.getParseMode(options),
+                    disable_web_page_preview: true,
+                    reply_markup: {
+                        inline_keyboard: [
+                            [{
+                                text: i18n.translator(options.language)('refresh'),
+                                callback_data: 'board:refresh'
+                            }]
+                        ]
+                    }
+                }, _.isUndefined)
+            };
+        });
+    };
+
+    /**
+     * Replace a message of the group with its board as it is now.
+     * Returns a Promise object.
+     */
+    const editBoard = function (chatId, board, messageId) {
+        return renderBoard(chatId, board)
+            .then(function (content) {
+                return bot.editMessageText(content.text, _.assign({
+                    chat_id: chatId,
+                    message_id: messageId
+                }, content.options));
+            })
+            .then(function () {
+                if (messageId === board.messageId) {
+                    boards.markRefreshed(chatId);
+                }
+            });
+    };
+
+    /**
+     * Send the board of the group in a new message, which is the one that is
+     * refreshed from then on.
+     * Returns a Promise object.
+     */
+    const sendBoard = function (chatId) {
+        return renderBoard(chatId, boards.get(chatId))
+            .then(function (content) {
+                return bot.sendMessage(chatId, content.text, content.options);
+            })
+            .then(function (message) {
+                boards.setMessage(chatId, message.message_id);
+            });
+    };
+
+    /**
+     * Update the message of the board of the group after a change, or send a
+     * new one if it doesn't have one or it can't be edited anymore.
+     * Returns a Promise object.
+     */
+    const updateBoard = function (chatId) {
+        const board = boards.get(chatId);
+        if (_.isNil(board.messageId)) {
+            return sendBoard(chatId);
+        }
+        return editBoard(chatId, board, board.messageId)
+            .catch(function (error) {
+                debug(`The board of ${chatId} can't be edited: ${error}`);
+                return sendBoard(chatId);
+            });
+    };
+
+    /**
+     * Whether the user is an admin of the group, according to Telegram.
+     * Returns a Promise object that fulfills to a boolean.
+     */
+    const isGroupAdmin = function (chatId, userId) {
+        return P.resolve(bot.getChatMember(chatId, userId))
+            .then(function (member) {
+                return _.includes(['creator', 'administrator'], member.status);
+            });
+    };
+
+    /**
+     * Add a stop to the board or remove it, already checked that the user can.
+     * Returns a Promise object.
+     */
+    const changeBoard = function (msg, operation, stopId, stopLines, t) {
+        const chatId = msg.chat.id;
+        if (operation === 'add') {
+            if (catalogue.get(stopId) === undefined) {
+                return bot.sendMessage(chatId, t('stopNotFound', {
+                    query: stopId
+                }));
+            }
+            const result = boards.add(chatId, stopId, stopLines, msg.from.language_code);
+            if (result === 'full') {
+                return bot.sendMessage(chatId, t('boardFull', {
+                    max: settings.maxBoardStops
+                }));
+            }
+            bot.sendMessage(chatId, t(result === 'added' ? 'boardStopAdded' : 'boardStopUpdated', {
+                stop: stopId
+            }));
+            return updateBoard(chatId);
+        }
+        if (!boards.remove(chatId, stopId)) {
+            return bot.sendMessage(chatId, t('boardStopNotFound', {
+                stop: stopId
+            }));
+        }
+        bot.sendMessage(chatId, t('boardStopRemoved', {
+            stop: stopId
+        }));
+        return boards.get(chatId) === undefined ? P.resolve() : updateBoard(chatId);
+    };
+
+    const processBoardCommand = function (msg, args) {
+        const chatId = msg.chat.id;
+        const parts = _.compact(_.split(args, /\s+/));
+        const operation = _.toLower(parts[0]);
+        const options = userOptions(msg.from);
+        const t = i18n.translator(options.language);
+        const help = t('boardHelp', {
+            minutes: settings.boardRefreshMinutes,
+            days: scheduler.formatDays(settings.boardDays, options.language),
+            start: settings.boardStartHour,
+            end: settings.boardEndHour
+        });
+        const logError = function (error) {
+            console.error(error);
+            telemetryClient.trackException(error);
+        };
+
+        if (msg.chat.type === 'private') {
+            bot.sendMessage(chatId, t('boardGroupsOnly'));
+            return;
+        }
+        if (parts.length === 0) {
+            if (boards.get(chatId) === undefined) {
+                bot.sendMessage(chatId, `${t('noBoard')}\r\n\r\n${help}`);
+                return;
+            }
+            track(sendBoard(chatId).catch(logError));
+            return;
+        }
+        const stopId = parts[1];
+        const stopLines = _.map(_.drop(parts, 2), _.toUpper);
+        if (!_.includes(['add', 'remove'], operation) || _.isNil(stopId) || isNaN(+stopId) ||
+            !_.every(stopLines, line => /^[A-Z0-9]+$/.test(line))) {
+            bot.sendMessage(chatId, help);
+            return;
+        }
+        track(isGroupAdmin(chatId, msg.from.id)
+            .then(function (isAdmin) {
+                if (!isAdmin) {
+                    return bot.sendMessage(chatId, t('boardAdminsOnly'));
+                }
+                return changeBoard(msg, operation, `${+stopId}`,
+                    _.take(_.uniq(stopLines), queries.maxFilterLines), t);
+            })
+            .catch(logError));
+    };
+
+    /**
+     * The groups can have a board with several stops in a single message
+     * that is refreshed while people work. Everybody can show it, only the
+     * admins of the group can change it.
+     */
+    bot.onText(/^\/tablero(?:@\w+)?\b(.*)/, function (msg, match) {
+        trackUser(telemetryEvents.BoardCommand, msg.from);
+        processBoardCommand(msg, match[1]);
+    });
+
+    const processBoardCallback = function (request) {
+        const chatId = _.get(request, 'message.chat.id');
+        const board = _.isNil(chatId) ? undefined : boards.get(chatId);
+        if (board === undefined) {
+            bot.answerCallbackQuery(request.id);
+            return;
+        }
+        bot.answerCallbackQuery(request.id, {
+            text: i18n.translator(userOptions(request.from).language)('refreshing')
+        });
+        track(editBoard(chatId, board, request.message.message_id)
+            .catch(function (error) {
+                // Telegram complains if the message didn't change
+                debug(`Board refresh: ${error}`);
+            }));
+    };
+
+    // INCIDENT SUBSCRIPTIONS //////////////////////////////////////////////////
+
+    /**
+     * The lines the user follows and their incidents, with a button to stop
+     * following each of them.
+     */
+    const renderSubscriptions = function (userId, t) {
+        const codes = subscriptions.list(userId);
+        if (codes.length === 0) {
+            return {
+                text: `${t('noSubscriptions')}\r\n\r\n${t('incidentsHelp')}`,
+                reply_markup: {
+                    inline_keyboard: []
+                }
+            };
+        }
+        const labels = _.join(_.map(codes, lineLabel), ', ');
+        const active = _.uniqBy(_.flatMap(codes, incidents.forLine), 'id');
+        let text = t('noIncidents');
+        if (active.length > 0) {
+            text = `${t('incidents')}\r\n${_.join(_.map(active, function (incident) {
+                let affected = _.join(_.map(_.intersection(incident.lines, codes), lineLabel), ', ');
+                return `⚠️ ${incident.title} (${affected})`;
+            }), '\r\n')}`;
+        }
+        return {
+            text: `${t('subscriptions', {
+                lines: labels
+            })}\r\n\r\n${text}`,
+            disable_web_page_preview: true,
+            reply_markup: {
+                inline_keyboard: _.chunk(_.map(codes, function (code) {
+                    return {
+                        text: t('unsubscribe', {
+                            line: lineLabel(code)
+                        }),
+                        callback_data: `inc:remove:${code}`
+                    };
+                }), 2)
+            }
+        };
+    };
+
+    const processIncidentCommand = function (msg, args) {
+        const userId = msg.from.id;
+        const parts = _.compact(_.split(args, /\s+/));
+        const operation = _.toLower(parts[0]);
+        const t = i18n.translator(userOptions(msg.from).language);
+
+        if (msg.chat.type !== 'private') {
+            bot.sendMessage(msg.chat.id, t('incidentsPrivate'));
+            return;
+        }
+        if (operation === 'list' || parts.length === 0) {
+            let content = renderSubscriptions(userId, t);
+            bot.sendMessage(userId, content.text, _.omit(content, 'text'));
+            return;
+        }
+        if (!_.includes(['add', 'remove'], operation) || parts.length !== 2) {
+            bot.sendMessage(userId, t('incidentsHelp'));
+            return;
+        }
+        const label = _.toUpper(parts[1]);
+        const line = lines.findByLabel(label);
+        if (line === undefined) {
+            bot.sendMessage(userId, t('lineNotFound', {
+                line: parts[1]
+            }));
+            return;
+        }
+        const code = line.Line[0];
+        if (operation === 'remove') {
+            bot.sendMessage(userId, t(subscriptions.remove(userId, code) ? 'unsubscribed' : 'notSubscribed', {
+                line: label
+            }));
+            return;
+        }
+        const result = subscriptions.add(userId, code, msg.from.language_code);
+        if (result === 'full') {
+            bot.sendMessage(userId, t('subscriptionsFull', {
+                max: settings.maxSubscriptions
+            }));
+            return;
+        }
+        bot.sendMessage(userId, t(result === 'added' ? 'subscribed' : 'alreadySubscribed', {
+            line: label
+        }));
+    };
+
+    bot.onText(/^\/incidencias(?:@\w+)?\b(.*)/, function (msg, match) {
+        trackUser(telemetryEvents.IncidentCommand, msg.from);
+        processIncidentCommand(msg, match[1]);
+    });
+
+    const processIncidentCallback = function (request, operation, code) {
+        const userId = request.from.id;
+        if (operation !== 'remove' || _.isNil(request.message)) {
+            bot.answerCallbackQuery(request.id);
+            return;
+        }
+        const t = i18n.translator(userOptions(request.from).language);
+        subscriptions.remove(userId, code);
+        bot.answerCallbackQuery(request.id, {
+            text: t('unsubscribedShort', {
+                line: lineLabel(code)
+            })
+        });
+        const content = renderSubscriptions(userId, t);
+        bot.editMessageText(content.text, _.assign({
+            chat_id: request.message.chat.id,
+            message_id: request.message.message_id
+        }, _.omit(content, 'text')))
+            .catch(function (error) {
+                console.error(error);
+                telemetryClient.trackException(error);
+            });
+    };
+
+    // RELIABILITY /////////////////////////////////////////////////////////////
+
+    const processReliabilityCommand = function (msg, args) {
+        const chatId = msg.chat.id;
+        const parts = _.compact(_.split(args, /\s+/));
+        const options = userOptions(msg.from);
+        const t = i18n.translator(options.language);
+
+        if (history === undefined) {
+            bot.sendMessage(chatId, t('reliabilityDisabled'));
+            return;
+        }
+        const stopId = parts[0];
+        const line = parts[1];
+        if (parts.length < 1 || parts.length > 2 || isNaN(+stopId) ||
+            (line !== undefined && !/^[a-z0-9]+$/i.test(line))) {
+            bot.sendMessage(chatId, t('reliabilityHelp', {
+                days: settings.historyDays
+            }));
+            return;
+        }
+        const statistics = history.reliability(stopId, line);
+        if (statistics.length === 0) {
+            bot.sendMessage(chatId, t('noReliability', {
+                stop: stopId
+            }));
+            return;
+        }
+        bot.sendMessage(chatId, render.renderReliability(stopId, statistics, options),
+            _.omitBy({
+                parse_mode: render.getParseMode(options)
+            }, _.isUndefined));
+    };
+
+    bot.onText(/^\/fiabilidad(?:@\w+)?\b(.*)/, function (msg, match) {
+        trackUser(telemetryEvents.ReliabilityCommand, msg.from);
+        processReliabilityCommand(msg, match[1]);
+    });
+
+    // NEWS ////////////////////////////////////////////////////////////////////
+
+    /**
+     * Users opt in to get the news of the bot the admins send with
+     * /broadcast. Their language_code is kept to know their language.
+     */
+    bot.onText(/^\/novedades(?:@\w+)?\b(.*)/, function (msg, match) {
+        trackUser(telemetryEvents.NewsCommand, msg.from);
+        const userId = msg.from.id;
+        const t = i18n.translator(userOptions(msg.from).language);
+        if (msg.chat.type !== 'private') {
+            bot.sendMessage(msg.chat.id, t('newsPrivate'));
+            return;
+        }
+        switch (_.toLower(_.trim(match[1]))) {
+            case 'on':
+                stores.news.set(`${userId}`, {
+                    languageCode: msg.from.language_code
+                });
+                bot.sendMessage(userId, t('newsOn'));
+                break;
+            case 'off':
+                stores.news.remove(`${userId}`);
+                bot.sendMessage(userId, t('newsOff'));
+                break;
+            default:
+                bot.sendMessage(userId, t('newsHelp'));
+        }
+    });
+
+    // ADMINS //////////////////////////////////////////////////////////////////
+
+    const isAdmin = function (from) {
+        return _.includes(settings.adminIds, `${from.id}`);
+    };
+
+    /**
+     * A command only the admins can use. The rest of the users get no answer,
+     * as if the command didn't exist. The answers go to a private chat with
+     * the admin.
+     */
+    const adminCommand = function (regexp, handler) {
+        bot.onText(regexp, function (msg, match) {
+            if (!isAdmin(msg.from)) {
+                debug(`User ${msg.from.id} is not an admin`);
+                return;
+            }
+            trackUser(telemetryEvents.AdminCommand, msg.from, {
+                command: _.trimStart(_.split(match[0], /[\s@]/)[0], '/')
+            });
+            handler(msg, match, i18n.translator(userOptions(msg.from).language));
+        });
+    };
+
+    /**
+     * Log the error of an admin command and tell the admin that it failed.
+     */
+    const adminFailed = function (msg, t) {
+        return function (error) {
+            console.error(error);
+            telemetryClient.trackException(error);
+            return P.resolve(bot.sendMessage(msg.from.id, t('commandFailed')))
+                .catch(_.noop);
+        };
+    };
+
+    const formatDate = function (time, t) {
+        return _.isNil(time) ? t('never') : new Date(time).toISOString();
+    };
+
+    adminCommand(/^\/stats(?:@\w+)?\b/, function (msg, match, t) {
+        const status = upstream.status();
+        bot.sendMessage(msg.from.id, t('stats', _.assign({
+            since: formatDate(startedAt, t),
+            inFlight: inFlight.size,
+            incidents: incidents.all().length,
+            stores: _.join(_.map(userData, name => `${name} ${stores[name].keys().length}`), ', ')
+        }, status)));
+    });
+
+    adminCommand(/^\/cache(?:@\w+)?\b/, function (msg, match, t) {
+        const status = catalogue.status();
+        const failed = _.join(_.map(status.failedBatches, batch => `${batch[0]}-${batch[1] - 1}`), ', ');
+        bot.sendMessage(msg.from.id, t('cache', {
+            count: status.count,
+            source: status.source,
+            updated: formatDate(status.updated, t),
+            lastRefresh: formatDate(status.lastRefresh, t),
+            refreshing: status.refreshing ? t('refreshingNow') : '',
+            failed: _.isEmpty(failed) ? t('none') : failed
+        }));
+    });
+
+    adminCommand(/^\/reload(?:@\w+)?\b/, function (msg, match, t) {
+        if (!reloadFiles()) {
+            bot.sendMessage(msg.from.id, t('reloadFailed'));
+            return;
+        }
+        track(incidents.reload()
+            .then(function () {
+                return bot.sendMessage(msg.from.id, t('reloaded', {
+                    stops: catalogue.status().count,
+                    incidents: incidents.all().length
+                }));
+            })
+            .catch(adminFailed(msg, t)));
+    });
+
+    adminCommand(/^\/set(?:@\w+)?\b(.*)/, function (msg, match, t) {
+        const parts = _.compact(_.split(match[1], /\s+/));
+        if (parts.length !== 2) {
+            const list = _.map(runtimeSettings.list(), function (setting) {
+                return `${setting.name} = ${setting.value} (${setting.defaultValue}, ${setting.hint})`;
+            });
+            bot.sendMessage(msg.from.id, `${t('settingsList')}\r\n${_.join(list, '\r\n')}`, {
+                disable_web_page_preview: true
+            });
+            return;
+        }
+        const result = runtimeSettings.set(parts[0], parts[1]);
+        const setting = _.find(runtimeSettings.list(), ['name', parts[0]]);
+        const answers = {
+            set: 'settingChanged',
+            unknown: 'settingUnknown',
+            invalid: 'settingInvalid'
+        };
+        bot.sendMessage(msg.from.id, t(answers[result], _.assign({
+            name: parts[0]
+        }, setting)));
+    });
+
+    /**
+     * Send a text to the users that opted in to the news, one after another
+     * so that Telegram doesn't throttle the bot. The users that blocked the
+     * bot are forgotten.
+     */
+    const broadcast = function (text) {
+        let sent = 0;
+        let failed = 0;
+        return P.each(stores.news.keys(), function (userId) {
+            return P.resolve(bot.sendMessage(userId, text))
+                .then(function () {
+                    sent++;
+                })
+                .catch(function (error) {
+                    failed++;
+                    debug(`Broadcast to ${userId}: ${error}`);
+                    if (_.get(error, 'response.statusCode') === 403) {
+                        stores.news.remove(userId);
+                    }
+                })
+                .delay(settings.broadcastDelay);
+        }).then(function () {
+            return {
+                sent: sent,
+                failed: failed
+            };
+        });
+    };
+
+    adminCommand(/^\/broadcast(?:@\w+)?\b([\s\S]*)/, function (msg, match, t) {
+        const text = _.trim(match[1]);
+        if (text.length === 0) {
+            bot.sendMessage(msg.from.id, t('broadcastHelp'));
+            return;
+        }
+        track(broadcast(text)
+            .then(function (result) {
+                return bot.sendMessage(msg.from.id, t('broadcastSent', result));
+            })
+            .catch(adminFailed(msg, t)));
+    });
+
+    // TELEGRAM INLINE MODE ////////////////////////////////////////////////////
+    /*
+    Arriving example
+    {
+        stopId: 2441,
+        lineId: '47',
+        isHead: 'False',
+        destination: 'CARABANCHELALTO',
+        busId: '8753',
+        busTimeLeft: 693,
+        busDistance: 2831,
+        longitude: -3.7001946964466,
+        latitude: 40.387599946339,
+        busPositionType: 1
+    }
+    */
+    bot.on('inline_query', function (request) {
+        const inlineId = request.id;
+        const query = request.query.trim();
+        const location = _.get(request, 'location', emptyLocation);
+        debug(`New inline query: ${query}`);
+        debug(`Location: ${location.latitude} ${location.longitude}`);
+
+        trackUser(telemetryEvents.InlineQuery, request.from);
+        const startTime = clock.now();
+        // How the query ended: with results, empty or with an error
+        const trackOutcome = function (result) {
+            telemetryClient.trackEvent(telemetryEvents.InlineQueryOutcome, {
+                result: result
+            });
+            telemetryClient.trackDuration(telemetryEvents.InlineQuery, clock.now() - startTime, {
+                result: result
+            });
+        };
+
+        const options = userOptions(request.from);
+        // The results of the users with their own format or language can't be
+        // shown to the rest
+        const isDefault = _.isMatch(options, render.defaultOptions);
+
+        // The results of empty queries are the favourites of the user and the
+        // ones with a location depend on where the user is
+        const isPersonal = !isDefault || query.length === 0 || geo.isValidPosition(location);
+        const t = i18n.translator(options.language);
+
+        const line = lines.parseQuery(query);
+        if (line !== undefined) {
+            debug(`Query is the line ${line.Label[0]}`);
+            trackUser(telemetryEvents.QueryWithLine, request.from);
+            trackOutcome('results');
+            bot.answerInlineQuery(inlineId, render.renderLine(line, options), {
+                cache_time: settings.inlineCacheTime,
+                is_personal: !isDefault
+            });
+            return;
+        }
+
+        const stopQuery = queries.parseStopQuery(query);
+        if (stopQuery.lines.length > 0) {
+            debug(`Filtering by lines: ${stopQuery.lines}`);
+        }
+        // All the matching stops are found and they are shown
+        // maxInlineResults at a time, Telegram asks for the next ones with the
+        // offset we give it, the position of the first one
+        const pageSize = _.clamp(settings.maxInlineResults, 1, 50);
+        const offset = Math.max(_.toInteger(request.offset), 0);
+        let nextOffset;
+
+        track(findInlineStops(stopQuery.query, location, request.from, Infinity)
+            .then(function (stops) {
+                // Once we have some stops, find the buses arriving to the ones
+                // of the page and build the results we return to Telegram
+                debug(`We got ${stops.length} stops, from ${offset}`);
+                if (offset + pageSize < stops.length) {
+                    nextOffset = `${offset + pageSize}`;
+                }
+                return P.all(_.map(_.slice(stops, offset, offset + pageSize), function (stop) {
+                    return renderArrivals(stop, stopQuery.lines, options);
+                }));
+            })
+            .then(function (results) {
+                debug(`Final results: ${results.length}`);
+                trackOutcome(results.length > 0 ? 'results' : 'empty');
+                const noResults = results.length === 0 && offset === 0;
+                bot.answerInlineQuery(inlineId, results, _.omitBy({
+                    cache_time: settings.inlineCacheTime,
+                    is_personal: isPersonal,
+                    next_offset: nextOffset,
+                    // Tell the users that find nothing how to look for stops
+                    switch_pm_text: noResults ? t('inlineNoResults') : undefined,
+                    switch_pm_parameter: noResults ? 'help' : undefined
+                }, _.isUndefined));
+            })
+            .catch(function (error) {
+                // The rest of the errors are the empty queries without
+                // favourites nor location
+                trackOutcome(error instanceof Error ? 'error' : 'empty');
+                if (error instanceof Error) {
+                    console.error(error);
+                    telemetryClient.trackException(error);
+                    // The stops couldn't be found, the API is failing
+                    bot.answerInlineQuery(inlineId, [render.renderApiDown(options)], {
+                        cache_time: 0
+                    });
+                    return;
+                }
+                // The user has to save some favourites or share their
+                // location to get something here
+                bot.answerInlineQuery(inlineId, [], {
+                    cache_time: settings.inlineCacheTime,
+                    is_personal: true,
+                    switch_pm_text: t('inlineSetup'),
+                    switch_pm_parameter: 'favoritas'
+                });
+            }));
+        // logErrors(request.query, inlineId, 'No results');
+    });
+
+    /**
+     * Callback queries come from messages sent in inline mode, which are edited
+     * with their inline_message_id, or from messages the bot sent to a chat, which
+     * are edited with the chat and message IDs.
+     */
+    const editTarget = function (request) {
+        if (!_.isNil(request.inline_message_id)) {
+            return {
+                inline_message_id: request.inline_message_id
+            };
+        }
+        return {
+            chat_id: request.message.chat.id,
+            message_id: request.message.message_id
+        };
+    };
+
+    const processRefresh = function (request, stopId, lineFilter) {
+        if (_.isNaN(+stopId)) {
+            debug('Bad refresh stopId');
+            return;
+        }
+        const options = userOptions(request.from);
+        bot.answerCallbackQuery(request.id, {
+            text: i18n.translator(options.language)('refreshing')
+        });
+
+        track(getStopResult(stopId, lineFilter, options)
+            .then(function (result) {
+                bot.editMessageText(
+                    result.input_message_content.message_text,
+                    _.assign(editTarget(request), messageOptions(result))
+                );
+            })
+            .catch(function (error) {
+                console.error(error);
+                telemetryClient.trackException(error);
+            }));
+    };
+
+    const processLine = function (request, lineId, direction) {
+        const line = lines.findByCode(lineId);
+        if (line === undefined || !_.includes(['1', '2'], direction)) {
+            debug('Bad line callback');
+            bot.answerCallbackQuery(request.id);
+            return;
+        }
+        const options = userOptions(request.from);
+        const t = i18n.translator(options.language);
+        bot.answerCallbackQuery(request.id, {
+            text: t('searchingStops')
+        });
+
+        track(getLineStops(line, direction)
+            .then(function (rows) {
+                bot.editMessageText(
+                    render.renderLineStops(line, direction, rows, options), _.omitBy(_.assign(editTarget(request), {
+                        parse_mode: render.getParseMode(options),
+                        reply_markup: {
+                            inline_keyboard: [
+                                [{
+                                    text: t('refresh'),
+                                    callback_data: `line:${lineId}:${direction}`
+                                }]
+                            ]
+                        }
+                    }), _.isUndefined)
+                );
+            })
+            .catch(function (error) {
+                console.error(error);
+                telemetryClient.trackException(error);
+            }));
+    };
+
+    const processFormatCallback = function (request, key, value) {
+        const userId = request.from.id;
+        if (_.isNil(request.message)) {
+            bot.answerCallbackQuery(request.id);
+            return;
+        }
+        const changed = key === 'distance' ?
+            preferences.set(userId, key, value === 'on') :
+            preferences.set(userId, key, value);
+        // Answer in the new language if it changed
+        const t = i18n.translator(userOptions(request.from).language);
+        let answer = changed ? 'formatChanged' : 'formatInvalid';
+        if (key === 'language' && changed) {
+            answer = 'languageChanged';
+        }
+        bot.answerCallbackQuery(request.id, {
+            text: t(answer)
+        });
+        const content = key === 'language' ? renderLanguages(request.from) : renderPreferences(request.from);
+        bot.editMessageText(content.text, _.assign({
+            chat_id: request.message.chat.id,
+            message_id: request.message.message_id
+        }, _.omit(content, 'text')))
+            .catch(function (error) {
+                // Telegram complains if the message didn't change
+                debug(`Format message: ${error}`);
+            });
+    };
+
+    const processFavouriteCallback = function (request, operation, stopId) {
+        const userId = request.from.id;
+        if (operation !== 'remove' || _.isNil(request.message)) {
+            bot.answerCallbackQuery(request.id);
+            return;
+        }
+        const t = i18n.translator(userOptions(request.from).language);
+        favourites.remove(userId, stopId);
+        bot.answerCallbackQuery(request.id, {
+            text: t('favouriteRemovedShort', {
+                stop: stopId
+            })
+        });
+        const content = renderFavourites(userId, t);
+        bot.editMessageText(content.text, _.assign({
+            chat_id: request.message.chat.id,
+            message_id: request.message.message_id
+        }, _.omit(content, 'text')))
+            .catch(function (error) {
+                console.error(error);
+                telemetryClient.trackException(error);
+            });
+    };
+
+    bot.on('callback_query', function (request) {
+        debug('New CallbackQuery');
+        const data = _.get(request, 'data', 0);
+        debug(`Callback query data: ${data}`);
+        try {
+            const operation = data.split(':')[0];
+            switch (operation) {
+                case 'refresh':
+                    trackUser(telemetryEvents.RefreshQuery, request.from);
+                    processRefresh(request, data.split(':')[1], _.compact(_.split(data.split(':')[2], ',')));
+                    break;
+                case 'line':
+                    trackUser(telemetryEvents.LineQuery, request.from);
+                    processLine(request, data.split(':')[1], data.split(':')[2]);
+                    break;
+                case 'fav':
+                    processFavouriteCallback(request, data.split(':')[1], data.split(':')[2]);
+                    break;
+                case 'alert':
+                    processAlertCallback(request, data.split(':')[1], data.split(':')[2]);
+                    break;
+                case 'sched':
+                    processScheduleCallback(request, data.split(':')[1], data.split(':')[2]);
+                    break;
+                case 'board':
+                    trackUser(telemetryEvents.BoardRefresh, request.from);
+                    processBoardCallback(request);
+                    break;
+                case 'inc':
+                    processIncidentCallback(request, data.split(':')[1], data.split(':')[2]);
+                    break;
+                case 'fmt':
+                    processFormatCallback(request, data.split(':')[1], data.split(':')[2]);
+                    break;
+                case 'bus':
+                    trackUser(telemetryEvents.BusLocation, request.from);
+                    processBusLocation(request, data.split(':')[1], data.split(':')[2]);
+                    break;
+                default:
+                    bot.answerCallbackQuery(request.id);
+            }
+        } catch (error) {
+            console.error(`Bad callback data: ${error}`);
+            bot.answerCallbackQuery(request.id);
+        }
+    });
+
+    // LOCATIONS ///////////////////////////////////////////////////////////////
+    /**
+     * Live locations being shared with the bot, indexed by chat and message.
+     * For each of them we keep the message we replied with so that it can be
+     * edited as the user walks instead of sending a new one.
+     */
+    const liveLocations = {};
+
+    /**
+     * The nearest stops to the location with their estimations in one message.
+     * Returns a Promise object that fulfills to the text of the message, which
+     * is in the format of the options.
+     */
+    const renderNearby = function (location, isLive, options) {
+        return findStops('', location)
+            .then(function (stops) {
+                return P.all(_.map(stops, function (stop) {
+                    return renderArrivals(stop, [], options);
+                }));
+            })
+            .then(function (results) {
+                const t = i18n.translator(options.language);
+                let header = t(isLive ? 'nearbyLive' : 'nearby');
+                if (results.length === 0) {
+                    const noStops = t('noNearbyStops', {
+                        radius: settings.maxSearchRadius
+                    });
+                    return `${header}\r\n\r\n${noStops}`;
+                }
+                let stops = _.map(results, 'input_message_content.message_text');
+                return `${header}\r\n\r\n${_.join(stops, '\r\n\r\n')}`;
+            });
+    };
+
+    /**
+     * Update the reply to a live location, at most every liveLocationInterval
+     * seconds because Telegram sends an update every few seconds.
+     */
+    const processLiveLocation = function (msg) {
+        const key = `${msg.chat.id}:${msg.message_id}`;
+        const live = liveLocations[key];
+        const now = clock.now();
+        if (live === undefined) {
+            return;
+        }
+        if (now > live.expires) {
+            delete liveLocations[key];
+            return;
+        }
+        if (live.pending || now - live.lastUpdate < settings.liveLocationInterval * 1000) {
+            return;
+        }
+        trackUser(telemetryEvents.LiveLocationUpdate, msg.from);
+        live.pending = true;
+        live.lastUpdate = now;
+        const options = userOptions(msg.from);
+        renderNearby(msg.location, true, options)
+            .then(function (text) {
+                return bot.editMessageText(text, _.omitBy({
+                    chat_id: msg.chat.id,
+                    message_id: live.replyId,
+                    parse_mode: render.getParseMode(options),
+                    disable_web_page_preview: true
+                }, _.isUndefined));
+            })
+            .catch(function (error) {
+                // Telegram complains if the message didn't change
+                debug(`Live location update: ${error}`);
+            })
+            .finally(function () {
+                live.pending = false;
+            });
+    };
+
+    bot.on('location', function (msg) {
+        if (msg.chat.type !== 'private') {
+            return;
+        }
+        debug(`Location message: ${msg.location.latitude} ${msg.location.longitude}`);
+        trackUser(telemetryEvents.LocationMessage, msg.from);
+        const isLive = !_.isNil(msg.location.live_period);
+        const options = userOptions(msg.from);
+        track(renderNearby(msg.location, isLive, options)
+            .then(function (text) {
+                return bot.sendMessage(msg.chat.id, text, _.omitBy({
+                    parse_mode: render.getParseMode(options),
+                    disable_web_page_preview: true,
+                    reply_to_message_id: msg.message_id
+                }, _.isUndefined));
+            })
+            .then(function (reply) {
+                if (isLive) {
+                    liveLocations[`${msg.chat.id}:${msg.message_id}`] = {
+                        replyId: reply.message_id,
+                        lastUpdate: clock.now(),
+                        expires: (msg.date + msg.location.live_period) * 1000,
+                        pending: false
+                    };
+                }
+            })
+            .catch(function (error) {
+                console.error(error);
+                telemetryClient.trackException(error);
+            }));
+    });
+
+    // Live locations are sent as edits of the original location message
+    bot.on('edited_message', function (msg) {
+        if (msg.chat.type !== 'private' || _.isNil(msg.location)) {
+            return;
+        }
+        processLiveLocation(msg);
+    });
+
+    // BUS POSITIONS ///////////////////////////////////////////////////////////
+    /**
+     * Live locations of buses the bot is sharing, indexed by chat and message.
+     * They are moved every busLocationInterval seconds until the bus arrives.
+     */
+    const busLocations = {};
+
+    /**
+     * The next bus of the line to the stop whose position is known.
+     * Returns a Promise object that fulfills to the bus or undefined, and
+     * rejects if the arrivals couldn't be got.
+     */
+    const findBus = function (stopId, lineId) {
+        return getArrivingBuses({
+            Id: stopId
+        }).then(function (result) {
+            if (_.isString(result)) {
+                throw new Error(result);
+            }
+            return _.minBy(_.filter(result.arriving, function (bus) {
+                return `${bus.lineId}` === lineId && render.isLocated(bus);
+            }), 'busTimeLeft');
+        });
+    };
+
+    /**
+     * Send the position of the bus: a live location that follows it or, if it's
+     * already arriving, a venue. Then the stop, so that both show in the map.
+     */
+    const sendBusLocation = function (chatId, stopId, bus, options) {
+        const stop = catalogue.get(stopId);
+        const title = `🚌 ${bus.lineId} → ${bus.destination}`;
+        const arrival = render.describeArrival(bus, options);
+        let sent;
+        if (bus.time === '<<<') {
+            sent = bot.sendVenue(chatId, bus.latitude, bus.longitude, title, arrival);
+        } else {
+            sent = bot.sendLocation(chatId, bus.latitude, bus.longitude, {
+                live_period: _.clamp(bus.busTimeLeft + 120, 60, 3600)
+            }).then(function (message) {
+                busLocations[`${chatId}:${message.message_id}`] = {
+                    chatId: chatId,
+                    messageId: message.message_id,
+                    stopId: stopId,
+                    lineId: `${bus.lineId}`,
+                    busId: bus.busId,
+                    expires: clock.now() + 3600 * 1000,
+                    pending: false
+                };
+            });
+        }
+        return sent.then(function () {
+            if (stop === undefined || !geo.isValidPosition(stop.position)) {
+                return;
+            }
+            const t = i18n.translator(options.language);
+            return bot.sendVenue(chatId, stop.position.latitude, stop.position.longitude, t('stopVenue', {
+                stop: stopId
+            }), `${render.stopName(stop, t)} · ${arrival}`);
+        });
+    };
+
+    /**
+     * "¿Dónde está el 27?" buttons. Messages sent in inline mode don't have a
+     * chat the bot can write to, so the location is sent in a private chat.
+     */
+    const processBusLocation = function (request, stopId, lineId) {
+        if (_.isNaN(+stopId) || _.isEmpty(lineId)) {
+            debug('Bad bus callback');
+            bot.answerCallbackQuery(request.id);
+            return;
+        }
+        const chatId = _.isNil(request.message) ? request.from.id : request.message.chat.id;
+        const options = userOptions(request.from);
+        const t = i18n.translator(options.language);
+        track(findBus(stopId, lineId)
+            .then(function (bus) {
+                if (bus === undefined) {
+                    return bot.answerCallbackQuery(request.id, {
+                        text: t('busNotLocated', {
+                            line: lineId
+                        })
+                    });
+                }
+                return sendBusLocation(chatId, stopId, bus, options)
+                    .then(function () {
+                        return bot.answerCallbackQuery(request.id, {
+                            text: render.describeArrival(bus, options)
+                        });
+                    }, function (error) {
+                        debug(`Bus location not sent: ${error}`);
+                        return bot.answerCallbackQuery(request.id, {
+                            text: t('busLocationPrivate'),
+                            show_alert: true
+                        });
+                    });
+            }, function (error) {
+                debug(`Bus not found: ${error}`);
+                return bot.answerCallbackQuery(request.id, {
+                    text: t('emtDownShort')
+                });
+            })
+            .catch(function (error) {
+                console.error(error);
+                telemetryClient.trackException(error);
+            }));
+    };
+
+    /**
+     * Move the live location of a bus or stop it when the bus has arrived or
+     * it's not in the arrivals of the stop anymore.
+     */
+    const updateBusLocation = function (key) {
+        const live = busLocations[key];
+        const target = {
+            chat_id: live.chatId,
+            message_id: live.messageId
+        };
+        live.pending = true;
+        return getArrivals(live.stopId)
+            .then(function (arriving) {
+                const bus = _.find(arriving, function (candidate) {
+                    return candidate.busId === live.busId && render.isLocated(candidate);
+                });
+                if (bus === undefined || bus.busTimeLeft < 60 || clock.now() > live.expires) {
+                    delete busLocations[key];
+                    return bot.stopMessageLiveLocation(target);
+                }
+                return bot.editMessageLiveLocation(bus.latitude, bus.longitude, target)
+                    .catch(function (error) {
+                        // The user stopped it or deleted the message
+                        debug(`Bus location update: ${error}`);
+                        delete busLocations[key];
+                    });
+            })
+            .catch(function (error) {
+                // Try again in the next update
+                debug(`Bus location arrivals: ${error}`);
+            })
+            .finally(function () {
+                live.pending = false;
+            });
+    };
+
+    const updateBusLocations = function () {
+        return P.map(_.keys(busLocations), function (key) {
+            if (busLocations[key].pending) {
+                return;
+            }
+            return track(updateBusLocation(key));
+        }, {
+            concurrency: lineConcurrency
+        });
+    };
+
+    // LIFECYCLE ///////////////////////////////////////////////////////////////
+
+    /**
+     * Forget the live locations that have already expired.
+     */
+    const cleanLiveLocations = function () {
+        const now = clock.now();
+        _.forEach(_.keys(liveLocations), function (key) {
+            if (now > liveLocations[key].expires) {
+                delete liveLocations[key];
+            }
+        });
+    };
+
+    /**
+     * Load the stop catalogue and start the background work: the catalogue
+     * refresh, the alerts, the schedules, the boards, the incidents, pruning
+     * the history and watching the data files.
+     */
+    const start = function () {
+        catalogue.start();
+        alerts.start();
+        schedules.start();
+        boards.start();
+        incidents.start();
+        if (history !== undefined) {
+            history.start();
+        }
+        fs.watchFile(settings.emt_linesxml, reloadData);
+        fs.watchFile(settings.emt_nodesxml, reloadData);
+        liveLocationsTimer = setInterval(cleanLiveLocations, 10 * 60 * 1000);
+        busLocationsTimer = setInterval(updateBusLocations, settings.busLocationInterval * 1000);
+    };
+
+    /**
+     * Stop the background work so that the process can exit. The Telegram
+     * client has to be stopped by its owner.
+     */
+    const stop = function () {
+        catalogue.stop();
+        alerts.stop();
+        schedules.stop();
+        boards.stop();
+        incidents.stop();
+        if (history !== undefined) {
+            history.stop();
+        }
+        reloadData.cancel();
+        fs.unwatchFile(settings.emt_linesxml, reloadData);
+        fs.unwatchFile(settings.emt_nodesxml, reloadData);
+        clearInterval(liveLocationsTimer);
+        clearInterval(busLocationsTimer);
+    };
+
+    /**
+     * Wait for the queries being answered, at most timeout milliseconds.
+     * Returns a Promise object that fulfills to false if some of them didn't
+     * finish in time.
+     */
+    const drain = function (timeout) {
+        debug(`Draining ${inFlight.size} queries`);
+        return P.all(_.map(Array.from(inFlight), function (promise) {
+            return promise.reflect();
+        }))
+            .timeout(timeout)
+            .then(_.constant(true))
+            .catch(P.TimeoutError, _.constant(false))
+            .then(function (drained) {
+                // The history of the last queries is written before exiting
+                return history === undefined ? drained : history.flush().then(_.constant(drained));
+            });
+    };
+
+    return {
+        telegram: bot,
+        catalogue: catalogue,
+        incidents: incidents,
+        upstream: upstream,
+        history: history,
+        drain: drain,
+        inFlight: function () {
+            return inFlight.size;
+        },
+        start: start,
+        stop: stop,
+        updateBoards: boards.tick,
+        updateBusLocations: updateBusLocations
+    };
+};
 
-module.exports = bot;
\ No newline at end of file
+module.exports = createBot;
@@ -0,0 +1,74 @@
+// Copyright (c) 2018 Jesús Fernández <jesus@nublar.net>
+// MIT License
+
+'use strict';
+
+const _ = require('lodash');
+const settings = require('./settings.js');
+
+/* Example of the favourites of a user in the store
+'12345678': [
+    { stopId: '2443', alias: 'Casa' },
+    { stopId: '72', alias: 'Trabajo' }
+]
+*/
+
+/**
+ * Favourite stops of the users, persisted in the given store and indexed by
+ * the Telegram user ID.
+ */
+const createFavourites = function (store) {
+    const list = function (userId) {
+        return store.get(`${userId}`, []);
+    };
+
+    /**
+     * Add a stop to the favourites of the user or change its alias if it was
+     * already there.
+     * Returns 'added', 'updated' or 'full' if the user has too many already.
+     */
+    const add = function (userId, stopId, alias) {
+        let current = list(userId);
+        let existing = _.find(current, ['stopId', `${stopId}`]);
+        let result = 'added';
+        if (existing !== undefined) {
+            existing.alias = alias;
+            result = 'updated';
+        } else if (current.length >= settings.maxFavourites) {
+            return 'full';
+        } else {
+            current.push({
+                stopId: `${stopId}`,
+                alias: alias
+            });
+        }
+        store.set(`${userId}`, current);
+        return result;
+    };
+
+    /**
+     * Remove a stop from the favourites of the user.
+     * Returns false if the stop wasn't a favourite.
+     */
+    const remove = function (userId, stopId) {
+        let current = list(userId);
+        let removed = _.remove(current, ['stopId', `${stopId}`]);
+        if (removed.length === 0) {
+            return false;
+        }
+        if (current.length === 0) {
+            store.remove(`${userId}`);
+        } else {
+            store.set(`${userId}`, current);
+        }
+        return true;
+    };
+
+    return {
+        add,
+        list,
+        remove
+    };
+};
+
+module.exports = createFavourites;
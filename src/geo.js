@@ -0,0 +1,65 @@
+// Copyright (c) 2018 Jesús Fernández <jesus@nublar.net>
+// MIT License
+
+'use strict';
+
+const earthRadius = 6371000;
+
+const toRadians = function (degrees) {
+    return degrees * Math.PI / 180;
+};
+
+/**
+ * Distance in metres between two {latitude, longitude} objects using the
+ * haversine formula. Good enough for the distances we handle in a city.
+ */
+const distance = function (from, to) {
+    const dLat = toRadians(to.latitude - from.latitude);
+    const dLon = toRadians(to.longitude - from.longitude);
+    const a = Math.sin(dLat / 2) * Math.sin(dLat / 2) +
+        Math.cos(toRadians(from.latitude)) * Math.cos(toRadians(to.latitude)) *
+        Math.sin(dLon / 2) * Math.sin(dLon / 2);
+    return 2 * earthRadius * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+};
+
+/**
+ * Initial bearing in degrees, clockwise from the north, to go from one
+ * {latitude, longitude} object to another.
+ */
+const bearing = function (from, to) {
+    const lat1 = toRadians(from.latitude);
+    const lat2 = toRadians(to.latitude);
+    const dLon = toRadians(to.longitude - from.longitude);
+    const y = Math.sin(dLon) * Math.cos(lat2);
+    const x = Math.cos(lat1) * Math.sin(lat2) - Math.sin(lat1) * Math.cos(lat2) * Math.cos(dLon);
+    return (Math.atan2(y, x) * 180 / Math.PI + 360) % 360;
+};
+
+const compassPoints = ['N', 'NE', 'E', 'SE', 'S', 'SW', 'W', 'NW'];
+
+/**
+ * The closest of the eight points of the compass to a bearing, like 'NE'.
+ */
+const compassPoint = function (degrees) {
+    return compassPoints[Math.round(degrees / 45) % compassPoints.length];
+};
+
+/**
+ * A position is usable if it has both coordinates and it's not the empty
+ * location we use when the user didn't send one.
+ */
+const isValidPosition = function (position) {
+    if (position === undefined || position === null) {
+        return false;
+    }
+    const lat = +position.latitude;
+    const lon = +position.longitude;
+    return !isNaN(lat) && !isNaN(lon) && (lat !== 0 || lon !== 0);
+};
+
+module.exports = {
+    bearing,
+    compassPoint,
+    distance,
+    isValidPosition
+};
@@ -0,0 +1,397 @@
+// Copyright (c) 2018 Jesús Fernández <jesus@nublar.net>
+// MIT License
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const _ = require('lodash');
+const P = require('bluebird');
+const debug = require('debug')('bot-history');
+const settings = require('./settings.js');
+const scheduler = require('./scheduler.js');
+
+const appendFile = P.promisify(fs.appendFile);
+const writeFile = P.promisify(fs.writeFile);
+const rename = P.promisify(fs.rename);
+const readdir = P.promisify(fs.readdir);
+const unlink = P.promisify(fs.unlink);
+
+/* Example of a daily log of the history, history-2019-01-07.jsonl, a JSON
+object per line
+{"type":"eta","t":1546329600000,"stop":"2443","line":"47","bus":"4521","eta":120}
+{"type":"arrival","t":1546329725000,"stop":"2443","line":"47","bus":"4521","error":5,"absoluteError":12,"predictions":6}
+The estimations (eta) are in seconds from t. An arrival is inferred when a bus
+is not in the arrivals of the stop anymore, its error is how many seconds
+later than estimated it arrived on average, negative if it was earlier.
+
+Example of the statistics in history.json, by stop, line and day, with the sums
+of the errors and the headways of each hour in minutes with how many times
+they were seen
+'2443': {
+    '47': {
+        last: 1546329725000,
+        days: {
+            '2019-01-07': {
+                arrivals: 12,
+                error: 60,
+                absoluteError: 300,
+                headways: {
+                    9: {
+                        10: 3,
+                        12: 1
+                    }
+                }
+            }
+        }
+    }
+}
+The last arrival of each line is kept to know the next headway.
+*/
+
+// busTimeLeft of the buses more than 20 minutes away
+const farAway = 999999;
+
+// Consecutive arrivals of a line further apart than this are not a headway,
+// e.g. the night ones
+const maxHeadway = 2 * 60 * 60 * 1000;
+
+// Hours with less headways than this are not shown
+const minHeadwaySamples = 2;
+
+// The entries waiting to be written are written right away when there are
+// this many of them
+const maxPending = 1000;
+
+const logPattern = /^history-(\d{4}-\d{2}-\d{2})\.jsonl$/;
+
+const median = function (values) {
+    const sorted = _.sortBy(values);
+    const middle = _.floor(sorted.length / 2);
+    return sorted.length % 2 === 1 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+};
+
+/**
+ * Typical minutes between the buses of a line by hour of the day, from the
+ * headways of each hour with how many times they were seen.
+ */
+const headwaysByHour = function (byHour) {
+    return _.sortBy(_.compact(_.map(byHour, function (counts, hour) {
+        const headways = _.flatMap(counts, (count, minutes) => _.times(count, _.constant(+minutes)));
+        if (headways.length < minHeadwaySamples) {
+            return undefined;
+        }
+        return {
+            hour: +hour,
+            minutes: _.round(median(headways)),
+            samples: headways.length
+        };
+    })), 'hour');
+};
+
+/**
+ * History of the arrivals of the stops, to know how reliable the estimations
+ * are. The buses of every stop queried are followed in memory: when a bus
+ * that was about to arrive is not in the arrivals anymore, it arrived and the
+ * error of its estimations is added to the statistics of its stop and line.
+ * The estimations and the arrivals are appended to a log of each day and the
+ * statistics saved every historyFlushSeconds, so the queries never wait for
+ * the disk. The last historyDays days are kept.
+ *
+ * Options:
+ * - storagePath: the directory of the logs and the statistics.
+ * - clock: object with a now() function, Date by default.
+ */
+const createHistory = function (options) {
+    const storagePath = options.storagePath;
+    const statisticsPath = path.join(storagePath, 'history.json');
+    const clock = _.defaultTo(options.clock, Date);
+    // The buses being followed at each stop, by stop and bus ID
+    const followed = {};
+    // When the arrivals of each stop were recorded for the last time
+    const recorded = {};
+    // The entries not written yet and whether the statistics changed
+    let pending = [];
+    let changed = false;
+    // The writes are done one after the other
+    let writing = P.resolve();
+    let timer;
+
+    let statistics = {};
+    try {
+        fs.mkdirSync(storagePath, {
+            recursive: true
+        });
+        statistics = JSON.parse(fs.readFileSync(statisticsPath, 'utf-8'));
+    } catch (error) {
+        if (error.code !== 'ENOENT') {
+            console.error(`Error loading the history ${statisticsPath}: ${error}`);
+        }
+    }
+
+    const day = function (time) {
+        return scheduler.localTime(new Date(time)).date;
+    };
+
+    /**
+     * The first day of the last historyDays days.
+     */
+    const firstDay = function () {
+        return day(clock.now() - (settings.historyDays - 1) * 24 * 60 * 60 * 1000);
+    };
+
+    /**
+     * Write the entries pending to the logs of their days and the statistics
+     * if they changed.
+     * Returns a Promise object that fulfills when they are written.
+     */
+    const flush = function () {
+        const byDay = _.groupBy(pending, entry => day(entry.t));
+        const content = changed ? JSON.stringify(statistics) : undefined;
+        pending = [];
+        changed = false;
+        writing = writing.then(function () {
+            return P.each(_.keys(byDay), function (date) {
+                const lines = _.join(_.map(byDay[date], entry => `${JSON.stringify(entry)}\n`), '');
+                return appendFile(path.join(storagePath, `history-${date}.jsonl`), lines, 'utf-8');
+            });
+        }).then(function () {
+            if (content === undefined) {
+                return undefined;
+            }
+            return writeFile(`${statisticsPath}.tmp`, content, 'utf-8')
+                .then(() => rename(`${statisticsPath}.tmp`, statisticsPath));
+        }).catch(function (error) {
+            console.error(`Error writing the history: ${error}`);
+        });
+        return writing;
+    };
+
+    /**
+     * Add an arrival to the statistics of its stop and line.
+     */
+    const addArrival = function (arrival) {
+        const line = _.get(statistics, [arrival.stop, arrival.line], {
+            days: {}
+        });
+        const date = day(arrival.t);
+        const today = _.defaultTo(line.days[date], {
+            arrivals: 0,
+            error: 0,
+            absoluteError: 0,
+            headways: {}
+        });
+        today.arrivals++;
+        today.error += arrival.error;
+        today.absoluteError += arrival.absoluteError;
+        const headway = arrival.t - _.defaultTo(line.last, 0);
+        if (headway > 0 && headway <= maxHeadway) {
+            const hour = _.floor(scheduler.localTime(new Date(arrival.t)).minutes / 60);
+            const minutes = _.round(headway / 60000);
+            const counts = _.defaultTo(today.headways[hour], {});
+            counts[minutes] = _.get(counts, minutes, 0) + 1;
+            today.headways[hour] = counts;
+        }
+        line.last = Math.max(arrival.t, _.defaultTo(line.last, 0));
+        line.days[date] = today;
+        // Not _.set, the stops and the hours would be arrays
+        statistics[arrival.stop] = _.defaultTo(statistics[arrival.stop], {});
+        statistics[arrival.stop][arrival.line] = line;
+        changed = true;
+    };
+
+    /**
+     * The arrival of a bus that isn't in the arrivals of the stop anymore, or
+     * undefined if it wasn't about to arrive or it was seen too long ago to
+     * know when it arrived. It arrived between the last time it was seen and
+     * now, so it's taken as arriving halfway.
+     */
+    const inferArrival = function (stopId, busId, bus, now) {
+        const last = _.last(bus.estimations);
+        if (last.eta > settings.arrivalEta || now - last.t > settings.arrivalMaxGap * 1000) {
+            return undefined;
+        }
+        const time = Math.round((last.t + now) / 2);
+        const errors = _.map(bus.estimations, function (estimation) {
+            return (time - estimation.t) / 1000 - estimation.eta;
+        });
+        return {
+            type: 'arrival',
+            t: time,
+            stop: stopId,
+            line: bus.line,
+            bus: busId,
+            error: _.round(_.mean(errors)),
+            absoluteError: _.round(_.mean(_.map(errors, Math.abs))),
+            predictions: errors.length
+        };
+    };
+
+    /**
+     * Record the arrivals to a stop, as returned by the provider. The ones of
+     * a stop recorded less than arrivalsCacheTtl seconds ago are the same
+     * cached ones and they are ignored.
+     */
+    const record = function (stopId, buses) {
+        const now = clock.now();
+        const key = `${stopId}`;
+        if (now - _.get(recorded, key, 0) < settings.arrivalsCacheTtl * 1000) {
+            return;
+        }
+        recorded[key] = now;
+        const current = _.filter(buses, function (bus) {
+            return !_.isNil(bus.busId) && _.isNumber(bus.busTimeLeft) && bus.busTimeLeft !== farAway;
+        });
+        const estimations = _.map(current, function (bus) {
+            return {
+                type: 'eta',
+                t: now,
+                stop: key,
+                line: `${bus.lineId}`,
+                bus: `${bus.busId}`,
+                eta: bus.busTimeLeft
+            };
+        });
+        const previous = _.get(followed, key, {});
+        const arrivals = _.compact(_.map(_.omit(previous, _.map(estimations, 'bus')), function (bus, busId) {
+            return inferArrival(key, busId, bus, now);
+        }));
+        followed[key] = _.fromPairs(_.map(estimations, function (estimation) {
+            const bus = _.get(previous, estimation.bus, {
+                line: estimation.line,
+                estimations: []
+            });
+            bus.estimations.push(_.pick(estimation, ['t', 'eta']));
+            return [estimation.bus, bus];
+        }));
+        if (_.isEmpty(followed[key])) {
+            delete followed[key];
+        }
+        debug(`Stop ${key}: ${estimations.length} estimations, ${arrivals.length} arrivals`);
+        _.forEach(arrivals, addArrival);
+        pending = _.concat(pending, estimations, arrivals);
+        if (pending.length >= maxPending) {
+            flush();
+        }
+    };
+
+    /**
+     * How reliable the estimations of a stop are, for every line or only the
+     * one given, from the arrivals of the last historyDays days. The lines
+     * with less than minReliabilitySamples arrivals are left out.
+     * Returns an array of objects with the line, the number of arrivals, the
+     * mean error and mean absolute error of the estimations in seconds and
+     * the headways by hour.
+     */
+    const reliability = function (stopId, line) {
+        const since = firstDay();
+        const lines = _.pickBy(_.get(statistics, `${stopId}`, {}), function (value, label) {
+            return _.isNil(line) || _.toUpper(label) === _.toUpper(line);
+        });
+        return _.sortBy(_.compact(_.map(lines, function (value, label) {
+            const days = _.filter(value.days, (today, date) => date >= since);
+            const arrivals = _.sumBy(days, 'arrivals');
+            if (arrivals === 0 || arrivals < settings.minReliabilitySamples) {
+                return undefined;
+            }
+            const byHour = {};
+            _.forEach(days, function (today) {
+                _.forEach(today.headways, function (counts, hour) {
+                    byHour[hour] = _.mergeWith(_.defaultTo(byHour[hour], {}), counts, _.add);
+                });
+            });
+            return {
+                line: label,
+                arrivals: arrivals,
+                error: _.round(_.sumBy(days, 'error') / arrivals),
+                absoluteError: _.round(_.sumBy(days, 'absoluteError') / arrivals),
+                headways: headwaysByHour(byHour)
+            };
+        })), 'line');
+    };
+
+    /**
+     * Remove the days older than historyDays from the statistics and their
+     * logs, and stop following the buses of the stops that weren't queried
+     * for a while.
+     * Returns a Promise object that fulfills when the logs are removed.
+     */
+    const prune = function () {
+        const now = clock.now();
+        _.forEach(_.keys(recorded), function (key) {
+            if (now - recorded[key] > settings.arrivalMaxGap * 1000) {
+                delete recorded[key];
+                delete followed[key];
+            }
+        });
+        const since = firstDay();
+        _.forEach(statistics, function (lines, stopId) {
+            _.forEach(lines, function (line, label) {
+                const old = _.filter(_.keys(line.days), date => date < since);
+                if (old.length === 0) {
+                    return;
+                }
+                line.days = _.omit(line.days, old);
+                if (_.isEmpty(line.days)) {
+                    delete lines[label];
+                }
+                changed = true;
+            });
+            if (_.isEmpty(lines)) {
+                delete statistics[stopId];
+            }
+        });
+        // The pending entries are written first, so that they aren't written
+        // to the logs removed
+        return flush()
+            .then(() => readdir(storagePath))
+            .then(function (files) {
+                const old = _.filter(files, function (file) {
+                    const match = logPattern.exec(file);
+                    return match !== null && match[1] < since;
+                });
+                debug(`Pruning ${old.length} logs of the history`);
+                return P.each(old, file => unlink(path.join(storagePath, file)));
+            })
+            .catch(function (error) {
+                console.error(`Error pruning the history: ${error}`);
+            });
+    };
+
+    /**
+     * Prune the history now and once a day, and write it every
+     * historyFlushSeconds.
+     */
+    const start = function () {
+        prune();
+        let lastPrune = clock.now();
+        timer = setInterval(function () {
+            if (clock.now() - lastPrune >= 24 * 60 * 60 * 1000) {
+                lastPrune = clock.now();
+                prune();
+                return;
+            }
+            flush();
+        }, settings.historyFlushSeconds * 1000);
+    };
+
+    /**
+     * Stop the timer and write what is pending.
+     * Returns a Promise object that fulfills when it's written.
+     */
+    const stop = function () {
+        clearInterval(timer);
+        return flush();
+    };
+
+    return {
+        flush,
+        prune,
+        record,
+        reliability,
+        start,
+        stop
+    };
+};
+
+module.exports = createHistory;
@@ -0,0 +1,93 @@
+// Copyright (c) 2018 Jesús Fernández <jesus@nublar.net>
+// MIT License
+
+'use strict';
+
+const _ = require('lodash');
+
+const catalogues = {
+    es: require('./locales/es.js'),
+    en: require('./locales/en.js')
+};
+
+// Each language is shown with its own name when the user picks one
+const languageNames = {
+    es: 'Español',
+    en: 'English'
+};
+
+const languages = _.keys(catalogues);
+const defaultLanguage = 'es';
+
+// Locale of the times for the users whose Telegram doesn't give a better one
+const defaultLocales = {
+    es: 'es-ES',
+    en: 'en-GB'
+};
+
+/**
+ * The language of the catalogue for the language_code Telegram sends for a
+ * user, like "en" or "es-MX". Unknown languages get the default one.
+ */
+const pickLanguage = function (languageCode) {
+    const language = _.toLower(_.split(languageCode, '-')[0]);
+    return _.has(catalogues, language) ? language : defaultLanguage;
+};
+
+/**
+ * The locale to format times for a user: the one of their Telegram if it's
+ * in the language they talk to the bot in, like "en-US", or the default one of
+ * that language.
+ */
+const pickLocale = function (language, languageCode) {
+    if (!_.isEmpty(languageCode) && pickLanguage(languageCode) === language &&
+        _.includes(languageCode, '-')) {
+        return languageCode;
+    }
+    return _.get(defaultLocales, language, defaultLocales[defaultLanguage]);
+};
+
+/**
+ * A function (key, params) that returns the text of the key in the language
+ * with the {words} between braces replaced with the params. Keys missing in
+ * the language fall back to the default one.
+ */
+const translator = function (language) {
+    const catalogue = _.get(catalogues, language, catalogues[defaultLanguage]);
+    return function (key, params) {
+        const text = _.get(catalogue, key, _.get(catalogues[defaultLanguage], key, key));
+        return _.replace(text, /\{(\w+)\}/g, function (match, name) {
+            return _.has(params, name) ? `${params[name]}` : match;
+        });
+    };
+};
+
+/**
+ * A time of the day, like 08:05 or 08:05 AM depending on the locale, the one
+ * of the default language if there's none.
+ */
+const formatTime = function (hour, minute, locale) {
+    const time = Date.UTC(2000, 0, 1, hour, minute);
+    const options = {
+        hour: '2-digit',
+        minute: '2-digit',
+        timeZone: 'UTC'
+    };
+    try {
+        return new Intl.DateTimeFormat(_.defaultTo(locale, defaultLocales[defaultLanguage]), options)
+            .format(time);
+    } catch (error) {
+        // RangeError if the locale is not valid
+        return new Intl.DateTimeFormat(defaultLocales[defaultLanguage], options).format(time);
+    }
+};
+
+module.exports = {
+    defaultLanguage,
+    formatTime,
+    languageNames,
+    languages,
+    pickLanguage,
+    pickLocale,
+    translator
+};
@@ -0,0 +1,343 @@
+// Copyright (c) 2018 Jesús Fernández <jesus@nublar.net>
+// MIT License
+
+'use strict';
+
+const fs = require('fs');
+const crypto = require('crypto');
+const _ = require('lodash');
+const P = require('bluebird');
+const settings = require('./settings.js');
+const lines = require('./lines.js');
+const xml2json = require('./xml2json.js');
+const download = require('./download.js');
+const debug = require('debug')('bot-incidents');
+
+/* Example of an incident
+{
+    id: 'obras-alcala',
+    title: 'Desvío por obras en la calle de Alcalá',
+    description: 'Las líneas 27 y 150 no paran en Alcalá 120.',
+    lines: ['027', '150'],
+    stops: ['2443'],
+    from: 1546300800000,
+    until: 1548979200000,
+    link: 'https://www.emtmadrid.es/...',
+    source: 'file'
+}
+Lines are the codes of Lines.xml and stops the IDs of the stops. The
+incidents of the file give the lines with their labels (27, N16) and the
+dates as text (2019-01-01T00:00:00+01:00).
+*/
+
+/* Example of the incidents already notified in the store, with their source
+'notified': {
+    'obras-alcala': 'file',
+    'incidencia-1': 'feed'
+}
+*/
+
+/**
+ * The code of a line written by its label, like N16, or by its code, like 516.
+ * Returns undefined if there's no such line.
+ */
+const lineCode = function (line) {
+    const found = _.defaultTo(lines.findByLabel(`${line}`), lines.findByCode(`${line}`));
+    return _.get(found, 'Line[0]');
+};
+
+const parseDate = function (date) {
+    const time = Date.parse(date);
+    return _.isNaN(time) ? undefined : time;
+};
+
+/**
+ * The lines and the stops mentioned in a text, like "Las líneas 27, 34 y C1
+ * no paran en la parada 2443".
+ */
+const findMentions = function (text) {
+    const found = {
+        lines: [],
+        stops: []
+    };
+    const upper = _.deburr(_.toUpper(text));
+    const separator = /\s*(?:,|\/|\bY\b|\bE\b)\s*/;
+    let match;
+    const lineList = /\bLINEAS?\s+([A-Z0-9]+(?:\s*(?:,|\/|\bY\b|\bE\b)\s*[A-Z0-9]+)*)/g;
+    while ((match = lineList.exec(upper)) !== null) {
+        found.lines = _.concat(found.lines, _.compact(_.map(_.split(match[1], separator), lineCode)));
+    }
+    const stopList = /\bPARADAS?\s+(?:N[O.º°]*\s*)?(\d+(?:\s*(?:,|\/|\bY\b|\bE\b)\s*\d+)*)/g;
+    while ((match = stopList.exec(upper)) !== null) {
+        found.stops = _.concat(found.stops, _.split(match[1], separator));
+    }
+    return {
+        lines: _.uniq(found.lines),
+        stops: _.uniq(found.stops)
+    };
+};
+
+/**
+ * The incidents of the file of the operators, a JSON array of incidents.
+ * The ones without an ID or a title are ignored.
+ */
+const parseFile = function (text) {
+    return _.compact(_.map(JSON.parse(text), function (item) {
+        if (_.isEmpty(_.toString(item.id)) || _.isEmpty(item.title)) {
+            console.error(`Incidents: ignoring an incident without ID or title: ${JSON.stringify(item)}`);
+            return undefined;
+        }
+        return _.omitBy({
+            id: `${item.id}`,
+            title: item.title,
+            description: _.defaultTo(item.description, ''),
+            lines: _.uniq(_.compact(_.map(item.lines, lineCode))),
+            stops: _.map(item.stops, _.toString),
+            from: parseDate(item.from),
+            until: parseDate(item.until),
+            link: item.link,
+            source: 'file'
+        }, _.isUndefined);
+    }));
+};
+
+/**
+ * The incidents of the RSS feed of the EMT. The lines are the categories of
+ * the items or the ones mentioned in the text, like the stops.
+ * Items last while they are in the feed.
+ */
+const parseFeed = function (text) {
+    const items = _.get(xml2json.parseXml(text), 'rss.channel[0].item', []);
+    return _.map(items, function (item) {
+        const value = field => _.trim(_.get(item, [field, 0, '_'], _.get(item, [field, 0], '')));
+        const title = value('title');
+        const description = _.trim(_.replace(value('description'), /<[^>]*>/g, ' '));
+        const link = value('link');
+        const mentions = findMentions(`${title} ${description}`);
+        const categories = _.compact(_.map(item.category, category => lineCode(_.trim(_.get(category, '_', category)))));
+        const id = value('guid') || link || crypto.createHash('md5').update(title).digest('hex').slice(0, 12);
+        return _.omitBy({
+            id: id,
+            title: title,
+            description: description,
+            lines: _.uniq(_.concat(categories, mentions.lines)),
+            stops: mentions.stops,
+            from: parseDate(value('pubDate')),
+            link: _.isEmpty(link) ? undefined : link,
+            source: 'feed'
+        }, _.isUndefined);
+    });
+};
+
+/**
+ * Service incidents of the EMT (diversions, closed stops...) for the lines
+ * and the stops. They come from a file the operators of the bot edit, which is
+ * reloaded when it changes, and from an RSS feed of the EMT, which is
+ * downloaded every incidentsRefreshMinutes.
+ *
+ * Options:
+ * - filePath: the JSON file of the operators, optional.
+ * - feedUrl: the URL of the RSS feed, optional.
+ * - store: where the incidents already notified are kept.
+ * - onNew: function (incident) called for every new incident, one after the
+ *   other. It may return a Promise.
+ * - clock: object with a now() function, Date by default.
+ * - download: function (url) that returns a Promise of the feed.
+ */
+const createIncidents = function (options) {
+    const clock = _.defaultTo(options.clock, Date);
+    const fetch = _.defaultTo(options.download, download);
+    let fromFile = [];
+    let fromFeed = [];
+    let lastFeedUpdate;
+    let lastError;
+    let timer;
+    let notifying = P.resolve();
+
+    /**
+     * Load the incidents of the file.
+     * Returns false if it couldn't be loaded.
+     */
+    const loadFile = function () {
+        if (_.isEmpty(options.filePath)) {
+            return true;
+        }
+        try {
+            fromFile = parseFile(fs.readFileSync(options.filePath, 'utf-8'));
+            debug(`Loaded ${fromFile.length} incidents from ${options.filePath}`);
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                // Keep the last good ones while the file is being edited
+                console.error(`Incidents: could not load ${options.filePath}: ${error}`);
+                return false;
+            }
+            fromFile = [];
+        }
+        return true;
+    };
+
+    /**
+     * Download the incidents of the feed.
+     * Returns a Promise object that fulfills to false if it couldn't be
+     * downloaded.
+     */
+    const loadFeed = function () {
+        if (_.isEmpty(options.feedUrl)) {
+            return P.resolve(true);
+        }
+        return fetch(options.feedUrl)
+            .then(function (text) {
+                fromFeed = parseFeed(text);
+                lastFeedUpdate = clock.now();
+                lastError = undefined;
+                debug(`Loaded ${fromFeed.length} incidents from the feed`);
+                return true;
+            })
+            .catch(function (error) {
+                // The incidents of the last download are kept
+                lastError = `${error}`;
+                console.error(`Incidents: could not download the feed: ${error}`);
+                return false;
+            });
+    };
+
+    const isActive = function (incident, now) {
+        return (incident.from === undefined || incident.from <= now) &&
+            (incident.until === undefined || now < incident.until);
+    };
+
+    /**
+     * The incidents that are active now.
+     */
+    const all = function () {
+        const now = clock.now();
+        return _.filter(_.uniqBy(_.concat(fromFile, fromFeed), 'id'), function (incident) {
+            return isActive(incident, now);
+        });
+    };
+
+    /**
+     * The active incidents of a line, by its code.
+     */
+    const forLine = function (code) {
+        return _.filter(all(), function (incident) {
+            return _.includes(incident.lines, code);
+        });
+    };
+
+    /**
+     * The active incidents of a stop or of the lines that stop there. If there
+     * are lineLabels, only the incidents of those lines are included.
+     */
+    const forStop = function (stop, lineLabels) {
+        let labels = _.map(stop.Lines, line => _.split(line, ' ')[0]);
+        if (!_.isEmpty(lineLabels)) {
+            labels = _.intersection(labels, _.map(lineLabels, _.toUpper));
+        }
+        const codes = _.compact(_.map(_.uniq(labels), lineCode));
+        return _.filter(all(), function (incident) {
+            return _.includes(incident.stops, `${stop.Id}`) ||
+                _.intersection(incident.lines, codes).length > 0;
+        });
+    };
+
+    /**
+     * Call onNew for the active incidents that haven't been notified yet, one
+     * after the other. An incident is kept as notified once onNew is done
+     * with it, so the ones that fail are notified again in the next reload.
+     * The incidents that are gone from the sources just loaded are
+     * forgotten, the ones of a source that failed are kept so that they
+     * aren't notified again when it's back.
+     * Returns a Promise object.
+     */
+    const notifyNew = function (loaded) {
+        const present = _.map(_.concat(fromFile, fromFeed), 'id');
+        const active = all();
+        // A reload waits for the notifications of the previous one
+        notifying = notifying.then(function () {
+            const notified = _.omitBy(options.store.get('notified', {}), function (source, id) {
+                return _.includes(loaded, source) && !_.includes(present, id);
+            });
+            options.store.set('notified', notified);
+            return P.each(_.reject(active, incident => _.has(notified, incident.id)), function (incident) {
+                debug(`New incident ${incident.id}`);
+                return P.try(function () {
+                    return options.onNew(incident);
+                }).then(function () {
+                    notified[incident.id] = incident.source;
+                    options.store.set('notified', notified);
+                }, function (error) {
+                    debug(`Error notifying the incident ${incident.id}: ${error}`);
+                });
+            });
+        });
+        return notifying;
+    };
+
+    /**
+     * Load the file and the feed again and notify the new incidents.
+     * Returns a Promise object.
+     */
+    const reload = function () {
+        const fileLoaded = loadFile();
+        return loadFeed().then(function (feedLoaded) {
+            return notifyNew(_.compact([fileLoaded && 'file', feedLoaded && 'feed']));
+        });
+    };
+
+    const onFileChange = function () {
+        debug('Incidents file changed, reloading');
+        notifyNew(loadFile() ? ['file'] : []);
+    };
+
+    /**
+     * Start downloading the feed and watching the file.
+     */
+    const start = function () {
+        if (!_.isEmpty(options.filePath)) {
+            fs.watchFile(options.filePath, onFileChange);
+        }
+        timer = setInterval(reload, settings.incidentsRefreshMinutes * 60 * 1000);
+        return reload();
+    };
+
+    const stop = function () {
+        if (!_.isEmpty(options.filePath)) {
+            fs.unwatchFile(options.filePath, onFileChange);
+        }
+        clearInterval(timer);
+    };
+
+    /**
+     * Where the incidents come from and how many there are.
+     */
+    const status = function () {
+        return {
+            file: fromFile.length,
+            feed: fromFeed.length,
+            active: all().length,
+            lastFeedUpdate: lastFeedUpdate,
+            lastError: lastError
+        };
+    };
+
+    // The file is there from the beginning, the feed comes with start()
+    loadFile();
+
+    return {
+        all,
+        forLine,
+        forStop,
+        reload,
+        start,
+        status,
+        stop
+    };
+};
+
+createIncidents.findMentions = findMentions;
+createIncidents.lineCode = lineCode;
+createIncidents.parseFeed = parseFeed;
+createIncidents.parseFile = parseFile;
+
+module.exports = createIncidents;
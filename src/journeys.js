@@ -0,0 +1,242 @@
+// Copyright (c) 2018 Jesús Fernández <jesus@nublar.net>
+// MIT License
+
+'use strict';
+
+const _ = require('lodash');
+const P = require('bluebird');
+const settings = require('./settings.js');
+const lines = require('./lines.js');
+const geo = require('./geo.js');
+const debug = require('debug')('bot-journeys');
+
+// How many routes of lines are downloaded at the same time
+const routeConcurrency = 5;
+
+/* Example of a journey
+{
+    legs: [{
+        line: { code: '047', label: '47', direction: '1' },
+        from: '2443',
+        to: '2444',
+        stops: 1,
+        fromName: 'AV.ABRANTES-PZA.LAS MENINAS',
+        toName: 'AV.ABRANTES-GRAL.RICARDOS'
+    }],
+    bus: { lineId: '47', busTimeLeft: 180, time: '3', ... },
+    departure: 180
+}
+A journey has one leg if it's direct or two if there's a transfer. The bus is
+the next one of the line of the first leg at its first stop. The names of the
+stops are only added to the journeys returned by plan().
+*/
+
+const routeKey = function (line) {
+    return `${line.code}/${line.direction}`;
+};
+
+/**
+ * The lines that stop at a stop, from its labels like '47 ida', as objects
+ * with the code of the line, its label and the direction.
+ */
+const stopLines = function (stop) {
+    return _.compact(_.map(stop.Lines, function (stopLine) {
+        const parts = _.split(stopLine, ' ');
+        const line = lines.findByLabel(parts[0]);
+        if (line === undefined) {
+            return undefined;
+        }
+        return {
+            code: line.Line[0],
+            label: line.Label[0],
+            direction: parts[1] === 'ida' ? '1' : '2'
+        };
+    }));
+};
+
+/**
+ * The direct journeys and the ones with a transfer between the stops of the
+ * origins and the stops of the destinations.
+ * Routes are the IDs of the stops of each line in order, indexed by
+ * code/direction. Two stops are a transfer if they are the same one or if
+ * isNear(stopId, stopId) says they are close enough to walk.
+ * For each pair of lines only the transfer with the fewest stops is kept.
+ */
+const findJourneys = function (origins, destinations, routes, isNear) {
+    const journeys = [];
+    const leg = function (line, route, from, to) {
+        return {
+            line: line,
+            from: route[from],
+            to: route[to],
+            stops: to - from
+        };
+    };
+    _.forEach(origins, function (origin) {
+        _.forEach(stopLines(origin), function (first) {
+            const routeA = _.get(routes, routeKey(first), []);
+            const start = _.indexOf(routeA, `${origin.Id}`);
+            if (start === -1) {
+                return;
+            }
+            _.forEach(destinations, function (destination) {
+                const end = _.indexOf(routeA, `${destination.Id}`, start + 1);
+                if (end !== -1) {
+                    journeys.push({
+                        legs: [leg(first, routeA, start, end)]
+                    });
+                }
+                _.forEach(stopLines(destination), function (second) {
+                    if (second.code === first.code) {
+                        return;
+                    }
+                    const routeB = _.get(routes, routeKey(second), []);
+                    const finish = _.indexOf(routeB, `${destination.Id}`);
+                    let best;
+                    for (let a = start + 1; a < routeA.length; a++) {
+                        for (let b = 0; b < finish; b++) {
+                            let stops = (a - start) + (finish - b);
+                            if ((best === undefined || stops < best.stops) &&
+                                (routeA[a] === routeB[b] || isNear(routeA[a], routeB[b]))) {
+                                best = {
+                                    a: a,
+                                    b: b,
+                                    stops: stops
+                                };
+                            }
+                        }
+                    }
+                    if (best !== undefined) {
+                        journeys.push({
+                            legs: [leg(first, routeA, start, best.a), leg(second, routeB, best.b, finish)]
+                        });
+                    }
+                });
+            });
+        });
+    });
+    return journeys;
+};
+
+const totalStops = function (journey) {
+    return _.sumBy(journey.legs, 'stops');
+};
+
+/**
+ * Sort the journeys by when their first bus leaves, then the direct ones
+ * first and then by their number of stops. The journeys with the same lines
+ * are only kept once, the one that leaves first.
+ */
+const rankJourneys = function (journeys) {
+    const sorted = _.sortBy(journeys, ['departure', journey => journey.legs.length, totalStops]);
+    return _.uniqBy(sorted, function (journey) {
+        return _.join(_.map(journey.legs, leg => routeKey(leg.line)), '+');
+    });
+};
+
+/**
+ * Journeys between stops on the same line or on two lines with a transfer,
+ * ranked with the next buses leaving the origins.
+ *
+ * Options:
+ * - getLineStops: function (code, direction) that returns a Promise of the
+ *   stops of a line in order, as {stopId}.
+ * - getStop: function (stopId) that returns a stop of the catalogue.
+ * - getArrivals: function (stop) that returns a Promise of the buses arriving
+ *   to the stop.
+ * - clock: object with a now() function, Date by default.
+ */
+const createJourneys = function (options) {
+    const clock = _.defaultTo(options.clock, Date);
+    // The routes of the lines hardly change, they are kept for a while
+    const routes = {};
+
+    const getRoute = function (line) {
+        const key = routeKey(line);
+        const cached = routes[key];
+        if (cached !== undefined && cached.expires > clock.now()) {
+            return P.resolve(cached.stops);
+        }
+        return options.getLineStops(line.code, line.direction)
+            .then(function (stops) {
+                routes[key] = {
+                    stops: _.map(stops, stop => `${stop.stopId}`),
+                    expires: clock.now() + settings.routeCacheHours * 60 * 60 * 1000
+                };
+                return routes[key].stops;
+            });
+    };
+
+    const isNear = function (stopA, stopB) {
+        const positionA = _.get(options.getStop(stopA), 'position');
+        const positionB = _.get(options.getStop(stopB), 'position');
+        return geo.isValidPosition(positionA) && geo.isValidPosition(positionB) &&
+            geo.distance(positionA, positionB) <= settings.transferRadius;
+    };
+
+    /**
+     * The next bus of the line of the first leg of each journey at its
+     * origin. The journeys without one go last.
+     */
+    const addDepartures = function (journeys, origins) {
+        const stops = _.filter(origins, function (origin) {
+            return _.some(journeys, ['legs[0].from', `${origin.Id}`]);
+        });
+        return P.map(stops, function (stop) {
+            return options.getArrivals(stop)
+                .catch(function (error) {
+                    debug(`No arrivals for ${stop.Id}: ${error}`);
+                    return [];
+                });
+        }).then(function (arrivals) {
+            const byStop = _.zipObject(_.map(stops, stop => `${stop.Id}`), arrivals);
+            return _.map(journeys, function (journey) {
+                const first = journey.legs[0];
+                const bus = _.minBy(_.filter(byStop[first.from], function (bus) {
+                    return _.toUpper(bus.lineId) === first.line.label;
+                }), 'busTimeLeft');
+                return _.assign(journey, {
+                    bus: bus,
+                    // The buses more than 20 minutes away (999999) go after the
+                    // rest but before the journeys without buses
+                    departure: _.get(bus, 'busTimeLeft', Infinity)
+                });
+            });
+        });
+    };
+
+    /**
+     * The best journeys, at most maxJourneys, from any of the origin stops to
+     * any of the destination stops.
+     * Returns a Promise object that fulfills to the ranked journeys.
+     */
+    const plan = function (origins, destinations) {
+        const needed = _.uniqBy(_.flatMap(_.concat(origins, destinations), stopLines), routeKey);
+        debug(`Planning with ${needed.length} routes`);
+        return P.map(needed, getRoute, {
+            concurrency: routeConcurrency
+        }).then(function (found) {
+            const byKey = _.zipObject(_.map(needed, routeKey), found);
+            const journeys = findJourneys(origins, destinations, byKey, isNear);
+            debug(`Found ${journeys.length} journeys`);
+            return addDepartures(journeys, origins);
+        }).then(function (journeys) {
+            const best = _.take(rankJourneys(journeys), settings.maxJourneys);
+            _.forEach(_.flatMap(best, 'legs'), function (leg) {
+                leg.fromName = _.get(options.getStop(leg.from), 'Name', '');
+                leg.toName = _.get(options.getStop(leg.to), 'Name', '');
+            });
+            return best;
+        });
+    };
+
+    return {
+        plan
+    };
+};
+
+createJourneys.findJourneys = findJourneys;
+createJourneys.rankJourneys = rankJourneys;
+createJourneys.stopLines = stopLines;
+
+module.exports = createJourneys;
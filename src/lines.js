@@ -0,0 +1,110 @@
+// Copyright (c) 2018 Jesús Fernández <jesus@nublar.net>
+// MIT License
+
+'use strict';
+
+const _ = require('lodash');
+const settings = require('./settings.js');
+const xml2json = require('./xml2json.js');
+
+/* Example of a line object from the XML file
+{
+    GroupNumber: ['110'],
+    DateFirst: ['22/08/2015                    '],
+    DateEnd: ['31/12/2999                    '],
+    Line: ['516'],
+    Label: ['N16'],
+    NameA: ['PLAZA DE CIBELES'],
+    NameB: ['VILLAVERDE ALTO']
+}
+*/
+
+/**
+ * Read the lines of the Lines XML. Throws if the file has no lines or they
+ * don't have a code and a label.
+ */
+const loadXml = function () {
+    const regs = _.get(xml2json(settings.emt_linesxml), 'TABLA.DocumentElement[0].REG');
+    if (_.isEmpty(regs) || !_.every(regs, reg => _.isArray(reg.Line) && _.isArray(reg.Label))) {
+        throw new Error(`No valid lines in ${settings.emt_linesxml}`);
+    }
+    return regs;
+};
+
+let xmlLines = loadXml();
+
+/**
+ * Use the lines of the Lines XML again, i.e. after the open data files are
+ * updated. The lines already read with loadXml can be given so that the file
+ * isn't read twice.
+ */
+const reload = function (newLines = loadXml()) {
+    xmlLines = newLines;
+    return xmlLines.length;
+};
+
+/**
+ * Look for a bus line in the Lines XML using the line Id, which is a 3 digit
+ * code that identifies the line, but it's not the same as the label the line has
+ * For example, the code 516 is the line N16.
+ */
+const findByCode = function (lineId) {
+    return xmlLines.find(function (o) {
+        return o.Line[0] === _.padStart(lineId, 3, 0);
+    });
+};
+
+/**
+ * Look for a bus line in the Lines XML using the label users know, like N16.
+ */
+const findByLabel = function (label) {
+    label = _.toUpper(label);
+    return xmlLines.find(function (o) {
+        return o.Label[0] === label;
+    });
+};
+
+/**
+ * Find out if the query of the user refers to a line. Lines can be queried
+ * with an L in front of the label (L27, L N16) or with just the label when it
+ * has letters and cannot be confused with a stop (N16, C1, SE702).
+ * Returns the line from the XML or undefined.
+ */
+const parseQuery = function (query) {
+    const text = _.deburr(_.toUpper(_.trim(query)));
+    let match = text.match(/^(?:L|LINEA)\s*([A-Z0-9]+)$/);
+    if (match) {
+        return findByLabel(match[1]);
+    }
+    if (/^[A-Z0-9]{2,}$/.test(text) && /[A-Z]/.test(text)) {
+        return findByLabel(text);
+    }
+    return undefined;
+};
+
+/**
+ * The two directions of a line. Direction 1 goes from NameA to NameB and
+ * direction 2 goes back.
+ */
+const directions = function (line) {
+    const nameA = _.trim(_.get(line, 'NameA[0]', ''));
+    const nameB = _.trim(_.get(line, 'NameB[0]', ''));
+    return [{
+        direction: '1',
+        from: nameA,
+        to: nameB
+    }, {
+        direction: '2',
+        from: nameB,
+        to: nameA
+    }];
+};
+
+module.exports = {
+    directions,
+    findByCode,
+    findByLabel,
+    loadXml,
+    parseQuery,
+    reload
+};
@@ -0,0 +1,259 @@
+// Copyright (c) 2018 Jesús Fernández <jesus@nublar.net>
+// MIT License
+
+'use strict';
+
+/**
+ * Texts of the bot in English. The commands keep their Spanish names.
+ */
+module.exports = {
+    // Estimations
+    noEstimations: 'No estimations',
+    headLegend: '* still at the head of the line',
+    whereIsStop: 'Where is the stop?',
+    whereIsBus: 'Where is the {line}?',
+    stopLines: 'Lines: {lines}',
+    stopDistance: '{distance} m {direction}',
+    compass: {
+        N: 'N',
+        NE: 'NE',
+        E: 'E',
+        SE: 'SE',
+        S: 'S',
+        SW: 'SW',
+        W: 'W',
+        NW: 'NW'
+    },
+    outbound: 'outbound',
+    inbound: 'return',
+    refresh: 'Refresh',
+    refreshing: 'Refreshing...',
+    arriving: 'is arriving',
+    arrivesLater: 'arrives in more than 20 min',
+    arrivesIn: 'arrives in {minutes} min',
+    busArrival: 'The {line} {arrival}',
+    emtDown: 'EMT is not responding',
+    emtDownRefresh: 'EMT is not responding, try to refresh in a while.',
+    emtDownRetry: 'EMT is not responding, try again in a while.',
+    emtDownSearch: 'Stops can\'t be searched right now',
+
+    // Lines
+    line: 'Line {line}',
+    showStops: 'Show stops',
+    searchingStops: 'Looking for the stops...',
+    noStops: 'No stops',
+
+    // Help and queries in chats
+    help: 'This bot is intended to be used in inline mode, just type ' +
+        '@emtbusbot and a bus stop number to get an estimation.' +
+        '\r\nIf you allow your Telegram client to send your location, ' +
+        'you will be shown a list of the bus stops closer to you.' +
+        '\r\nYou can also send me a stop number, a street or a line (L27) in ' +
+        'a private chat, or use /parada <stop> in a group.' +
+        '\r\nUse /formato to choose how the estimations are shown and /idioma ' +
+        'to change the language.' +
+        '\r\n\r\nSend any of these commands alone to see how it works:' +
+        '\r\n/fav - Your favourite stops' +
+        '\r\n/avisar - Alert when a bus is a few minutes away, /avisos to see your alerts' +
+        '\r\n/horario - Estimations of a stop sent to a chat at a time' +
+        '\r\n/tablero - Board of stops of a group' +
+        '\r\n/ruta - Buses from one stop to another' +
+        '\r\n/incidencias - Incidents of the lines you follow' +
+        '\r\n/fiabilidad - How reliable the estimations of a stop are' +
+        '\r\n/novedades - News of the bot',
+    stopsHelp: 'Write the number of a stop (you can add the lines you care ' +
+        'about: 2443 27 150), the name of a street or a line (L27). ' +
+        'In groups use /parada 2443.',
+    stopNotFound: 'I can\'t find the stop "{query}".',
+    stopName: 'Stop {stop}',
+    whichStop: 'Which stop?',
+    inlineNoResults: 'How do I find stops?',
+
+    // Favourites
+    inlineSetup: 'Save your favourite stops',
+    favouritesHelp: 'You can save your favourite stops and they will show up when ' +
+        'you write @emtbusbot and nothing else.' +
+        '\r\n/fav add <stop> [name] - Adds a stop to your favourites' +
+        '\r\n/fav list - Shows your favourite stops' +
+        '\r\n/fav remove <stop> - Removes a stop from your favourites',
+    noFavourites: 'You don\'t have favourite stops.',
+    favourites: 'Your favourite stops:',
+    removeFavourite: 'Remove {alias}',
+    favouritesPrivate: 'Favourite stops are managed in a private chat with me.',
+    favouritesFull: 'You already have {max} favourite stops, remove some first.',
+    favouriteAdded: 'Stop {stop} added to your favourites.',
+    favouriteUpdated: 'Stop {stop} updated in your favourites.',
+    favouriteRemoved: 'Stop {stop} removed from your favourites.',
+    favouriteNotFound: 'The stop {stop} is not in your favourites.',
+    favouriteRemovedShort: 'Stop {stop} removed',
+
+    // Preferences
+    chooseFormat: 'Choose how you want to see the estimations. The compact ' +
+        'format reads better in small screens.',
+    formatMarkdown: 'Table',
+    formatHtml: 'HTML table',
+    formatCompact: 'Compact',
+    withDistance: 'With distance',
+    withoutDistance: 'Without distance',
+    formatPrivate: 'The format is changed in a private chat with me.',
+    formatChanged: 'Format changed',
+    formatInvalid: 'Invalid format',
+    chooseLanguage: 'Choose the language I talk to you in. With "Automatic" ' +
+        'I use the language of your Telegram.',
+    languageAuto: 'Automatic',
+    languagePrivate: 'The language is changed in a private chat with me.',
+    languageChanged: 'Language changed',
+
+    // Alerts
+    alertsHelp: 'I tell you in a private chat when the next bus of a line is ' +
+        'less than the minutes you want away from a stop.' +
+        '\r\n/avisar <stop> <line> <minutes> - Creates an alert' +
+        '\r\n/avisos - Shows your alerts and lets you cancel them' +
+        '\r\nAlerts expire after {duration} minutes.',
+    alertTriggered: '🚌 {arrival} at the stop *{stop}*',
+    alertExpired: 'Your alert of the {line} at the stop {stop} has expired.',
+    noAlerts: 'You don\'t have active alerts.',
+    alerts: 'Your alerts:',
+    alert: '{line} at the stop {stop} at {minutes} min',
+    cancelAlert: 'Cancel {line} at {stop}',
+    alertsPrivate: 'Alerts are managed in a private chat with me.',
+    alertsFull: 'You already have {max} active alerts, cancel some first.',
+    alertCreated: 'I\'ll tell you when the {line} is {minutes} min away from the stop {stop}.',
+    cancel: 'Cancel',
+    alertCancelled: 'Alert cancelled',
+    alertNotFound: 'The alert doesn\'t exist anymore',
+
+    // Schedules
+    schedulesHelp: 'I can send the estimations of a stop to this chat at the ' +
+        'time you want (Madrid time).' +
+        '\r\n/horario add <days> <time> <stop> [lines] - Creates a schedule, ' +
+        'for example: /horario add Mon-Fri 08:05 2443 47 247' +
+        '\r\n/horario list - Shows the schedules of this chat' +
+        '\r\n/horario remove <number> - Removes a schedule of the list' +
+        '\r\nThe days can be Mon, Tue, Wed, Thu, Fri, Sat and Sun, ranges like ' +
+        'Mon-Fri, lists like Mon,Wed,Fri or "daily", "weekdays" and "weekend".',
+    noSchedules: 'There are no schedules in this chat.',
+    schedules: 'Schedules of this chat:',
+    schedule: '{days} {time} stop {stop}',
+    removeSchedule: 'Remove {schedule}',
+    schedulesFull: 'This chat already has {max} schedules, remove some first.',
+    scheduleCreated: 'I\'ll send the stop {stop} to this chat: {days} at {time}.',
+    scheduleRemoved: 'Schedule {number} removed.',
+    scheduleNotFound: 'I can\'t find that schedule, see the list with /horario list',
+    scheduleRemovedShort: 'Schedule removed',
+    scheduleGone: 'The schedule doesn\'t exist anymore',
+    daily: 'Daily',
+    weekdays: 'Weekdays',
+    weekend: 'Weekend',
+    days: 'Mon,Tue,Wed,Thu,Fri,Sat,Sun',
+
+    // Boards
+    boardHelp: 'The board of the group is a message with several stops that is updated ' +
+        'every {minutes} minutes ({days}, from {start} to {end} h). Pin it to ' +
+        'always have it at hand.' +
+        '\r\n/tablero - Sends the board of the group' +
+        '\r\n/tablero add <stop> [lines] - Adds a stop, only with those lines if there are any' +
+        '\r\n/tablero remove <stop> - Removes a stop' +
+        '\r\nOnly the admins of the group can change it.',
+    boardGroupsOnly: 'The boards are for groups, add me to one and use /tablero there.',
+    board: '🚏 Board of stops',
+    boardUpdated: 'Updated at {time}',
+    noBoard: 'This group doesn\'t have a board yet.',
+    boardAdminsOnly: 'Only the admins of the group can change the board.',
+    boardStopAdded: 'Stop {stop} added to the board.',
+    boardStopUpdated: 'Changed the lines of the stop {stop} in the board.',
+    boardFull: 'The board already has {max} stops, remove some first.',
+    boardStopRemoved: 'Stop {stop} removed from the board.',
+    boardStopNotFound: 'The stop {stop} is not in the board.',
+
+    // Incidents
+    incidentsMore: '⚠️ And {count} more incidents',
+    incidentsHelp: 'I tell you in a private chat about the incidents (diversions, ' +
+        'closed stops...) of the lines you follow.' +
+        '\r\n/incidencias add <line> - Follows the incidents of a line' +
+        '\r\n/incidencias remove <line> - Stops following a line' +
+        '\r\n/incidencias list - Shows your lines and their incidents',
+    incidentsPrivate: 'Incidents are followed in a private chat with me.',
+    subscriptions: 'You follow the lines: {lines}',
+    noSubscriptions: 'You don\'t follow any line.',
+    incidents: 'Incidents of your lines:',
+    noIncidents: 'There are no incidents in your lines.',
+    unsubscribe: 'Stop following the {line}',
+    subscriptionsFull: 'You already follow {max} lines, stop following some first.',
+    subscribed: 'I\'ll tell you about the incidents of the line {line}.',
+    alreadySubscribed: 'You already follow the line {line}.',
+    unsubscribed: 'You don\'t follow the line {line} anymore.',
+    notSubscribed: 'You don\'t follow the line {line}.',
+    unsubscribedShort: 'Line {line} removed',
+    lineNotFound: 'I don\'t know the line {line}.',
+    newIncident: '⚠️ New incident in the line {lines}:',
+
+    // Journeys
+    journeysHelp: 'I tell you which buses take you from a stop to another one, ' +
+        'direct or with a transfer, starting with the one that leaves first.' +
+        '\r\n/ruta <from> <to> - For example: /ruta 2443 72' +
+        '\r\nStops can be numbers or names: /ruta abrantes to puerta del sol',
+    journeys: 'Journeys from {from} to {to}',
+    noJourneys: 'I can\'t find journeys from {from} to {to} on a line or with a transfer.',
+    journeyStops: '{count} stops',
+    journeyStop: '1 stop',
+    busNoEstimations: 'The {line} has no estimations',
+
+    // Reliability
+    reliabilityHelp: 'I tell you how reliable the estimations of a stop are and how often ' +
+        'its buses come every hour, from the arrivals of the last {days} days.' +
+        '\r\n/fiabilidad <stop> [line] - For example: /fiabilidad 2443 47',
+    reliabilityDisabled: 'I\'m not keeping the history of the stops, so I don\'t know how ' +
+        'reliable their estimations are.',
+    noReliability: 'I don\'t have enough arrivals of the stop {stop} yet to know how ' +
+        'reliable its estimations are.',
+    reliability: 'Reliability of the stop {stop}',
+    reliabilityLine: '🚌 {line}: {arrivals} arrivals',
+    reliabilityError: 'The estimations are {error} off on average, {bias}',
+    reliabilityLate: 'it arrives {time} later',
+    reliabilityEarly: 'it arrives {time} earlier',
+    reliabilityOnTime: 'it arrives on time',
+    reliabilityHeadways: 'Minutes between buses: {headways}',
+    reliabilityHeadway: '{hour} h: {minutes}',
+    reliabilitySince: 'From the arrivals of the last {days} days.',
+
+    // News
+    newsHelp: 'I can send you the news of the bot.' +
+        '\r\n/novedades on - Get the news' +
+        '\r\n/novedades off - Stop getting them',
+    newsOn: 'I\'ll send you the news of the bot. To stop getting them: /novedades off',
+    newsOff: 'I won\'t send you the news of the bot anymore.',
+    newsPrivate: 'The news are received in a private chat with me.',
+
+    // Admins
+    stats: '📊 Running since {since}' +
+        '\r\nQueries being answered: {inFlight}' +
+        '\r\nAPI: {calls} calls, {errors} errors, {rejected} rejected, circuit {circuit}' +
+        '\r\nArrivals cache: {cacheSize} stops, {cacheHits} hits, {cacheMisses} misses' +
+        '\r\nActive incidents: {incidents}' +
+        '\r\nUser data: {stores}',
+    cache: '🚏 {count} stops, from {source} ({updated})' +
+        '\r\nLast refresh from the API: {lastRefresh}{refreshing}' +
+        '\r\nFailed batches: {failed}',
+    refreshingNow: ' (refreshing now)',
+    never: 'never',
+    none: 'none',
+    reloaded: 'Reloaded {stops} stops and {incidents} incidents, the stops are being refreshed from the API.',
+    commandFailed: 'The command failed, check the log.',
+    reloadFailed: 'The data files couldn\'t be loaded, check the log.',
+    settingsList: 'Settings, with their default value and the valid values. To change them: /set <name> <value>',
+    settingChanged: '{name} = {value}',
+    settingUnknown: '"{name}" can\'t be changed.',
+    settingInvalid: 'Invalid value for {name}: {hint}',
+    broadcastHelp: '/broadcast <text> - Sends the text to the users that want to get the news',
+    broadcastSent: 'Sent to {sent} users, {failed} errors.',
+
+    // Locations
+    nearby: '📍 Nearby stops',
+    nearbyLive: '📍 Nearby stops (updated while you share your location)',
+    noNearbyStops: 'There are no stops closer than {radius} metres.',
+    stopVenue: '🚏 Stop {stop}',
+    busNotLocated: 'The position of the next {line} is unknown',
+    busLocationPrivate: 'I can\'t send you the location, open a private chat with me first.',
+    emtDownShort: 'EMT is not responding, try in a while'
+};
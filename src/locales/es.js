@@ -0,0 +1,260 @@
+// Copyright (c) 2018 Jesús Fernández <jesus@nublar.net>
+// MIT License
+
+'use strict';
+
+/**
+ * Texts of the bot in Spanish, the default language. The words between braces
+ * are replaced with the parameters given to the translator.
+ */
+module.exports = {
+    // Estimations
+    noEstimations: 'Sin estimaciones',
+    headLegend: '* sale de cabecera',
+    whereIsStop: '¿Dónde está la parada?',
+    whereIsBus: '¿Dónde está el {line}?',
+    stopLines: 'Líneas: {lines}',
+    stopDistance: '{distance} m al {direction}',
+    compass: {
+        N: 'N',
+        NE: 'NE',
+        E: 'E',
+        SE: 'SE',
+        S: 'S',
+        SW: 'SO',
+        W: 'O',
+        NW: 'NO'
+    },
+    outbound: 'ida',
+    inbound: 'vuelta',
+    refresh: 'Actualizar',
+    refreshing: 'Actualizando...',
+    arriving: 'está llegando',
+    arrivesLater: 'llega en más de 20 min',
+    arrivesIn: 'llega en {minutes} min',
+    busArrival: 'El {line} {arrival}',
+    emtDown: 'EMT no responde',
+    emtDownRefresh: 'EMT no responde, prueba a actualizar en un rato.',
+    emtDownRetry: 'EMT no responde, prueba otra vez en un rato.',
+    emtDownSearch: 'No se pueden buscar paradas ahora mismo',
+
+    // Lines
+    line: 'Línea {line}',
+    showStops: 'Ver paradas',
+    searchingStops: 'Buscando paradas...',
+    noStops: 'Sin paradas',
+
+    // Help and queries in chats
+    help: 'Este bot se usa en modo inline: escribe @emtbusbot y el número ' +
+        'de una parada para ver cuándo llegan los autobuses.' +
+        '\r\nSi dejas que Telegram envíe tu ubicación, verás las paradas ' +
+        'más cercanas.' +
+        '\r\nTambién puedes enviarme el número de una parada, una calle o ' +
+        'una línea (L27) en un chat privado, o usar /parada <parada> en un grupo.' +
+        '\r\nUsa /formato para elegir cómo ves las estimaciones y /idioma ' +
+        'para cambiar el idioma.' +
+        '\r\n\r\nEnvía cualquiera de estos comandos solo para ver cómo se usa:' +
+        '\r\n/fav - Tus paradas favoritas' +
+        '\r\n/avisar - Aviso cuando un autobús esté a pocos minutos, /avisos para ver tus avisos' +
+        '\r\n/horario - Estimaciones de una parada enviadas a un chat a una hora' +
+        '\r\n/tablero - Tablero de paradas de un grupo' +
+        '\r\n/ruta - Autobuses de una parada a otra' +
+        '\r\n/incidencias - Incidencias de las líneas que sigues' +
+        '\r\n/fiabilidad - Cómo de fiables son las estimaciones de una parada' +
+        '\r\n/novedades - Novedades del bot',
+    stopsHelp: 'Escribe el número de una parada (puedes añadir las líneas que te ' +
+        'interesan: 2443 27 150), el nombre de una calle o una línea (L27). ' +
+        'En grupos usa /parada 2443.',
+    stopNotFound: 'No encuentro la parada "{query}".',
+    stopName: 'Parada {stop}',
+    whichStop: '¿Qué parada?',
+    inlineNoResults: '¿Cómo busco paradas?',
+
+    // Favourites
+    inlineSetup: 'Guarda tus paradas favoritas',
+    favouritesHelp: 'Puedes guardar tus paradas favoritas y aparecerán al escribir ' +
+        '@emtbusbot sin nada más.' +
+        '\r\n/fav add <parada> [nombre] - Añade una parada a tus favoritas' +
+        '\r\n/fav list - Muestra tus paradas favoritas' +
+        '\r\n/fav remove <parada> - Quita una parada de tus favoritas',
+    noFavourites: 'No tienes paradas favoritas.',
+    favourites: 'Tus paradas favoritas:',
+    removeFavourite: 'Quitar {alias}',
+    favouritesPrivate: 'Las paradas favoritas se gestionan en un chat privado conmigo.',
+    favouritesFull: 'Ya tienes {max} paradas favoritas, quita alguna antes.',
+    favouriteAdded: 'Parada {stop} añadida a tus favoritas.',
+    favouriteUpdated: 'Parada {stop} actualizada en tus favoritas.',
+    favouriteRemoved: 'Parada {stop} eliminada de tus favoritas.',
+    favouriteNotFound: 'La parada {stop} no está en tus favoritas.',
+    favouriteRemovedShort: 'Parada {stop} eliminada',
+
+    // Preferences
+    chooseFormat: 'Elige cómo quieres ver las estimaciones. El formato compacto ' +
+        'se lee mejor en pantallas pequeñas.',
+    formatMarkdown: 'Tabla',
+    formatHtml: 'Tabla HTML',
+    formatCompact: 'Compacto',
+    withDistance: 'Con distancia',
+    withoutDistance: 'Sin distancia',
+    formatPrivate: 'El formato se cambia en un chat privado conmigo.',
+    formatChanged: 'Formato cambiado',
+    formatInvalid: 'Formato no válido',
+    chooseLanguage: 'Elige en qué idioma te hablo. Con "Automático" uso el ' +
+        'idioma de tu Telegram.',
+    languageAuto: 'Automático',
+    languagePrivate: 'El idioma se cambia en un chat privado conmigo.',
+    languageChanged: 'Idioma cambiado',
+
+    // Alerts
+    alertsHelp: 'Te aviso por privado cuando el próximo autobús de una línea esté a ' +
+        'menos de los minutos que me digas de una parada.' +
+        '\r\n/avisar <parada> <línea> <minutos> - Crea un aviso' +
+        '\r\n/avisos - Muestra tus avisos y te deja cancelarlos' +
+        '\r\nLos avisos caducan a los {duration} minutos.',
+    alertTriggered: '🚌 {arrival} a la parada *{stop}*',
+    alertExpired: 'Tu aviso del {line} en la parada {stop} ha caducado.',
+    noAlerts: 'No tienes avisos activos.',
+    alerts: 'Tus avisos:',
+    alert: '{line} en la parada {stop} a {minutes} min',
+    cancelAlert: 'Cancelar {line} en {stop}',
+    alertsPrivate: 'Los avisos se gestionan en un chat privado conmigo.',
+    alertsFull: 'Ya tienes {max} avisos activos, cancela alguno antes.',
+    alertCreated: 'Te avisaré cuando el {line} esté a {minutes} min de la parada {stop}.',
+    cancel: 'Cancelar',
+    alertCancelled: 'Aviso cancelado',
+    alertNotFound: 'El aviso ya no existe',
+
+    // Schedules
+    schedulesHelp: 'Puedo enviar a este chat las estimaciones de una parada a la hora que ' +
+        'me digas (hora de Madrid).' +
+        '\r\n/horario add <días> <hora> <parada> [líneas] - Crea un horario, ' +
+        'por ejemplo: /horario add L-V 08:05 2443 47 247' +
+        '\r\n/horario list - Muestra los horarios de este chat' +
+        '\r\n/horario remove <número> - Borra un horario de la lista' +
+        '\r\nLos días pueden ser L, M, X, J, V, S y D, rangos como L-V, ' +
+        'listas como L,X,V o "diario", "laborables" y "finde".',
+    noSchedules: 'No hay horarios en este chat.',
+    schedules: 'Horarios de este chat:',
+    schedule: '{days} {time} parada {stop}',
+    removeSchedule: 'Borrar {schedule}',
+    schedulesFull: 'Este chat ya tiene {max} horarios, borra alguno antes.',
+    scheduleCreated: 'Enviaré la parada {stop} a este chat: {days} a las {time}.',
+    scheduleRemoved: 'Horario {number} borrado.',
+    scheduleNotFound: 'No encuentro ese horario, mira la lista con /horario list',
+    scheduleRemovedShort: 'Horario borrado',
+    scheduleGone: 'El horario ya no existe',
+    daily: 'Diario',
+    weekdays: 'Laborables',
+    weekend: 'Finde',
+    days: 'L,M,X,J,V,S,D',
+
+    // Boards
+    boardHelp: 'El tablero del grupo es un mensaje con varias paradas que se actualiza ' +
+        'solo cada {minutes} minutos ({days}, de {start} a {end} h). Fijadlo para ' +
+        'tenerlo siempre a mano.' +
+        '\r\n/tablero - Envía el tablero del grupo' +
+        '\r\n/tablero add <parada> [líneas] - Añade una parada, solo con esas líneas si las hay' +
+        '\r\n/tablero remove <parada> - Quita una parada' +
+        '\r\nSolo los administradores del grupo pueden cambiarlo.',
+    boardGroupsOnly: 'Los tableros son para los grupos, añádeme a uno y usa /tablero allí.',
+    board: '🚏 Tablero de paradas',
+    boardUpdated: 'Actualizado a las {time}',
+    noBoard: 'Este grupo aún no tiene tablero.',
+    boardAdminsOnly: 'Solo los administradores del grupo pueden cambiar el tablero.',
+    boardStopAdded: 'Parada {stop} añadida al tablero.',
+    boardStopUpdated: 'Cambiadas las líneas de la parada {stop} en el tablero.',
+    boardFull: 'El tablero ya tiene {max} paradas, quita alguna antes.',
+    boardStopRemoved: 'Parada {stop} quitada del tablero.',
+    boardStopNotFound: 'La parada {stop} no está en el tablero.',
+
+    // Incidents
+    incidentsMore: '⚠️ Y {count} incidencias más',
+    incidentsHelp: 'Te aviso por privado de las incidencias (desvíos, paradas ' +
+        'anuladas...) de las líneas que sigas.' +
+        '\r\n/incidencias add <línea> - Sigue las incidencias de una línea' +
+        '\r\n/incidencias remove <línea> - Deja de seguir una línea' +
+        '\r\n/incidencias list - Muestra tus líneas y sus incidencias',
+    incidentsPrivate: 'Las incidencias se siguen en un chat privado conmigo.',
+    subscriptions: 'Sigues las líneas: {lines}',
+    noSubscriptions: 'No sigues ninguna línea.',
+    incidents: 'Incidencias en tus líneas:',
+    noIncidents: 'No hay incidencias en tus líneas.',
+    unsubscribe: 'Dejar la {line}',
+    subscriptionsFull: 'Ya sigues {max} líneas, deja alguna antes.',
+    subscribed: 'Te avisaré de las incidencias de la línea {line}.',
+    alreadySubscribed: 'Ya sigues la línea {line}.',
+    unsubscribed: 'Ya no sigues la línea {line}.',
+    notSubscribed: 'No sigues la línea {line}.',
+    unsubscribedShort: 'Línea {line} quitada',
+    lineNotFound: 'No conozco la línea {line}.',
+    newIncident: '⚠️ Nueva incidencia en la línea {lines}:',
+
+    // Journeys
+    journeysHelp: 'Te digo qué autobuses te llevan de una parada a otra, directos ' +
+        'o con un transbordo, empezando por el que sale antes.' +
+        '\r\n/ruta <origen> <destino> - Por ejemplo: /ruta 2443 72' +
+        '\r\nLas paradas pueden ser números o nombres: /ruta abrantes a puerta del sol',
+    journeys: 'Rutas de {from} a {to}',
+    noJourneys: 'No encuentro rutas de {from} a {to} en una línea o con un transbordo.',
+    journeyStops: '{count} paradas',
+    journeyStop: '1 parada',
+    busNoEstimations: 'El {line} no tiene estimaciones',
+
+    // Reliability
+    reliabilityHelp: 'Te digo cómo de fiables son las estimaciones de una parada y cada ' +
+        'cuánto pasan sus autobuses a cada hora, según las llegadas de los últimos {days} días.' +
+        '\r\n/fiabilidad <parada> [línea] - Por ejemplo: /fiabilidad 2443 47',
+    reliabilityDisabled: 'No estoy guardando el historial de las paradas, así que no sé cómo ' +
+        'de fiables son sus estimaciones.',
+    noReliability: 'Aún no tengo suficientes llegadas de la parada {stop} para saber cómo de ' +
+        'fiables son sus estimaciones.',
+    reliability: 'Fiabilidad de la parada {stop}',
+    reliabilityLine: '🚌 {line}: {arrivals} llegadas',
+    reliabilityError: 'Las estimaciones fallan {error} de media, {bias}',
+    reliabilityLate: 'llega {time} más tarde',
+    reliabilityEarly: 'llega {time} antes',
+    reliabilityOnTime: 'llega a su hora',
+    reliabilityHeadways: 'Minutos entre autobuses: {headways}',
+    reliabilityHeadway: '{hour} h: {minutes}',
+    reliabilitySince: 'Según las llegadas de los últimos {days} días.',
+
+    // News
+    newsHelp: 'Te puedo enviar las novedades del bot.' +
+        '\r\n/novedades on - Recibe las novedades' +
+        '\r\n/novedades off - Deja de recibirlas',
+    newsOn: 'Te enviaré las novedades del bot. Para dejar de recibirlas: /novedades off',
+    newsOff: 'Ya no te enviaré las novedades del bot.',
+    newsPrivate: 'Las novedades se reciben en un chat privado conmigo.',
+
+    // Admins
+    stats: '📊 En marcha desde {since}' +
+        '\r\nConsultas en curso: {inFlight}' +
+        '\r\nAPI: {calls} llamadas, {errors} errores, {rejected} rechazadas, circuito {circuit}' +
+        '\r\nCaché de llegadas: {cacheSize} paradas, {cacheHits} aciertos, {cacheMisses} fallos' +
+        '\r\nIncidencias activas: {incidents}' +
+        '\r\nDatos de usuarios: {stores}',
+    cache: '🚏 {count} paradas, de {source} ({updated})' +
+        '\r\nÚltima actualización de la API: {lastRefresh}{refreshing}' +
+        '\r\nLotes fallidos: {failed}',
+    refreshingNow: ' (actualizando ahora)',
+    never: 'nunca',
+    none: 'ninguno',
+    reloaded: 'Recargadas {stops} paradas y {incidents} incidencias, las paradas se actualizan de la API.',
+    commandFailed: 'El comando ha fallado, mira el log.',
+    reloadFailed: 'No se han podido cargar los ficheros de datos, mira el log.',
+    settingsList: 'Ajustes, con su valor por defecto y los valores válidos. Para cambiarlos: /set <nombre> <valor>',
+    settingChanged: '{name} = {value}',
+    settingUnknown: 'No se puede cambiar "{name}".',
+    settingInvalid: 'Valor no válido para {name}: {hint}',
+    broadcastHelp: '/broadcast <texto> - Envía el texto a los usuarios que quieren recibir las novedades',
+    broadcastSent: 'Enviado a {sent} usuarios, {failed} errores.',
+
+    // Locations
+    nearby: '📍 Paradas cercanas',
+    nearbyLive: '📍 Paradas cercanas (se actualizan mientras compartes tu ubicación)',
+    noNearbyStops: 'No hay paradas a menos de {radius} metros.',
+    stopVenue: '🚏 Parada {stop}',
+    busNotLocated: 'No se sabe dónde está el próximo {line}',
+    busLocationPrivate: 'No te puedo enviar la ubicación, ábreme un chat privado primero.',
+    emtDownShort: 'EMT no responde, prueba en un rato'
+};
@@ -0,0 +1,81 @@
+// Copyright (c) 2018 Jesús Fernández <jesus@nublar.net>
+// MIT License
+
+'use strict';
+
+const _ = require('lodash');
+const render = require('./render.js');
+const i18n = require('./i18n.js');
+
+/* Example of the preferences of a user in the store
+'12345678': { format: 'compact', distance: true, language: 'en' }
+*/
+
+const validators = {
+    format: value => _.includes(render.formatNames, value),
+    distance: _.isBoolean,
+    // 'auto' goes back to the language of Telegram
+    language: value => value === 'auto' || _.includes(i18n.languages, value)
+};
+
+/**
+ * Preferences of the users about how the estimations are shown and the
+ * language of the bot, persisted in the given store and indexed by the
+ * Telegram user ID. Users that didn't change them get the default ones of the
+ * renderer and the language of their Telegram.
+ */
+const createPreferences = function (store) {
+    /**
+     * The preferences of the user with the locale to format times in.
+     * languageCode is the language_code Telegram sends with the updates of
+     * the user, if there's one.
+     */
+    const get = function (userId, languageCode) {
+        const stored = store.get(`${userId}`, {});
+        const language = _.defaultTo(stored.language, i18n.pickLanguage(languageCode));
+        return _.defaults({
+            language: language,
+            locale: i18n.pickLocale(language, languageCode)
+        }, stored, render.defaultOptions);
+    };
+
+    /**
+     * The language the user chose or 'auto' if they use the one of Telegram.
+     */
+    const getLanguage = function (userId) {
+        return _.get(store.get(`${userId}`, {}), 'language', 'auto');
+    };
+
+    /**
+     * Change one of the preferences of the user.
+     * Returns false if the preference or its value are not valid.
+     */
+    const set = function (userId, key, value) {
+        if (!_.has(validators, key) || !validators[key](value)) {
+            return false;
+        }
+        let current = store.get(`${userId}`, {});
+        current[key] = value;
+        // Only what is not the default is kept, but a language chosen by the
+        // user is kept even if it's the default one
+        current = _.omitBy(current, function (currentValue, currentKey) {
+            return currentKey === 'language' ?
+                currentValue === 'auto' :
+                render.defaultOptions[currentKey] === currentValue;
+        });
+        if (_.isEmpty(current)) {
+            store.remove(`${userId}`);
+        } else {
+            store.set(`${userId}`, current);
+        }
+        return true;
+    };
+
+    return {
+        get,
+        getLanguage,
+        set
+    };
+};
+
+module.exports = createPreferences;
@@ -0,0 +1,66 @@
+// Copyright (c) 2018 Jesús Fernández <jesus@nublar.net>
+// MIT License
+
+'use strict';
+
+const _ = require('lodash');
+const P = require('bluebird');
+const stopCatalogue = require('../stopCatalogue.js');
+
+/**
+ * Provider for the legacy EMT API (opendata.emtmadrid.es) through the
+ * node-emtmad-bus-promise library, which takes the credentials from the
+ * EMT_APP_ID and EMT_PASSKEY environment variables.
+ */
+const createEmtLegacyProvider = function () {
+    const EMTAPI = require('node-emtmad-bus-promise');
+
+    const buildStops = function (rawStops) {
+        return _.compact(_.map(_.concat([], rawStops), function (rawStop) {
+            try {
+                return stopCatalogue.buildStop(rawStop);
+            } catch (error) {
+                return undefined;
+            }
+        }));
+    };
+
+    return {
+        name: 'emt',
+        getArrivals: function (stopId) {
+            return P.try(function () {
+                return EMTAPI.getIncomingBusesToStop(stopId);
+            }).then(function (arriving) {
+                return _.compact(_.concat([], arriving));
+            });
+        },
+        getStopsFromLocation: function (location, radius) {
+            return P.try(function () {
+                return EMTAPI.getStopsFromLocation(location, radius);
+            }).then(buildStops);
+        },
+        getStops: function (ids) {
+            return P.try(function () {
+                return EMTAPI.getNodesLines(ids);
+            }).then(buildStops);
+        },
+        getLineStops: function (lineCode, direction) {
+            return P.try(function () {
+                return EMTAPI.getStopsLine(_.toString(+lineCode), direction);
+            }).then(function (results) {
+                return _.map(_.concat([], _.get(results, 'stop', [])), function (stop) {
+                    return {
+                        stopId: `${stop.stopId}`,
+                        name: stop.name,
+                        position: {
+                            latitude: stop.latitude,
+                            longitude: stop.longitude
+                        }
+                    };
+                });
+            });
+        }
+    };
+};
+
+module.exports = createEmtLegacyProvider;
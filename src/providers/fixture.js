@@ -0,0 +1,134 @@
+// Copyright (c) 2018 Jesús Fernández <jesus@nublar.net>
+// MIT License
+
+'use strict';
+
+const fs = require('fs');
+const _ = require('lodash');
+const P = require('bluebird');
+const settings = require('../settings.js');
+const geo = require('../geo.js');
+const lines = require('../lines.js');
+const stopCatalogue = require('../stopCatalogue.js');
+const xml2json = require('../xml2json.js');
+
+/* Example of a fixtures file
+{
+    "stops": [{ "Id": "2443", "Name": "AV.ABRANTES-PZA.LAS MENINAS",
+        "Lines": ["47 ida"], "position": { "latitude": 40.37, "longitude": -3.73 } }],
+    "arrivals": { "2443": [{ "lineId": "47", "destination": "CARABANCHEL ALTO",
+        "busId": "8753", "busTimeLeft": 693, "busDistance": 2831 }] },
+    "lineStops": { "47/1": [{ "stopId": "2443", "name": "AV.ABRANTES-PZA.LAS MENINAS" }] }
+}
+*/
+
+/**
+ * The stops of the local NodesLines XML, used when the fixtures don't have
+ * their own list of stops.
+ */
+const xmlStops = function () {
+    const regs = _.get(xml2json(settings.emt_nodesxml), 'TABLA.DocumentElement[0].REG', []);
+    return _.map(regs, stopCatalogue.buildStop);
+};
+
+/**
+ * Arrivals made up from the lines of the stop so that the bot can be run
+ * offline with every stop: two buses per line at times that depend on the
+ * stop and the line, so they are the same every time.
+ */
+const syntheticArrivals = function (stop) {
+    return _.flatMap(stop.Lines, function (stopLine, index) {
+        const parts = stopLine.split(' ');
+        const line = lines.findByLabel(parts[0]);
+        const direction = parts[1] === 'ida' ? 0 : 1;
+        const destination = line === undefined ? '' :
+            lines.directions(line)[direction].to;
+        const first = (+stop.Id * 7 + index * 131) % 900 + 30;
+        return _.map([first, first + 600], function (time, bus) {
+            return {
+                stopId: +stop.Id,
+                lineId: parts[0],
+                isHead: 'False',
+                destination: destination,
+                busId: `${stop.Id}${index}${bus}`,
+                busTimeLeft: time,
+                busDistance: time * 5,
+                latitude: _.get(stop, 'position.latitude'),
+                longitude: _.get(stop, 'position.longitude'),
+                busPositionType: 1
+            };
+        });
+    });
+};
+
+/**
+ * In-memory provider to run and test the bot without the EMT API.
+ *
+ * Options (all of them optional):
+ * - stops: array of Stop objects. Defaults to the stops of the XML file.
+ * - arrivals: arriving buses indexed by stop ID. Stops without arrivals get
+ *   made up ones unless synthetic is false.
+ * - lineStops: stops of the lines indexed by 'code/direction'.
+ * - synthetic: whether to make up arrivals, true by default.
+ * - fixturesPath: JSON file with any of the above. Defaults to the
+ *   EMTBUS_FIXTURES environment variable.
+ */
+const createFixtureProvider = function (options = {}) {
+    const fixturesPath = _.defaultTo(options.fixturesPath, settings.fixturesPath);
+    if (!_.isNil(fixturesPath)) {
+        options = _.assign(JSON.parse(fs.readFileSync(fixturesPath, 'utf-8')), options);
+    }
+    const stops = _.keyBy(_.isNil(options.stops) ? xmlStops() : options.stops, 'Id');
+    const arrivals = _.defaultTo(options.arrivals, {});
+    const lineStops = _.defaultTo(options.lineStops, {});
+    const synthetic = options.synthetic !== false;
+
+    return {
+        name: 'fixture',
+        getArrivals: function (stopId) {
+            if (_.has(arrivals, `${stopId}`)) {
+                return P.resolve(_.cloneDeep(arrivals[`${stopId}`]));
+            }
+            if (synthetic && _.has(stops, `${stopId}`)) {
+                return P.resolve(syntheticArrivals(stops[`${stopId}`]));
+            }
+            return P.resolve([]);
+        },
+        getStopsFromLocation: function (location, radius) {
+            const near = _.filter(stops, function (stop) {
+                return geo.isValidPosition(stop.position) &&
+                    geo.distance(location, stop.position) <= radius;
+            });
+            return P.resolve(_.cloneDeep(_.sortBy(near, function (stop) {
+                return geo.distance(location, stop.position);
+            })));
+        },
+        getStops: function (ids) {
+            return P.resolve(_.cloneDeep(_.compact(_.map(ids, id => stops[`${id}`]))));
+        },
+        getLineStops: function (lineCode, direction) {
+            const key = `${+lineCode}/${direction}`;
+            if (_.has(lineStops, key)) {
+                return P.resolve(_.cloneDeep(lineStops[key]));
+            }
+            // Without fixtures, the stops of the catalogue with the line in
+            // that direction, although not in the order of the route
+            const line = lines.findByCode(lineCode);
+            if (line === undefined) {
+                return P.resolve([]);
+            }
+            const label = `${line.Label[0]} ${direction === '1' ? 'ida' : 'vuelta'}`;
+            return P.resolve(_.map(_.filter(stops, function (stop) {
+                return _.includes(stop.Lines, label);
+            }), function (stop) {
+                return {
+                    stopId: stop.Id,
+                    name: stop.Name,
+                    position: stop.position
+                };
+            }));
+        }
+    };
+};
+
+module.exports = createFixtureProvider;
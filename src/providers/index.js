@@ -0,0 +1,37 @@
+// Copyright (c) 2018 Jesús Fernández <jesus@nublar.net>
+// MIT License
+
+'use strict';
+
+const settings = require('../settings.js');
+
+/*
+ * A provider gets the transit data the bot needs. Every function returns a
+ * Promise object:
+ * - getArrivals(stopId): buses arriving to the stop, with the fields of the
+ *   legacy EMT API (lineId, destination, busId, busTimeLeft, busDistance...).
+ * - getStopsFromLocation(location, radius): Stop objects around a location.
+ * - getStops(ids): Stop objects for a list of stop IDs, used to refresh the
+ *   stop catalogue. IDs that don't exist are skipped.
+ * - getLineStops(lineCode, direction): ordered stops of a line in one
+ *   direction ('1' or '2') as {stopId, name, position}.
+ */
+const providers = {
+    emt: './emtLegacy.js',
+    mobilitylabs: './mobilityLabs.js',
+    fixture: './fixture.js'
+};
+
+/**
+ * Create the provider with the given name, the one in the settings by
+ * default. The modules are only loaded when they are used so that, for
+ * example, the fixture provider doesn't need the EMT libraries.
+ */
+const createProvider = function (name = settings.provider, options) {
+    if (!Object.prototype.hasOwnProperty.call(providers, name)) {
+        throw new Error(`Unknown data provider: ${name}`);
+    }
+    return require(providers[name])(options);
+};
+
+module.exports = createProvider;
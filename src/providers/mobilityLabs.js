@@ -0,0 +1,233 @@
+// Copyright (c) 2018 Jesús Fernández <jesus@nublar.net>
+// MIT License
+
+'use strict';
+
+const https = require('https');
+const url = require('url');
+const _ = require('lodash');
+const P = require('bluebird');
+const settings = require('../settings.js');
+const stopCatalogue = require('../stopCatalogue.js');
+const debug = require('debug')('bot-provider');
+
+// busTimeLeft used by the legacy API when the bus is more than 20 minutes away
+const farAway = 999999;
+// The list of all the stops is cached because the API only returns it whole
+const stopListTtl = 10 * 60 * 1000;
+
+/* Example of an arrival from the API
+{
+    line: '27',
+    stop: '2443',
+    isHead: 'False',
+    destination: 'PLAZA CASTILLA',
+    deviation: 0,
+    bus: 4652,
+    geometry: { type: 'Point', coordinates: [-3.7001, 40.3875] },
+    estimateArrive: 693,
+    DistanceBus: 2831,
+    positionTypeBus: '1'
+}
+*/
+
+/**
+ * Provider for the MobilityLabs v2 API of the EMT (openapi.emtmadrid.es).
+ * It logs in with the client ID and pass key of the settings and converts
+ * the responses to the objects the legacy API returned, which are the ones
+ * the rest of the bot uses.
+ *
+ * Options (all of them optional):
+ * - request: function (method, path, headers, body) that returns a Promise of
+ *   the data of the response, an HTTPS request to the API by default.
+ */
+const createMobilityLabsProvider = function (options = {}) {
+    let token;
+    let tokenExpires = 0;
+    let stopList;
+    let stopListExpires = 0;
+
+    const httpsRequest = function (method, path, headers, body) {
+        return new P(function (resolve, reject) {
+            const target = url.parse(url.resolve(settings.mobilityLabsUrl, path));
+            const payload = body === undefined ? undefined : JSON.stringify(body);
+            const req = https.request({
+                method: method,
+                hostname: target.hostname,
+                port: target.port,
+                path: target.path,
+                headers: _.assign({
+                    'Content-Type': 'application/json'
+                }, headers)
+            }, function (response) {
+                let chunks = [];
+                response.on('data', chunk => chunks.push(chunk));
+                response.on('end', function () {
+                    let json;
+                    try {
+                        json = JSON.parse(Buffer.concat(chunks).toString('utf-8'));
+                    } catch (error) {
+                        return reject(new Error(`MobilityLabs: bad response to ${path} (${response.statusCode})`));
+                    }
+                    if (response.statusCode !== 200 || !_.startsWith(json.code, '0')) {
+                        let error = new Error(`MobilityLabs: ${json.description} (${json.code})`);
+                        error.code = json.code;
+                        error.statusCode = response.statusCode;
+                        return reject(error);
+                    }
+                    resolve(json.data);
+                });
+                response.on('error', reject);
+            });
+            req.setTimeout(settings.providerTimeout * 1000, function () {
+                req.abort();
+                reject(new Error(`MobilityLabs: timeout in ${path}`));
+            });
+            req.on('error', reject);
+            if (payload !== undefined) {
+                req.write(payload);
+            }
+            req.end();
+        });
+    };
+
+    const request = _.defaultTo(options.request, httpsRequest);
+
+    const login = function () {
+        if (token !== undefined && Date.now() < tokenExpires) {
+            return P.resolve(token);
+        }
+        debug('MobilityLabs: login');
+        return request('GET', '/v1/mobilitytoken/login/', {
+            'X-ClientId': settings.mobilityLabsClientId,
+            passKey: settings.mobilityLabsPassKey
+        }).then(function (data) {
+            token = data[0].accessToken;
+            // Renew the token a minute before it expires
+            tokenExpires = Date.now() + (data[0].tokenSecExpire - 60) * 1000;
+            return token;
+        });
+    };
+
+    /**
+     * Call the API with the access token, logging in again once if the token
+     * is not valid anymore (code 80).
+     */
+    const call = function (method, path, body, retry = true) {
+        return login()
+            .then(function (accessToken) {
+                return request(method, path, {
+                    accessToken: accessToken
+                }, body);
+            })
+            .catch(function (error) {
+                if (retry && (error.code === '80' || error.statusCode === 401)) {
+                    token = undefined;
+                    return call(method, path, body, false);
+                }
+                throw error;
+            });
+    };
+
+    const position = function (geometry) {
+        let coordinates = _.get(geometry, 'coordinates', []);
+        return {
+            latitude: coordinates[1],
+            longitude: coordinates[0]
+        };
+    };
+
+    const toArrival = function (arrive) {
+        let busPosition = position(arrive.geometry);
+        let timeLeft = +arrive.estimateArrive;
+        return {
+            stopId: +arrive.stop,
+            lineId: `${arrive.line}`,
+            isHead: `${arrive.isHead}`,
+            destination: arrive.destination,
+            busId: `${arrive.bus}`,
+            // The v2 API uses 888888 and 999999 for buses more than 20 minutes away
+            busTimeLeft: timeLeft >= 888888 ? farAway : timeLeft,
+            busDistance: +arrive.DistanceBus,
+            latitude: busPosition.latitude,
+            longitude: busPosition.longitude,
+            busPositionType: +arrive.positionTypeBus
+        };
+    };
+
+    const getStopList = function () {
+        if (stopList !== undefined && Date.now() < stopListExpires) {
+            return P.resolve(stopList);
+        }
+        return call('POST', '/v2/transport/busemtmad/stops/list/', {})
+            .then(function (data) {
+                stopList = _.keyBy(data, node => `${node.node}`);
+                stopListExpires = Date.now() + stopListTtl;
+                return stopList;
+            });
+    };
+
+    return {
+        name: 'mobilitylabs',
+        getArrivals: function (stopId) {
+            const today = new Date().toISOString().slice(0, 10).replace(/-/g, '');
+            return call('POST', `/v2/transport/busemtmad/stops/${stopId}/arrives/`, {
+                cultureInfo: 'ES',
+                Text_StopRequired_YN: 'N',
+                Text_EstimationsRequired_YN: 'Y',
+                Text_IncidencesRequired_YN: 'N',
+                DateTime_Referenced_Incidencies_YYYYMMDD: today
+            }).then(function (data) {
+                return _.map(_.get(data, '[0].Arrive', []), toArrival);
+            });
+        },
+        getStopsFromLocation: function (location, radius) {
+            return call('GET', `/v2/transport/busemtmad/stops/arroundxy/${location.longitude}/${location.latitude}/${radius}/`)
+                .then(function (data) {
+                    return _.map(data, function (stop) {
+                        return {
+                            Id: `${stop.stopId}`,
+                            Name: stop.stopName,
+                            Lines: _.map(stop.lines, function (line) {
+                                return `${line.label} ${line.to === 'B' ? 'ida' : 'vuelta'}`;
+                            }),
+                            position: position(stop.geometry)
+                        };
+                    });
+                });
+        },
+        getStops: function (ids) {
+            return getStopList()
+                .then(function (list) {
+                    return _.compact(_.map(ids, function (id) {
+                        let node = list[`${id}`];
+                        if (node === undefined) {
+                            return undefined;
+                        }
+                        let nodePosition = position(node.geometry);
+                        return stopCatalogue.buildStop({
+                            node: `${node.node}`,
+                            name: node.name,
+                            lines: _.concat([], node.lines),
+                            latitude: nodePosition.latitude,
+                            longitude: nodePosition.longitude
+                        });
+                    }));
+                });
+        },
+        getLineStops: function (lineCode, direction) {
+            return call('GET', `/v2/transport/busemtmad/lines/${+lineCode}/stops/${direction}/`)
+                .then(function (data) {
+                    return _.map(_.get(data, '[0].stops', []), function (stop) {
+                        return {
+                            stopId: `${stop.stop}`,
+                            name: stop.name,
+                            position: position(stop.geometry)
+                        };
+                    });
+                });
+        }
+    };
+};
+
+module.exports = createMobilityLabsProvider;
@@ -0,0 +1,54 @@
+// Copyright (c) 2018 Jesús Fernández <jesus@nublar.net>
+// MIT License
+
+'use strict';
+
+const _ = require('lodash');
+
+// Max lines in a stop query filter, they have to fit in the callback data
+const maxFilterLines = 8;
+
+/**
+ * A stop query can be followed by the lines the user is interested in, like
+ * "2443 27 150". Returns the stop part of the query and the list of lines,
+ * which is empty if the user didn't filter by line.
+ */
+const parseStopQuery = function (query) {
+    const parts = _.compact(query.split(/\s+/));
+    const isFilter = parts.length > 1 && !isNaN(+parts[0]) &&
+        _.every(_.tail(parts), function (part) {
+            return /^[a-z0-9]+$/i.test(part);
+        });
+    if (!isFilter) {
+        return {
+            query: query,
+            lines: []
+        };
+    }
+    return {
+        query: parts[0],
+        lines: _.take(_.uniq(_.map(_.tail(parts), _.toUpper)), maxFilterLines)
+    };
+};
+
+/**
+ * Keep only the buses of the given lines arriving to the stop.
+ * Returns a copy of the stop so that the cached stop is not filtered.
+ */
+const filterLines = function (stop, lineFilter) {
+    if (_.isString(stop) || _.isEmpty(lineFilter)) {
+        return stop;
+    }
+    return _.assign({}, stop, {
+        arriving: _.filter(stop.arriving, function (bus) {
+            return _.includes(lineFilter, _.toUpper(bus.lineId));
+        }),
+        lineFilter: lineFilter
+    });
+};
+
+module.exports = {
+    filterLines,
+    maxFilterLines,
+    parseStopQuery
+};
@@ -0,0 +1,628 @@
+// Copyright (c) 2018 Jesús Fernández <jesus@nublar.net>
+// MIT License
+
+'use strict';
+
+const _ = require('lodash');
+const P = require('bluebird');
+const uuid = require('uuid');
+const settings = require('./settings.js');
+const lines = require('./lines.js');
+const thumbs = require('./thumbs.js');
+const geo = require('./geo.js');
+const i18n = require('./i18n.js');
+
+// Properties of the lines of a stop that will be rendered in a table: the
+// line, its destination and the next two buses
+const columns = ['lineId', 'destination', 'next', 'following'];
+// Properties of the stops of a line that will be rendered in a table
+const lineColumns = ['stopId', 'name', 'time'];
+// How many incidents are shown in the estimations of a stop
+const maxBanners = 2;
+
+/**
+ * Escape the characters that have a meaning in Telegram's Markdown so that
+ * texts written by the users can be put in a message.
+ */
+const escapeMarkdown = function (text) {
+    return _.replace(text, /[_*`[]/g, '\\$&');
+};
+
+const escapeHtml = function (text) {
+    return _.escape(text);
+};
+
+/**
+ * The data of the "Actualizar" button. It includes the line filter so that the
+ * refreshed message keeps showing the same lines.
+ */
+const refreshData = function (stop) {
+    if (_.isEmpty(stop.lineFilter)) {
+        return `refresh:${stop.Id}`;
+    }
+    return `refresh:${stop.Id}:${_.join(stop.lineFilter, ',')}`;
+};
+
+/**
+ * In order to print the arriving times in a table-like fashion, we need to know
+ * in advance the max width of each column's text so that we can pad each column
+ * with spaces according to their width.
+ */
+const getColumnWidths = function (rows, columns) {
+    let format = {};
+    _.forEach(rows, function (bus) {
+        // bus is an arriving bus
+        _.forEach(columns, function (col) {
+            // col is a column that will be printed
+            let currentMax = _.get(format, col, 0);
+            // Enforce a max column width of so that the line is not too long
+            // Helps reading the results better in mobile phones.
+            let current = Math.min(_.toString(_.get(bus, col, '')).length, settings.maxColumnWidth);
+            let max = Math.max(currentMax, current);
+            _.set(format, col, max);
+        });
+    });
+    return format;
+};
+
+/**
+ * We want to format the estimations in a table that it's easier to read
+ * We pad the column text with spaces and render each line with a monospace font
+ * Empty columns are left out.
+ */
+const renderTable = function (rows, columns, quote = '`') {
+    let widths = _.pickBy(getColumnWidths(rows, columns));
+    return _.join(_.map(rows, function (e) {
+        // Build the bus arriving line, padding the columns as needed
+        let keys = _.keys(widths);
+        let s = _.map(keys, function (w) {
+            let value = _.get(e, w, '');
+            value = _.truncate(value, {
+                length: settings.maxColumnWidth
+            });
+            value = _.padEnd(value, widths[w], ' ');
+            return value;
+        });
+        s = quote + _.trimEnd(_.join(s, ' ')) + quote;
+        return s;
+    }), '\r\n');
+};
+
+/**
+ * The rows as plain text without padding: the values of the first columns
+ * followed by the rest separated by commas, like "27 PLAZA CASTILLA: 3, 12".
+ */
+const renderCompact = function (rows, columns) {
+    return _.join(_.map(rows, function (row) {
+        let values = _.map(columns, column => _.toString(_.get(row, column, '')));
+        let rest = _.compact(_.drop(values, 2));
+        return `${values[0]} ${values[1]}: ${_.join(rest, ', ')}`;
+    }), '\r\n');
+};
+
+/**
+ * The formats of the messages with the estimations. Markdown and HTML show
+ * the buses in a monospace table, the compact format is plain text without
+ * padding for small screens.
+ */
+const formats = {
+    markdown: {
+        parseMode: 'Markdown',
+        bold: text => `*${text}*`,
+        table: renderTable,
+        link: (text, url) => `[${text}](${url})`,
+        escape: escapeMarkdown
+    },
+    html: {
+        parseMode: 'HTML',
+        bold: text => `<b>${escapeHtml(text)}</b>`,
+        table: function (rows, tableColumns) {
+            const table = renderTable(rows, tableColumns, '');
+            return _.join(_.map(_.split(table, '\r\n'), row => `<code>${escapeHtml(row)}</code>`), '\r\n');
+        },
+        link: (text, url) => `<a href="${escapeHtml(url)}">${escapeHtml(text)}</a>`,
+        escape: escapeHtml
+    },
+    compact: {
+        parseMode: undefined,
+        bold: text => text,
+        table: renderCompact,
+        link: _.constant(''),
+        escape: text => text
+    }
+};
+
+const formatNames = _.keys(formats);
+
+// Preferences of a user that hasn't changed them
+const defaultOptions = {
+    format: 'markdown',
+    distance: false,
+    language: i18n.defaultLanguage
+};
+
+/**
+ * The translator of the language of the options.
+ */
+const getTranslator = function (options) {
+    return i18n.translator(_.get(options, 'language'));
+};
+
+/**
+ * The name of the stop or, if EMT didn't give it a name, "Parada 2443" in the
+ * language of the translator.
+ */
+const stopName = function (stop, t) {
+    if (_.isEmpty(stop.Name)) {
+        return t('stopName', {
+            stop: stop.Id
+        });
+    }
+    return stop.Name;
+};
+
+const getFormat = function (options) {
+    return _.get(formats, _.get(options, 'format'), formats.markdown);
+};
+
+/**
+ * The parse_mode of the messages in the format of the options, undefined for
+ * plain text.
+ */
+const getParseMode = function (options) {
+    return getFormat(options).parseMode;
+};
+
+/**
+ * The bus hasn't left the first stop of the line yet, so its time is an
+ * estimation based on the timetable.
+ */
+const isAtHead = function (bus) {
+    return _.toLower(bus.isHead) === 'true';
+};
+
+const formatDistance = function (metres) {
+    if (metres < 1000) {
+        return `${metres}m`;
+    }
+    return `${_.round(metres / 1000, 1)}km`;
+};
+
+/**
+ * The time of a bus with the marker of the buses at the head of the line and,
+ * if the user wants it, the distance to the stop.
+ */
+const formatBus = function (bus, options) {
+    if (bus === undefined) {
+        return '';
+    }
+    let text = `${bus.time}${isAtHead(bus) ? '*' : ''}`;
+    if (options.distance && bus.busDistance > 0 && bus.time !== '+20') {
+        text += ` ${formatDistance(bus.busDistance)}`;
+    }
+    return text;
+};
+
+/**
+ * The buses that are not coming in the next 20 minutes have no real position,
+ * only the one of the head of the line.
+ */
+const isLocated = function (bus) {
+    return bus.busTimeLeft !== 999999 &&
+        geo.isValidPosition({
+            latitude: bus.latitude,
+            longitude: bus.longitude
+        });
+};
+
+/**
+ * When the bus of the line arrives, in words: "El 27 llega en 5 min".
+ */
+const describeArrival = function (bus, options) {
+    const t = getTranslator(options);
+    let arrival = t('arrivesIn', {
+        minutes: bus.time
+    });
+    if (bus.time === '<<<') {
+        arrival = t('arriving');
+    } else if (bus.time === '+20') {
+        arrival = t('arrivesLater');
+    }
+    return t('busArrival', {
+        line: bus.lineId,
+        arrival: arrival
+    });
+};
+
+/**
+ * The lines of a stop, written as "27 ida", in the language of the options.
+ */
+const describeLines = function (stopLines, options) {
+    const t = getTranslator(options);
+    return _.join(_.map(stopLines, function (line) {
+        return _.replace(line, / (ida|vuelta)$/, function (match, direction) {
+            return ` ${t(direction === 'ida' ? 'outbound' : 'inbound')}`;
+        });
+    }), ', ');
+};
+
+/**
+ * Rows of "¿Dónde está el 27?" buttons, two per row, for the lines of the stop
+ * that have a bus coming whose position is known.
+ */
+const busButtons = function (stop, options) {
+    const t = getTranslator(options);
+    const located = _.uniq(_.map(_.filter(stop.arriving, isLocated), bus => `${bus.lineId}`));
+    return _.chunk(_.map(located, function (lineId) {
+        return {
+            text: t('whereIsBus', {
+                line: lineId
+            }),
+            callback_data: `bus:${stop.Id}:${lineId}`
+        };
+    }), 2);
+};
+
+/**
+ * Group the arriving buses by line and destination, in the order of their
+ * first bus, with the next two buses of each group.
+ */
+const groupByLine = function (arriving, options) {
+    const groups = [];
+    _.forEach(arriving, function (bus) {
+        let group = _.find(groups, {
+            lineId: `${bus.lineId}`,
+            destination: bus.destination
+        });
+        if (group === undefined) {
+            group = {
+                lineId: `${bus.lineId}`,
+                destination: bus.destination,
+                buses: []
+            };
+            groups.push(group);
+        }
+        group.buses.push(bus);
+    });
+    return _.map(groups, function (group) {
+        return {
+            lineId: group.lineId,
+            destination: group.destination,
+            next: formatBus(group.buses[0], options),
+            following: formatBus(group.buses[1], options)
+        };
+    });
+};
+
+/**
+ * The warnings of the incidents of the stop, one per line, to go under its
+ * name. Empty if the stop has no incidents.
+ */
+const renderBanner = function (stop, format, t) {
+    let banners = _.map(_.take(stop.incidents, maxBanners), incident => `⚠️ ${incident.title}`);
+    if (_.size(stop.incidents) > maxBanners) {
+        banners.push(t('incidentsMore', {
+            count: stop.incidents.length - maxBanners
+        }));
+    }
+    return _.join(_.map(banners, banner => `${format.escape(banner)}\n`), '');
+};
+
+/**
+ * The description of the result of a stop: its lines, after how far and in
+ * which direction it is for the nearby stops and after the first of its
+ * incidents if it has any.
+ */
+const describeStop = function (stop, options) {
+    const t = getTranslator(options);
+    let description = t('stopLines', {
+        lines: describeLines(stop.Lines, options)
+    });
+    if (!_.isNil(stop.distance)) {
+        const distance = t('stopDistance', {
+            distance: Math.round(stop.distance),
+            direction: t(`compass.${stop.direction}`)
+        });
+        description = `${distance} · ${description}`;
+    }
+    if (_.isEmpty(stop.incidents)) {
+        return description;
+    }
+    return `⚠️ ${stop.incidents[0].title} · ${description}`;
+};
+
+const renderStop = function (stop, options) {
+    options = _.defaults({}, options, defaultOptions);
+    const format = getFormat(options);
+    const t = getTranslator(options);
+    return new P(function (resolve) {
+        let arriving = t('noEstimations');
+        if (stop.arriving.length > 0) {
+            arriving = format.table(groupByLine(stop.arriving, options), columns);
+            if (_.some(stop.arriving, isAtHead)) {
+                arriving += `\r\n${format.escape(t('headLegend'))}`;
+            }
+        }
+        let mapa = '';
+        if (stop.position != undefined && options.format !== 'compact') {
+            let url = `https://www.google.com/maps/@${stop.position.latitude},${stop.position.longitude},19z`;
+            mapa = `
+
+${format.link(t('whereIsStop'), url)}`;
+        }
+        const name = format.escape(stopName(stop, t));
+        const content = `${format.bold(stop.Id)} ${name}
+${renderBanner(stop, format, t)}${arriving}${mapa}`;
+        const result = {
+            type: 'article'
+        };
+        result.id = uuid.v4();
+        result.title = `${stop.Id} - ${_.isEmpty(stop.Alias) ? stopName(stop, t) : stop.Alias}`;
+        if (!_.isEmpty(stop.lineFilter)) {
+            result.title += ` (${_.join(stop.lineFilter, ', ')})`;
+        }
+        result.input_message_content = _.omitBy({
+            message_text: content,
+            parse_mode: format.parseMode,
+            disable_web_page_preview: true
+        }, _.isUndefined);
+        result.description = describeStop(stop, options);
+        result.thumb_url = thumbs.stopThumb(stop);
+        result.reply_markup = {
+            inline_keyboard: [
+                [{
+                    text: t('refresh'),
+                    callback_data: refreshData(stop)
+                }]
+            ].concat(busButtons(stop, options))
+        };
+        resolve(result);
+    });
+};
+
+/**
+ * The result for a stop whose estimations couldn't be got because the EMT
+ * API is failing. The "Actualizar" button lets the user try again later.
+ */
+const renderUnavailable = function (stop, options) {
+    const format = getFormat(options);
+    const t = getTranslator(options);
+    const name = format.escape(stopName(stop, t));
+    return {
+        type: 'article',
+        id: uuid.v4(),
+        title: `${stop.Id} - ${_.isEmpty(stop.Alias) ? stopName(stop, t) : stop.Alias}`,
+        input_message_content: _.omitBy({
+            message_text: `${format.bold(stop.Id)} ${name}
+${renderBanner(stop, format, t)}${t('emtDownRefresh')}`,
+            parse_mode: format.parseMode,
+            disable_web_page_preview: true
+        }, _.isUndefined),
+        description: t('emtDown'),
+        thumb_url: thumbs.stopThumb(stop),
+        reply_markup: {
+            inline_keyboard: [
+                [{
+                    text: t('refresh'),
+                    callback_data: refreshData(stop)
+                }]
+            ]
+        }
+    };
+};
+
+/**
+ * The only result of an inline query when the stops couldn't be found
+ * because the EMT API is failing.
+ */
+const renderApiDown = function (options) {
+    const t = getTranslator(options);
+    return {
+        type: 'article',
+        id: uuid.v4(),
+        title: t('emtDown'),
+        input_message_content: {
+            message_text: t('emtDownRetry')
+        },
+        description: t('emtDownSearch'),
+        thumb_url: settings.result_thumb
+    };
+};
+
+/**
+ * The title of a line in bold in the format of the options.
+ */
+const renderLineTitle = function (line, options) {
+    return getFormat(options).bold(getTranslator(options)('line', {
+        line: line.Label[0]
+    }));
+};
+
+/**
+ * Inline results for a line, one for each direction. The stops are not
+ * queried until the user picks one of them because it takes a request for
+ * every stop of the line.
+ */
+const renderLine = function (line, options) {
+    const format = getFormat(options);
+    const t = getTranslator(options);
+    const title = t('line', {
+        line: line.Label[0]
+    });
+    return _.map(lines.directions(line), function (direction) {
+        const result = {
+            type: 'article'
+        };
+        result.id = uuid.v4();
+        result.title = `${title}: ${direction.from} → ${direction.to}`;
+        result.input_message_content = _.omitBy({
+            message_text: `${renderLineTitle(line, options)}
+${format.escape(`${direction.from} → ${direction.to}`)}`,
+            parse_mode: format.parseMode,
+            disable_web_page_preview: true
+        }, _.isUndefined);
+        result.description = _.upperFirst(t(direction.direction === '1' ? 'outbound' : 'inbound'));
+        result.thumb_url = thumbs.lineThumb(line.Label[0]);
+        result.reply_markup = {
+            inline_keyboard: [
+                [{
+                    text: t('showStops'),
+                    callback_data: `line:${line.Line[0]}:${direction.direction}`
+                }]
+            ]
+        };
+        return result;
+    });
+};
+
+/**
+ * The stops of a line in one direction with the next bus to each of them, in
+ * the format of the options.
+ */
+const renderLineStops = function (line, direction, rows, options) {
+    options = _.defaults({}, options, defaultOptions);
+    const format = getFormat(options);
+    const t = getTranslator(options);
+    const title = t('line', {
+        line: line.Label[0]
+    });
+    const names = _.find(lines.directions(line), ['direction', direction]);
+    let stops = format.escape(t('noStops'));
+    if (rows.length > 0) {
+        stops = format.table(rows, lineColumns);
+    }
+    return `${format.bold(title)} → ${format.escape(names.to)}
+${stops}`;
+};
+
+/**
+ * The journeys of /ruta from the origin to the destination, as written by the
+ * user, in a message in the format of the options. Each journey starts with
+ * its next bus and has a row for each of its legs.
+ */
+const renderJourneys = function (from, to, journeys, options) {
+    options = _.defaults({}, options, defaultOptions);
+    const format = getFormat(options);
+    const t = getTranslator(options);
+    // The places are written by the user, so the title is not bold
+    const title = format.escape(t('journeys', {
+        from: from,
+        to: to
+    }));
+    const texts = _.map(journeys, function (journey, index) {
+        const first = journey.legs[0].line.label;
+        let departure = t('busNoEstimations', {
+            line: first
+        });
+        if (journey.bus !== undefined) {
+            departure = describeArrival(journey.bus, options);
+        }
+        const legs = _.map(journey.legs, function (leg, legIndex) {
+            const stops = leg.stops === 1 ? t('journeyStop') : t('journeyStops', {
+                count: leg.stops
+            });
+            return format.escape(`${legIndex === 0 ? '🚌' : '🔁'} ${leg.line.label}: ` +
+                `${leg.from} ${leg.fromName} → ${leg.to} ${leg.toName} (${stops})`);
+        });
+        return `${index + 1}. ${format.escape(departure)}\r\n${_.join(legs, '\r\n')}`;
+    });
+    return `${title}\r\n\r\n${_.join(texts, '\r\n\r\n')}`;
+};
+
+/**
+ * The text of the board of a group: the results of its stops rendered with
+ * renderStop or renderUnavailable, under a title and with the time they were
+ * updated at.
+ */
+const renderBoard = function (results, time, options) {
+    options = _.defaults({}, options, defaultOptions);
+    const format = getFormat(options);
+    const t = getTranslator(options);
+    const stops = _.map(results, 'input_message_content.message_text');
+    const updated = format.escape(t('boardUpdated', {
+        time: time
+    }));
+    return `${format.bold(t('board'))}\r\n\r\n${_.join(stops, '\r\n\r\n')}\r\n\r\n${updated}`;
+};
+
+/**
+ * A number of seconds like 1 min 5 s, without the sign.
+ */
+const formatSeconds = function (seconds) {
+    const minutes = _.floor(Math.abs(seconds) / 60);
+    const rest = Math.abs(seconds) % 60;
+    return _.join(_.compact([
+        minutes > 0 ? `${minutes} min` : '',
+        rest > 0 || minutes === 0 ? `${rest} s` : ''
+    ]), ' ');
+};
+
+/**
+ * How reliable the estimations of a stop are, from the statistics of the
+ * history: the error of the estimations of each line and how often its buses
+ * arrive by hour of the day.
+ */
+const renderReliability = function (stopId, statistics, options) {
+    options = _.defaults({}, options, defaultOptions);
+    const format = getFormat(options);
+    const t = getTranslator(options);
+    const title = format.bold(t('reliability', {
+        stop: stopId
+    }));
+    const texts = _.map(statistics, function (line) {
+        let bias = t('reliabilityOnTime');
+        if (line.error !== 0) {
+            bias = t(line.error > 0 ? 'reliabilityLate' : 'reliabilityEarly', {
+                time: formatSeconds(line.error)
+            });
+        }
+        const rows = [
+            t('reliabilityLine', {
+                line: line.line,
+                arrivals: line.arrivals
+            }),
+            t('reliabilityError', {
+                error: formatSeconds(line.absoluteError),
+                bias: bias
+            })
+        ];
+        if (line.headways.length > 0) {
+            rows.push(t('reliabilityHeadways', {
+                headways: _.join(_.map(line.headways, function (headway) {
+                    return t('reliabilityHeadway', {
+                        hour: _.padStart(headway.hour, 2, '0'),
+                        minutes: headway.minutes
+                    });
+                }), ' · ')
+            }));
+        }
+        return format.escape(_.join(rows, '\r\n'));
+    });
+    const since = format.escape(t('reliabilitySince', {
+        days: settings.historyDays
+    }));
+    return `${title}\r\n\r\n${_.join(texts, '\r\n\r\n')}\r\n\r\n${since}`;
+};
+
+module.exports = {
+    defaultOptions,
+    describeArrival,
+    escapeMarkdown,
+    formatNames,
+    formatSeconds,
+    getParseMode,
+    getTranslator,
+    isLocated,
+    refreshData,
+    renderApiDown,
+    renderBoard,
+    renderJourneys,
+    renderLine,
+    renderLineStops,
+    renderLineTitle,
+    renderReliability,
+    renderStop,
+    renderTable,
+    renderUnavailable,
+    stopName
+};
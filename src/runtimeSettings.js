@@ -0,0 +1,154 @@
+// Copyright (c) 2018 Jesús Fernández <jesus@nublar.net>
+// MIT License
+
+'use strict';
+
+const _ = require('lodash');
+const settings = require('./settings.js');
+
+const integer = function (min, max) {
+    return {
+        hint: `${min}-${max}`,
+        parse: function (text) {
+            const value = +text;
+            return /^\d+$/.test(text) && value >= min && value <= max ? value : undefined;
+        }
+    };
+};
+
+const url = {
+    hint: 'http(s)://...',
+    parse: function (text) {
+        return /^https?:\/\/\S+$/.test(text) ? text : undefined;
+    }
+};
+
+/**
+ * The settings the admins can change with /set while the bot runs and the
+ * values they accept. The rest of the bot reads them from the settings every
+ * time, so the changes apply right away.
+ */
+const editable = {
+    maxResults: integer(1, 50),
+    maxInlineResults: integer(1, 50),
+    inlineCacheTime: integer(0, 300),
+    searchRadius: integer(50, 2000),
+    maxSearchRadius: integer(50, 5000),
+    minNearbyStops: integer(1, 20),
+    maxColumnWidth: integer(8, 40),
+    result_thumb: url,
+    arrivalsCacheTtl: integer(0, 120),
+    liveLocationInterval: integer(10, 600),
+    maxFavourites: integer(1, 50),
+    maxAlerts: integer(1, 10),
+    alertDuration: integer(5, 240),
+    maxSchedules: integer(1, 20),
+    maxBoardStops: integer(1, 10),
+    boardRefreshMinutes: integer(1, 60),
+    boardStartHour: integer(0, 23),
+    boardEndHour: integer(1, 24),
+    maxSubscriptions: integer(1, 50),
+    transferRadius: integer(0, 500),
+    maxJourneys: integer(1, 10),
+    historyDays: integer(1, 365),
+    minReliabilitySamples: integer(1, 100)
+};
+
+// Conditions between settings that the changes have to keep
+const constraints = [{
+    names: ['boardStartHour', 'boardEndHour'],
+    hint: 'boardStartHour < boardEndHour',
+    check: values => values.boardStartHour < values.boardEndHour
+}];
+
+/**
+ * The constraints of the settings that are broken by these values.
+ */
+const broken = function (values) {
+    return _.reject(constraints, constraint => constraint.check(values));
+};
+
+// The values of the settings file, before any change
+const defaults = _.pick(settings, _.keys(editable));
+
+/* Example of the changed settings in the store
+{
+    searchRadius: 300,
+    maxResults: 10
+}
+*/
+
+/**
+ * Changes to the settings made by the admins, persisted in the given store
+ * and applied to the settings object when the bot starts.
+ */
+const createRuntimeSettings = function (store) {
+    /**
+     * Apply the changes saved in the store, skipping the ones that are not
+     * valid anymore. The settings of a broken constraint get their default
+     * values back.
+     */
+    const load = function () {
+        _.forEach(store.keys(), function (name) {
+            let value = store.get(name);
+            if (!_.has(editable, name) || editable[name].parse(`${value}`) === undefined) {
+                console.error(`Settings: ignoring the saved value of ${name}: ${value}`);
+                return;
+            }
+            settings[name] = value;
+        });
+        _.forEach(broken(settings), function (constraint) {
+            console.error(`Settings: ignoring the saved values of ${constraint.names}, ${constraint.hint} is false`);
+            _.forEach(constraint.names, function (name) {
+                settings[name] = defaults[name];
+                store.remove(name);
+            });
+        });
+    };
+
+    /**
+     * The settings that can be changed with their current and default values.
+     */
+    const list = function () {
+        return _.map(_.keys(editable), function (name) {
+            return {
+                name: name,
+                value: settings[name],
+                defaultValue: defaults[name],
+                hint: _.join(_.concat([editable[name].hint], _.map(_.filter(constraints, function (constraint) {
+                    return _.includes(constraint.names, name);
+                }), 'hint')), ', ')
+            };
+        });
+    };
+
+    /**
+     * Change a setting with the text written by the admin. Setting it back to
+     * its default value removes it from the store.
+     * Returns 'set', 'unknown' if it can't be changed or 'invalid'.
+     */
+    const set = function (name, text) {
+        if (!_.has(editable, name)) {
+            return 'unknown';
+        }
+        const value = editable[name].parse(_.trim(text));
+        if (value === undefined || broken(_.set(_.clone(settings), name, value)).length > 0) {
+            return 'invalid';
+        }
+        settings[name] = value;
+        if (value === defaults[name]) {
+            store.remove(name);
+        } else {
+            store.set(name, value);
+        }
+        return 'set';
+    };
+
+    return {
+        list,
+        load,
+        set
+    };
+};
+
+module.exports = createRuntimeSettings;
@@ -0,0 +1,298 @@
+// Copyright (c) 2018 Jesús Fernández <jesus@nublar.net>
+// MIT License
+
+'use strict';
+
+const _ = require('lodash');
+const uuid = require('uuid');
+const settings = require('./settings.js');
+const debug = require('debug')('bot-scheduler');
+const i18n = require('./i18n.js');
+
+// Days of the week as they are written in Spanish and English, ISO numbering
+// (1 = Monday)
+const dayLetters = {
+    L: 1,
+    M: 2,
+    X: 3,
+    J: 4,
+    V: 5,
+    S: 6,
+    D: 7,
+    MON: 1,
+    TUE: 2,
+    WED: 3,
+    THU: 4,
+    FRI: 5,
+    SAT: 6,
+    SUN: 7
+};
+const dayNames = {
+    DIARIO: [1, 2, 3, 4, 5, 6, 7],
+    LABORABLES: [1, 2, 3, 4, 5],
+    FINDE: [6, 7],
+    DAILY: [1, 2, 3, 4, 5, 6, 7],
+    WEEKDAYS: [1, 2, 3, 4, 5],
+    WEEKEND: [6, 7]
+};
+// Keys of the translations of the day names
+const dayNameKeys = {
+    daily: [1, 2, 3, 4, 5, 6, 7],
+    weekdays: [1, 2, 3, 4, 5],
+    weekend: [6, 7]
+};
+const weekdays = {
+    Mon: 1,
+    Tue: 2,
+    Wed: 3,
+    Thu: 4,
+    Fri: 5,
+    Sat: 6,
+    Sun: 7
+};
+
+/* Example of the schedules of a chat in the store
+'-1001234567': [{
+    id: '1b9d6bcd',
+    chatId: -1001234567,
+    days: [1, 2, 3, 4, 5],
+    hour: 8,
+    minute: 5,
+    stopId: '2443',
+    lines: ['47', '247'],
+    languageCode: 'es',
+    lastRun: '2018-12-03'
+}]
+*/
+
+/**
+ * Parse the days of a rule: "L-V", "S,D", "L,X,V", "diario", "laborables" or
+ * in English "Mon-Fri", "Sat,Sun", "daily", "weekdays"...
+ * Returns the sorted ISO day numbers or undefined if the text is not valid.
+ */
+const parseDays = function (text) {
+    text = _.deburr(_.toUpper(text));
+    if (_.has(dayNames, text)) {
+        return dayNames[text];
+    }
+    let days = [];
+    for (let part of text.split(',')) {
+        let range = part.match(/^([A-Z]+)(?:-([A-Z]+))?$/);
+        if (range === null || !_.has(dayLetters, range[1]) ||
+            (range[2] !== undefined && !_.has(dayLetters, range[2]))) {
+            return undefined;
+        }
+        let first = dayLetters[range[1]];
+        let last = range[2] === undefined ? first : dayLetters[range[2]];
+        if (last < first) {
+            return undefined;
+        }
+        days = _.concat(days, _.range(first, last + 1));
+    }
+    return _.sortBy(_.uniq(days));
+};
+
+/**
+ * Parse a time like 8:05 or 08:05. Returns {hour, minute} or undefined.
+ */
+const parseTime = function (text) {
+    let match = _.toString(text).match(/^(\d{1,2})[:.](\d{2})$/);
+    if (match === null || +match[1] > 23 || +match[2] > 59) {
+        return undefined;
+    }
+    return {
+        hour: +match[1],
+        minute: +match[2]
+    };
+};
+
+/**
+ * Short text for the days of a rule in the language, the opposite of
+ * parseDays.
+ */
+const formatDays = function (days, language) {
+    const t = i18n.translator(language);
+    const name = _.findKey(dayNameKeys, function (value) {
+        return _.isEqual(value, days);
+    });
+    if (name !== undefined) {
+        return t(name);
+    }
+    const letters = _.split(t('days'), ',');
+    return _.join(_.map(days, day => letters[day - 1]), ',');
+};
+
+/**
+ * The time of a schedule in the locale, 08:05 by default.
+ */
+const formatTime = function (schedule, locale) {
+    return i18n.formatTime(schedule.hour, schedule.minute, locale);
+};
+
+const timeFormatter = new Intl.DateTimeFormat('en-US', {
+    timeZone: settings.timeZone,
+    hour12: false,
+    weekday: 'short',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit'
+});
+
+/**
+ * The date and time in the time zone of the bot (Europe/Madrid), which is
+ * what the users mean when they write a time. Intl takes care of DST.
+ */
+const localTime = function (date) {
+    const parts = _.fromPairs(_.map(timeFormatter.formatToParts(date), function (part) {
+        return [part.type, part.value];
+    }));
+    return {
+        date: `${parts.year}-${parts.month}-${parts.day}`,
+        weekday: weekdays[parts.weekday],
+        // Some versions of ICU return 24 for midnight
+        minutes: (+parts.hour % 24) * 60 + (+parts.minute)
+    };
+};
+
+/**
+ * Recurring deliveries of the estimations of a stop to a chat.
+ * Every minute the schedules are checked against the local time. A schedule
+ * is delivered if its time has passed less than scheduleGraceMinutes ago and
+ * it wasn't delivered that day yet, so that restarting the bot around the
+ * time of a schedule neither loses nor repeats it.
+ *
+ * Options:
+ * - store: where the schedules are persisted, indexed by chat.
+ * - onDeliver: function (schedule) called when it's time to deliver.
+ * - clock: object with a now() function, Date by default.
+ */
+const createScheduler = function (options) {
+    const store = options.store;
+    const clock = _.defaultTo(options.clock, Date);
+    let timer;
+
+    const list = function (chatId) {
+        return store.get(`${chatId}`, []);
+    };
+
+    const save = function (chatId, schedules) {
+        if (schedules.length === 0) {
+            store.remove(`${chatId}`);
+        } else {
+            store.set(`${chatId}`, schedules);
+        }
+    };
+
+    /**
+     * Add a schedule to the chat. The language_code of the user that adds it
+     * is kept to deliver it in their language.
+     * Returns the new schedule or undefined if the chat has too many already.
+     */
+    const add = function (chatId, days, time, stopId, lines, languageCode) {
+        let current = list(chatId);
+        if (current.length >= settings.maxSchedules) {
+            return undefined;
+        }
+        const now = localTime(new Date(clock.now()));
+        const schedule = {
+            id: uuid.v4().slice(0, 8),
+            chatId: chatId,
+            days: days,
+            hour: time.hour,
+            minute: time.minute,
+            stopId: `${stopId}`,
+            lines: lines,
+            languageCode: languageCode,
+            lastRun: null
+        };
+        if (now.minutes >= time.hour * 60 + time.minute) {
+            // Don't deliver a schedule created right after its time today
+            schedule.lastRun = now.date;
+        }
+        current.push(schedule);
+        save(chatId, current);
+        return schedule;
+    };
+
+    /**
+     * Remove a schedule from the chat. Returns false if it didn't exist.
+     */
+    const remove = function (chatId, scheduleId) {
+        let current = list(chatId);
+        let removed = _.remove(current, ['id', scheduleId]);
+        save(chatId, current);
+        return removed.length > 0;
+    };
+
+    /**
+     * Whether the time of the schedule was reached between before, the local
+     * time scheduleGraceMinutes ago, and now. The local times are compared
+     * instead of counting the minutes, so a time that doesn't exist on the
+     * day the clocks go forward (02:00-03:00) is reached at the first minute
+     * after the gap.
+     */
+    const isDue = function (schedule, now, before) {
+        const minutes = schedule.hour * 60 + schedule.minute;
+        return _.includes(schedule.days, now.weekday) &&
+            schedule.lastRun !== now.date &&
+            now.minutes >= minutes &&
+            (before.date !== now.date || before.minutes < minutes);
+    };
+
+    const tick = function () {
+        const now = localTime(new Date(clock.now()));
+        const before = localTime(new Date(clock.now() - settings.scheduleGraceMinutes * 60 * 1000));
+        _.forEach(store.keys(), function (chatId) {
+            let current = list(chatId);
+            let due = _.filter(current, function (schedule) {
+                return isDue(schedule, now, before);
+            });
+            if (due.length === 0) {
+                return;
+            }
+            _.forEach(due, function (schedule) {
+                debug(`Delivering schedule ${schedule.id} to ${chatId}`);
+                schedule.lastRun = now.date;
+                options.onDeliver(schedule);
+            });
+            save(chatId, current);
+        });
+    };
+
+    const scheduleTick = function () {
+        // Run right after the start of every minute
+        const delay = 60000 - clock.now() % 60000 + 1000;
+        timer = setTimeout(function () {
+            tick();
+            scheduleTick();
+        }, delay);
+    };
+
+    const start = function () {
+        tick();
+        scheduleTick();
+    };
+
+    const stop = function () {
+        clearTimeout(timer);
+    };
+
+    return {
+        add,
+        list,
+        remove,
+        start,
+        stop
+    };
+};
+
+module.exports = {
+    createScheduler,
+    formatDays,
+    formatTime,
+    localTime,
+    parseDays,
+    parseTime
+};
@@ -0,0 +1,183 @@
+// Copyright (c) 2018 Jesús Fernández <jesus@nublar.net>
+// MIT License
+
+'use strict';
+
+const _ = require('lodash');
+const geo = require('./geo.js');
+
+// Abbreviations used by EMT in the stop names. Both the names and the queries
+// are expanded with this table so that "AV." matches "Avenida" and so on.
+const abbreviations = {
+    AV: 'AVENIDA',
+    AVD: 'AVENIDA',
+    AVDA: 'AVENIDA',
+    CMNO: 'CAMINO',
+    CDAD: 'CIUDAD',
+    CTRA: 'CARRETERA',
+    DR: 'DOCTOR',
+    FCO: 'FRANCISCO',
+    FDEZ: 'FERNANDEZ',
+    GRAL: 'GENERAL',
+    GTA: 'GLORIETA',
+    HNOS: 'HERMANOS',
+    MQUES: 'MARQUES',
+    NTRA: 'NUESTRA',
+    PL: 'PLAZA',
+    PLZA: 'PLAZA',
+    PS: 'PASEO',
+    PSO: 'PASEO',
+    PTA: 'PUERTA',
+    PTO: 'PUERTO',
+    PZA: 'PLAZA',
+    RDA: 'RONDA',
+    RGUEZ: 'RODRIGUEZ',
+    SRA: 'SENORA',
+    STA: 'SANTA',
+    STO: 'SANTO',
+    TRAV: 'TRAVESIA',
+    URB: 'URBANIZACION'
+};
+
+// Abbreviations written with an ordinal indicator, like "Cº DE LA ZARZUELA".
+// They have to be replaced before removing the accents and symbols.
+const ordinalAbbreviations = [
+    [/\bC\s*[º°]/gi, ' CAMINO '],
+    [/\bP\s*[º°]/gi, ' PASEO '],
+    [/\bM\s*ª/gi, ' MARIA '],
+    [/\bN\s*[º°]/gi, ' '],
+    [/\bC\//gi, ' CALLE ']
+];
+
+// Words that don't help finding a stop and match almost every name
+const stopWords = ['DE', 'DEL', 'LA', 'LAS', 'LOS', 'EL', 'Y', 'A'];
+
+/**
+ * Turn a text into a list of uppercase words without accents or symbols and
+ * with the abbreviations expanded.
+ */
+const tokenize = function (text) {
+    let clean = _.reduce(ordinalAbbreviations, function (acc, rule) {
+        return acc.replace(rule[0], rule[1]);
+    }, `${text}`);
+    clean = _.deburr(clean).toUpperCase();
+    return _.map(_.compact(clean.split(/[^A-Z0-9]+/)), function (word) {
+        return _.get(abbreviations, word, word);
+    });
+};
+
+/**
+ * Normalized forms of a stop name. The words are kept to know where each word
+ * starts and the compact form is used to match names where EMT glued some of
+ * the words together (i.e. "PZA.DEALSACIA").
+ */
+const normalizeName = _.memoize(function (name) {
+    const words = tokenize(name);
+    return {
+        words: words,
+        spaced: ' ' + _.join(words, ' '),
+        compact: _.join(words, '')
+    };
+});
+
+/**
+ * Split the query of the user in the terms that will be looked for.
+ */
+const queryTerms = function (query) {
+    return _.uniq(_.filter(tokenize(query), function (term) {
+        return !_.includes(stopWords, term);
+    }));
+};
+
+/**
+ * Score how good a name matches the terms. Returns 0 if any of the terms is
+ * not found in the name.
+ */
+const scoreName = function (name, terms) {
+    const normalized = normalizeName(name);
+    let score = 0;
+    for (let term of terms) {
+        if (normalized.compact.indexOf(term) === -1) {
+            return 0;
+        }
+        if (_.startsWith(normalized.compact, term)) {
+            score += 3;
+        } else if (normalized.spaced.indexOf(' ' + term) !== -1) {
+            score += 2;
+        } else {
+            score += 1;
+        }
+        if (_.includes(normalized.words, term)) {
+            // A whole word is better than a part of it
+            score += 1;
+        }
+    }
+    return score;
+};
+
+/**
+ * Look for the stops whose name matches the query text.
+ * If the location is valid, the matches are ordered by the distance to it,
+ * otherwise they are ranked by how good the name matches the query.
+ * Returns an array of stops.
+ */
+const findStopsByName = function (stops, query, location) {
+    const terms = queryTerms(query);
+    if (terms.length === 0) {
+        return [];
+    }
+    const matches = [];
+    _.forEach(stops, function (stop) {
+        const score = scoreName(_.get(stop, 'Name', ''), terms);
+        if (score > 0) {
+            matches.push({
+                stop: stop,
+                score: score
+            });
+        }
+    });
+    let sorted;
+    if (geo.isValidPosition(location)) {
+        sorted = _.sortBy(matches, function (match) {
+            if (!geo.isValidPosition(match.stop.position)) {
+                return Infinity;
+            }
+            return geo.distance(location, match.stop.position);
+        });
+    } else {
+        sorted = _.orderBy(matches, [
+            'score',
+            match => match.stop.Name.length,
+            match => +match.stop.Id
+        ], ['desc', 'asc', 'asc']);
+    }
+    return _.map(sorted, 'stop');
+};
+
+/**
+ * The stops at most radius metres from the location, the closest first.
+ * Returns an array of stops.
+ */
+const findStopsNear = function (stops, location, radius) {
+    const near = [];
+    _.forEach(stops, function (stop) {
+        if (!geo.isValidPosition(stop.position)) {
+            return;
+        }
+        const distance = geo.distance(location, stop.position);
+        if (distance <= radius) {
+            near.push({
+                stop: stop,
+                distance: distance
+            });
+        }
+    });
+    return _.map(_.sortBy(near, 'distance'), 'stop');
+};
+
+module.exports = {
+    findStopsByName,
+    findStopsNear,
+    queryTerms,
+    tokenize
+};
@@ -0,0 +1,255 @@
+// Copyright (c) 2018 Jesús Fernández <jesus@nublar.net>
+// MIT License
+
+'use strict';
+
+const http = require('http');
+const crypto = require('crypto');
+const url = require('url');
+const _ = require('lodash');
+const P = require('bluebird');
+const debug = require('debug')('bot-server');
+const settings = require('./settings.js');
+const thumbs = require('./thumbs.js');
+
+// Telegram updates are small, anything bigger is not from Telegram
+const maxBodySize = 1024 * 1024;
+
+const send = function (response, status, body) {
+    response.writeHead(status, {
+        'Content-Type': 'application/json'
+    });
+    response.end(JSON.stringify(body));
+};
+
+const readBody = function (request) {
+    return new P(function (resolve, reject) {
+        let chunks = [];
+        let size = 0;
+        request.on('data', function (chunk) {
+            size += chunk.length;
+            if (size > maxBodySize) {
+                reject(new Error('Request too large'));
+                request.destroy();
+                return;
+            }
+            chunks.push(chunk);
+        });
+        request.on('end', () => resolve(Buffer.concat(chunks).toString('utf-8')));
+        request.on('error', reject);
+    });
+};
+
+/**
+ * Compare the secret token in constant time.
+ */
+const isSecretValid = function (received, secret) {
+    if (!_.isString(received) || received.length !== secret.length) {
+        return false;
+    }
+    return crypto.timingSafeEqual(Buffer.from(received), Buffer.from(secret));
+};
+
+/**
+ * A random secret token for the webhook. Telegram only allows letters,
+ * numbers, _ and - in it.
+ */
+const createSecret = function () {
+    return crypto.randomBytes(24).toString('hex');
+};
+
+/**
+ * HTTP server with the webhook that receives the updates from Telegram and
+ * the health endpoints:
+ * - /healthz: the process is up.
+ * - /readyz: the bot can answer queries, that is, the stop catalogue is
+ *   loaded, the upstream API is reachable and the bot is not exiting.
+ * - /metrics: the telemetry in the Prometheus text format, if the telemetry
+ *   has metrics().
+ * And the thumbnails of the inline results in /thumbs/<colour>.png.
+ *
+ * Options:
+ * - telegram: the Telegram client the updates are passed to.
+ * - bot: the bot created with createBot.
+ * - provider: the data provider, to check the upstream API.
+ * - telemetry: the telemetry sink of the bot.
+ * - webhookUrl: URL registered in Telegram, the updates are received in its
+ *   path. Without it the server only has the health endpoints.
+ * - secret: secret token Telegram sends in every update.
+ * - clock: object with a now() function, Date by default.
+ */
+const createServer = function (options) {
+    const telegram = options.telegram;
+    const bot = options.bot;
+    const provider = options.provider;
+    const clock = _.defaultTo(options.clock, Date);
+    const webhookPath = _.isNil(options.webhookUrl) ?
+        undefined :
+        url.parse(options.webhookUrl).pathname;
+    if (webhookPath !== undefined && _.isEmpty(options.secret)) {
+        throw new Error('The webhook needs a secret token');
+    }
+    const upstream = {
+        reachable: null,
+        checked: null,
+        error: null
+    };
+    let probe;
+    let draining = false;
+
+    /**
+     * Check that the upstream API answers, at most every healthCheckInterval
+     * seconds. Concurrent checks share the same request.
+     */
+    const checkUpstream = function () {
+        if (upstream.checked !== null &&
+            clock.now() - upstream.checked < settings.healthCheckInterval * 1000) {
+            return P.resolve(upstream);
+        }
+        if (probe === undefined) {
+            probe = P.try(function () {
+                return provider.getArrivals(settings.healthCheckStop);
+            })
+                .timeout(settings.providerTimeout * 1000)
+                .then(function () {
+                    upstream.reachable = true;
+                    upstream.error = null;
+                })
+                .catch(function (error) {
+                    debug(`Upstream check failed: ${error}`);
+                    upstream.reachable = false;
+                    upstream.error = `${error}`;
+                })
+                .then(function () {
+                    upstream.checked = clock.now();
+                    probe = undefined;
+                    return upstream;
+                });
+        }
+        return probe;
+    };
+
+    const processWebhook = function (request, response) {
+        if (request.method !== 'POST') {
+            return send(response, 405, {
+                error: 'Method not allowed'
+            });
+        }
+        if (!isSecretValid(request.headers['x-telegram-bot-api-secret-token'], options.secret)) {
+            debug('Webhook request with a bad secret token');
+            return send(response, 403, {
+                error: 'Forbidden'
+            });
+        }
+        if (draining) {
+            // Telegram sends the update again later, hopefully to a new instance
+            return send(response, 503, {
+                error: 'Shutting down'
+            });
+        }
+        readBody(request)
+            .then(function (body) {
+                const update = JSON.parse(body);
+                telegram.processUpdate(update);
+                send(response, 200, {});
+            })
+            .catch(function (error) {
+                debug(`Bad webhook request: ${error}`);
+                send(response, 400, {
+                    error: 'Bad request'
+                });
+            });
+    };
+
+    const processReady = function (response) {
+        checkUpstream()
+            .then(function (upstreamStatus) {
+                const catalogue = bot.catalogue.status();
+                const ready = !draining && bot.catalogue.isReady() &&
+                    upstreamStatus.reachable === true;
+                send(response, ready ? 200 : 503, {
+                    ready: ready,
+                    draining: draining,
+                    catalogue: {
+                        ready: bot.catalogue.isReady(),
+                        count: catalogue.count,
+                        source: catalogue.source,
+                        refreshing: catalogue.refreshing
+                    },
+                    upstream: upstreamStatus
+                });
+            });
+    };
+
+    const server = http.createServer(function (request, response) {
+        const path = url.parse(request.url).pathname;
+        if (path === webhookPath) {
+            return processWebhook(request, response);
+        }
+        if (request.method !== 'GET') {
+            return send(response, 405, {
+                error: 'Method not allowed'
+            });
+        }
+        const thumb = /^\/thumbs\/(\w+)\.png$/.exec(path);
+        const png = thumb === null ? undefined : thumbs.getPng(thumb[1]);
+        if (png !== undefined) {
+            response.writeHead(200, {
+                'Content-Type': 'image/png',
+                'Cache-Control': 'public, max-age=86400'
+            });
+            return response.end(png);
+        }
+        switch (path) {
+            case '/healthz':
+                return send(response, 200, {
+                    status: 'ok'
+                });
+            case '/readyz':
+                return processReady(response);
+            case '/metrics':
+                if (!_.isFunction(_.get(options.telemetry, 'metrics'))) {
+                    return send(response, 404, {
+                        error: 'Not found'
+                    });
+                }
+                response.writeHead(200, {
+                    'Content-Type': 'text/plain; version=0.0.4'
+                });
+                return response.end(options.telemetry.metrics());
+            default:
+                return send(response, 404, {
+                    error: 'Not found'
+                });
+        }
+    });
+
+    return {
+        listen: function (port) {
+            return new P(function (resolve, reject) {
+                server.once('error', reject);
+                server.listen(port, function () {
+                    debug(`Listening in port ${server.address().port}`);
+                    resolve(server.address());
+                });
+            });
+        },
+        /**
+         * Stop accepting updates and report that the bot is not ready, so
+         * that no new queries arrive while the current ones are answered.
+         */
+        drain: function () {
+            draining = true;
+        },
+        close: function () {
+            return new P(function (resolve) {
+                server.close(() => resolve());
+            });
+        }
+    };
+};
+
+module.exports = {
+    createSecret,
+    createServer
+};
@@ -5,15 +5,152 @@ const settings = {
     token: process.env.TELEGRAM_BOT_TOKEN,
 
     maxResults: 6, // 50 is the maximum allowed by Telegram
+    // The inline results are shown maxInlineResults at a time (at most 50,
+    // Telegram doesn't allow more), scrolling shows the next ones until all
+    // the matching stops are shown. Telegram keeps them inlineCacheTime
+    // seconds.
+    maxInlineResults: 6,
+    inlineCacheTime: 10,
+
+    // Where the transit data comes from: emt (legacy API), mobilitylabs
+    // (EMT's MobilityLabs v2 API) or fixture (offline, for tests)
+    provider: process.env.EMTBUS_PROVIDER || 'emt',
+    providerTimeout: 10,
+    // The arrivals of a stop are cached for a few seconds, the provider is
+    // called at most rateLimit times per second and, after circuitThreshold
+    // errors in a row, it's not called for circuitCooldown seconds
+    arrivalsCacheTtl: 15,
+    rateLimit: 10,
+    circuitThreshold: 5,
+    circuitCooldown: 30,
+    mobilityLabsUrl: 'https://openapi.emtmadrid.es',
+    mobilityLabsClientId: process.env.MOBILITYLABS_CLIENTID,
+    mobilityLabsPassKey: process.env.MOBILITYLABS_PASSKEY,
+    fixturesPath: process.env.EMTBUS_FIXTURES,
 
     emt_linesxml: './data/Lines.xml',
     emt_nodesxml: './data/NodesLines.xml',
+    // Where `npm run update-data` downloads the XML files from
+    emt_opendataUrl: 'http://opendata.emtmadrid.es/data/opendata/XML/',
+    dataDownloadTimeout: 60,
+
+    // Stop catalogue: it's loaded from the XML or the last snapshot and
+    // refreshed from the API in batches of stop IDs up to catalogueMaxId
+    catalogueMaxId: 6500,
+    catalogueBatchDelay: 2000,
+    catalogueRetries: 3,
+    catalogueRefreshHours: 24,
+    catalogueRetryMinutes: 30,
 
     result_thumb: 'http://i.imgur.com/IG5PB4z.png',
+    // URL where Telegram can reach the HTTP server, like
+    // https://bot.example.com. With it the results get a thumbnail with the
+    // colour of their line served in /thumbs instead of result_thumb.
+    publicUrl: process.env.EMTBUS_PUBLIC_URL,
     // Max column width for the results table
     // For small screen phones it's still too much
     maxColumnWidth: 18,
-    searchRadius: 200
+    // The nearby stops are searched in searchRadius metres and, while there
+    // are less than minNearbyStops, in twice the radius up to maxSearchRadius
+    searchRadius: 200,
+    maxSearchRadius: 1000,
+    minNearbyStops: 3,
+    // Min seconds between updates of the nearby stops for a live location
+    liveLocationInterval: 30,
+    // Seconds between updates of the live location of a bus
+    busLocationInterval: 20,
+
+    // Telegram IDs of the users that can use the admin commands, separated
+    // with commas, and milliseconds between the messages of a /broadcast
+    adminIds: (process.env.EMTBUS_ADMINS || '').split(',')
+        .map(id => id.trim())
+        .filter(id => id.length > 0),
+    broadcastDelay: 100,
+
+    // Directory where the bot keeps the data of the users (favourites...)
+    storagePath: process.env.EMTBUS_STORAGE || './storage',
+    maxFavourites: 10,
+
+    // Arrival alerts: how many a user can have, how long they last (minutes)
+    // and how often the arrivals are polled (seconds)
+    maxAlerts: 3,
+    alertDuration: 60,
+    alertMinInterval: 20,
+    alertMaxInterval: 120,
+
+    // Scheduled deliveries: times are in this time zone, a schedule missed
+    // by less than scheduleGraceMinutes (i.e. a restart) is still delivered
+    timeZone: 'Europe/Madrid',
+    maxSchedules: 5,
+    scheduleGraceMinutes: 5,
+    // The boards of stops of the groups (/tablero) have at most maxBoardStops
+    // stops and are refreshed every boardRefreshMinutes on boardDays (ISO
+    // numbering, 1 = Monday) from boardStartHour to boardEndHour
+    maxBoardStops: 6,
+    boardRefreshMinutes: 5,
+    boardDays: [1, 2, 3, 4, 5],
+    boardStartHour: 7,
+    boardEndHour: 20,
+
+    // Service incidents: the RSS feed of the EMT, downloaded every
+    // incidentsRefreshMinutes, and the JSON file of the operators of the bot,
+    // incidents.json in the storage directory by default. Users can follow the
+    // incidents of up to maxSubscriptions lines.
+    incidentsUrl: process.env.EMTBUS_INCIDENTS_URL,
+    incidentsFile: process.env.EMTBUS_INCIDENTS,
+    incidentsRefreshMinutes: 10,
+    maxSubscriptions: 10,
+
+    // Journeys with /ruta: up to routeCandidates stops match the names of the
+    // origin and the destination, a transfer can be between stops up to
+    // transferRadius metres away and the routes of the lines are kept for
+    // routeCacheHours
+    routeCandidates: 3,
+    transferRadius: 150,
+    routeCacheHours: 24,
+    maxJourneys: 5,
+
+    // History of the arrivals for /fiabilidad, only recorded if
+    // EMTBUS_HISTORY is set: the estimations of the stops queried are logged
+    // in a history-<date>.jsonl file per day and the statistics of the stops
+    // in history.json, in the storage directory. They are written every
+    // historyFlushSeconds and kept for historyDays. A bus that
+    // isn't in the arrivals of a stop anymore arrived if it was less than
+    // arrivalEta seconds away when it was last seen, less than arrivalMaxGap
+    // seconds ago. Lines with less than minReliabilitySamples arrivals are
+    // not shown.
+    recordHistory: !!process.env.EMTBUS_HISTORY,
+    historyDays: 30,
+    historyFlushSeconds: 30,
+    arrivalEta: 120,
+    arrivalMaxGap: 180,
+    minReliabilitySamples: 5,
+
+    // Webhook mode: if webhookUrl is set, Telegram sends the updates to it
+    // instead of the bot polling for them. The HTTP server listens in httpPort
+    // for the updates in the path of webhookUrl and for /healthz and /readyz,
+    // and it's started in polling mode too if PORT is set.
+    // Telegram sends webhookSecret in every update, a random one by default.
+    webhookUrl: process.env.EMTBUS_WEBHOOK_URL,
+    webhookSecret: process.env.EMTBUS_WEBHOOK_SECRET,
+    httpPort: process.env.PORT,
+    defaultHttpPort: 8080,
+    // The upstream API is checked with the arrivals of this stop at most every
+    // healthCheckInterval seconds
+    healthCheckStop: '2443',
+    healthCheckInterval: 60,
+    // Max seconds to wait for the queries being answered when exiting
+    drainTimeout: 10,
+
+    // Where the telemetry is sent, a comma separated list of appinsights
+    // (Azure Application Insights with APPINSIGHTS_INSTRUMENTATIONKEY) and
+    // prometheus (/metrics in the HTTP server). Application Insights by
+    // default if there's a key, nothing otherwise.
+    telemetry: process.env.EMTBUS_TELEMETRY ||
+        (process.env.APPINSIGHTS_INSTRUMENTATIONKEY ? 'appinsights' : ''),
+    // The users are hashed with this salt, a random one on every start if
+    // it's not set
+    telemetrySalt: process.env.EMTBUS_TELEMETRY_SALT
 };
 
 module.exports = settings;
@@ -0,0 +1,366 @@
+// Copyright (c) 2018 Jesús Fernández <jesus@nublar.net>
+// MIT License
+
+'use strict';
+
+const _ = require('lodash');
+const P = require('bluebird');
+const utm = require('utm');
+const settings = require('./settings.js');
+const lines = require('./lines.js');
+const xml2json = require('./xml2json.js');
+const createStore = require('./store.js');
+const debug = require('debug')('bot-cache');
+const debugBuild = require('debug')('bot-build');
+
+// The coordinates in the XML file are UTM (zone 30T) and slightly off
+const utmXoffset = -110;
+const utmYoffset = -197;
+
+/* Example of a stop object from the XML file
+{
+    Node: ['4230'],
+    PosxNode: ['447148,3'],
+    PosyNode: ['4474608'],
+    Name: ['HNOS.GARCIANOBLEJAS-PZA.DEALSACIA'],
+    Lines: ['70/1']
+}
+Stop object from API
+{
+    stopId: '2443',
+    name: 'AV.ABRANTES-PZA.LASMENINAS',
+    postalAddress: 'Av.deAbrantes, 106',
+    longitude: -3.7324823992585,
+    latitude: 40.377653538528,
+    line: [Object]
+}
+
+From API Node:
+{ Wifi: '0',
+  node: 1,
+  name: 'Avenida Valdemarín-Blanca de Castilla',
+  lines: [ '', '161/1/1' ],
+  latitude: 40.47004454502,
+  longitude: -3.782887713069 }
+*/
+
+/**
+ * Lines are written as code/direction (70/1) in the XML and in the API
+ * nodes. Returns the label of the line with the direction or undefined if
+ * the line is not in the Lines XML.
+ */
+const lineLabel = function (rawLine) {
+    let temp = rawLine.split('/');
+    let line = lines.findByCode(temp[0]);
+    if (line === undefined) {
+        debugBuild(`StopBuild->Line '${rawLine}' not found`);
+        return undefined;
+    }
+    let label = line.Label[0];
+    if (temp[1] === '1') {
+        return `${label} ida`;
+    } else {
+        return `${label} vuelta`;
+    }
+};
+
+/**
+ * Convert the UTM coordinates of the XML to latitude and longitude.
+ */
+const xmlPosition = function (rawStop) {
+    try {
+        let x = parseFloat(_.replace(rawStop.PosxNode[0], ',', '.')) + utmXoffset;
+        let y = parseFloat(_.replace(rawStop.PosyNode[0], ',', '.')) + utmYoffset;
+        return utm.toLatLon(x, y, 30, 'T');
+    } catch (error) {
+        debugBuild(`StopBuild->Could not transform UTM to LatLon: ${error}`);
+        return undefined;
+    }
+};
+
+/*
+ * Since the stop objects are different in the REST API and the XML, we build
+ * a new object to have a consistent object across the rest of the functions.
+ * Throws if the raw stop is not any of the known types.
+ */
+const buildStop = function (rawStop) {
+    let newStop = {};
+    let nodeId = _.get(rawStop, 'Node[0]', -1);
+    let stopId = _.get(rawStop, 'stopId', -1);
+    let node = _.get(rawStop, 'node', -1);
+    if (nodeId !== -1) {
+        // Build from XML
+        debugBuild(`StopBuild->Building stop from XML (${nodeId})`);
+        newStop.Id = `${nodeId}`;
+        newStop.Name = _.get(rawStop, 'Name[0]', '');
+        let rawLines = _.compact(_.get(rawStop, 'Lines[0]', '').split(' '));
+        newStop.Lines = _.compact(_.map(rawLines, lineLabel));
+        newStop.position = xmlPosition(rawStop);
+    } else if (stopId !== -1) {
+        // Build from API
+        debugBuild(`StopBuild->Building stop from API:Stop (${stopId})`);
+        newStop.Id = `${stopId}`;
+        newStop.Name = _.get(rawStop, 'name', '');
+        newStop.Lines = _.map(_.concat(rawStop.line, []), function (line) {
+            let label = line.line;
+            if (line.direction === 'B') {
+                return `${label} ida`;
+            } else {
+                return `${label} vuelta`;
+            }
+        });
+        newStop.position = {
+            latitude: rawStop.latitude,
+            longitude: rawStop.longitude
+        };
+    } else if (node !== -1) {
+        // Build from API NodesLines
+        debugBuild(`StopBuild->Building stop from API:Node (${node})`);
+        newStop.Id = `${node}`;
+        newStop.Name = _.get(rawStop, 'name', '');
+        // FIX: there may be missing lines in the XML too so this has to be built in some other way (API call)
+        let rawLines = _.get(rawStop, 'lines', []).filter(x => x.length > 0);
+        newStop.Lines = _.compact(_.map(rawLines, lineLabel));
+        newStop.position = {
+            latitude: rawStop.latitude,
+            longitude: rawStop.longitude
+        };
+    } else {
+        debugBuild('Bad raw stop');
+        throw new Error('StopBuild->Bad raw stop');
+    }
+    return newStop;
+};
+
+/**
+ * Read the stops of the NodesLines XML. The stops that can't be built are
+ * left out. Throws if the file has no stops.
+ */
+const readXml = function () {
+    const regs = _.get(xml2json(settings.emt_nodesxml), 'TABLA.DocumentElement[0].REG');
+    if (_.isEmpty(regs)) {
+        throw new Error(`No stops in ${settings.emt_nodesxml}`);
+    }
+    const newStops = [];
+    _.forEach(regs, function (reg) {
+        try {
+            newStops.push(buildStop(reg));
+        } catch (error) {
+            debug(`Stop catalogue: bad stop in XML: ${error}`);
+        }
+    });
+    return newStops;
+};
+
+/**
+ * Catalogue of Stop objects indexed by their ID.
+ *
+ * It's loaded right away from the last snapshot saved to disk or, the first
+ * time, from the local NodesLines XML, so that queries can be answered while
+ * the catalogue is refreshed from the API in the background. The refresh is
+ * done in batches of IDs and each batch is retried a few times with an
+ * increasing delay. When the refresh finishes, a new snapshot is saved, and
+ * on start the next refresh is scheduled from the time of that snapshot.
+ * The stops are refreshed with the getStops function of the data provider.
+ *
+ * Options (all of them optional):
+ * - storagePath: directory of the snapshot, the one in the settings by default.
+ * - clock: object with a now() function, Date by default.
+ */
+const createStopCatalogue = function (provider, options = {}) {
+    const store = createStore('catalogue', options.storagePath);
+    const clock = _.defaultTo(options.clock, Date);
+    let stops = {};
+    let timer;
+    let stopped = false;
+    const state = {
+        source: 'none',
+        updated: null,
+        refreshing: false,
+        lastRefresh: null,
+        failedBatches: []
+    };
+
+    const replace = function (newStops, source, updated) {
+        stops = _.keyBy(newStops, 'Id');
+        state.source = source;
+        state.updated = updated;
+        debug(`Stop catalogue: ${_.size(stops)} stops from ${source}`);
+    };
+
+    /**
+     * Use the stops of the NodesLines XML, the ones given or the ones read
+     * with readXml.
+     */
+    const loadXml = function (newStops = readXml()) {
+        replace(newStops, 'xml', null);
+    };
+
+    const loadSnapshot = function () {
+        let snapshot = store.get('snapshot');
+        if (snapshot === undefined || _.isEmpty(snapshot.stops)) {
+            return false;
+        }
+        replace(snapshot.stops, 'snapshot', snapshot.updated);
+        return true;
+    };
+
+    const saveSnapshot = function () {
+        store.set('snapshot', {
+            updated: state.updated,
+            stops: _.values(stops)
+        });
+    };
+
+    /**
+     * Get the stops from first to last - 1 from the API, retrying with an
+     * exponential backoff. Returns a Promise that fulfills to the stops or to
+     * undefined if all the attempts failed.
+     */
+    const loadStopBatch = function (first, last, attempt = 1) {
+        return P.try(function () {
+            return provider.getStops(_.range(first, last));
+        })
+            .then(function (results) {
+                debug(`Stop catalogue: results from ${first} to ${last}`);
+                return results;
+            })
+            .catch(function (error) {
+                debug(`Stop catalogue: error in batch ${first}-${last} (attempt ${attempt}): ${error}`);
+                if (attempt >= settings.catalogueRetries) {
+                    return undefined;
+                }
+                let delay = settings.catalogueBatchDelay * Math.pow(2, attempt);
+                return P.delay(delay).then(function () {
+                    return loadStopBatch(first, last, attempt + 1);
+                });
+            });
+    };
+
+    /**
+     * Refresh the whole catalogue from the API, one batch after another.
+     * If every batch succeeded the API is the only source of truth, otherwise
+     * the stops that were loaded are merged with the existing ones.
+     */
+    const refresh = function () {
+        if (state.refreshing) {
+            return P.resolve(false);
+        }
+        debug('Stop catalogue: refreshing...');
+        state.refreshing = true;
+        const batchSize = 100;
+        const failedBatches = [];
+        let refreshed = [];
+        return P.each(_.range(1, settings.catalogueMaxId, batchSize), function (first) {
+            if (stopped) {
+                return;
+            }
+            let last = first + batchSize;
+            return loadStopBatch(first, last)
+                .then(function (batch) {
+                    if (batch === undefined) {
+                        failedBatches.push([first, last]);
+                    } else {
+                        refreshed = _.concat(refreshed, batch);
+                    }
+                    return P.delay(settings.catalogueBatchDelay);
+                });
+        }).then(function () {
+            state.refreshing = false;
+            if (stopped) {
+                // The catalogue was stopped halfway, keep the current stops
+                return false;
+            }
+            state.lastRefresh = clock.now();
+            state.failedBatches = failedBatches;
+            if (refreshed.length === 0) {
+                debug('Stop catalogue: refresh failed');
+                return false;
+            }
+            if (failedBatches.length === 0) {
+                replace(refreshed, 'api', clock.now());
+            } else {
+                debug(`Stop catalogue: ${failedBatches.length} batches failed`);
+                replace(_.values(_.assign({}, stops, _.keyBy(refreshed, 'Id'))), 'api', clock.now());
+            }
+            saveSnapshot();
+            return true;
+        });
+    };
+
+    const scheduleRefresh = function (delay) {
+        if (stopped) {
+            return;
+        }
+        timer = setTimeout(function () {
+            refresh()
+                .catch(function (error) {
+                    debug(`Stop catalogue: refresh error: ${error}`);
+                    return false;
+                })
+                .then(function (refreshed) {
+                    // Try again sooner if the API didn't return anything
+                    scheduleRefresh(refreshed ?
+                        settings.catalogueRefreshHours * 3600 * 1000 :
+                        settings.catalogueRetryMinutes * 60 * 1000);
+                });
+        }, delay);
+    };
+
+    /**
+     * Load the local data and start refreshing from the API. A snapshot
+     * refreshed recently is kept until it's time to refresh it again.
+     */
+    const start = function () {
+        stopped = false;
+        let delay = 0;
+        if (!loadSnapshot()) {
+            try {
+                loadXml();
+            } catch (error) {
+                // The refresh from the API starts right away
+                console.error(`Stop catalogue: ${error}`);
+            }
+        } else if (state.updated !== null) {
+            const age = clock.now() - state.updated;
+            delay = Math.max(settings.catalogueRefreshHours * 3600 * 1000 - age, 0);
+        }
+        scheduleRefresh(delay);
+    };
+
+    const stop = function () {
+        stopped = true;
+        clearTimeout(timer);
+    };
+
+    return {
+        all: function () {
+            return _.values(stops);
+        },
+        get: function (id) {
+            return stops[`${id}`];
+        },
+        ids: function () {
+            return _.keys(stops);
+        },
+        // The catalogue can answer queries as soon as there's any stop
+        isReady: function () {
+            return _.size(stops) > 0;
+        },
+        status: function () {
+            return _.assign({
+                count: _.size(stops)
+            }, state);
+        },
+        loadXml,
+        refresh,
+        start,
+        stop
+    };
+};
+
+module.exports = {
+    buildStop,
+    createStopCatalogue,
+    readXml
+};
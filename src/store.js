@@ -0,0 +1,62 @@
+// Copyright (c) 2018 Jesús Fernández <jesus@nublar.net>
+// MIT License
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const _ = require('lodash');
+const settings = require('./settings.js');
+const debug = require('debug')('bot-store');
+
+/**
+ * A tiny key/value store persisted in a JSON file in the storage directory.
+ * The whole file is written every time something changes, which is fine for
+ * the amount of data the bot keeps (a few entries per user).
+ * The file is written to a temporary file first and then renamed so that a
+ * crash while writing doesn't leave a broken file behind.
+ */
+const createStore = function (name, directory = settings.storagePath) {
+    const filePath = path.join(directory, `${name}.json`);
+    let data = {};
+
+    try {
+        data = JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+        debug(`Store ${name}: loaded ${_.size(data)} keys`);
+    } catch (error) {
+        if (error.code !== 'ENOENT') {
+            console.error(`Store ${name}: could not be loaded: ${error}`);
+        }
+    }
+
+    const save = function () {
+        try {
+            fs.mkdirSync(directory, {
+                recursive: true
+            });
+            fs.writeFileSync(`${filePath}.tmp`, JSON.stringify(data, null, 2), 'utf-8');
+            fs.renameSync(`${filePath}.tmp`, filePath);
+        } catch (error) {
+            console.error(`Store ${name}: could not be saved: ${error}`);
+        }
+    };
+
+    return {
+        get: function (key, defaultValue) {
+            return _.cloneDeep(_.get(data, [key], defaultValue));
+        },
+        set: function (key, value) {
+            data[key] = _.cloneDeep(value);
+            save();
+        },
+        remove: function (key) {
+            delete data[key];
+            save();
+        },
+        keys: function () {
+            return _.keys(data);
+        }
+    };
+};
+
+module.exports = createStore;
@@ -0,0 +1,101 @@
+// Copyright (c) 2018 Jesús Fernández <jesus@nublar.net>
+// MIT License
+
+'use strict';
+
+const _ = require('lodash');
+const settings = require('./settings.js');
+
+/* Example of the subscriptions of a user in the store
+'12345678': {
+    lines: ['027', '150'],
+    languageCode: 'es'
+}
+*/
+
+/**
+ * Lines whose incidents the users want to be told about, persisted in the
+ * given store and indexed by the Telegram user ID. The lines are the codes
+ * of Lines.xml.
+ */
+const createSubscriptions = function (store) {
+    const list = function (userId) {
+        return store.get(`${userId}`, {
+            lines: []
+        }).lines;
+    };
+
+    /**
+     * Subscribe the user to a line. The language_code of the user is kept to
+     * notify them in their language.
+     * Returns 'added', 'exists' or 'full' if the user has too many already.
+     */
+    const add = function (userId, code, languageCode) {
+        let current = list(userId);
+        if (_.includes(current, code)) {
+            return 'exists';
+        }
+        if (current.length >= settings.maxSubscriptions) {
+            return 'full';
+        }
+        current.push(code);
+        store.set(`${userId}`, {
+            lines: current,
+            languageCode: languageCode
+        });
+        return 'added';
+    };
+
+    /**
+     * Unsubscribe the user from a line.
+     * Returns false if the user wasn't subscribed to it.
+     */
+    const remove = function (userId, code) {
+        let subscription = store.get(`${userId}`, {
+            lines: []
+        });
+        if (!_.includes(subscription.lines, code)) {
+            return false;
+        }
+        _.pull(subscription.lines, code);
+        if (subscription.lines.length === 0) {
+            store.remove(`${userId}`);
+        } else {
+            store.set(`${userId}`, subscription);
+        }
+        return true;
+    };
+
+    /**
+     * Unsubscribe the user from all the lines, i.e. when they blocked the bot.
+     */
+    const removeUser = function (userId) {
+        store.remove(`${userId}`);
+    };
+
+    /**
+     * The users subscribed to some of the lines, with their language_code.
+     */
+    const subscribers = function (codes) {
+        return _.compact(_.map(store.keys(), function (userId) {
+            let subscription = store.get(userId);
+            if (_.intersection(subscription.lines, codes).length === 0) {
+                return undefined;
+            }
+            return {
+                userId: userId,
+                languageCode: subscription.languageCode
+            };
+        }));
+    };
+
+    return {
+        add,
+        list,
+        remove,
+        removeUser,
+        subscribers
+    };
+};
+
+module.exports = createSubscriptions;
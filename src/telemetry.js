@@ -0,0 +1,231 @@
+// Copyright (c) 2018 Jesús Fernández <jesus@nublar.net>
+// MIT License
+
+'use strict';
+
+const crypto = require('crypto');
+const _ = require('lodash');
+const settings = require('./settings.js');
+
+/*
+The bot sends its telemetry to a sink with these functions:
+- trackEvent(name, properties): something happened, like an inline query.
+- trackException(error, properties): something failed.
+- trackDuration(name, milliseconds, properties): how long something took,
+  like a call to the EMT API.
+The properties are strings. The users are never sent as they are, only
+hashed with hashUser().
+*/
+
+// Without a salt in the settings the hashes change with every restart
+const salt = _.defaultTo(settings.telemetrySalt, crypto.randomBytes(16).toString('hex'));
+
+/**
+ * An ID for a Telegram user in the telemetry that doesn't tell who they are
+ * but is always the same for the same user.
+ */
+const hashUser = function (userId) {
+    return crypto.createHash('sha256').update(`${salt}:${userId}`).digest('hex').slice(0, 16);
+};
+
+/**
+ * Telemetry sink that discards everything, used when the bot is created
+ * without one (tests, running it locally).
+ */
+const noop = {
+    trackEvent: _.noop,
+    trackException: _.noop,
+    trackDuration: _.noop
+};
+
+/**
+ * Start Azure Application Insights with the instrumentation key in
+ * APPINSIGHTS_INSTRUMENTATIONKEY and send the telemetry to it.
+ */
+const createAppInsights = function () {
+    const appInsights = require('applicationinsights');
+    appInsights
+        .setup(process.env.APPINSIGHTS_INSTRUMENTATIONKEY)
+        .setAutoCollectConsole(false)
+        .setAutoCollectPerformance(false)
+        .setAutoCollectRequests(false)
+        .setAutoCollectDependencies(false)
+        .start();
+    const client = appInsights.defaultClient;
+    return {
+        trackEvent: function (name, properties) {
+            client.trackEvent({
+                name: name,
+                properties: properties
+            });
+        },
+        trackException: function (error, properties) {
+            client.trackException({
+                exception: error instanceof Error ? error : new Error(`${error}`),
+                properties: properties
+            });
+        },
+        trackDuration: function (name, milliseconds, properties) {
+            client.trackMetric({
+                name: name,
+                value: milliseconds,
+                properties: properties
+            });
+        }
+    };
+};
+
+// The properties that are labels of the Prometheus metrics. The rest, like
+// the users, would make too many series.
+const metricLabels = ['command', 'method', 'outcome', 'result'];
+// Buckets of the duration histograms, in seconds
+const durationBuckets = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+const escapeLabel = function (value) {
+    return _.replace(_.replace(_.replace(`${value}`, /\\/g, '\\\\'), /"/g, '\\"'), /\n/g, '\\n');
+};
+
+const formatLabels = function (labels) {
+    const pairs = _.map(_.sortBy(_.toPairs(labels), 0), function (pair) {
+        return `${pair[0]}="${escapeLabel(pair[1])}"`;
+    });
+    return pairs.length === 0 ? '' : `{${_.join(pairs, ',')}}`;
+};
+
+/**
+ * Keep the telemetry as Prometheus metrics, which are exported in the text
+ * format by metrics() for the /metrics endpoint of the HTTP server:
+ * - emtbus_events_total: counter of the events by name and labels.
+ * - emtbus_exceptions_total: counter of the errors.
+ * - emtbus_duration_seconds: histogram of the durations by name and labels.
+ */
+const createPrometheus = function () {
+    const events = {};
+    const durations = {};
+    let exceptions = 0;
+
+    const labelsOf = function (name, properties) {
+        return _.assign({
+            name: name
+        }, _.pick(properties, metricLabels));
+    };
+
+    const metrics = function () {
+        const lines = [
+            '# HELP emtbus_events_total Events of the bot.',
+            '# TYPE emtbus_events_total counter'
+        ];
+        _.forEach(events, function (event) {
+            lines.push(`emtbus_events_total${formatLabels(event.labels)} ${event.count}`);
+        });
+        lines.push('# HELP emtbus_exceptions_total Errors of the bot.');
+        lines.push('# TYPE emtbus_exceptions_total counter');
+        lines.push(`emtbus_exceptions_total ${exceptions}`);
+        lines.push('# HELP emtbus_duration_seconds Duration of the calls to the EMT API and the queries.');
+        lines.push('# TYPE emtbus_duration_seconds histogram');
+        _.forEach(durations, function (duration) {
+            _.forEach(durationBuckets, function (bucket, index) {
+                const labels = formatLabels(_.assign({
+                    le: `${bucket}`
+                }, duration.labels));
+                lines.push(`emtbus_duration_seconds_bucket${labels} ${duration.buckets[index]}`);
+            });
+            lines.push(`emtbus_duration_seconds_bucket${formatLabels(_.assign({
+                le: '+Inf'
+            }, duration.labels))} ${duration.count}`);
+            lines.push(`emtbus_duration_seconds_sum${formatLabels(duration.labels)} ${duration.sum}`);
+            lines.push(`emtbus_duration_seconds_count${formatLabels(duration.labels)} ${duration.count}`);
+        });
+        return `${_.join(lines, '\n')}\n`;
+    };
+
+    return {
+        trackEvent: function (name, properties) {
+            const labels = labelsOf(name, properties);
+            const key = formatLabels(labels);
+            const event = _.defaultTo(events[key], {
+                labels: labels,
+                count: 0
+            });
+            event.count++;
+            events[key] = event;
+        },
+        trackException: function () {
+            exceptions++;
+        },
+        trackDuration: function (name, milliseconds, properties) {
+            const labels = labelsOf(name, properties);
+            const key = formatLabels(labels);
+            const duration = _.defaultTo(durations[key], {
+                labels: labels,
+                buckets: _.map(durationBuckets, _.constant(0)),
+                sum: 0,
+                count: 0
+            });
+            const seconds = milliseconds / 1000;
+            _.forEach(durationBuckets, function (bucket, index) {
+                if (seconds <= bucket) {
+                    duration.buckets[index]++;
+                }
+            });
+            duration.sum += seconds;
+            duration.count++;
+            durations[key] = duration;
+        },
+        metrics: metrics
+    };
+};
+
+/**
+ * A sink that sends everything to all the given sinks. Its metrics() are the
+ * ones of the first sink that has them.
+ */
+const combine = function (sinks) {
+    const forAll = function (method) {
+        return function (...args) {
+            _.forEach(sinks, function (sink) {
+                sink[method].apply(sink, args);
+            });
+        };
+    };
+    const exporter = _.find(sinks, sink => _.isFunction(sink.metrics));
+    return _.omitBy({
+        trackEvent: forAll('trackEvent'),
+        trackException: forAll('trackException'),
+        trackDuration: forAll('trackDuration'),
+        metrics: exporter === undefined ? undefined : exporter.metrics
+    }, _.isUndefined);
+};
+
+const sinks = {
+    appinsights: createAppInsights,
+    prometheus: createPrometheus
+};
+
+/**
+ * The sink for the names in the setting telemetry, like
+ * "appinsights,prometheus". Unknown names are ignored and no names at all
+ * are the no-op sink.
+ */
+const createTelemetry = function (names) {
+    const created = _.compact(_.map(_.split(names, ','), function (name) {
+        const create = sinks[_.toLower(_.trim(name))];
+        if (create === undefined) {
+            if (!_.isEmpty(_.trim(name))) {
+                console.error(`Unknown telemetry sink: ${name}`);
+            }
+            return undefined;
+        }
+        return create();
+    }));
+    return created.length === 0 ? noop : combine(created);
+};
+
+module.exports = {
+    combine,
+    createAppInsights,
+    createPrometheus,
+    createTelemetry,
+    hashUser,
+    noop
+};
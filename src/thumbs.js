@@ -0,0 +1,139 @@
+// Copyright (c) 2018 Jesús Fernández <jesus@nublar.net>
+// MIT License
+
+'use strict';
+
+const zlib = require('zlib');
+const _ = require('lodash');
+const settings = require('./settings.js');
+const lines = require('./lines.js');
+
+// Side of the thumbnails in pixels
+const thumbSize = 64;
+
+// Colours of the lines by the first digit of their group in Lines.xml: 1 the
+// regular ones, 2 the university and express ones, 3 the night ones (búhos),
+// 4 the airport ones and 6 the special services. Lines labelled SE are
+// special services whatever their group.
+const groupColours = {
+    1: '1b5faa',
+    2: '00965e',
+    3: '1d2a4d',
+    4: 'e5a100',
+    6: 'd52b1e'
+};
+const specialColour = groupColours[6];
+const defaultColour = groupColours[1];
+
+/**
+ * The colour of the thumbnails of a line, from its label like N16.
+ */
+const lineColour = function (label) {
+    if (_.startsWith(_.toUpper(label), 'SE')) {
+        return specialColour;
+    }
+    const group = _.get(lines.findByLabel(label), 'GroupNumber[0]', '');
+    return _.get(groupColours, group.charAt(0), defaultColour);
+};
+
+const crcTable = _.map(_.range(256), function (n) {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    }
+    return c >>> 0;
+});
+
+const crc32 = function (buffer) {
+    let crc = 0xffffffff;
+    for (let i = 0; i < buffer.length; i++) {
+        crc = crcTable[(crc ^ buffer[i]) & 0xff] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xffffffff) >>> 0;
+};
+
+const pngChunk = function (type, data) {
+    const length = Buffer.alloc(4);
+    length.writeUInt32BE(data.length);
+    const body = Buffer.concat([Buffer.from(type, 'ascii'), data]);
+    const crc = Buffer.alloc(4);
+    crc.writeUInt32BE(crc32(body));
+    return Buffer.concat([length, body, crc]);
+};
+
+/**
+ * A PNG thumbnail like a bus stop sign: a white ring on a square of the
+ * colour, given in hex as 1b5faa.
+ */
+const createPng = function (colour) {
+    const rgb = [0, 2, 4].map(i => parseInt(colour.substr(i, 2), 16));
+    const centre = (thumbSize - 1) / 2;
+    const rows = _.map(_.range(thumbSize), function (y) {
+        // Each row starts with its filter type, 0 is none
+        const row = Buffer.alloc(1 + thumbSize * 3);
+        for (let x = 0; x < thumbSize; x++) {
+            const distance = Math.sqrt(Math.pow(x - centre, 2) + Math.pow(y - centre, 2));
+            const isRing = distance >= thumbSize * 0.22 && distance <= thumbSize * 0.34;
+            for (let i = 0; i < 3; i++) {
+                row[1 + x * 3 + i] = isRing ? 255 : rgb[i];
+            }
+        }
+        return row;
+    });
+    const header = Buffer.alloc(13);
+    header.writeUInt32BE(thumbSize, 0);
+    header.writeUInt32BE(thumbSize, 4);
+    // 8 bits per channel, truecolour, default compression, filter and no
+    // interlacing
+    header.writeUInt8(8, 8);
+    header.writeUInt8(2, 9);
+    return Buffer.concat([
+        Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+        pngChunk('IHDR', header),
+        pngChunk('IDAT', zlib.deflateSync(Buffer.concat(rows))),
+        pngChunk('IEND', Buffer.alloc(0))
+    ]);
+};
+
+// The thumbnails of the colours of the lines, the only ones served
+const pngs = _.fromPairs(_.map(_.uniq(_.values(groupColours)), function (colour) {
+    return [colour, createPng(colour)];
+}));
+
+/**
+ * The PNG thumbnail of a colour of the lines, or undefined if it isn't one of
+ * them.
+ */
+const getPng = function (colour) {
+    return _.has(pngs, colour) ? pngs[colour] : undefined;
+};
+
+/**
+ * URL of the thumbnail of a line, served by the HTTP server in /thumbs. It's
+ * result_thumb when the server has no public URL.
+ */
+const lineThumb = function (label) {
+    if (_.isEmpty(settings.publicUrl)) {
+        return settings.result_thumb;
+    }
+    return `${_.trimEnd(settings.publicUrl, '/')}/thumbs/${lineColour(label)}.png`;
+};
+
+/**
+ * URL of the thumbnail of a stop, the one of the first line of the filter
+ * or of the stop.
+ */
+const stopThumb = function (stop) {
+    const label = _.isEmpty(stop.lineFilter) ?
+        _.split(_.first(stop.Lines), ' ')[0] :
+        stop.lineFilter[0];
+    return lineThumb(label);
+};
+
+module.exports = {
+    createPng,
+    getPng,
+    lineColour,
+    lineThumb,
+    stopThumb
+};
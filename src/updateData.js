@@ -0,0 +1,207 @@
+// Copyright (c) 2018 Jesús Fernández <jesus@nublar.net>
+// MIT License
+
+'use strict';
+
+/**
+ * Download the open data files of the EMT (Lines.xml and NodesLines.xml),
+ * check that they have the structure the bot expects, compare them with the
+ * current files and, if something changed, replace them and write what
+ * changed to data/CHANGELOG.md.
+ * A running bot notices the new files and reloads them.
+ *
+ * Usage: npm run update-data [-- --dry-run]
+ */
+
+const fs = require('fs');
+const path = require('path');
+const url = require('url');
+const _ = require('lodash');
+const P = require('bluebird');
+const settings = require('./settings.js');
+const xml2json = require('./xml2json.js');
+const download = require('./download.js');
+
+const dataFiles = [{
+    name: 'Lines.xml',
+    path: settings.emt_linesxml,
+    key: 'Line',
+    fields: ['Line', 'Label', 'NameA', 'NameB', 'DateEnd'],
+    compare: ['Label', 'NameA', 'NameB', 'DateEnd'],
+    title: 'Líneas'
+}, {
+    name: 'NodesLines.xml',
+    path: settings.emt_nodesxml,
+    key: 'Node',
+    fields: ['Node', 'Name', 'Lines', 'PosxNode', 'PosyNode'],
+    compare: ['Name', 'Lines'],
+    title: 'Paradas'
+}];
+
+const getRegs = function (json) {
+    return _.get(json, 'TABLA.DocumentElement[0].REG');
+};
+
+const value = function (reg, field) {
+    return _.trim(_.get(reg, [field, 0], ''));
+};
+
+/**
+ * Check that the parsed XML has the structure the rest of the bot expects:
+ * TABLA.DocumentElement[0].REG with the fields of the file in every REG.
+ * Returns a list of problems, which is empty if the file is fine.
+ */
+const validate = function (json, file) {
+    const regs = getRegs(json);
+    if (!_.isArray(regs) || regs.length === 0) {
+        return [`${file.name}: TABLA.DocumentElement[0].REG not found or empty`];
+    }
+    let problems = [];
+    _.forEach(file.fields, function (field) {
+        let missing = _.filter(regs, reg => !_.isArray(reg[field]));
+        if (missing.length > 0) {
+            problems.push(`${file.name}: ${missing.length} records without ${field}`);
+        }
+    });
+    let keys = _.map(regs, reg => value(reg, file.key));
+    let duplicated = _.uniq(_.filter(keys, (key, index) => keys.indexOf(key) !== index));
+    if (duplicated.length > 0) {
+        problems.push(`${file.name}: duplicated ${file.key}: ${_.join(_.take(duplicated, 10), ', ')}`);
+    }
+    return problems;
+};
+
+/**
+ * Compare the records of two versions of a file.
+ * Returns the keys of the added and removed records and the changes in the
+ * compared fields of the records in both versions.
+ */
+const diff = function (oldRegs, newRegs, file) {
+    const oldByKey = _.keyBy(oldRegs, reg => value(reg, file.key));
+    const newByKey = _.keyBy(newRegs, reg => value(reg, file.key));
+    const changed = [];
+    _.forEach(newByKey, function (newReg, key) {
+        let oldReg = oldByKey[key];
+        if (oldReg === undefined) {
+            return;
+        }
+        _.forEach(file.compare, function (field) {
+            let from = value(oldReg, field);
+            let to = value(newReg, field);
+            if (from !== to) {
+                changed.push({
+                    key: key,
+                    field: field,
+                    from: from,
+                    to: to
+                });
+            }
+        });
+    });
+    return {
+        added: _.filter(_.keys(newByKey), key => !_.has(oldByKey, key)),
+        removed: _.filter(_.keys(oldByKey), key => !_.has(newByKey, key)),
+        changed: changed
+    };
+};
+
+const isEmptyDiff = function (changes) {
+    return changes.added.length === 0 && changes.removed.length === 0 &&
+        changes.changed.length === 0;
+};
+
+/**
+ * A Markdown section for the changelog with the changes of every file.
+ */
+const renderChangelog = function (date, results) {
+    let text = `## ${date.toISOString().slice(0, 10)}\n`;
+    _.forEach(results, function (result) {
+        const changes = result.changes;
+        const title = result.file.title;
+        if (isEmptyDiff(changes)) {
+            return;
+        }
+        text += `\n### ${title}\n\n`;
+        if (changes.added.length > 0) {
+            text += `- Nuevas: ${_.join(changes.added, ', ')}\n`;
+        }
+        if (changes.removed.length > 0) {
+            text += `- Eliminadas: ${_.join(changes.removed, ', ')}\n`;
+        }
+        _.forEach(changes.changed, function (change) {
+            text += `- ${change.key} ${change.field}: "${change.from}" → "${change.to}"\n`;
+        });
+    });
+    return text;
+};
+
+/**
+ * Write a file through a temporary file so that the bot never reads a file
+ * that is only half written.
+ */
+const writeFile = function (filePath, content) {
+    fs.writeFileSync(`${filePath}.tmp`, content, 'utf-8');
+    fs.renameSync(`${filePath}.tmp`, filePath);
+};
+
+const update = function (dryRun) {
+    const date = new Date();
+    return P.mapSeries(dataFiles, function (file) {
+        const fileUrl = url.resolve(settings.emt_opendataUrl, file.name);
+        console.log(`Downloading ${fileUrl}`);
+        return download(fileUrl)
+            .then(function (content) {
+                const json = xml2json.parseXml(content);
+                const problems = validate(json, file);
+                if (problems.length > 0) {
+                    throw new Error(`Invalid file:\n${_.join(problems, '\n')}`);
+                }
+                const current = fs.existsSync(file.path) ? getRegs(xml2json(file.path)) : [];
+                return {
+                    file: file,
+                    content: content,
+                    changes: diff(current, getRegs(json), file)
+                };
+            });
+    }).then(function (results) {
+        const changelog = renderChangelog(date, results);
+        console.log(changelog);
+        if (_.every(results, result => isEmptyDiff(result.changes))) {
+            console.log('The data files have not changed');
+            return false;
+        }
+        if (dryRun) {
+            console.log('Dry run, the data files were not changed');
+            return false;
+        }
+        _.forEach(results, function (result) {
+            writeFile(result.file.path, result.content);
+        });
+        const dataDir = path.dirname(settings.emt_nodesxml);
+        const changelogPath = path.join(dataDir, 'CHANGELOG.md');
+        const previous = fs.existsSync(changelogPath) ?
+            fs.readFileSync(changelogPath, 'utf-8').replace(/^# .*\n+/, '') : '';
+        writeFile(changelogPath, `# Cambios en los datos abiertos de la EMT\n\n${changelog}\n${previous}`);
+        writeFile(path.join(dataDir, 'update.txt'),
+            `Last update: ${date.toISOString()}\n` +
+            `Source: ${settings.emt_opendataUrl}\n` +
+            'To update the XML files in this directory run: npm run update-data\n');
+        console.log('The data files were updated');
+        return true;
+    });
+};
+
+if (require.main === module) {
+    update(_.includes(process.argv, '--dry-run'))
+        .catch(function (error) {
+            console.error(`${error}`);
+            process.exitCode = 1;
+        });
+}
+
+module.exports = {
+    diff,
+    renderChangelog,
+    update,
+    validate
+};
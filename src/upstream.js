@@ -0,0 +1,234 @@
+// Copyright (c) 2018 Jesús Fernández <jesus@nublar.net>
+// MIT License
+
+'use strict';
+
+const _ = require('lodash');
+const P = require('bluebird');
+const debug = require('debug')('bot-upstream');
+const settings = require('./settings.js');
+const telemetry = require('./telemetry.js');
+
+// Expired arrivals are removed from the cache when it has more entries
+const maxCacheSize = 1000;
+
+const upstreamError = function (message, code) {
+    let error = new Error(message);
+    error.code = code;
+    return error;
+};
+
+/**
+ * Request layer between the bot and the data provider. It has the same
+ * functions as the provider and adds:
+ * - A cache of the arrivals of each stop for arrivalsCacheTtl seconds, so
+ *   that every keystroke of an inline query and the refresh buttons don't
+ *   call the API again and again.
+ * - Coalescing: the arrivals of a stop that is already being requested are
+ *   not requested again.
+ * - A global rate limiter of rateLimit calls per second. Calls over the limit
+ *   wait for their turn.
+ * - A timeout of providerTimeout seconds for every call, waiting included. A
+ *   call that times out while it waits for its turn is not made.
+ * - A circuit breaker: after circuitThreshold failed calls in a row, the calls
+ *   fail right away with the code 'CIRCUIT_OPEN' for circuitCooldown seconds.
+ *   Then a single call is let through to check whether the API is back.
+ *
+ * The duration of the calls is sent to the telemetry as EmtCall, with the
+ * method and the outcome (ok, error or timeout), and the use of the cache as
+ * ArrivalsCache events, with the result hit or miss.
+ *
+ * Options:
+ * - clock: object with a now() function, Date by default.
+ * - telemetry: sink with trackEvent and trackDuration, none by default.
+ */
+const createUpstream = function (provider, options = {}) {
+    const clock = _.defaultTo(options.clock, Date);
+    const telemetryClient = _.defaultTo(options.telemetry, telemetry.noop);
+    const cache = {};
+    const pending = {};
+    const circuit = {
+        state: 'closed',
+        failures: 0,
+        openUntil: 0,
+        // Whether the call that checks if the API is back has been made
+        trial: false
+    };
+    const stats = {
+        calls: 0,
+        errors: 0,
+        rejected: 0,
+        cacheHits: 0,
+        cacheMisses: 0
+    };
+    let tokens = settings.rateLimit;
+    let lastRefill = clock.now();
+
+    /**
+     * Take a token from the bucket, waiting until there's one or until the
+     * call is given up.
+     * Returns a Promise that fulfills to false if the call was given up.
+     */
+    const acquire = function (isGivenUp) {
+        if (isGivenUp()) {
+            return P.resolve(false);
+        }
+        const now = clock.now();
+        tokens = Math.min(settings.rateLimit,
+            tokens + (now - lastRefill) / 1000 * settings.rateLimit);
+        lastRefill = now;
+        if (tokens >= 1) {
+            tokens -= 1;
+            return P.resolve(true);
+        }
+        return P.delay((1 - tokens) / settings.rateLimit * 1000).then(function () {
+            return acquire(isGivenUp);
+        });
+    };
+
+    const onSuccess = function () {
+        if (circuit.state !== 'closed') {
+            debug('Circuit closed');
+        }
+        circuit.state = 'closed';
+        circuit.failures = 0;
+    };
+
+    const onFailure = function () {
+        circuit.failures++;
+        if (circuit.state === 'half-open' || circuit.failures >= settings.circuitThreshold) {
+            debug(`Circuit open after ${circuit.failures} failures`);
+            circuit.state = 'open';
+            circuit.openUntil = clock.now() + settings.circuitCooldown * 1000;
+        }
+    };
+
+    /**
+     * Call a function of the provider through the circuit breaker, the rate
+     * limiter and the timeout.
+     */
+    const call = function (name, args) {
+        if (circuit.state === 'open' && clock.now() >= circuit.openUntil) {
+            debug('Circuit half-open');
+            circuit.state = 'half-open';
+            circuit.trial = false;
+        }
+        if (circuit.state === 'open' || (circuit.state === 'half-open' && circuit.trial)) {
+            stats.rejected++;
+            telemetryClient.trackEvent('EmtCallRejected', {
+                method: name
+            });
+            return P.reject(upstreamError('The EMT API is not responding', 'CIRCUIT_OPEN'));
+        }
+        if (circuit.state === 'half-open') {
+            circuit.trial = true;
+        }
+        stats.calls++;
+        // The waits of the rate limiter count, they are part of the latency
+        // the users see
+        const startTime = clock.now();
+        const trackCall = function (outcome) {
+            telemetryClient.trackDuration('EmtCall', clock.now() - startTime, {
+                method: name,
+                outcome: outcome
+            });
+        };
+        // A call that times out while it waits for its turn is not made
+        let timedOut = false;
+        return acquire(() => timedOut)
+            .then(function (acquired) {
+                if (!acquired) {
+                    return undefined;
+                }
+                return provider[name].apply(provider, args);
+            })
+            .timeout(settings.providerTimeout * 1000, upstreamError(`Timeout in ${name}`, 'TIMEOUT'))
+            .tapCatch(function (error) {
+                timedOut = _.get(error, 'code') === 'TIMEOUT';
+            })
+            .then(function (result) {
+                trackCall('ok');
+                onSuccess();
+                return result;
+            })
+            .catch(function (error) {
+                debug(`Error in ${name}: ${error}`);
+                trackCall(_.get(error, 'code') === 'TIMEOUT' ? 'timeout' : 'error');
+                stats.errors++;
+                onFailure();
+                throw error;
+            });
+    };
+
+    const pruneCache = function (now) {
+        if (_.size(cache) <= maxCacheSize) {
+            return;
+        }
+        _.forEach(_.keys(cache), function (key) {
+            if (cache[key].expires <= now) {
+                delete cache[key];
+            }
+        });
+    };
+
+    const getArrivals = function (stopId) {
+        const key = `${stopId}`;
+        const cached = cache[key];
+        if (cached !== undefined && clock.now() < cached.expires) {
+            stats.cacheHits++;
+            telemetryClient.trackEvent('ArrivalsCache', {
+                result: 'hit'
+            });
+            // The bot modifies the buses it gets
+            return P.resolve(_.cloneDeep(cached.arrivals));
+        }
+        stats.cacheMisses++;
+        telemetryClient.trackEvent('ArrivalsCache', {
+            result: 'miss'
+        });
+        if (pending[key] === undefined) {
+            pending[key] = call('getArrivals', [stopId])
+                .then(function (arrivals) {
+                    const now = clock.now();
+                    pruneCache(now);
+                    cache[key] = {
+                        arrivals: arrivals,
+                        expires: now + settings.arrivalsCacheTtl * 1000
+                    };
+                    return arrivals;
+                })
+                .finally(function () {
+                    delete pending[key];
+                });
+        }
+        return pending[key].then(_.cloneDeep);
+    };
+
+    return {
+        name: provider.name,
+        getArrivals: getArrivals,
+        getStopsFromLocation: function (location, radius) {
+            return call('getStopsFromLocation', [location, radius]);
+        },
+        getStops: function (ids) {
+            return call('getStops', [ids]);
+        },
+        getLineStops: function (lineCode, direction) {
+            return call('getLineStops', [lineCode, direction]);
+        },
+        status: function () {
+            return _.assign({
+                circuit: circuit.state,
+                failures: circuit.failures,
+                cacheSize: _.size(cache)
+            }, stats);
+        },
+        clearCache: function () {
+            _.forEach(_.keys(cache), function (key) {
+                delete cache[key];
+            });
+        }
+    };
+};
+
+module.exports = createUpstream;
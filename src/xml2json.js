@@ -6,17 +6,31 @@
 const fs = require('fs');
 const xml2js = require('xml2js');
 
+/**
+ * Parse an XML string. xml2js calls the callback synchronously so the result
+ * can be returned right away. Throws if the XML is not valid.
+ */
+const parseXml = function (text) {
+    let json, error;
+    xml2js.parseString(text, function (err, result) {
+        error = err;
+        json = result;
+    });
+    if (error) {
+        throw error;
+    }
+    return json;
+};
+
 const xml2json = function (filePath) {
-    let json;
     try {
         let fileData = fs.readFileSync(filePath, 'utf-8');
-        xml2js.parseString(fileData, function (err, result) {
-            json = result;
-        });
-        return json;
+        return parseXml(fileData);
     } catch (ex) {
         console.log(ex);
     }
 };
 
-module.exports = xml2json;
\ No newline at end of file
+xml2json.parseXml = parseXml;
+
+module.exports = xml2json;
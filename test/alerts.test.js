@@ -0,0 +1,155 @@
+// Copyright (c) 2018 Jesús Fernández <jesus@nublar.net>
+// MIT License
+
+'use strict';
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const _ = require('lodash');
+const P = require('bluebird');
+const settings = require('../src/settings.js');
+const createAlerts = require('../src/alerts.js');
+const createStore = require('../src/store.js');
+const waitFor = require('./helpers/waitFor.js');
+
+const bus = function (line, seconds) {
+    return {
+        lineId: line,
+        busTimeLeft: seconds
+    };
+};
+
+describe('alerts', function () {
+    const saved = _.pick(settings, ['maxAlerts', 'alertMinInterval', 'alertMaxInterval']);
+    let storagePath;
+    let now;
+    let responses;
+    let queried;
+    let triggered;
+    let expired;
+    let alerts;
+
+    const create = function () {
+        alerts = createAlerts({
+            store: createStore('alerts', storagePath),
+            clock: {
+                now: () => now
+            },
+            // Each poll gets the next response, the last one is repeated
+            getArrivals: function (stopId) {
+                queried.push(stopId);
+                const response = responses.length > 1 ? responses.shift() : responses[0];
+                return response instanceof Error ? P.reject(response) : P.resolve(response);
+            },
+            onTrigger: function (alert, next) {
+                triggered.push([alert.id, next]);
+            },
+            onExpire: function (alert) {
+                expired.push(alert.id);
+            }
+        });
+        return alerts;
+    };
+
+    beforeEach(function () {
+        storagePath = fs.mkdtempSync(path.join(os.tmpdir(), 'emtbus-'));
+        now = Date.parse('2019-01-07T08:00:00Z');
+        responses = [[]];
+        queried = [];
+        triggered = [];
+        expired = [];
+        // Poll every few milliseconds
+        settings.alertMinInterval = 0.005;
+        settings.alertMaxInterval = 0.01;
+        create();
+    });
+
+    afterEach(function () {
+        alerts.stop();
+        _.assign(settings, saved);
+        _.forEach(fs.readdirSync(storagePath), function (file) {
+            fs.unlinkSync(path.join(storagePath, file));
+        });
+        fs.rmdirSync(storagePath);
+    });
+
+    it('creates the alerts for the line in upper case', function () {
+        const alert = alerts.create(1, 10, 2443, 'n16', 5, 'es');
+        assert.deepStrictEqual(_.omit(alert, 'id'), {
+            userId: 1,
+            chatId: 10,
+            stopId: '2443',
+            line: 'N16',
+            minutes: 5,
+            languageCode: 'es',
+            created: now,
+            expires: now + settings.alertDuration * 60 * 1000
+        });
+        assert.deepStrictEqual(alerts.list(1), [alert]);
+    });
+
+    it('notifies when the next bus of the line is close enough', function () {
+        // Other lines and the buses far away are not taken into account
+        responses = [[bus('27', 600)], [bus('47', 60), bus('27', 999999)], [bus('27', 400), bus('27', 290)]];
+        const alert = alerts.create(1, 10, '2443', '27', 5, 'es');
+        return waitFor(() => triggered.length > 0).then(function () {
+            assert.deepStrictEqual(triggered, [[alert.id, bus('27', 290)]]);
+            assert.deepStrictEqual(queried, ['2443', '2443', '2443']);
+            assert.deepStrictEqual(alerts.list(1), []);
+        });
+    });
+
+    it('keeps polling when the arrivals can\'t be loaded', function () {
+        responses = [new Error('EMT is down'), [bus('27', 60)]];
+        const alert = alerts.create(1, 10, '2443', '27', 5, 'es');
+        return waitFor(() => triggered.length > 0).then(function () {
+            assert.deepStrictEqual(triggered, [[alert.id, bus('27', 60)]]);
+        });
+    });
+
+    it('doesn\'t create more alerts than the maximum', function () {
+        settings.maxAlerts = 2;
+        alerts.create(1, 10, '2443', '27', 5, 'es');
+        alerts.create(1, 10, '2443', '34', 5, 'es');
+        assert.strictEqual(alerts.create(1, 10, '72', '27', 5, 'es'), undefined);
+        assert.notStrictEqual(alerts.create(2, 20, '72', '27', 5, 'es'), undefined);
+    });
+
+    it('cancels the alerts', function () {
+        const alert = alerts.create(1, 10, '2443', '27', 5, 'es');
+        assert.strictEqual(alerts.cancel(1, alert.id), true);
+        assert.strictEqual(alerts.cancel(1, alert.id), false);
+        return P.delay(50).then(function () {
+            assert.deepStrictEqual(queried, []);
+            assert.deepStrictEqual(alerts.list(1), []);
+        });
+    });
+
+    it('polls the alerts again when the bot restarts', function () {
+        responses = [[bus('27', 600)], [bus('27', 60)]];
+        const alert = alerts.create(1, 10, '2443', '27', 5, 'es');
+        alerts.stop();
+        return P.delay(50)
+            .then(function () {
+                assert.deepStrictEqual(triggered, []);
+                create().start();
+                return waitFor(() => triggered.length > 0);
+            })
+            .then(function () {
+                assert.deepStrictEqual(triggered, [[alert.id, bus('27', 60)]]);
+            });
+    });
+
+    it('expires the alerts', function () {
+        const alert = alerts.create(1, 10, '2443', '27', 5, 'es');
+        alerts.stop();
+        now += settings.alertDuration * 60 * 1000;
+        create().start();
+        return waitFor(() => expired.length > 0).then(function () {
+            assert.deepStrictEqual(expired, [alert.id]);
+            assert.deepStrictEqual(alerts.list(1), []);
+        });
+    });
+});
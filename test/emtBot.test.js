@@ -0,0 +1,1360 @@
+// Copyright (c) 2018 Jesús Fernández <jesus@nublar.net>
+// MIT License
+
+'use strict';
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const _ = require('lodash');
+const P = require('bluebird');
+const settings = require('../src/settings.js');
+const createBot = require('../src/emtBot.js');
+const lines = require('../src/lines.js');
+const createProvider = require('../src/providers');
+const createFakeTelegram = require('./helpers/fakeTelegram.js');
+const updates = require('./fixtures/updates.json');
+
+const uuidPattern = /^[0-9a-f]{8}-[0-9a-f]{4}-4[0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/;
+
+/**
+ * The IDs of the inline results are random, so they are checked and replaced
+ * with 'uuid' to compare the calls with the recorded ones.
+ */
+const normalize = function (calls) {
+    return _.map(calls, function (call) {
+        if (call.method === 'answerInlineQuery') {
+            _.forEach(call.args[1], function (result) {
+                assert.ok(uuidPattern.test(result.id), `Bad result ID: ${result.id}`);
+                result.id = 'uuid';
+            });
+        }
+        return call;
+    });
+};
+
+/**
+ * Create a bot with a fake Telegram client and the given provider, with the
+ * stops of the XML and without refreshing them from the provider. The clock
+ * is stopped at 2019-01-01T08:00:00Z unless another one is given.
+ */
+const createTestBot = function (provider, storagePath, clock) {
+    const telegram = createFakeTelegram();
+    const bot = createBot({
+        telegram: telegram,
+        provider: provider,
+        clock: _.defaultTo(clock, {
+            now: () => Date.parse('2019-01-01T08:00:00Z')
+        }),
+        storagePath: storagePath
+    });
+    bot.catalogue.loadXml();
+    return bot;
+};
+
+describe('emtBot', function () {
+    let storagePath;
+
+    beforeEach(function () {
+        storagePath = fs.mkdtempSync(path.join(os.tmpdir(), 'emtbus-'));
+    });
+
+    afterEach(function () {
+        _.forEach(fs.readdirSync(storagePath), function (file) {
+            fs.unlinkSync(path.join(storagePath, file));
+        });
+        fs.rmdirSync(storagePath);
+    });
+
+    _.forEach(['inline_query', 'callback_query'], function (type) {
+        describe(type, function () {
+            _.forEach(updates[type], function (recorded) {
+                it(recorded.description, function () {
+                    // A recorded update can change the fixtures of the provider
+                    const bot = createTestBot(createProvider('fixture', _.assign({
+                        fixturesPath: path.join(__dirname, 'fixtures', 'provider.json')
+                    }, recorded.provider)), storagePath);
+                    bot.telegram.processUpdate(recorded.update);
+                    return bot.telegram.waitForCalls(recorded.expected.length)
+                        .then(function (calls) {
+                            assert.deepStrictEqual(normalize(calls), recorded.expected);
+                        });
+                });
+            });
+        });
+    });
+
+    describe('preferences', function () {
+        const from = {
+            id: 42,
+            is_bot: false,
+            first_name: 'Ana'
+        };
+
+        it('answers in the format chosen by the user', function () {
+            const bot = createTestBot(createProvider('fixture', {
+                fixturesPath: path.join(__dirname, 'fixtures', 'provider.json')
+            }), storagePath);
+            bot.telegram.processUpdate({
+                update_id: 20,
+                message: {
+                    message_id: 5,
+                    from: from,
+                    chat: {
+                        id: 42,
+                        type: 'private'
+                    },
+                    date: 1546329600,
+                    text: '/formato'
+                }
+            });
+            return bot.telegram.waitForCalls(1)
+                .then(function (calls) {
+                    assert.strictEqual(calls[0].method, 'sendMessage');
+                    assert.deepStrictEqual(_.map(calls[0].args[2].reply_markup.inline_keyboard[0], 'text'),
+                        ['✓ Tabla', 'Tabla HTML', 'Compacto']);
+                    bot.telegram.reset();
+                    bot.telegram.processUpdate({
+                        update_id: 21,
+                        callback_query: {
+                            id: '300',
+                            from: from,
+                            message: {
+                                message_id: 6,
+                                chat: {
+                                    id: 42,
+                                    type: 'private'
+                                },
+                                date: 1546329600
+                            },
+                            data: 'fmt:format:compact'
+                        }
+                    });
+                    return bot.telegram.waitForCalls(2);
+                })
+                .then(function (calls) {
+                    assert.deepStrictEqual(calls[0].args, ['300', {
+                        text: 'Formato cambiado'
+                    }]);
+                    assert.deepStrictEqual(_.map(calls[1].args[1].reply_markup.inline_keyboard[0], 'text'),
+                        ['Tabla', 'Tabla HTML', '✓ Compacto']);
+                    bot.telegram.reset();
+                    bot.telegram.processUpdate(updates.inline_query[1].update);
+                    return bot.telegram.waitForCalls(1);
+                })
+                .then(function (calls) {
+                    const results = calls[0].args[1];
+                    assert.deepStrictEqual(results[0].input_message_content, {
+                        message_text: '2443 AV.ABRANTES-PZA.LAS MENINAS\n' +
+                            '108 CIUDAD DE LOS ANGELES: 11*\r\n* sale de cabecera',
+                        disable_web_page_preview: true
+                    });
+                    assert.strictEqual(calls[0].args[2].is_personal, true);
+                });
+        });
+
+        it('answers in the language of Telegram', function () {
+            const bot = createTestBot(createProvider('fixture', {
+                fixturesPath: path.join(__dirname, 'fixtures', 'provider.json')
+            }), storagePath);
+            const update = _.cloneDeep(updates.inline_query[0].update);
+            update.inline_query.from.language_code = 'en-US';
+            bot.telegram.processUpdate(update);
+            return bot.telegram.waitForCalls(1)
+                .then(function (calls) {
+                    const result = calls[0].args[1][0];
+                    assert.strictEqual(result.description, 'Lines: 47 outbound, 108 outbound');
+                    assert.strictEqual(result.reply_markup.inline_keyboard[0][0].text, 'Refresh');
+                    assert.ok(result.input_message_content.message_text.endsWith('[Where is the stop?]' +
+                        '(https://www.google.com/maps/@40.37765419498989,-3.732483072779654,19z)'));
+                    assert.strictEqual(calls[0].args[2].is_personal, true);
+                });
+        });
+
+        it('answers in the language chosen by the user', function () {
+            const bot = createTestBot(createProvider('fixture', {
+                fixturesPath: path.join(__dirname, 'fixtures', 'provider.json')
+            }), storagePath);
+            const english = _.assign({
+                language_code: 'en'
+            }, from);
+            bot.telegram.processUpdate({
+                update_id: 22,
+                message: {
+                    message_id: 7,
+                    from: english,
+                    chat: {
+                        id: 42,
+                        type: 'private'
+                    },
+                    date: 1546329600,
+                    text: '/idioma'
+                }
+            });
+            return bot.telegram.waitForCalls(1)
+                .then(function (calls) {
+                    assert.deepStrictEqual(_.map(_.flatten(calls[0].args[2].reply_markup.inline_keyboard), 'text'),
+                        ['Español', 'English', '✓ Automatic']);
+                    bot.telegram.reset();
+                    bot.telegram.processUpdate({
+                        update_id: 23,
+                        callback_query: {
+                            id: '301',
+                            from: english,
+                            message: {
+                                message_id: 8,
+                                chat: {
+                                    id: 42,
+                                    type: 'private'
+                                },
+                                date: 1546329600
+                            },
+                            data: 'fmt:language:es'
+                        }
+                    });
+                    return bot.telegram.waitForCalls(2);
+                })
+                .then(function (calls) {
+                    assert.deepStrictEqual(calls[0].args, ['301', {
+                        text: 'Idioma cambiado'
+                    }]);
+                    assert.deepStrictEqual(_.map(_.flatten(calls[1].args[1].reply_markup.inline_keyboard), 'text'),
+                        ['✓ Español', 'English', 'Automático']);
+                    bot.telegram.reset();
+                    const update = _.cloneDeep(updates.inline_query[0].update);
+                    update.inline_query.from.language_code = 'en';
+                    bot.telegram.processUpdate(update);
+                    return bot.telegram.waitForCalls(1);
+                })
+                .then(function (calls) {
+                    assert.deepStrictEqual(normalize(calls), updates.inline_query[0].expected);
+                });
+        });
+    });
+
+    describe('incidents', function () {
+        const from = {
+            id: 42,
+            is_bot: false,
+            first_name: 'Ana'
+        };
+
+        const writeIncidents = function (incidents) {
+            fs.writeFileSync(path.join(storagePath, 'incidents.json'), JSON.stringify(incidents));
+        };
+
+        const diversion = {
+            id: 'desvio-47',
+            title: 'Desvío del 47 por obras',
+            lines: ['47'],
+            until: '2019-02-01T00:00:00+01:00'
+        };
+
+        it('shows the incidents of the stop', function () {
+            writeIncidents([diversion]);
+            const bot = createTestBot(createProvider('fixture', {
+                fixturesPath: path.join(__dirname, 'fixtures', 'provider.json')
+            }), storagePath);
+            bot.telegram.processUpdate(updates.inline_query[0].update);
+            return bot.telegram.waitForCalls(1)
+                .then(function (calls) {
+                    const result = calls[0].args[1][0];
+                    assert.strictEqual(result.description, '⚠️ Desvío del 47 por obras · Líneas: 47 ida, 108 ida');
+                    assert.strictEqual(_.split(result.input_message_content.message_text, '\n')[1],
+                        '⚠️ Desvío del 47 por obras');
+                });
+        });
+
+        it('tells the users that follow a line about its new incidents', function () {
+            writeIncidents([]);
+            const bot = createTestBot(createProvider('fixture', {
+                fixturesPath: path.join(__dirname, 'fixtures', 'provider.json')
+            }), storagePath);
+            bot.telegram.processUpdate({
+                update_id: 30,
+                message: {
+                    message_id: 9,
+                    from: from,
+                    chat: {
+                        id: 42,
+                        type: 'private'
+                    },
+                    date: 1546329600,
+                    text: '/incidencias add 47'
+                }
+            });
+            return bot.telegram.waitForCalls(1)
+                .then(function (calls) {
+                    assert.deepStrictEqual(calls[0].args, [42, 'Te avisaré de las incidencias de la línea 47.']);
+                    bot.telegram.reset();
+                    writeIncidents([diversion]);
+                    return bot.incidents.reload();
+                })
+                .then(function () {
+                    return bot.telegram.waitForCalls(1);
+                })
+                .then(function (calls) {
+                    assert.deepStrictEqual(calls, [{
+                        method: 'sendMessage',
+                        args: ['42', '⚠️ Nueva incidencia en la línea 47:\r\nDesvío del 47 por obras', {
+                            disable_web_page_preview: true
+                        }]
+                    }]);
+                });
+        });
+
+        it('stops telling the users that blocked the bot', function () {
+            writeIncidents([]);
+            const bot = createTestBot(createProvider('fixture'), storagePath);
+            bot.telegram.processUpdate({
+                update_id: 31,
+                message: {
+                    message_id: 10,
+                    from: from,
+                    chat: {
+                        id: 42,
+                        type: 'private'
+                    },
+                    date: 1546329600,
+                    text: '/incidencias add 47'
+                }
+            });
+            let sent = 0;
+            return bot.telegram.waitForCalls(1)
+                .then(function () {
+                    bot.telegram.sendMessage = function () {
+                        sent++;
+                        const error = new Error('ETELEGRAM: 403 Forbidden: bot was blocked by the user');
+                        error.response = {
+                            statusCode: 403
+                        };
+                        return P.reject(error);
+                    };
+                    writeIncidents([diversion]);
+                    return bot.incidents.reload();
+                })
+                .then(function () {
+                    return P.delay(settings.broadcastDelay * 2);
+                })
+                .then(function () {
+                    assert.strictEqual(sent, 1);
+                    writeIncidents([diversion, _.assign({}, diversion, {
+                        id: 'desvio-47-2'
+                    })]);
+                    return bot.incidents.reload();
+                })
+                .then(function () {
+                    return P.delay(settings.broadcastDelay * 2);
+                })
+                .then(function () {
+                    assert.strictEqual(sent, 1);
+                });
+        });
+    });
+
+    describe('stop messages', function () {
+        let bot;
+
+        const send = function (text, chatType = 'private') {
+            bot.telegram.reset();
+            bot.telegram.processUpdate({
+                update_id: 36,
+                message: {
+                    message_id: 8,
+                    from: {
+                        id: 42,
+                        is_bot: false,
+                        first_name: 'Ana',
+                        language_code: 'es'
+                    },
+                    chat: {
+                        id: chatType === 'private' ? 42 : -5,
+                        type: chatType
+                    },
+                    date: 1546329600,
+                    text: text
+                }
+            });
+        };
+
+        const reply = function () {
+            return bot.telegram.waitForCalls(1)
+                .then(calls => calls[0].args);
+        };
+
+        beforeEach(function () {
+            bot = createTestBot(createProvider('fixture', {
+                fixturesPath: path.join(__dirname, 'fixtures', 'provider.json')
+            }), storagePath);
+        });
+
+        it('answers the stop number written in a private chat', function () {
+            send('2443');
+            return reply().then(function (args) {
+                const expected = _.find(updates.inline_query, ['description', 'answers a stop number']);
+                const result = expected.expected[0].args[1][0];
+                assert.strictEqual(args[0], 42);
+                assert.strictEqual(args[1], result.input_message_content.message_text);
+                assert.strictEqual(args[2].reply_markup.inline_keyboard[0][0].callback_data, 'refresh:2443');
+            });
+        });
+
+        it('asks which stop when several of them match', function () {
+            send('alsacia');
+            return reply().then(function (args) {
+                assert.strictEqual(args[1], '¿Qué parada?');
+                const buttons = _.flatten(args[2].reply_markup.inline_keyboard);
+                assert.deepStrictEqual(_.head(buttons), {
+                    text: '5746 - PZA.DE ALSACIA',
+                    callback_data: 'refresh:5746'
+                });
+            });
+        });
+
+        it('tells when the stop doesn\'t exist', function () {
+            send('zzzzqq');
+            return reply().then(function (args) {
+                assert.ok(args[1].startsWith('No encuentro la parada "zzzzqq".\r\nEscribe el número'));
+            });
+        });
+
+        it('only answers /parada in groups', function () {
+            send('2443 47', 'group');
+            return P.delay(100)
+                .then(function () {
+                    assert.deepStrictEqual(bot.telegram.calls, []);
+                    send('/parada 2443 47', 'group');
+                    return reply();
+                })
+                .then(function (args) {
+                    assert.strictEqual(args[0], -5);
+                    assert.ok(args[1].startsWith('*2443* AV.ABRANTES-PZA.LAS MENINAS\n`47 CARABANCHEL ALTO <<< +20`'), args[1]);
+                    assert.strictEqual(args[2].reply_markup.inline_keyboard[0][0].callback_data, 'refresh:2443:47');
+                    send('/parada');
+                    return reply();
+                })
+                .then(function (args) {
+                    assert.ok(args[1].startsWith('Escribe el número de una parada'));
+                });
+        });
+    });
+
+    describe('locations', function () {
+        const liveLocationInterval = settings.liveLocationInterval;
+        let bot;
+
+        const message = function (location, chatType = 'private') {
+            return {
+                message_id: 8,
+                from: {
+                    id: 42,
+                    is_bot: false,
+                    first_name: 'Ana',
+                    language_code: 'es'
+                },
+                chat: {
+                    id: 42,
+                    type: chatType
+                },
+                date: 1546329600,
+                location: location
+            };
+        };
+
+        const location = {
+            latitude: 40.3776,
+            longitude: -3.7324
+        };
+
+        const liveLocation = _.assign({
+            live_period: 900
+        }, location);
+
+        beforeEach(function () {
+            bot = createTestBot(createProvider('fixture', {
+                fixturesPath: path.join(__dirname, 'fixtures', 'provider.json')
+            }), storagePath);
+        });
+
+        afterEach(function () {
+            settings.liveLocationInterval = liveLocationInterval;
+        });
+
+        it('answers the nearby stops of a location', function () {
+            bot.telegram.processUpdate({
+                update_id: 40,
+                message: message(location)
+            });
+            return bot.telegram.waitForCalls(1)
+                .then(function (calls) {
+                    const args = calls[0].args;
+                    assert.strictEqual(args[0], 42);
+                    assert.ok(args[1].startsWith('📍 Paradas cercanas\r\n\r\n*2443* AV.ABRANTES-PZA.LAS MENINAS\n'), args[1]);
+                    assert.deepStrictEqual(args[2], {
+                        parse_mode: 'Markdown',
+                        disable_web_page_preview: true,
+                        reply_to_message_id: 8
+                    });
+                });
+        });
+
+        it('edits the answer to a live location as it moves', function () {
+            settings.liveLocationInterval = 0;
+            bot.telegram.processUpdate({
+                update_id: 41,
+                message: message(liveLocation)
+            });
+            return bot.telegram.waitForCalls(1)
+                .then(function (calls) {
+                    assert.ok(calls[0].args[1].startsWith('📍 Paradas cercanas (se actualizan'));
+                    bot.telegram.reset();
+                    bot.telegram.processUpdate({
+                        update_id: 42,
+                        edited_message: _.assign(message(liveLocation), {
+                            edit_date: 1546329630
+                        })
+                    });
+                    return bot.telegram.waitForCalls(1);
+                })
+                .then(function (calls) {
+                    assert.strictEqual(calls[0].method, 'editMessageText');
+                    assert.deepStrictEqual(_.pick(calls[0].args[1], ['chat_id', 'message_id']), {
+                        chat_id: 42,
+                        message_id: 1000
+                    });
+                });
+        });
+
+        it('ignores the locations sent to groups', function () {
+            bot.telegram.processUpdate({
+                update_id: 43,
+                message: message(location, 'group')
+            });
+            return P.delay(100).then(function () {
+                assert.deepStrictEqual(bot.telegram.calls, []);
+            });
+        });
+    });
+
+    describe('favourites', function () {
+        let bot;
+
+        const send = function (text) {
+            bot.telegram.reset();
+            bot.telegram.processUpdate({
+                update_id: 35,
+                message: {
+                    message_id: 8,
+                    from: {
+                        id: 42,
+                        is_bot: false,
+                        first_name: 'Ana',
+                        language_code: 'en'
+                    },
+                    chat: {
+                        id: 42,
+                        type: 'private'
+                    },
+                    date: 1546329600,
+                    text: text
+                }
+            });
+            return bot.telegram.waitForCalls(1)
+                .then(calls => calls[0].args);
+        };
+
+        beforeEach(function () {
+            bot = createTestBot(createProvider('fixture'), storagePath);
+        });
+
+        it('names the unknown stops in the language of the user', function () {
+            return send('/fav add 99999')
+                .then(function (args) {
+                    assert.deepStrictEqual(args, [42, 'Stop 99999 added to your favourites.']);
+                    return send('/fav list');
+                })
+                .then(function (args) {
+                    assert.strictEqual(args[1], 'Your favourite stops:\r\n*99999* Stop 99999 ');
+                });
+        });
+
+        it('explains how to remove a favourite without a stop', function () {
+            return send('/fav remove')
+                .then(function (args) {
+                    assert.ok(args[1].startsWith('You can save your favourite stops'));
+                });
+        });
+    });
+
+    describe('journeys', function () {
+        it('answers the journeys between two stops', function () {
+            const bot = createTestBot(createProvider('fixture', {
+                fixturesPath: path.join(__dirname, 'fixtures', 'provider.json')
+            }), storagePath);
+            bot.telegram.processUpdate({
+                update_id: 40,
+                message: {
+                    message_id: 10,
+                    from: {
+                        id: 42,
+                        is_bot: false,
+                        first_name: 'Ana'
+                    },
+                    chat: {
+                        id: 42,
+                        type: 'private'
+                    },
+                    date: 1546329600,
+                    text: '/ruta 2443 2444'
+                }
+            });
+            return bot.telegram.waitForCalls(1)
+                .then(function (calls) {
+                    assert.strictEqual(calls[0].args[0], 42);
+                    assert.ok(calls[0].args[1].startsWith('Rutas de 2443 a 2444\r\n\r\n' +
+                        '1. El 47 está llegando\r\n' +
+                        '🚌 47: 2443 AV.ABRANTES-PZA.LAS MENINAS → 2444 AV.ABRANTES-PZA.MENINAS (1 parada)'));
+                });
+        });
+
+        it('explains how to use it', function () {
+            const bot = createTestBot(createProvider('fixture'), storagePath);
+            bot.telegram.processUpdate({
+                update_id: 41,
+                message: {
+                    message_id: 11,
+                    from: {
+                        id: 42,
+                        is_bot: false,
+                        first_name: 'Ana'
+                    },
+                    chat: {
+                        id: -100,
+                        type: 'group'
+                    },
+                    date: 1546329600,
+                    text: '/ruta 2443'
+                }
+            });
+            return bot.telegram.waitForCalls(1)
+                .then(function (calls) {
+                    assert.strictEqual(calls[0].args[0], -100);
+                    assert.ok(calls[0].args[1].startsWith('Te digo qué autobuses'));
+                });
+        });
+    });
+
+    describe('reliability', function () {
+        let recordHistory;
+
+        const command = function (bot, text) {
+            bot.telegram.reset();
+            bot.telegram.processUpdate({
+                update_id: 45,
+                message: {
+                    message_id: 15,
+                    from: {
+                        id: 42,
+                        is_bot: false,
+                        first_name: 'Ana'
+                    },
+                    chat: {
+                        id: 42,
+                        type: 'private'
+                    },
+                    date: 1546329600,
+                    text: text
+                }
+            });
+            return bot.telegram.waitForCalls(1)
+                .then(calls => calls[0].args);
+        };
+
+        beforeEach(function () {
+            recordHistory = settings.recordHistory;
+            settings.recordHistory = true;
+        });
+
+        afterEach(function () {
+            settings.recordHistory = recordHistory;
+        });
+
+        it('says that the history is not recorded', function () {
+            settings.recordHistory = false;
+            const bot = createTestBot(createProvider('fixture'), storagePath);
+            return command(bot, '/fiabilidad 2443')
+                .then(function (args) {
+                    assert.ok(args[1].startsWith('No estoy guardando el historial'));
+                });
+        });
+
+        it('records the estimations of the stops queried', function () {
+            const bot = createTestBot(createProvider('fixture'), storagePath);
+            return command(bot, '/parada 2443')
+                .then(function () {
+                    return bot.history.flush();
+                })
+                .then(function () {
+                    const entries = _.map(_.compact(_.split(
+                        fs.readFileSync(path.join(storagePath, 'history-2019-01-01.jsonl'), 'utf-8'), '\n')),
+                    JSON.parse);
+                    assert.ok(entries.length > 0);
+                    assert.ok(_.every(entries, {
+                        type: 'eta',
+                        stop: '2443'
+                    }));
+                });
+        });
+
+        it('records the arrivals got to move the live locations', function () {
+            const liveBus = _.last(updates.callback_query);
+            let now = Date.parse('2019-01-01T08:00:00Z');
+            const bot = createTestBot(createProvider('fixture', {
+                fixturesPath: path.join(__dirname, 'fixtures', 'provider.json')
+            }), storagePath, {
+                now: () => now
+            });
+            bot.telegram.processUpdate(liveBus.update);
+            return bot.telegram.waitForCalls(liveBus.expected.length)
+                .then(function () {
+                    // The arrivals in the cache are too old by then
+                    now += (settings.arrivalsCacheTtl + 1) * 1000;
+                    return bot.updateBusLocations();
+                })
+                .then(function () {
+                    return bot.history.flush();
+                })
+                .then(function () {
+                    const entries = _.map(_.compact(_.split(
+                        fs.readFileSync(path.join(storagePath, 'history-2019-01-01.jsonl'), 'utf-8'), '\n')),
+                    JSON.parse);
+                    assert.deepStrictEqual(_.uniq(_.map(entries, 't')), [
+                        Date.parse('2019-01-01T08:00:00Z'),
+                        now
+                    ]);
+                });
+        });
+
+        it('answers the reliability of a stop', function () {
+            fs.writeFileSync(path.join(storagePath, 'history.json'), JSON.stringify({
+                2443: {
+                    47: {
+                        last: Date.parse('2018-12-31T08:32:00Z'),
+                        days: {
+                            '2018-12-31': {
+                                arrivals: 5,
+                                error: 325,
+                                absoluteError: 400,
+                                headways: {
+                                    9: {
+                                        8: 4
+                                    }
+                                }
+                            }
+                        }
+                    }
+                }
+            }));
+            const bot = createTestBot(createProvider('fixture'), storagePath);
+            return command(bot, '/fiabilidad 2443 47')
+                .then(function (args) {
+                    assert.strictEqual(args[1], '*Fiabilidad de la parada 2443*\r\n\r\n' +
+                        '🚌 47: 5 llegadas\r\n' +
+                        'Las estimaciones fallan 1 min 20 s de media, llega 1 min 5 s más tarde\r\n' +
+                        'Minutos entre autobuses: 09 h: 8\r\n\r\n' +
+                        'Según las llegadas de los últimos 30 días.');
+                    return command(bot, '/fiabilidad 2443 27');
+                })
+                .then(function (args) {
+                    assert.ok(args[1].startsWith('Aún no tengo suficientes llegadas de la parada 2443'));
+                });
+        });
+    });
+
+    describe('inline results', function () {
+        let bot;
+        let publicUrl;
+        let maxInlineResults;
+
+        const query = function (text, offset) {
+            const update = _.cloneDeep(updates.inline_query[0].update);
+            update.inline_query.query = text;
+            update.inline_query.offset = offset;
+            bot.telegram.reset();
+            bot.telegram.processUpdate(update);
+            return bot.telegram.waitForCalls(1)
+                .then(calls => calls[0].args);
+        };
+
+        beforeEach(function () {
+            publicUrl = settings.publicUrl;
+            maxInlineResults = settings.maxInlineResults;
+            bot = createTestBot(createProvider('fixture'), storagePath);
+        });
+
+        afterEach(function () {
+            settings.publicUrl = publicUrl;
+            settings.maxInlineResults = maxInlineResults;
+        });
+
+        it('shows the next stops when scrolling', function () {
+            // The clock of the bot doesn't move, so the rate limit of the
+            // API is never refilled
+            settings.maxInlineResults = 3;
+            const matching = _.filter(bot.catalogue.ids(), id => _.startsWith(id, '24'));
+            let firstPage;
+            return query('24', '')
+                .then(function (args) {
+                    firstPage = _.map(args[1], 'title');
+                    assert.strictEqual(firstPage.length, 3);
+                    assert.deepStrictEqual(args[2], {
+                        cache_time: 10,
+                        is_personal: false,
+                        next_offset: '3'
+                    });
+                    return query('24', args[2].next_offset);
+                })
+                .then(function (args) {
+                    assert.strictEqual(args[1].length, 3);
+                    assert.deepStrictEqual(_.intersection(firstPage, _.map(args[1], 'title')), []);
+                    // Beyond the 50 results Telegram shows in a single answer
+                    assert.ok(matching.length > 50);
+                    return query('24', `${matching.length - 1}`);
+                })
+                .then(function (args) {
+                    // The last page
+                    assert.strictEqual(args[1].length, 1);
+                    assert.strictEqual(args[2].next_offset, undefined);
+                });
+        });
+
+        it('sends the users without favourites to the private chat', function () {
+            return query('', '')
+                .then(function (args) {
+                    assert.deepStrictEqual(args, ['100', [], {
+                        cache_time: 10,
+                        is_personal: true,
+                        switch_pm_text: 'Guarda tus paradas favoritas',
+                        switch_pm_parameter: 'favoritas'
+                    }]);
+                    bot.telegram.reset();
+                    bot.telegram.processUpdate({
+                        update_id: 70,
+                        message: {
+                            message_id: 30,
+                            from: updates.inline_query[0].update.inline_query.from,
+                            chat: {
+                                id: 42,
+                                type: 'private'
+                            },
+                            date: 1546329600,
+                            text: '/start favoritas'
+                        }
+                    });
+                    return bot.telegram.waitForCalls(1);
+                })
+                .then(function (calls) {
+                    assert.ok(calls[0].args[1].startsWith('Puedes guardar tus paradas favoritas'));
+                });
+        });
+
+        it('has the thumbnails of the lines', function () {
+            settings.publicUrl = 'https://bot.example.com/';
+            return query('2443 47', '')
+                .then(function (args) {
+                    assert.strictEqual(args[1][0].thumb_url, 'https://bot.example.com/thumbs/1b5faa.png');
+                    return query('N16', '');
+                })
+                .then(function (args) {
+                    assert.strictEqual(args[1][0].thumb_url, 'https://bot.example.com/thumbs/1d2a4d.png');
+                });
+        });
+    });
+
+    describe('boards', function () {
+        const member = {
+            id: 42,
+            is_bot: false,
+            first_name: 'Ana'
+        };
+        const group = {
+            id: -100,
+            type: 'group'
+        };
+        let now;
+
+        const createBoardBot = function () {
+            const bot = createBot({
+                telegram: createFakeTelegram(),
+                provider: createProvider('fixture', {
+                    fixturesPath: path.join(__dirname, 'fixtures', 'provider.json')
+                }),
+                clock: {
+                    now: () => now
+                },
+                storagePath: storagePath
+            });
+            bot.catalogue.loadXml();
+            bot.telegram.memberStatus['42'] = 'administrator';
+            return bot;
+        };
+
+        const send = function (bot, text, from = member, chat = group) {
+            bot.telegram.processUpdate({
+                update_id: 60,
+                message: {
+                    message_id: 20,
+                    from: from,
+                    chat: chat,
+                    date: 1546329600,
+                    text: text
+                }
+            });
+        };
+
+        beforeEach(function () {
+            // A Tuesday at 09:00 in Madrid
+            now = Date.parse('2019-01-01T08:00:00Z');
+        });
+
+        it('adds the stops and sends the board', function () {
+            const bot = createBoardBot();
+            send(bot, '/tablero add 2443 47');
+            return bot.telegram.waitForCalls(3)
+                .then(function (calls) {
+                    assert.deepStrictEqual(_.map(calls, 'method'), ['getChatMember', 'sendMessage', 'sendMessage']);
+                    assert.strictEqual(calls[1].args[1], 'Parada 2443 añadida al tablero.');
+                    assert.strictEqual(calls[2].args[0], -100);
+                    assert.ok(calls[2].args[1].startsWith('*🚏 Tablero de paradas*\r\n\r\n' +
+                        '*2443* AV.ABRANTES-PZA.LAS MENINAS\n`47'), calls[2].args[1]);
+                    assert.ok(calls[2].args[1].endsWith('Actualizado a las 09:00'));
+                    assert.deepStrictEqual(calls[2].args[2].reply_markup.inline_keyboard, [
+                        [{
+                            text: 'Actualizar',
+                            callback_data: 'board:refresh'
+                        }]
+                    ]);
+                    bot.telegram.reset();
+                    send(bot, '/tablero add 72');
+                    return bot.telegram.waitForCalls(3);
+                })
+                .then(function (calls) {
+                    // The message of the board, sent after the confirmation,
+                    // is updated with both stops
+                    assert.strictEqual(calls[2].method, 'editMessageText');
+                    assert.strictEqual(calls[2].args[1].message_id, 1001);
+                    assert.ok(_.includes(calls[2].args[0], '*72* '));
+                });
+        });
+
+        it('only lets the admins of the group change it', function () {
+            const bot = createBoardBot();
+            bot.telegram.memberStatus['42'] = 'member';
+            send(bot, '/tablero add 2443');
+            return bot.telegram.waitForCalls(2)
+                .then(function (calls) {
+                    assert.strictEqual(calls[1].args[1], 'Solo los administradores del grupo pueden cambiar el tablero.');
+                });
+        });
+
+        it('is only for groups', function () {
+            const bot = createBoardBot();
+            send(bot, '/tablero add 2443', member, {
+                id: 42,
+                type: 'private'
+            });
+            return bot.telegram.waitForCalls(1)
+                .then(function (calls) {
+                    assert.strictEqual(calls[0].args[1], 'Los tableros son para los grupos, añádeme a uno y usa /tablero allí.');
+                });
+        });
+
+        it('is refreshed while people work', function () {
+            const bot = createBoardBot();
+            send(bot, '/tablero add 2443');
+            return bot.telegram.waitForCalls(3)
+                .then(function () {
+                    bot.telegram.reset();
+                    now += (settings.boardRefreshMinutes - 1) * 60 * 1000;
+                    bot.updateBoards();
+                    now += 60 * 1000;
+                    bot.updateBoards();
+                    return bot.telegram.waitForCalls(1);
+                })
+                .then(function (calls) {
+                    assert.strictEqual(calls.length, 1);
+                    assert.strictEqual(calls[0].method, 'editMessageText');
+                    assert.ok(calls[0].args[0].endsWith(`Actualizado a las 09:0${settings.boardRefreshMinutes}`));
+                    bot.telegram.reset();
+                    // 21:00 in Madrid
+                    now = Date.parse('2019-01-01T20:00:00Z');
+                    bot.updateBoards();
+                    return P.delay(50);
+                })
+                .then(function () {
+                    assert.strictEqual(bot.telegram.calls.length, 0);
+                });
+        });
+
+        it('keeps the board of every group', function () {
+            let bot = createBoardBot();
+            send(bot, '/tablero add 2443');
+            return bot.telegram.waitForCalls(3)
+                .then(function () {
+                    bot = createBoardBot();
+                    send(bot, '/tablero');
+                    return bot.telegram.waitForCalls(1);
+                })
+                .then(function (calls) {
+                    assert.ok(calls[0].args[1].startsWith('*🚏 Tablero de paradas*\r\n\r\n*2443* '));
+                    send(bot, '/tablero', member, {
+                        id: -200,
+                        type: 'group'
+                    });
+                    return bot.telegram.waitForCalls(2);
+                })
+                .then(function (calls) {
+                    assert.ok(calls[1].args[1].startsWith('Este grupo aún no tiene tablero.'));
+                });
+        });
+    });
+
+    describe('admins', function () {
+        const admin = {
+            id: 7,
+            is_bot: false,
+            first_name: 'Admin'
+        };
+        const user = {
+            id: 42,
+            is_bot: false,
+            first_name: 'Ana'
+        };
+        let adminIds;
+        let searchRadius;
+        let bot;
+
+        const send = function (from, text) {
+            bot.telegram.processUpdate({
+                update_id: 50,
+                message: {
+                    message_id: 12,
+                    from: from,
+                    chat: {
+                        id: from.id,
+                        type: 'private'
+                    },
+                    date: 1546329600,
+                    text: text
+                }
+            });
+        };
+
+        beforeEach(function () {
+            adminIds = settings.adminIds;
+            searchRadius = settings.searchRadius;
+            settings.adminIds = ['7'];
+            bot = createTestBot(createProvider('fixture'), storagePath);
+        });
+
+        afterEach(function () {
+            settings.adminIds = adminIds;
+            settings.searchRadius = searchRadius;
+        });
+
+        it('ignores the users that are not admins', function () {
+            send(user, '/stats');
+            send(user, '/novedades on');
+            return bot.telegram.waitForCalls(1)
+                .then(function (calls) {
+                    assert.deepStrictEqual(calls, [{
+                        method: 'sendMessage',
+                        args: [42, 'Te enviaré las novedades del bot. Para dejar de recibirlas: /novedades off']
+                    }]);
+                });
+        });
+
+        it('changes the settings and keeps the changes', function () {
+            send(admin, '/set searchRadius 300');
+            send(admin, '/set searchRadius 10');
+            send(admin, '/set token 1234');
+            return bot.telegram.waitForCalls(3)
+                .then(function (calls) {
+                    assert.deepStrictEqual(_.map(calls, 'args.1'), [
+                        'searchRadius = 300',
+                        'Valor no válido para searchRadius: 50-2000',
+                        'No se puede cambiar "token".'
+                    ]);
+                    settings.searchRadius = searchRadius;
+                    createTestBot(createProvider('fixture'), storagePath);
+                    assert.strictEqual(settings.searchRadius, 300);
+                });
+        });
+
+        it('keeps the boards starting before they end', function () {
+            const boardStartHour = settings.boardStartHour;
+            const boardEndHour = settings.boardEndHour;
+            send(admin, '/set boardEndHour 8');
+            send(admin, '/set boardStartHour 20');
+            return bot.telegram.waitForCalls(2)
+                .then(function (calls) {
+                    assert.deepStrictEqual(_.map(calls, 'args.1'), [
+                        'boardEndHour = 8',
+                        'Valor no válido para boardStartHour: 0-23, boardStartHour < boardEndHour'
+                    ]);
+                    // The saved values are checked too
+                    fs.writeFileSync(path.join(storagePath, 'settings.json'), JSON.stringify({
+                        boardStartHour: 20,
+                        boardEndHour: 8
+                    }));
+                    createTestBot(createProvider('fixture'), storagePath);
+                    assert.strictEqual(settings.boardStartHour, boardStartHour);
+                    assert.strictEqual(settings.boardEndHour, boardEndHour);
+                })
+                .finally(function () {
+                    settings.boardStartHour = boardStartHour;
+                    settings.boardEndHour = boardEndHour;
+                });
+        });
+
+        it('shows the state of the stop catalogue', function () {
+            send(admin, '/cache');
+            return bot.telegram.waitForCalls(1)
+                .then(function (calls) {
+                    assert.ok(calls[0].args[1].startsWith('🚏 4'), calls[0].args[1]);
+                    assert.ok(calls[0].args[1].endsWith('Lotes fallidos: ninguno'));
+                });
+        });
+
+        it('keeps the lines and the stops if a data file is wrong', function () {
+            const saved = _.pick(settings, ['emt_linesxml', 'emt_nodesxml']);
+            const count = bot.catalogue.status().count;
+            // The new lines are fine but the stops are missing
+            settings.emt_linesxml = path.join(storagePath, 'Lines.xml');
+            settings.emt_nodesxml = path.join(storagePath, 'NodesLines.xml');
+            fs.writeFileSync(settings.emt_linesxml, '<TABLA><DocumentElement><REG>' +
+                '<Line>001</Line><Label>1</Label></REG></DocumentElement></TABLA>');
+            fs.writeFileSync(settings.emt_nodesxml, '<TABLA><DocumentElement></DocumentElement></TABLA>');
+            send(admin, '/reload');
+            return bot.telegram.waitForCalls(1)
+                .then(function (calls) {
+                    assert.deepStrictEqual(calls[0].args, [7, 'No se han podido cargar los ficheros de datos, mira el log.']);
+                    assert.strictEqual(lines.findByLabel('N16').Line[0], '516');
+                    assert.strictEqual(bot.catalogue.status().count, count);
+                })
+                .finally(function () {
+                    _.assign(settings, saved);
+                });
+        });
+
+        it('sends the news to the users that want them', function () {
+            send(user, '/novedades on');
+            return bot.telegram.waitForCalls(1)
+                .then(function () {
+                    bot.telegram.reset();
+                    send(admin, '/broadcast Ya se pueden planear rutas con /ruta');
+                    return bot.telegram.waitForCalls(2);
+                })
+                .then(function (calls) {
+                    assert.deepStrictEqual(calls, [{
+                        method: 'sendMessage',
+                        args: ['42', 'Ya se pueden planear rutas con /ruta']
+                    }, {
+                        method: 'sendMessage',
+                        args: [7, 'Enviado a 1 usuarios, 0 errores.']
+                    }]);
+                });
+        });
+
+        it('tells the admin when a command fails', function () {
+            const sendMessage = bot.telegram.sendMessage;
+            let failed = false;
+            bot.telegram.sendMessage = function (chatId, text) {
+                if (!failed) {
+                    failed = true;
+                    return P.reject(new Error('ETELEGRAM: 500 Internal Server Error'));
+                }
+                return sendMessage(chatId, text);
+            };
+            send(admin, '/broadcast Hola');
+            return bot.telegram.waitForCalls(1)
+                .then(function (calls) {
+                    assert.deepStrictEqual(calls[0].args, [7, 'El comando ha fallado, mira el log.']);
+                });
+        });
+    });
+
+    describe('nearby stops', function () {
+        let bot;
+        let provider;
+        let radii;
+
+        const sendLocation = function () {
+            const update = _.cloneDeep(updates.inline_query[0].update);
+            update.inline_query.query = '';
+            update.inline_query.location = {
+                latitude: 40.3776,
+                longitude: -3.7324
+            };
+            bot.telegram.processUpdate(update);
+            return bot.telegram.waitForCalls(1)
+                .then(calls => calls[0].args[1]);
+        };
+
+        beforeEach(function () {
+            provider = createProvider('fixture', {
+                fixturesPath: path.join(__dirname, 'fixtures', 'provider.json')
+            });
+            radii = [];
+            const getStopsFromLocation = provider.getStopsFromLocation;
+            provider.getStopsFromLocation = function (location, radius) {
+                radii.push(radius);
+                // The API doesn't sort them by distance
+                return getStopsFromLocation(location, radius).then(_.reverse);
+            };
+            bot = createTestBot(provider, storagePath);
+        });
+
+        it('sorts the stops by distance and tells where they are', function () {
+            return sendLocation()
+                .then(function (results) {
+                    assert.strictEqual(results[0].title, '2443 - AV.ABRANTES-PZA.LAS MENINAS');
+                    const distances = _.map(results, result => +_.split(result.description, ' ')[0]);
+                    assert.deepStrictEqual(distances, _.sortBy(distances));
+                    _.forEach(results, function (result) {
+                        assert.ok(/^\d+ m al (N|NE|E|SE|S|SO|O|NO) · Líneas: /.test(result.description), result.description);
+                    });
+                });
+        });
+
+        it('searches farther when there are too few stops', function () {
+            const getStopsFromLocation = provider.getStopsFromLocation;
+            provider.getStopsFromLocation = function (location, radius) {
+                return getStopsFromLocation(location, radius)
+                    .then(stops => radius < 800 ? [] : stops);
+            };
+            return sendLocation()
+                .then(function (results) {
+                    assert.deepStrictEqual(radii, [200, 400, 800]);
+                    assert.ok(results.length > 0);
+                });
+        });
+    });
+
+    describe('bus positions', function () {
+        const liveBus = _.last(updates.callback_query);
+        let bot;
+        let provider;
+
+        beforeEach(function () {
+            provider = createProvider('fixture', {
+                fixturesPath: path.join(__dirname, 'fixtures', 'provider.json')
+            });
+            bot = createTestBot(provider, storagePath);
+            bot.telegram.processUpdate(liveBus.update);
+            return bot.telegram.waitForCalls(liveBus.expected.length)
+                .then(function () {
+                    bot.telegram.reset();
+                });
+        });
+
+        it('moves the live location of the bus', function () {
+            return bot.updateBusLocations()
+                .then(function () {
+                    assert.deepStrictEqual(bot.telegram.calls, [{
+                        method: 'editMessageLiveLocation',
+                        args: [40.3875, -3.7001, {
+                            chat_id: 42,
+                            message_id: 1000
+                        }]
+                    }]);
+                });
+        });
+
+        it('stops the live location when the bus arrives', function () {
+            const getArrivals = provider.getArrivals;
+            provider.getArrivals = function (stopId) {
+                return getArrivals(stopId).then(function (arrivals) {
+                    return _.map(arrivals, function (bus) {
+                        return bus.busId === '4652' ? _.assign({}, bus, {
+                            busTimeLeft: 30
+                        }) : bus;
+                    });
+                });
+            };
+            bot.upstream.clearCache();
+            return bot.updateBusLocations()
+                .then(function () {
+                    return bot.updateBusLocations();
+                })
+                .then(function () {
+                    assert.deepStrictEqual(bot.telegram.calls, [{
+                        method: 'stopMessageLiveLocation',
+                        args: [{
+                            chat_id: 42,
+                            message_id: 1000
+                        }]
+                    }]);
+                });
+        });
+    });
+
+    describe('when the EMT API fails', function () {
+        let bot;
+
+        beforeEach(function () {
+            const provider = createProvider('fixture');
+            provider.getArrivals = function () {
+                return P.reject(new Error('ECONNRESET'));
+            };
+            provider.getStopsFromLocation = function () {
+                return P.reject(new Error('ECONNRESET'));
+            };
+            bot = createTestBot(provider, storagePath);
+        });
+
+        it('answers that EMT doesn\'t respond for the stops', function () {
+            bot.telegram.processUpdate(updates.inline_query[1].update);
+            return bot.telegram.waitForCalls(1)
+                .then(function (calls) {
+                    const results = calls[0].args[1];
+                    assert.strictEqual(results.length, 1);
+                    assert.strictEqual(results[0].description, 'EMT no responde');
+                    assert.strictEqual(results[0].input_message_content.message_text,
+                        '*2443* AV.ABRANTES-PZA.LAS MENINAS\nEMT no responde, prueba a actualizar en un rato.');
+                    assert.deepStrictEqual(results[0].reply_markup.inline_keyboard[0][0], {
+                        text: 'Actualizar',
+                        callback_data: 'refresh:2443:108'
+                    });
+                });
+        });
+
+        it('finds the stops close to a location in the catalogue', function () {
+            const update = _.cloneDeep(updates.inline_query[0].update);
+            update.inline_query.query = '';
+            update.inline_query.location = {
+                latitude: 40.3776,
+                longitude: -3.7324
+            };
+            bot.telegram.processUpdate(update);
+            return bot.telegram.waitForCalls(1)
+                .then(function (calls) {
+                    const results = calls[0].args[1];
+                    assert.strictEqual(results.length, settings.maxResults);
+                    assert.strictEqual(results[0].title, '2443 - AV.ABRANTES-PZA.LAS MENINAS');
+                    assert.ok(_.endsWith(results[0].input_message_content.message_text, 'EMT no responde, prueba a actualizar en un rato.'));
+                });
+        });
+
+        it('refreshes the message with that EMT doesn\'t respond', function () {
+            bot.telegram.processUpdate(updates.callback_query[0].update);
+            return bot.telegram.waitForCalls(2)
+                .then(function (calls) {
+                    assert.strictEqual(calls[1].method, 'editMessageText');
+                    assert.strictEqual(calls[1].args[0],
+                        '*2443* AV.ABRANTES-PZA.LAS MENINAS\nEMT no responde, prueba a actualizar en un rato.');
+                });
+        });
+    });
+});
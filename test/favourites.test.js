@@ -0,0 +1,75 @@
+// Copyright (c) 2018 Jesús Fernández <jesus@nublar.net>
+// MIT License
+
+'use strict';
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const _ = require('lodash');
+const settings = require('../src/settings.js');
+const createFavourites = require('../src/favourites.js');
+const createStore = require('../src/store.js');
+
+describe('favourites', function () {
+    const maxFavourites = settings.maxFavourites;
+    let storagePath;
+    let favourites;
+
+    beforeEach(function () {
+        storagePath = fs.mkdtempSync(path.join(os.tmpdir(), 'emtbus-'));
+        favourites = createFavourites(createStore('favourites', storagePath));
+    });
+
+    afterEach(function () {
+        settings.maxFavourites = maxFavourites;
+        _.forEach(fs.readdirSync(storagePath), function (file) {
+            fs.unlinkSync(path.join(storagePath, file));
+        });
+        fs.rmdirSync(storagePath);
+    });
+
+    it('adds the stops and changes their aliases', function () {
+        assert.strictEqual(favourites.add(1, 2443, 'Casa'), 'added');
+        assert.strictEqual(favourites.add(1, '72', 'Trabajo'), 'added');
+        assert.strictEqual(favourites.add(1, '2443', 'Mi casa'), 'updated');
+        assert.deepStrictEqual(favourites.list(1), [{
+            stopId: '2443',
+            alias: 'Mi casa'
+        }, {
+            stopId: '72',
+            alias: 'Trabajo'
+        }]);
+        assert.deepStrictEqual(favourites.list(2), []);
+    });
+
+    it('doesn\'t add more stops than the maximum', function () {
+        settings.maxFavourites = 2;
+        favourites.add(1, '2443', 'Casa');
+        favourites.add(1, '72', 'Trabajo');
+        assert.strictEqual(favourites.add(1, '4230', 'Gimnasio'), 'full');
+        // The stops that are already there can still be renamed
+        assert.strictEqual(favourites.add(1, '72', 'Oficina'), 'updated');
+        assert.deepStrictEqual(_.map(favourites.list(1), 'stopId'), ['2443', '72']);
+    });
+
+    it('removes the stops', function () {
+        favourites.add(1, '2443', 'Casa');
+        favourites.add(1, '72', 'Trabajo');
+        assert.strictEqual(favourites.remove(1, 2443), true);
+        assert.strictEqual(favourites.remove(1, '2443'), false);
+        assert.deepStrictEqual(_.map(favourites.list(1), 'stopId'), ['72']);
+        favourites.remove(1, '72');
+        assert.deepStrictEqual(createStore('favourites', storagePath).keys(), []);
+    });
+
+    it('keeps the stops when the bot restarts', function () {
+        favourites.add(1, '2443', 'Casa');
+        const restarted = createFavourites(createStore('favourites', storagePath));
+        assert.deepStrictEqual(restarted.list(1), [{
+            stopId: '2443',
+            alias: 'Casa'
+        }]);
+    });
+});
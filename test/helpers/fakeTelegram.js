@@ -0,0 +1,86 @@
+// Copyright (c) 2018 Jesús Fernández <jesus@nublar.net>
+// MIT License
+
+'use strict';
+
+// Don't let the library warn about the cancellation of promises
+process.env.NTBA_FIX_319 = 1;
+
+const TelegramBot = require('node-telegram-bot-api');
+const _ = require('lodash');
+const P = require('bluebird');
+
+// Methods of the Telegram API the bot calls
+const methods = [
+    'answerCallbackQuery',
+    'answerInlineQuery',
+    'editMessageLiveLocation',
+    'editMessageText',
+    'sendLocation',
+    'sendMessage',
+    'sendVenue',
+    'stopMessageLiveLocation'
+];
+
+/**
+ * A TelegramBot that doesn't connect to Telegram: updates are fed to it with
+ * processUpdate() and the calls to the API are recorded in `calls` as
+ * {method, args} instead of being sent.
+ */
+const createFakeTelegram = function () {
+    const telegram = new TelegramBot('123:TEST', {
+        polling: false
+    });
+    let nextMessageId = 1000;
+    telegram.calls = [];
+    _.forEach(methods, function (method) {
+        telegram[method] = function (...args) {
+            telegram.calls.push({
+                method: method,
+                args: _.cloneDeep(args)
+            });
+            return P.resolve({
+                message_id: nextMessageId++
+            });
+        };
+    });
+
+    // Status of the users in the groups, they are members unless set here
+    telegram.memberStatus = {};
+    telegram.getChatMember = function (...args) {
+        telegram.calls.push({
+            method: 'getChatMember',
+            args: _.cloneDeep(args)
+        });
+        return P.resolve({
+            status: _.get(telegram.memberStatus, `${args[1]}`, 'member')
+        });
+    };
+
+    /**
+     * Wait until the API has been called count times, because the bot answers
+     * the updates asynchronously.
+     * Returns a Promise object that fulfills to the calls.
+     */
+    telegram.waitForCalls = function (count, timeout = 2000) {
+        const deadline = Date.now() + timeout;
+        const check = function () {
+            if (telegram.calls.length >= count) {
+                return P.resolve(telegram.calls);
+            }
+            if (Date.now() > deadline) {
+                return P.reject(new Error(`Expected ${count} calls, got ${JSON.stringify(telegram.calls)}`));
+            }
+            return P.delay(10).then(check);
+        };
+        return check();
+    };
+
+    telegram.reset = function () {
+        telegram.calls = [];
+    };
+
+    return telegram;
+};
+
+module.exports = createFakeTelegram;
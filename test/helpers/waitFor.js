@@ -0,0 +1,26 @@
+// Copyright (c) 2018 Jesús Fernández <jesus@nublar.net>
+// MIT License
+
+'use strict';
+
+const P = require('bluebird');
+
+/**
+ * Wait until the condition is true, for things that happen in timers.
+ * Returns a Promise that is rejected if it takes longer than the timeout.
+ */
+const waitFor = function (condition, timeout = 2000) {
+    const deadline = Date.now() + timeout;
+    const check = function () {
+        if (condition()) {
+            return P.resolve();
+        }
+        if (Date.now() > deadline) {
+            return P.reject(new Error(`Timeout waiting for ${condition}`));
+        }
+        return P.delay(5).then(check);
+    };
+    return check();
+};
+
+module.exports = waitFor;
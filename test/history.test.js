@@ -0,0 +1,219 @@
+// Copyright (c) 2018 Jesús Fernández <jesus@nublar.net>
+// MIT License
+
+'use strict';
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const _ = require('lodash');
+const settings = require('../src/settings.js');
+const createHistory = require('../src/history.js');
+
+const bus = function (line, busId, seconds) {
+    return {
+        lineId: line,
+        destination: 'Destino',
+        busId: busId,
+        busTimeLeft: seconds
+    };
+};
+
+describe('history', function () {
+    let storagePath;
+    let now;
+    let history;
+    const minReliabilitySamples = settings.minReliabilitySamples;
+
+    const at = function (time) {
+        now = Date.parse(time);
+    };
+
+    const create = function () {
+        return createHistory({
+            storagePath: storagePath,
+            clock: {
+                now: () => now
+            }
+        });
+    };
+
+    /**
+     * The entries of the logs of the history, once they are written.
+     */
+    const entries = function () {
+        return history.flush().then(function () {
+            const logs = _.filter(_.sortBy(fs.readdirSync(storagePath)), file => file.endsWith('.jsonl'));
+            return _.flatMap(logs, function (file) {
+                const content = fs.readFileSync(path.join(storagePath, file), 'utf-8');
+                return _.map(_.compact(_.split(content, '\n')), JSON.parse);
+            });
+        });
+    };
+
+    beforeEach(function () {
+        storagePath = fs.mkdtempSync(path.join(os.tmpdir(), 'emtbus-'));
+        settings.minReliabilitySamples = 1;
+        history = create();
+    });
+
+    afterEach(function () {
+        settings.minReliabilitySamples = minReliabilitySamples;
+        _.forEach(fs.readdirSync(storagePath), function (file) {
+            fs.unlinkSync(path.join(storagePath, file));
+        });
+        fs.rmdirSync(storagePath);
+    });
+
+    it('records the estimations of the buses', function () {
+        at('2019-01-07T08:00:00Z');
+        history.record('2443', [bus('47', '4521', 120), bus('47', '4522', 999999), {
+            lineId: '27',
+            busTimeLeft: 60
+        }]);
+        return entries().then(function (logged) {
+            assert.deepStrictEqual(fs.readdirSync(storagePath), ['history-2019-01-07.jsonl']);
+            assert.deepStrictEqual(logged, [{
+                type: 'eta',
+                t: now,
+                stop: '2443',
+                line: '47',
+                bus: '4521',
+                eta: 120
+            }]);
+        });
+    });
+
+    it('ignores the cached arrivals recorded again', function () {
+        at('2019-01-07T08:00:00Z');
+        history.record('2443', [bus('47', '4521', 120)]);
+        at('2019-01-07T08:00:10Z');
+        history.record('2443', [bus('47', '4521', 120)]);
+        return entries().then(function (logged) {
+            assert.strictEqual(logged.length, 1);
+        });
+    });
+
+    it('infers the arrival of a bus that is not arriving anymore', function () {
+        at('2019-01-07T08:00:00Z');
+        history.record('2443', [bus('47', '4521', 120), bus('47', '4522', 600)]);
+        at('2019-01-07T08:01:00Z');
+        history.record('2443', [bus('47', '4521', 30), bus('47', '4522', 540)]);
+        at('2019-01-07T08:02:00Z');
+        history.record('2443', [bus('47', '4522', 480)]);
+        return entries().then(function (logged) {
+            // It arrived between 08:01 and 08:02, so at 08:01:30, 30 s earlier
+            // than the first estimation
+            assert.deepStrictEqual(_.filter(logged, ['type', 'arrival']), [{
+                type: 'arrival',
+                t: Date.parse('2019-01-07T08:01:30Z'),
+                stop: '2443',
+                line: '47',
+                bus: '4521',
+                error: -15,
+                absoluteError: 15,
+                predictions: 2
+            }]);
+        });
+    });
+
+    it('finds out that the buses arrive later than estimated', function () {
+        // The bus is always a minute and a half later than the estimations
+        at('2019-01-07T08:00:00Z');
+        history.record('2443', [bus('47', '4521', 60)]);
+        at('2019-01-07T08:01:00Z');
+        history.record('2443', [bus('47', '4521', 60)]);
+        at('2019-01-07T08:02:00Z');
+        history.record('2443', [bus('47', '4521', 30)]);
+        at('2019-01-07T08:03:00Z');
+        history.record('2443', [bus('47', '4521', 0)]);
+        at('2019-01-07T08:04:00Z');
+        history.record('2443', []);
+        assert.deepStrictEqual(history.reliability('2443'), [{
+            line: '47',
+            arrivals: 1,
+            error: 83,
+            absoluteError: 83,
+            headways: []
+        }]);
+    });
+
+    it('doesn\'t infer arrivals of buses far away or seen long ago', function () {
+        at('2019-01-07T08:00:00Z');
+        history.record('2443', [bus('47', '4521', 600)]);
+        at('2019-01-07T08:01:00Z');
+        history.record('2443', []);
+        history.record('72', [bus('27', '1234', 60)]);
+        at('2019-01-07T09:00:00Z');
+        history.record('72', []);
+        return entries().then(function (logged) {
+            assert.deepStrictEqual(_.filter(logged, ['type', 'arrival']), []);
+        });
+    });
+
+    it('computes the reliability of the lines of a stop', function () {
+        // A bus of the 47 every 10 minutes from 08:00 (09:00 in Madrid), the
+        // first estimation of each one 30 s short, and one of the 27
+        _.forEach(_.range(4), function (index) {
+            const start = Date.parse('2019-01-07T07:55:00Z') + index * 10 * 60 * 1000;
+            now = start;
+            history.record('2443', [bus('47', `${index}`, 240)]);
+            now = start + 4 * 60 * 1000;
+            history.record('2443', [bus('47', `${index}`, 30)]);
+            now = start + 5 * 60 * 1000;
+            history.record('2443', [bus('27', '9', 60)]);
+            now = start + 6 * 60 * 1000;
+            history.record('2443', []);
+        });
+        const statistics = history.reliability('2443');
+        assert.deepStrictEqual(_.map(statistics, 'line'), ['27', '47']);
+        assert.deepStrictEqual(statistics[1], {
+            line: '47',
+            arrivals: 4,
+            error: 15,
+            absoluteError: 15,
+            headways: [{
+                hour: 9,
+                minutes: 10,
+                samples: 3
+            }]
+        });
+        assert.deepStrictEqual(_.map(history.reliability('2443', '47'), 'line'), ['47']);
+        assert.deepStrictEqual(history.reliability('72'), []);
+        // The statistics are kept when the bot restarts
+        return history.flush().then(function () {
+            assert.deepStrictEqual(create().reliability('2443'), statistics);
+        });
+    });
+
+    it('leaves out the lines with few arrivals', function () {
+        settings.minReliabilitySamples = 2;
+        at('2019-01-07T08:00:00Z');
+        history.record('2443', [bus('47', '4521', 60)]);
+        at('2019-01-07T08:01:00Z');
+        history.record('2443', []);
+        assert.deepStrictEqual(history.reliability('2443'), []);
+    });
+
+    it('prunes the old days', function () {
+        at('2019-01-07T08:00:00Z');
+        history.record('2443', [bus('47', '4521', 60)]);
+        at('2019-01-07T08:01:00Z');
+        history.record('2443', []);
+        at('2019-01-20T08:00:00Z');
+        history.record('72', [bus('27', '1234', 60)]);
+        at('2019-01-20T08:01:00Z');
+        history.record('72', []);
+        at('2019-02-10T08:00:00Z');
+        return history.prune()
+            .then(function () {
+                assert.deepStrictEqual(history.reliability('2443'), []);
+                assert.strictEqual(history.reliability('72').length, 1);
+                return entries();
+            })
+            .then(function (logged) {
+                assert.deepStrictEqual(_.uniq(_.map(logged, 'stop')), ['72']);
+            });
+    });
+});
@@ -0,0 +1,66 @@
+// Copyright (c) 2018 Jesús Fernández <jesus@nublar.net>
+// MIT License
+
+'use strict';
+
+const assert = require('assert');
+const _ = require('lodash');
+const i18n = require('../src/i18n.js');
+
+describe('i18n', function () {
+    describe('pickLanguage', function () {
+        it('takes the language of the language code', function () {
+            assert.strictEqual(i18n.pickLanguage('en-US'), 'en');
+            assert.strictEqual(i18n.pickLanguage('es'), 'es');
+        });
+
+        it('uses the default language for the unknown ones', function () {
+            assert.strictEqual(i18n.pickLanguage('fr'), i18n.defaultLanguage);
+            assert.strictEqual(i18n.pickLanguage(undefined), i18n.defaultLanguage);
+        });
+    });
+
+    describe('pickLocale', function () {
+        it('uses the locale of Telegram if it\'s in the language', function () {
+            assert.strictEqual(i18n.pickLocale('en', 'en-US'), 'en-US');
+            assert.strictEqual(i18n.pickLocale('es', 'en-US'), 'es-ES');
+            assert.strictEqual(i18n.pickLocale('en', 'en'), 'en-GB');
+        });
+    });
+
+    describe('translator', function () {
+        it('fills in the parameters', function () {
+            const t = i18n.translator('en');
+            assert.strictEqual(t('arrivesIn', {
+                minutes: 5
+            }), 'arrives in 5 min');
+        });
+
+        it('falls back to the default language', function () {
+            const t = i18n.translator('xx');
+            assert.strictEqual(t('refresh'), 'Actualizar');
+        });
+    });
+
+    describe('help', function () {
+        const commands = function (language) {
+            return _.sortBy(_.uniq(i18n.translator(language)('help').match(/\/[a-z]+/g)));
+        };
+
+        it('tells about the same commands in every language', function () {
+            assert.deepStrictEqual(commands('es'), [
+                '/avisar', '/avisos', '/fav', '/fiabilidad', '/formato', '/horario',
+                '/idioma', '/incidencias', '/novedades', '/parada', '/ruta', '/tablero'
+            ]);
+            assert.deepStrictEqual(commands('en'), commands('es'));
+        });
+    });
+
+    describe('formatTime', function () {
+        it('formats the time in the locale', function () {
+            assert.strictEqual(i18n.formatTime(18, 5, 'es-ES'), '18:05');
+            assert.strictEqual(i18n.formatTime(18, 5, 'en-US'), '06:05 PM');
+            assert.strictEqual(i18n.formatTime(8, 5), '08:05');
+        });
+    });
+});
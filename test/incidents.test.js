@@ -0,0 +1,245 @@
+// Copyright (c) 2018 Jesús Fernández <jesus@nublar.net>
+// MIT License
+
+'use strict';
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const _ = require('lodash');
+const P = require('bluebird');
+const createIncidents = require('../src/incidents.js');
+const createStore = require('../src/store.js');
+
+const feed = `<?xml version="1.0" encoding="UTF-8"?>
+<rss version="2.0">
+  <channel>
+    <title>Incidencias EMT</title>
+    <item>
+      <title>Desvío de las líneas 27, 150 y N16</title>
+      <description><![CDATA[<p>Por obras no se para en la parada nº 2443.</p>]]></description>
+      <link>https://www.emtmadrid.es/incidencia/1</link>
+      <guid isPermaLink="false">incidencia-1</guid>
+      <pubDate>Mon, 31 Dec 2018 10:00:00 GMT</pubDate>
+    </item>
+    <item>
+      <title>Cortes de tráfico por la cabalgata</title>
+      <category>47</category>
+      <pubDate>Sat, 05 Jan 2019 16:00:00 GMT</pubDate>
+    </item>
+  </channel>
+</rss>`;
+
+describe('incidents', function () {
+    let storagePath;
+    let now;
+
+    const create = function (options) {
+        return createIncidents(_.assign({
+            store: createStore('incidents', storagePath),
+            clock: {
+                now: () => now
+            },
+            onNew: _.noop
+        }, options));
+    };
+
+    beforeEach(function () {
+        storagePath = fs.mkdtempSync(path.join(os.tmpdir(), 'emtbus-'));
+        now = Date.parse('2019-01-01T08:00:00Z');
+    });
+
+    afterEach(function () {
+        _.forEach(fs.readdirSync(storagePath), function (file) {
+            fs.unlinkSync(path.join(storagePath, file));
+        });
+        fs.rmdirSync(storagePath);
+    });
+
+    describe('findMentions', function () {
+        it('finds the lines and the stops in the text', function () {
+            assert.deepStrictEqual(createIncidents.findMentions('Las líneas 27, 34 y C1 no paran en las paradas 2443 y 72'), {
+                lines: ['027', '034', '068'],
+                stops: ['2443', '72']
+            });
+        });
+
+        it('ignores the lines that don\'t exist', function () {
+            assert.deepStrictEqual(createIncidents.findMentions('Línea de la cabalgata').lines, []);
+        });
+    });
+
+    describe('parseFeed', function () {
+        it('takes the lines from the text and the categories', function () {
+            const incidents = createIncidents.parseFeed(feed);
+            assert.deepStrictEqual(incidents[0], {
+                id: 'incidencia-1',
+                title: 'Desvío de las líneas 27, 150 y N16',
+                description: 'Por obras no se para en la parada nº 2443.',
+                lines: ['027', '150', '516'],
+                stops: ['2443'],
+                from: Date.parse('2018-12-31T10:00:00Z'),
+                link: 'https://www.emtmadrid.es/incidencia/1',
+                source: 'feed'
+            });
+            assert.deepStrictEqual(incidents[1].lines, ['047']);
+            assert.strictEqual(incidents[1].id.length, 12);
+        });
+    });
+
+    describe('the file of the operators', function () {
+        let filePath;
+
+        beforeEach(function () {
+            filePath = path.join(storagePath, 'operators.json');
+            fs.writeFileSync(filePath, JSON.stringify([{
+                id: 'obras',
+                title: 'Obras en Abrantes',
+                lines: ['47', 'N16'],
+                from: '2018-12-01T00:00:00+01:00',
+                until: '2019-02-01T00:00:00+01:00'
+            }, {
+                id: 'pasado',
+                title: 'Ya terminó',
+                stops: [2443],
+                until: '2018-12-01T00:00:00+01:00'
+            }, {
+                title: 'Sin ID'
+            }]));
+        });
+
+        it('are associated to the lines and stops while they are active', function () {
+            const incidents = create({
+                filePath: filePath
+            });
+            assert.deepStrictEqual(_.map(incidents.all(), 'lines'), [
+                ['047', '516']
+            ]);
+            assert.strictEqual(incidents.forLine('047').length, 1);
+            assert.strictEqual(incidents.forStop({
+                Id: '2443',
+                Lines: ['47 ida', '108 ida']
+            }).length, 1);
+            assert.strictEqual(incidents.forStop({
+                Id: '2443',
+                Lines: ['47 ida', '108 ida']
+            }, ['108']).length, 0);
+            now = Date.parse('2019-02-01T00:00:00Z');
+            assert.strictEqual(incidents.all().length, 0);
+        });
+
+        it('notifies the new incidents once', function () {
+            const notified = [];
+            const incidents = create({
+                filePath: filePath,
+                onNew: incident => notified.push(incident.id)
+            });
+            return incidents.reload()
+                .then(function () {
+                    return incidents.reload();
+                })
+                .then(function () {
+                    assert.deepStrictEqual(notified, ['obras']);
+                });
+        });
+    });
+
+    describe('the feed', function () {
+        it('keeps the last incidents if the download fails', function () {
+            let download = () => P.resolve(feed);
+            const incidents = create({
+                feedUrl: 'https://example.com/incidencias.xml',
+                download: url => download(url)
+            });
+            return incidents.reload()
+                .then(function () {
+                    download = () => P.reject(new Error('ECONNRESET'));
+                    return incidents.reload();
+                })
+                .then(function () {
+                    assert.strictEqual(incidents.all().length, 1);
+                    assert.strictEqual(incidents.status().lastError, 'Error: ECONNRESET');
+                });
+        });
+
+        it('doesn\'t notify the incidents again after a failed download', function () {
+            const notified = [];
+            let download = () => P.resolve(feed);
+            const options = {
+                feedUrl: 'https://example.com/incidencias.xml',
+                download: url => download(url),
+                onNew: incident => notified.push(incident.id)
+            };
+            return create(options).reload()
+                .then(function () {
+                    // The first download after a restart fails
+                    download = () => P.reject(new Error('ECONNRESET'));
+                    const restarted = create(options);
+                    return restarted.reload()
+                        .then(function () {
+                            download = () => P.resolve(feed);
+                            return restarted.reload();
+                        });
+                })
+                .then(function () {
+                    assert.deepStrictEqual(notified, ['incidencia-1']);
+                });
+        });
+
+        it('notifies the incidents one after the other', function () {
+            const events = [];
+            // After the cabalgata starts
+            now = Date.parse('2019-01-05T18:00:00Z');
+            const incidents = create({
+                feedUrl: 'https://example.com/incidencias.xml',
+                download: () => P.resolve(feed),
+                onNew: function (incident) {
+                    const stored = _.keys(createStore('incidents', storagePath).get('notified'));
+                    events.push(`start ${incident.id} [${stored}]`);
+                    return P.delay(20).then(function () {
+                        events.push(`end ${incident.id}`);
+                    });
+                }
+            });
+            return incidents.reload().then(function () {
+                const second = createIncidents.parseFeed(feed)[1].id;
+                assert.deepStrictEqual(events, [
+                    'start incidencia-1 []',
+                    'end incidencia-1',
+                    `start ${second} [incidencia-1]`,
+                    `end ${second}`
+                ]);
+            });
+        });
+
+        it('notifies the incidents again if the notification fails', function () {
+            const notified = [];
+            let failing = true;
+            now = Date.parse('2019-01-05T18:00:00Z');
+            const incidents = create({
+                feedUrl: 'https://example.com/incidencias.xml',
+                download: () => P.resolve(feed),
+                onNew: function (incident) {
+                    notified.push(incident.id);
+                    if (failing && incident.id === 'incidencia-1') {
+                        return P.reject(new Error('ETIMEDOUT'));
+                    }
+                    return P.resolve();
+                }
+            });
+            return incidents.reload()
+                .then(function () {
+                    failing = false;
+                    return incidents.reload();
+                })
+                .then(function () {
+                    return incidents.reload();
+                })
+                .then(function () {
+                    const second = createIncidents.parseFeed(feed)[1].id;
+                    assert.deepStrictEqual(notified, ['incidencia-1', second, 'incidencia-1']);
+                });
+        });
+    });
+});
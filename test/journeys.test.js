@@ -0,0 +1,142 @@
+// Copyright (c) 2018 Jesús Fernández <jesus@nublar.net>
+// MIT License
+
+'use strict';
+
+const assert = require('assert');
+const _ = require('lodash');
+const P = require('bluebird');
+const createJourneys = require('../src/journeys.js');
+
+// Line 47 goes 1, 2, 3, 4 and line 150 goes 10, 3b, 11, 12. The stops 3 and
+// 3b are in front of each other.
+const routes = {
+    '047/1': ['1', '2', '3', '4'],
+    '150/1': ['10', '3b', '11', '12']
+};
+
+const stops = {
+    '1': {
+        Id: '1',
+        Name: 'ORIGEN',
+        Lines: ['47 ida']
+    },
+    '3': {
+        Id: '3',
+        Name: 'TRANSBORDO 47',
+        Lines: ['47 ida'],
+        position: {
+            latitude: 40.4168,
+            longitude: -3.7038
+        }
+    },
+    '3b': {
+        Id: '3b',
+        Name: 'TRANSBORDO 150',
+        Lines: ['150 ida'],
+        position: {
+            latitude: 40.4170,
+            longitude: -3.7040
+        }
+    },
+    '4': {
+        Id: '4',
+        Name: 'FINAL 47',
+        Lines: ['47 ida']
+    },
+    '12': {
+        Id: '12',
+        Name: 'FINAL 150',
+        Lines: ['150 ida']
+    }
+};
+
+const isNear = function (stopA, stopB) {
+    return stopA === '3' && stopB === '3b';
+};
+
+describe('journeys', function () {
+    describe('findJourneys', function () {
+        it('finds the direct journeys', function () {
+            const journeys = createJourneys.findJourneys([stops['1']], [stops['4']], routes, isNear);
+            assert.deepStrictEqual(journeys, [{
+                legs: [{
+                    line: {
+                        code: '047',
+                        label: '47',
+                        direction: '1'
+                    },
+                    from: '1',
+                    to: '4',
+                    stops: 3
+                }]
+            }]);
+        });
+
+        it('finds the journeys with a transfer to a nearby stop', function () {
+            const journeys = createJourneys.findJourneys([stops['1']], [stops['12']], routes, isNear);
+            assert.deepStrictEqual(_.map(journeys[0].legs, leg => [leg.line.label, leg.from, leg.to, leg.stops]), [
+                ['47', '1', '3', 2],
+                ['150', '3b', '12', 2]
+            ]);
+        });
+
+        it('doesn\'t go backwards', function () {
+            assert.deepStrictEqual(createJourneys.findJourneys([stops['4']], [stops['1']], routes, isNear), []);
+        });
+    });
+
+    describe('plan', function () {
+        let calls;
+        let journeys;
+
+        beforeEach(function () {
+            calls = [];
+            journeys = createJourneys({
+                getLineStops: function (code, direction) {
+                    calls.push(`${code}/${direction}`);
+                    return P.resolve(_.map(routes[`${code}/${direction}`], stopId => ({
+                        stopId: stopId
+                    })));
+                },
+                getStop: stopId => stops[stopId],
+                getArrivals: function () {
+                    return P.resolve([{
+                        lineId: '47',
+                        busTimeLeft: 600,
+                        time: '10'
+                    }, {
+                        lineId: '47',
+                        busTimeLeft: 120,
+                        time: '2'
+                    }]);
+                },
+                clock: {
+                    now: () => Date.parse('2019-01-01T08:00:00Z')
+                }
+            });
+        });
+
+        it('ranks the journeys by their next bus', function () {
+            return journeys.plan([stops['1']], [stops['4'], stops['12']])
+                .then(function (found) {
+                    assert.strictEqual(found.length, 2);
+                    assert.strictEqual(found[0].departure, 120);
+                    // Both leave with the same bus, the direct one goes first
+                    assert.strictEqual(found[0].legs.length, 1);
+                    assert.strictEqual(found[0].legs[0].toName, 'FINAL 47');
+                    assert.strictEqual(found[1].legs.length, 2);
+                });
+        });
+
+        it('keeps the routes of the lines', function () {
+            return journeys.plan([stops['1']], [stops['4']])
+                .then(function () {
+                    return journeys.plan([stops['1']], [stops['4']]);
+                })
+                .then(function () {
+                    assert.deepStrictEqual(calls, ['047/1']);
+                });
+        });
+    });
+});
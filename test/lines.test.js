@@ -0,0 +1,64 @@
+// Copyright (c) 2018 Jesús Fernández <jesus@nublar.net>
+// MIT License
+
+'use strict';
+
+const assert = require('assert');
+const _ = require('lodash');
+const lines = require('../src/lines.js');
+
+const label = function (line) {
+    return _.get(line, 'Label[0]');
+};
+
+describe('lines', function () {
+    describe('findByCode', function () {
+        it('finds the lines by their code with or without zeros', function () {
+            assert.strictEqual(label(lines.findByCode('516')), 'N16');
+            assert.strictEqual(label(lines.findByCode('27')), '27');
+            assert.strictEqual(label(lines.findByCode('027')), '27');
+            assert.strictEqual(lines.findByCode('999'), undefined);
+        });
+    });
+
+    describe('findByLabel', function () {
+        it('finds the lines by the label users know', function () {
+            assert.strictEqual(lines.findByLabel('n16').Line[0], '516');
+            assert.strictEqual(lines.findByLabel('N99'), undefined);
+        });
+    });
+
+    describe('parseQuery', function () {
+        it('finds the lines written with an L in front', function () {
+            assert.strictEqual(label(lines.parseQuery('L27')), '27');
+            assert.strictEqual(label(lines.parseQuery(' l n16 ')), 'N16');
+            assert.strictEqual(label(lines.parseQuery('línea 27')), '27');
+        });
+
+        it('finds the labels with letters', function () {
+            assert.strictEqual(label(lines.parseQuery('n16')), 'N16');
+            assert.strictEqual(label(lines.parseQuery('C1')), 'C1');
+        });
+
+        it('doesn\'t take the stops or the names for lines', function () {
+            assert.strictEqual(lines.parseQuery('27'), undefined);
+            assert.strictEqual(lines.parseQuery('2443'), undefined);
+            assert.strictEqual(lines.parseQuery('alsacia'), undefined);
+            assert.strictEqual(lines.parseQuery('L999'), undefined);
+        });
+    });
+
+    describe('directions', function () {
+        it('goes from A to B and back', function () {
+            assert.deepStrictEqual(lines.directions(lines.findByLabel('N16')), [{
+                direction: '1',
+                from: 'PLAZA DE CIBELES',
+                to: 'AVENIDA DE LA PESETA'
+            }, {
+                direction: '2',
+                from: 'AVENIDA DE LA PESETA',
+                to: 'PLAZA DE CIBELES'
+            }]);
+        });
+    });
+});
@@ -0,0 +1,230 @@
+// Copyright (c) 2018 Jesús Fernández <jesus@nublar.net>
+// MIT License
+
+'use strict';
+
+const assert = require('assert');
+const _ = require('lodash');
+const P = require('bluebird');
+const createMobilityLabsProvider = require('../src/providers/mobilityLabs.js');
+
+const point = function (longitude, latitude) {
+    return {
+        type: 'Point',
+        coordinates: [longitude, latitude]
+    };
+};
+
+// Data of the responses of the API by path
+const responses = {
+    '/v1/mobilitytoken/login/': [{
+        accessToken: 'token',
+        tokenSecExpire: 3600
+    }],
+    '/v2/transport/busemtmad/stops/2443/arrives/': [{
+        Arrive: [{
+            line: '27',
+            stop: '2443',
+            isHead: 'False',
+            destination: 'PLAZA CASTILLA',
+            deviation: 0,
+            bus: 4652,
+            geometry: point(-3.7001, 40.3875),
+            estimateArrive: 693,
+            DistanceBus: 2831,
+            positionTypeBus: '1'
+        }, {
+            line: 'N16',
+            stop: '2443',
+            isHead: 'True',
+            destination: 'AVDA. AMERICA',
+            bus: 8001,
+            estimateArrive: 888888,
+            DistanceBus: 15000,
+            positionTypeBus: '5'
+        }]
+    }],
+    '/v2/transport/busemtmad/stops/list/': [{
+        node: '2443',
+        name: 'Av. Abrantes-Pza. Las Meninas',
+        lines: ['27/1', '516/2', '999/1'],
+        geometry: point(-3.7324, 40.3776)
+    }, {
+        node: '72',
+        name: 'Cibeles',
+        lines: '27/2',
+        geometry: point(-3.6931, 40.4193)
+    }],
+    '/v2/transport/busemtmad/stops/arroundxy/-3.7324/40.3776/200/': [{
+        stopId: 2443,
+        stopName: 'Av. Abrantes-Pza. Las Meninas',
+        geometry: point(-3.7324, 40.3776),
+        lines: [{
+            label: '27',
+            to: 'B'
+        }, {
+            label: 'N16',
+            to: 'A'
+        }]
+    }],
+    '/v2/transport/busemtmad/lines/27/stops/1/': [{
+        stops: [{
+            stop: 72,
+            name: 'Cibeles',
+            geometry: point(-3.6931, 40.4193)
+        }, {
+            stop: '2443',
+            name: 'Av. Abrantes-Pza. Las Meninas'
+        }]
+    }]
+};
+
+describe('mobilityLabs', function () {
+    let requests;
+    let provider;
+
+    beforeEach(function () {
+        requests = [];
+        provider = createMobilityLabsProvider({
+            request: function (method, path, headers, body) {
+                requests.push({
+                    method: method,
+                    path: path,
+                    headers: headers,
+                    body: body
+                });
+                return P.resolve(_.cloneDeep(responses[path]));
+            }
+        });
+    });
+
+    it('converts the arrivals to the ones of the legacy API', function () {
+        return provider.getArrivals('2443').then(function (arrivals) {
+            assert.deepStrictEqual(arrivals, [{
+                stopId: 2443,
+                lineId: '27',
+                isHead: 'False',
+                destination: 'PLAZA CASTILLA',
+                busId: '4652',
+                busTimeLeft: 693,
+                busDistance: 2831,
+                latitude: 40.3875,
+                longitude: -3.7001,
+                busPositionType: 1
+            }, {
+                stopId: 2443,
+                lineId: 'N16',
+                isHead: 'True',
+                destination: 'AVDA. AMERICA',
+                busId: '8001',
+                // More than 20 minutes away
+                busTimeLeft: 999999,
+                busDistance: 15000,
+                latitude: undefined,
+                longitude: undefined,
+                busPositionType: 5
+            }]);
+            assert.deepStrictEqual(_.map(requests, 'path'), [
+                '/v1/mobilitytoken/login/',
+                '/v2/transport/busemtmad/stops/2443/arrives/'
+            ]);
+            assert.deepStrictEqual(requests[1].headers, {
+                accessToken: 'token'
+            });
+        });
+    });
+
+    it('converts the stops around a location', function () {
+        return provider.getStopsFromLocation({
+            latitude: 40.3776,
+            longitude: -3.7324
+        }, 200).then(function (stops) {
+            assert.deepStrictEqual(stops, [{
+                Id: '2443',
+                Name: 'Av. Abrantes-Pza. Las Meninas',
+                Lines: ['27 ida', 'N16 vuelta'],
+                position: {
+                    latitude: 40.3776,
+                    longitude: -3.7324
+                }
+            }]);
+        });
+    });
+
+    it('builds the stops of the catalogue from the list of stops', function () {
+        return provider.getStops([2443, 1, '72'])
+            .then(function (stops) {
+                assert.deepStrictEqual(stops, [{
+                    Id: '2443',
+                    Name: 'Av. Abrantes-Pza. Las Meninas',
+                    // The lines that are not in the Lines XML are left out
+                    Lines: ['27 ida', 'N16 vuelta'],
+                    position: {
+                        latitude: 40.3776,
+                        longitude: -3.7324
+                    }
+                }, {
+                    Id: '72',
+                    Name: 'Cibeles',
+                    Lines: ['27 vuelta'],
+                    position: {
+                        latitude: 40.4193,
+                        longitude: -3.6931
+                    }
+                }]);
+                return provider.getStops(['72']);
+            })
+            .then(function () {
+                // The list of stops and the token are only requested once
+                assert.deepStrictEqual(_.map(requests, 'path'), [
+                    '/v1/mobilitytoken/login/',
+                    '/v2/transport/busemtmad/stops/list/'
+                ]);
+            });
+    });
+
+    it('converts the stops of a line', function () {
+        return provider.getLineStops('027', '1').then(function (stops) {
+            assert.deepStrictEqual(stops, [{
+                stopId: '72',
+                name: 'Cibeles',
+                position: {
+                    latitude: 40.4193,
+                    longitude: -3.6931
+                }
+            }, {
+                stopId: '2443',
+                name: 'Av. Abrantes-Pza. Las Meninas',
+                position: {
+                    latitude: undefined,
+                    longitude: undefined
+                }
+            }]);
+        });
+    });
+
+    it('logs in again when the token is not valid anymore', function () {
+        let expired = true;
+        provider = createMobilityLabsProvider({
+            request: function (method, path) {
+                requests.push(path);
+                if (path !== '/v1/mobilitytoken/login/' && expired) {
+                    expired = false;
+                    const error = new Error('MobilityLabs: token expired (80)');
+                    error.code = '80';
+                    return P.reject(error);
+                }
+                return P.resolve(_.cloneDeep(responses[path]));
+            }
+        });
+        return provider.getArrivals('2443').then(function (arrivals) {
+            assert.strictEqual(arrivals.length, 2);
+            assert.deepStrictEqual(requests, [
+                '/v1/mobilitytoken/login/',
+                '/v2/transport/busemtmad/stops/2443/arrives/',
+                '/v1/mobilitytoken/login/',
+                '/v2/transport/busemtmad/stops/2443/arrives/'
+            ]);
+        });
+    });
+});
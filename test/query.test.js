@@ -0,0 +1,67 @@
+// Copyright (c) 2018 Jesús Fernández <jesus@nublar.net>
+// MIT License
+
+'use strict';
+
+const assert = require('assert');
+const query = require('../src/query.js');
+
+describe('query', function () {
+    describe('parseStopQuery', function () {
+        it('returns the query without lines', function () {
+            assert.deepStrictEqual(query.parseStopQuery('2443'), {
+                query: '2443',
+                lines: []
+            });
+        });
+
+        it('splits the lines of a stop number', function () {
+            assert.deepStrictEqual(query.parseStopQuery('2443 27 n26 27'), {
+                query: '2443',
+                lines: ['27', 'N26']
+            });
+        });
+
+        it('doesn\'t split the name of a stop', function () {
+            assert.deepStrictEqual(query.parseStopQuery('plaza castilla'), {
+                query: 'plaza castilla',
+                lines: []
+            });
+        });
+
+        it('takes up to maxFilterLines lines', function () {
+            const parsed = query.parseStopQuery('2443 1 2 3 4 5 6 7 8 9 10');
+            assert.strictEqual(parsed.lines.length, query.maxFilterLines);
+        });
+    });
+
+    describe('filterLines', function () {
+        const stop = {
+            Id: '2443',
+            arriving: [{
+                lineId: '47'
+            }, {
+                lineId: '108'
+            }]
+        };
+
+        it('keeps the buses of the lines', function () {
+            assert.deepStrictEqual(query.filterLines(stop, ['108']), {
+                Id: '2443',
+                arriving: [{
+                    lineId: '108'
+                }],
+                lineFilter: ['108']
+            });
+            assert.strictEqual(stop.arriving.length, 2);
+        });
+
+        it('returns the stop without a filter', function () {
+            assert.strictEqual(query.filterLines(stop, []), stop);
+        });
+
+        it('returns errors as they are', function () {
+            assert.strictEqual(query.filterLines('Error: timeout', ['27']), 'Error: timeout');
+        });
+    });
+});
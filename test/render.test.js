@@ -0,0 +1,200 @@
+// Copyright (c) 2018 Jesús Fernández <jesus@nublar.net>
+// MIT License
+
+'use strict';
+
+const assert = require('assert');
+const render = require('../src/render.js');
+const lines = require('../src/lines.js');
+
+describe('render', function () {
+    const stop = {
+        Id: '2443',
+        Name: 'AV.ABRANTES-PZA.LAS MENINAS',
+        Lines: ['47 ida', '108 ida'],
+        arriving: [{
+            lineId: '47',
+            destination: 'CARABANCHEL ALTO',
+            isHead: 'False',
+            busDistance: 180,
+            time: '<<<'
+        }, {
+            lineId: '108',
+            destination: 'CIUDAD DE LOS ANGELES',
+            isHead: 'True',
+            busDistance: 2831,
+            time: '11'
+        }, {
+            lineId: '47',
+            destination: 'CARABANCHEL ALTO',
+            isHead: 'False',
+            busDistance: 1450,
+            time: '6'
+        }, {
+            lineId: '47',
+            destination: 'CARABANCHEL ALTO',
+            isHead: 'False',
+            busDistance: 9500,
+            time: '+20'
+        }]
+    };
+
+    describe('renderStop', function () {
+        it('groups the next two buses by line in a table', function () {
+            return render.renderStop(stop)
+                .then(function (result) {
+                    assert.strictEqual(result.input_message_content.message_text,
+                        '*2443* AV.ABRANTES-PZA.LAS MENINAS\n' +
+                        '`47  CARABANCHEL ALTO   <<< 6`\r\n' +
+                        '`108 CIUDAD DE LOS A... 11*`\r\n' +
+                        '\\* sale de cabecera');
+                    assert.strictEqual(result.input_message_content.parse_mode, 'Markdown');
+                });
+        });
+
+        it('shows the distance to the stop', function () {
+            return render.renderStop(stop, {
+                distance: true
+            }).then(function (result) {
+                assert.strictEqual(result.input_message_content.message_text,
+                    '*2443* AV.ABRANTES-PZA.LAS MENINAS\n' +
+                    '`47  CARABANCHEL ALTO   <<< 180m  6 1.5km`\r\n' +
+                    '`108 CIUDAD DE LOS A... 11* 2.8km`\r\n' +
+                    '\\* sale de cabecera');
+            });
+        });
+
+        it('keeps the lines of the filter in the title and in the refresh button', function () {
+            return render.renderStop(Object.assign({}, stop, {
+                lineFilter: ['47', 'N16']
+            })).then(function (result) {
+                assert.strictEqual(result.title, '2443 - AV.ABRANTES-PZA.LAS MENINAS (47, N16)');
+                assert.strictEqual(result.reply_markup.inline_keyboard[0][0].callback_data, 'refresh:2443:47,N16');
+                assert.strictEqual(render.refreshData(stop), 'refresh:2443');
+            });
+        });
+
+        it('has a button for the lines whose bus position is known', function () {
+            const located = Object.assign({}, stop, {
+                arriving: stop.arriving.concat({
+                    lineId: '108',
+                    destination: 'CIUDAD DE LOS ANGELES',
+                    busTimeLeft: 693,
+                    latitude: 40.3875,
+                    longitude: -3.7001,
+                    time: '11'
+                })
+            });
+            return render.renderStop(located)
+                .then(function (result) {
+                    assert.deepStrictEqual(result.reply_markup.inline_keyboard, [
+                        [{
+                            text: 'Actualizar',
+                            callback_data: 'refresh:2443'
+                        }],
+                        [{
+                            text: '¿Dónde está el 108?',
+                            callback_data: 'bus:2443:108'
+                        }]
+                    ]);
+                });
+        });
+
+        it('renders HTML', function () {
+            return render.renderStop({
+                Id: '72',
+                Name: 'ALCALÁ <ESTE>',
+                Lines: [],
+                position: {
+                    latitude: 40.4,
+                    longitude: -3.7
+                },
+                arriving: [{
+                    lineId: 'N2',
+                    destination: 'M & M',
+                    isHead: 'False',
+                    time: '3'
+                }]
+            }, {
+                format: 'html'
+            }).then(function (result) {
+                assert.strictEqual(result.input_message_content.message_text,
+                    '<b>72</b> ALCALÁ &lt;ESTE&gt;\n' +
+                    '<code>N2 M &amp; M 3</code>\n\n' +
+                    '<a href="https://www.google.com/maps/@40.4,-3.7,19z">¿Dónde está la parada?</a>');
+                assert.strictEqual(result.input_message_content.parse_mode, 'HTML');
+            });
+        });
+
+        it('renders compact plain text', function () {
+            return render.renderStop(stop, {
+                format: 'compact'
+            }).then(function (result) {
+                assert.strictEqual(result.input_message_content.message_text,
+                    '2443 AV.ABRANTES-PZA.LAS MENINAS\n' +
+                    '47 CARABANCHEL ALTO: <<<, 6\r\n' +
+                    '108 CIUDAD DE LOS ANGELES: 11*\r\n' +
+                    '* sale de cabecera');
+                assert.strictEqual(result.input_message_content.parse_mode, undefined);
+            });
+        });
+    });
+
+    describe('renderLine', function () {
+        it('renders the directions in the format of the user', function () {
+            const line = lines.findByCode('047');
+            const content = function (options) {
+                return render.renderLine(line, options)[0].input_message_content;
+            };
+            assert.deepStrictEqual(content(), {
+                message_text: '*Línea 47*\nATOCHA → CARABANCHEL ALTO',
+                parse_mode: 'Markdown',
+                disable_web_page_preview: true
+            });
+            assert.deepStrictEqual(content({
+                format: 'html',
+                language: 'en'
+            }), {
+                message_text: '<b>Line 47</b>\nATOCHA → CARABANCHEL ALTO',
+                parse_mode: 'HTML',
+                disable_web_page_preview: true
+            });
+            assert.deepStrictEqual(content({
+                format: 'compact'
+            }), {
+                message_text: 'Línea 47\nATOCHA → CARABANCHEL ALTO',
+                disable_web_page_preview: true
+            });
+        });
+    });
+
+    describe('renderLineStops', function () {
+        const rows = [{
+            stopId: '2443',
+            name: 'AV.ABRANTES',
+            time: '3'
+        }, {
+            stopId: '2444',
+            name: 'PZA. <M>',
+            time: '+20'
+        }];
+
+        it('renders the stops in the format of the user', function () {
+            const line = lines.findByCode('047');
+            assert.strictEqual(render.renderLineStops(line, '1', rows),
+                '*Línea 47* → CARABANCHEL ALTO\n' +
+                '`2443 AV.ABRANTES 3`\r\n' +
+                '`2444 PZA. <M>    +20`');
+            assert.strictEqual(render.renderLineStops(line, '1', rows, {
+                format: 'html'
+            }), '<b>Línea 47</b> → CARABANCHEL ALTO\n' +
+                '<code>2443 AV.ABRANTES 3</code>\r\n' +
+                '<code>2444 PZA. &lt;M&gt;    +20</code>');
+            assert.strictEqual(render.renderLineStops(line, '1', rows, {
+                format: 'compact'
+            }), 'Línea 47 → CARABANCHEL ALTO\n' +
+                '2443 AV.ABRANTES: 3\r\n' +
+                '2444 PZA. <M>: +20');
+        });
+    });
+});
@@ -0,0 +1,204 @@
+// Copyright (c) 2018 Jesús Fernández <jesus@nublar.net>
+// MIT License
+
+'use strict';
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const _ = require('lodash');
+const settings = require('../src/settings.js');
+const scheduler = require('../src/scheduler.js');
+const createStore = require('../src/store.js');
+
+const weekdays = [1, 2, 3, 4, 5];
+
+describe('scheduler', function () {
+    describe('parseDays', function () {
+        it('parses the ranges and lists of days', function () {
+            assert.deepStrictEqual(scheduler.parseDays('L-V'), weekdays);
+            assert.deepStrictEqual(scheduler.parseDays('s,d'), [6, 7]);
+            assert.deepStrictEqual(scheduler.parseDays('V,L,X,L-M'), [1, 2, 3, 5]);
+            assert.deepStrictEqual(scheduler.parseDays('Mon-Wed,Sun'), [1, 2, 3, 7]);
+        });
+
+        it('parses the names of the days', function () {
+            assert.deepStrictEqual(scheduler.parseDays('laborables'), weekdays);
+            assert.deepStrictEqual(scheduler.parseDays('Diario'), [1, 2, 3, 4, 5, 6, 7]);
+            assert.deepStrictEqual(scheduler.parseDays('weekend'), [6, 7]);
+        });
+
+        it('rejects the days that are not valid', function () {
+            assert.strictEqual(scheduler.parseDays('V-L'), undefined);
+            assert.strictEqual(scheduler.parseDays('L-'), undefined);
+            assert.strictEqual(scheduler.parseDays('Sábado'), undefined);
+            assert.strictEqual(scheduler.parseDays(''), undefined);
+        });
+    });
+
+    describe('parseTime', function () {
+        it('parses the hours and minutes', function () {
+            assert.deepStrictEqual(scheduler.parseTime('8:05'), {
+                hour: 8,
+                minute: 5
+            });
+            assert.deepStrictEqual(scheduler.parseTime('23.59'), {
+                hour: 23,
+                minute: 59
+            });
+        });
+
+        it('rejects the times that are not valid', function () {
+            assert.strictEqual(scheduler.parseTime('24:00'), undefined);
+            assert.strictEqual(scheduler.parseTime('8:60'), undefined);
+            assert.strictEqual(scheduler.parseTime('805'), undefined);
+            assert.strictEqual(scheduler.parseTime(undefined), undefined);
+        });
+    });
+
+    describe('formatDays', function () {
+        it('writes the days in the language', function () {
+            assert.strictEqual(scheduler.formatDays(weekdays, 'es'), 'Laborables');
+            assert.strictEqual(scheduler.formatDays([6, 7], 'en'), 'Weekend');
+            assert.strictEqual(scheduler.formatDays([1, 3, 5], 'es'), 'L,X,V');
+            assert.strictEqual(scheduler.formatDays([1, 3, 5], 'en'), 'Mon,Wed,Fri');
+        });
+    });
+
+    describe('localTime', function () {
+        it('uses the date and the time in Madrid', function () {
+            // Sunday 23:00 UTC is already Monday in Madrid
+            assert.deepStrictEqual(scheduler.localTime(new Date('2019-01-06T23:00:00Z')), {
+                date: '2019-01-07',
+                weekday: 1,
+                minutes: 0
+            });
+            // Two hours ahead in summer
+            assert.deepStrictEqual(scheduler.localTime(new Date('2019-07-01T22:30:00Z')), {
+                date: '2019-07-02',
+                weekday: 2,
+                minutes: 30
+            });
+        });
+    });
+
+    describe('createScheduler', function () {
+        const maxSchedules = settings.maxSchedules;
+        let storagePath;
+        let now;
+        let delivered;
+
+        const at = function (time) {
+            now = Date.parse(time);
+        };
+
+        const create = function () {
+            return scheduler.createScheduler({
+                store: createStore('schedules', storagePath),
+                clock: {
+                    now: () => now
+                },
+                onDeliver: function (schedule) {
+                    delivered.push(schedule.id);
+                }
+            });
+        };
+
+        /**
+         * Check the schedules at the time with a new scheduler, as if the
+         * bot was restarted.
+         */
+        const checkAt = function (time) {
+            at(time);
+            const restarted = create();
+            restarted.start();
+            restarted.stop();
+        };
+
+        beforeEach(function () {
+            storagePath = fs.mkdtempSync(path.join(os.tmpdir(), 'emtbus-'));
+            delivered = [];
+        });
+
+        afterEach(function () {
+            settings.maxSchedules = maxSchedules;
+            _.forEach(fs.readdirSync(storagePath), function (file) {
+                fs.unlinkSync(path.join(storagePath, file));
+            });
+            fs.rmdirSync(storagePath);
+        });
+
+        it('delivers the schedules once on their days', function () {
+            // 08:05 in Madrid is 07:05 UTC in winter
+            at('2019-01-07T06:00:00Z');
+            const schedule = create().add(-100, weekdays, scheduler.parseTime('8:05'), 2443, ['47'], 'es');
+            checkAt('2019-01-07T07:04:00Z');
+            assert.deepStrictEqual(delivered, []);
+            checkAt('2019-01-07T07:05:00Z');
+            checkAt('2019-01-07T07:06:00Z');
+            assert.deepStrictEqual(delivered, [schedule.id]);
+            // Saturday
+            checkAt('2019-01-12T07:05:00Z');
+            assert.deepStrictEqual(delivered, [schedule.id]);
+            checkAt('2019-01-14T07:05:00Z');
+            assert.deepStrictEqual(delivered, [schedule.id, schedule.id]);
+        });
+
+        it('delivers the schedules of midnight on the day in Madrid', function () {
+            at('2019-01-06T12:00:00Z');
+            const schedule = create().add(-100, [1], scheduler.parseTime('0:00'), '2443', [], 'es');
+            // Sunday in Madrid
+            checkAt('2019-01-06T22:59:00Z');
+            assert.deepStrictEqual(delivered, []);
+            // Monday in Madrid, Sunday in UTC
+            checkAt('2019-01-06T23:00:00Z');
+            assert.deepStrictEqual(delivered, [schedule.id]);
+        });
+
+        it('delivers the schedules missed while the bot was restarting', function () {
+            at('2019-01-07T06:00:00Z');
+            const schedule = create().add(-100, weekdays, scheduler.parseTime('8:05'), '2443', [], 'es');
+            checkAt('2019-01-07T07:09:00Z');
+            assert.deepStrictEqual(delivered, [schedule.id]);
+            // Too late the next day
+            checkAt('2019-01-08T07:10:00Z');
+            assert.deepStrictEqual(delivered, [schedule.id]);
+        });
+
+        it('delivers the schedules in the gap when the clocks go forward', function () {
+            // Sunday 2019-03-31 in Madrid goes from 02:00 to 03:00 at 01:00 UTC
+            at('2019-03-30T12:00:00Z');
+            const schedule = create().add(-100, [7], scheduler.parseTime('2:30'), '2443', [], 'es');
+            checkAt('2019-03-31T00:59:00Z');
+            assert.deepStrictEqual(delivered, []);
+            checkAt('2019-03-31T01:00:00Z');
+            checkAt('2019-03-31T01:01:00Z');
+            assert.deepStrictEqual(delivered, [schedule.id]);
+        });
+
+        it('doesn\'t deliver the schedules added right after their time', function () {
+            at('2019-01-07T07:06:00Z');
+            const schedule = create().add(-100, weekdays, scheduler.parseTime('8:05'), '2443', [], 'es');
+            assert.strictEqual(schedule.lastRun, '2019-01-07');
+            checkAt('2019-01-07T07:07:00Z');
+            assert.deepStrictEqual(delivered, []);
+            checkAt('2019-01-08T07:07:00Z');
+            assert.deepStrictEqual(delivered, [schedule.id]);
+        });
+
+        it('limits and removes the schedules of a chat', function () {
+            settings.maxSchedules = 1;
+            at('2019-01-07T06:00:00Z');
+            const schedules = create();
+            const schedule = schedules.add(-100, weekdays, scheduler.parseTime('8:05'), '2443', [], 'es');
+            assert.strictEqual(schedules.add(-100, weekdays, scheduler.parseTime('9:05'), '72', [], 'es'), undefined);
+            assert.deepStrictEqual(_.map(schedules.list(-100), 'id'), [schedule.id]);
+            assert.strictEqual(schedules.remove(-100, schedule.id), true);
+            assert.strictEqual(schedules.remove(-100, schedule.id), false);
+            assert.deepStrictEqual(schedules.list(-100), []);
+            checkAt('2019-01-07T07:05:00Z');
+            assert.deepStrictEqual(delivered, []);
+        });
+    });
+});
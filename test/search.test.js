@@ -0,0 +1,102 @@
+// Copyright (c) 2018 Jesús Fernández <jesus@nublar.net>
+// MIT License
+
+'use strict';
+
+const assert = require('assert');
+const _ = require('lodash');
+const search = require('../src/search.js');
+
+const sol = {
+    latitude: 40.4168,
+    longitude: -3.7038
+};
+
+// The latitude of a stop some metres to the north of Sol
+const north = function (metres) {
+    return {
+        latitude: sol.latitude + metres / 111195,
+        longitude: sol.longitude
+    };
+};
+
+const stops = [{
+    Id: '4230',
+    Name: 'HNOS.GARCIANOBLEJAS-PZA.DEALSACIA',
+    position: north(50)
+}, {
+    Id: '2443',
+    Name: 'AV.ABRANTES-PZA.LASMENINAS',
+    position: north(300)
+}, {
+    Id: '101',
+    Name: 'Plaza de Alsacia',
+    position: north(900)
+}, {
+    Id: '100',
+    Name: 'Plaza de Alsacia'
+}, {
+    Id: '7',
+    Name: 'Alsacia',
+    position: north(600)
+}];
+
+const ids = function (found) {
+    return _.map(found, 'Id');
+};
+
+describe('search', function () {
+    describe('tokenize', function () {
+        it('expands the abbreviations', function () {
+            assert.deepStrictEqual(search.tokenize('Av. de Abrantes, 106'), ['AVENIDA', 'DE', 'ABRANTES', '106']);
+            assert.deepStrictEqual(search.tokenize('HNOS.GARCIANOBLEJAS-PZA.DEALSACIA'), [
+                'HERMANOS', 'GARCIANOBLEJAS', 'PLAZA', 'DEALSACIA'
+            ]);
+        });
+
+        it('expands the abbreviations with ordinal indicators', function () {
+            assert.deepStrictEqual(search.tokenize('Cº de la Zarzuela'), ['CAMINO', 'DE', 'LA', 'ZARZUELA']);
+            assert.deepStrictEqual(search.tokenize('Mª Molina Nº 5'), ['MARIA', 'MOLINA', '5']);
+        });
+
+        it('removes the accents and the symbols', function () {
+            assert.deepStrictEqual(search.tokenize('Plaza de España (Ópera)'), ['PLAZA', 'DE', 'ESPANA', 'OPERA']);
+        });
+    });
+
+    describe('queryTerms', function () {
+        it('leaves out the stop words and the repeated terms', function () {
+            assert.deepStrictEqual(search.queryTerms('la plaza de la Alsacia, pza'), ['PLAZA', 'ALSACIA']);
+            assert.deepStrictEqual(search.queryTerms('de la'), []);
+        });
+    });
+
+    describe('findStopsByName', function () {
+        it('ranks the names that match the query better first', function () {
+            // The whole word at the start is better than a part of a word
+            assert.deepStrictEqual(ids(search.findStopsByName(stops, 'alsacia')), ['7', '100', '101', '4230']);
+            assert.deepStrictEqual(ids(search.findStopsByName(stops, 'pza. alsacia')), ['100', '101', '4230']);
+        });
+
+        it('finds the names where EMT glued the words together', function () {
+            assert.deepStrictEqual(ids(search.findStopsByName(stops, 'plaza las meninas')), ['2443']);
+            assert.deepStrictEqual(ids(search.findStopsByName(stops, 'avenida abrantes')), ['2443']);
+        });
+
+        it('orders the matches by the distance to the location', function () {
+            assert.deepStrictEqual(ids(search.findStopsByName(stops, 'alsacia', sol)), ['4230', '7', '101', '100']);
+        });
+
+        it('doesn\'t find anything without terms', function () {
+            assert.deepStrictEqual(search.findStopsByName(stops, 'de la'), []);
+            assert.deepStrictEqual(search.findStopsByName(stops, 'atocha'), []);
+        });
+    });
+
+    describe('findStopsNear', function () {
+        it('finds the stops in the radius, the closest first', function () {
+            assert.deepStrictEqual(ids(search.findStopsNear(stops, sol, 700)), ['4230', '2443', '7']);
+            assert.deepStrictEqual(ids(search.findStopsNear(stops, sol, 10)), []);
+        });
+    });
+});
@@ -0,0 +1,239 @@
+// Copyright (c) 2018 Jesús Fernández <jesus@nublar.net>
+// MIT License
+
+'use strict';
+
+const assert = require('assert');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const _ = require('lodash');
+const P = require('bluebird');
+const createBot = require('../src/emtBot.js');
+const createProvider = require('../src/providers');
+const server = require('../src/server.js');
+const telemetry = require('../src/telemetry.js');
+const createFakeTelegram = require('./helpers/fakeTelegram.js');
+const updates = require('./fixtures/updates.json');
+
+const secret = 'test-secret';
+
+describe('server', function () {
+    let storagePath;
+    let telegram;
+    let bot;
+    let httpServer;
+    let port;
+    let upstreamError;
+    let metrics;
+
+    const request = function (method, requestPath, body, headers) {
+        return new P(function (resolve, reject) {
+            const req = http.request({
+                method: method,
+                port: port,
+                path: requestPath,
+                headers: _.assign({
+                    'Content-Type': 'application/json'
+                }, headers)
+            }, function (response) {
+                let chunks = [];
+                response.on('data', chunk => chunks.push(chunk));
+                response.on('end', function () {
+                    const text = Buffer.concat(chunks).toString('utf-8');
+                    const isJson = _.startsWith(response.headers['content-type'], 'application/json');
+                    resolve({
+                        status: response.statusCode,
+                        body: isJson ? JSON.parse(text) : text
+                    });
+                });
+            });
+            req.on('error', reject);
+            req.end(body === undefined ? undefined : JSON.stringify(body));
+        });
+    };
+
+    const postUpdate = function (update, token = secret) {
+        return request('POST', '/telegram', update, {
+            'X-Telegram-Bot-Api-Secret-Token': token
+        });
+    };
+
+    beforeEach(function () {
+        storagePath = fs.mkdtempSync(path.join(os.tmpdir(), 'emtbus-'));
+        telegram = createFakeTelegram();
+        const provider = createProvider('fixture', {
+            fixturesPath: path.join(__dirname, 'fixtures', 'provider.json')
+        });
+        upstreamError = undefined;
+        metrics = telemetry.createPrometheus();
+        const getArrivals = provider.getArrivals;
+        provider.getArrivals = function (stopId) {
+            return upstreamError === undefined ? getArrivals(stopId) : P.reject(upstreamError);
+        };
+        bot = createBot({
+            telegram: telegram,
+            provider: provider,
+            telemetry: metrics,
+            storagePath: storagePath
+        });
+        httpServer = server.createServer({
+            telegram: telegram,
+            bot: bot,
+            provider: provider,
+            telemetry: metrics,
+            webhookUrl: 'https://bot.example.com/telegram',
+            secret: secret
+        });
+        return httpServer.listen(0)
+            .then(function (address) {
+                port = address.port;
+            });
+    });
+
+    afterEach(function () {
+        bot.stop();
+        _.forEach(fs.readdirSync(storagePath), function (file) {
+            fs.unlinkSync(path.join(storagePath, file));
+        });
+        fs.rmdirSync(storagePath);
+        return httpServer.close();
+    });
+
+    it('passes the updates to the bot', function () {
+        bot.catalogue.loadXml();
+        const recorded = updates.inline_query[0];
+        return postUpdate(recorded.update)
+            .then(function (response) {
+                assert.strictEqual(response.status, 200);
+                return telegram.waitForCalls(1);
+            })
+            .then(function (calls) {
+                assert.strictEqual(calls[0].method, 'answerInlineQuery');
+                assert.strictEqual(calls[0].args[0], recorded.update.inline_query.id);
+            });
+    });
+
+    it('rejects updates without the secret token', function () {
+        return postUpdate(updates.inline_query[0].update, 'wrong-secret')
+            .then(function (response) {
+                assert.strictEqual(response.status, 403);
+                return postUpdate(updates.inline_query[0].update, null);
+            })
+            .then(function (response) {
+                assert.strictEqual(response.status, 403);
+                assert.strictEqual(telegram.calls.length, 0);
+            });
+    });
+
+    it('rejects updates that are not JSON', function () {
+        return request('POST', '/telegram', undefined, {
+            'X-Telegram-Bot-Api-Secret-Token': secret
+        })
+            .then(function (response) {
+                assert.strictEqual(response.status, 400);
+            });
+    });
+
+    it('is healthy', function () {
+        return request('GET', '/healthz')
+            .then(function (response) {
+                assert.deepStrictEqual(response, {
+                    status: 200,
+                    body: {
+                        status: 'ok'
+                    }
+                });
+            });
+    });
+
+    it('exports the metrics', function () {
+        bot.catalogue.loadXml();
+        return postUpdate(updates.inline_query[0].update)
+            .then(function () {
+                return telegram.waitForCalls(1);
+            })
+            .then(function () {
+                return request('GET', '/metrics');
+            })
+            .then(function (response) {
+                assert.strictEqual(response.status, 200);
+                assert.ok(_.includes(response.body, 'emtbus_events_total{name="InlineQuery"} 1'));
+                assert.ok(_.includes(response.body, 'emtbus_events_total{name="InlineQueryOutcome",result="results"} 1'));
+                assert.ok(!_.includes(response.body, 'user='));
+            });
+    });
+
+    it('serves the thumbnails of the results', function () {
+        return request('GET', '/thumbs/1b5faa.png')
+            .then(function (response) {
+                assert.strictEqual(response.status, 200);
+                assert.strictEqual(response.body.slice(1, 4), 'PNG');
+                return request('GET', '/thumbs/red.png');
+            })
+            .then(function (response) {
+                assert.strictEqual(response.status, 404);
+                // Only the colours of the lines are served
+                return request('GET', '/thumbs/123456.png');
+            })
+            .then(function (response) {
+                assert.strictEqual(response.status, 404);
+            });
+    });
+
+    it('is ready once the catalogue is loaded', function () {
+        return request('GET', '/readyz')
+            .then(function (response) {
+                assert.strictEqual(response.status, 503);
+                assert.strictEqual(response.body.catalogue.ready, false);
+                assert.strictEqual(response.body.upstream.reachable, true);
+                bot.catalogue.loadXml();
+                return request('GET', '/readyz');
+            })
+            .then(function (response) {
+                assert.strictEqual(response.status, 200);
+                assert.strictEqual(response.body.ready, true);
+                assert.strictEqual(response.body.catalogue.source, 'xml');
+            });
+    });
+
+    it('is not ready if the upstream API fails', function () {
+        bot.catalogue.loadXml();
+        upstreamError = new Error('ECONNREFUSED');
+        return request('GET', '/readyz')
+            .then(function (response) {
+                assert.strictEqual(response.status, 503);
+                assert.deepStrictEqual(_.omit(response.body.upstream, 'checked'), {
+                    reachable: false,
+                    error: 'Error: ECONNREFUSED'
+                });
+            });
+    });
+
+    it('stops accepting updates while draining', function () {
+        bot.catalogue.loadXml();
+        httpServer.drain();
+        return postUpdate(updates.inline_query[0].update)
+            .then(function (response) {
+                assert.strictEqual(response.status, 503);
+                return request('GET', '/readyz');
+            })
+            .then(function (response) {
+                assert.strictEqual(response.status, 503);
+                assert.strictEqual(response.body.draining, true);
+            });
+    });
+
+    it('waits for the queries being answered', function () {
+        bot.catalogue.loadXml();
+        telegram.processUpdate(updates.callback_query[3].update);
+        assert.strictEqual(bot.inFlight(), 1);
+        return bot.drain(2000)
+            .then(function (drained) {
+                assert.strictEqual(drained, true);
+                assert.strictEqual(bot.inFlight(), 0);
+                assert.strictEqual(_.last(telegram.calls).method, 'editMessageText');
+            });
+    });
+});
@@ -0,0 +1,196 @@
+// Copyright (c) 2018 Jesús Fernández <jesus@nublar.net>
+// MIT License
+
+'use strict';
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const _ = require('lodash');
+const P = require('bluebird');
+const settings = require('../src/settings.js');
+const stopCatalogue = require('../src/stopCatalogue.js');
+const createStore = require('../src/store.js');
+const waitFor = require('./helpers/waitFor.js');
+
+const stop = function (id) {
+    return {
+        Id: `${id}`,
+        Name: `Parada ${id}`,
+        Lines: ['27 ida'],
+        position: {
+            latitude: 40.4,
+            longitude: -3.7
+        }
+    };
+};
+
+describe('stopCatalogue', function () {
+    const saved = _.pick(settings, ['catalogueMaxId', 'catalogueBatchDelay', 'catalogueRetries']);
+    let storagePath;
+    let now;
+    let requested;
+    let failures;
+    let catalogue;
+
+    // The batches fail as many times as failures says for their first ID
+    const provider = {
+        getStops: function (ids) {
+            requested.push(ids[0]);
+            if (_.get(failures, ids[0], 0) > 0) {
+                failures[ids[0]] -= 1;
+                return P.reject(new Error('ECONNRESET'));
+            }
+            return P.resolve(_.map(ids, stop));
+        }
+    };
+
+    const create = function () {
+        catalogue = stopCatalogue.createStopCatalogue(provider, {
+            storagePath: storagePath,
+            clock: {
+                now: () => now
+            }
+        });
+        return catalogue;
+    };
+
+    const saveSnapshot = function (updated, ids = [2443]) {
+        createStore('catalogue', storagePath).set('snapshot', {
+            updated: updated,
+            stops: _.map(ids, stop)
+        });
+    };
+
+    /**
+     * A catalogue started from a fresh snapshot, so that it's only refreshed
+     * when the test says so.
+     */
+    const createFresh = function () {
+        saveSnapshot(now, [150, 2443]);
+        create().start();
+        return catalogue;
+    };
+
+    beforeEach(function () {
+        storagePath = fs.mkdtempSync(path.join(os.tmpdir(), 'emtbus-'));
+        now = Date.parse('2019-01-07T08:00:00Z');
+        requested = [];
+        failures = {};
+        settings.catalogueMaxId = 201;
+        settings.catalogueBatchDelay = 0;
+        settings.catalogueRetries = 3;
+    });
+
+    afterEach(function () {
+        if (catalogue !== undefined) {
+            catalogue.stop();
+            catalogue = undefined;
+        }
+        _.assign(settings, saved);
+        _.forEach(fs.readdirSync(storagePath), function (file) {
+            fs.unlinkSync(path.join(storagePath, file));
+        });
+        fs.rmdirSync(storagePath);
+    });
+
+    describe('buildStop', function () {
+        it('leaves the name empty when EMT doesn\'t give one', function () {
+            const built = [stopCatalogue.buildStop({
+                Node: ['99999'],
+                PosxNode: ['447148,3'],
+                PosyNode: ['4474608'],
+                Lines: ['27/1']
+            }), stopCatalogue.buildStop({
+                stopId: '99999',
+                line: []
+            }), stopCatalogue.buildStop({
+                node: '99999',
+                lines: ['27/1']
+            })];
+            assert.deepStrictEqual(_.map(built, 'Name'), ['', '', '']);
+        });
+    });
+
+    describe('start', function () {
+        it('keeps a snapshot refreshed recently', function () {
+            saveSnapshot(now - 3600 * 1000);
+            create().start();
+            return P.delay(20).then(function () {
+                assert.deepStrictEqual(requested, []);
+                assert.deepStrictEqual(_.pick(catalogue.status(), ['source', 'count']), {
+                    source: 'snapshot',
+                    count: 1
+                });
+            });
+        });
+
+        it('refreshes an old snapshot right away', function () {
+            saveSnapshot(now - (settings.catalogueRefreshHours + 1) * 3600 * 1000);
+            create().start();
+            return waitFor(() => catalogue.status().lastRefresh !== null).then(function () {
+                assert.deepStrictEqual(requested, [1, 101]);
+                assert.deepStrictEqual(_.pick(catalogue.status(), ['source', 'count']), {
+                    source: 'api',
+                    count: 200
+                });
+            });
+        });
+    });
+
+    describe('refresh', function () {
+        it('loads the stops from the API in batches', function () {
+            return createFresh().refresh().then(function (refreshed) {
+                assert.strictEqual(refreshed, true);
+                assert.deepStrictEqual(requested, [1, 101]);
+                assert.deepStrictEqual(catalogue.status(), {
+                    count: 200,
+                    source: 'api',
+                    updated: now,
+                    refreshing: false,
+                    lastRefresh: now,
+                    failedBatches: []
+                });
+                assert.strictEqual(catalogue.get(2443), undefined);
+                // The new stops are saved for the next start
+                assert.strictEqual(createStore('catalogue', storagePath).get('snapshot').stops.length, 200);
+            });
+        });
+
+        it('retries the batches that fail', function () {
+            failures[101] = 2;
+            return createFresh().refresh().then(function (refreshed) {
+                assert.strictEqual(refreshed, true);
+                assert.deepStrictEqual(requested, [1, 101, 101, 101]);
+                assert.deepStrictEqual(catalogue.status().failedBatches, []);
+                assert.strictEqual(catalogue.status().count, 200);
+            });
+        });
+
+        it('keeps the stops of the batches that fail every time', function () {
+            failures[101] = Infinity;
+            return createFresh().refresh().then(function (refreshed) {
+                assert.strictEqual(refreshed, true);
+                assert.deepStrictEqual(requested, [1, 101, 101, 101]);
+                assert.deepStrictEqual(catalogue.status().failedBatches, [[101, 201]]);
+                // 1 to 100 from the API, 150 and 2443 from the snapshot
+                assert.strictEqual(catalogue.status().count, 102);
+                assert.deepStrictEqual(catalogue.get('150'), stop(150));
+            });
+        });
+
+        it('keeps the current stops if every batch fails', function () {
+            failures[1] = Infinity;
+            failures[101] = Infinity;
+            return createFresh().refresh().then(function (refreshed) {
+                assert.strictEqual(refreshed, false);
+                assert.deepStrictEqual(_.pick(catalogue.status(), ['source', 'count', 'lastRefresh']), {
+                    source: 'snapshot',
+                    count: 2,
+                    lastRefresh: now
+                });
+            });
+        });
+    });
+});
@@ -0,0 +1,91 @@
+// Copyright (c) 2018 Jesús Fernández <jesus@nublar.net>
+// MIT License
+
+'use strict';
+
+const assert = require('assert');
+const _ = require('lodash');
+const telemetry = require('../src/telemetry.js');
+
+describe('telemetry', function () {
+    describe('hashUser', function () {
+        it('hides the user but keeps them apart', function () {
+            const hash = telemetry.hashUser(42);
+            assert.strictEqual(hash, telemetry.hashUser('42'));
+            assert.notStrictEqual(hash, telemetry.hashUser(43));
+            assert.ok(!_.includes(hash, '42'));
+            assert.strictEqual(hash.length, 16);
+        });
+    });
+
+    describe('prometheus', function () {
+        let metrics;
+
+        beforeEach(function () {
+            metrics = telemetry.createPrometheus();
+        });
+
+        it('counts the events by their labels', function () {
+            metrics.trackEvent('ArrivalsCache', {
+                result: 'hit',
+                user: 'abc'
+            });
+            metrics.trackEvent('ArrivalsCache', {
+                result: 'hit'
+            });
+            metrics.trackEvent('ArrivalsCache', {
+                result: 'miss'
+            });
+            metrics.trackException(new Error('ECONNRESET'));
+            const lines = _.split(metrics.metrics(), '\n');
+            assert.ok(_.includes(lines, 'emtbus_events_total{name="ArrivalsCache",result="hit"} 2'));
+            assert.ok(_.includes(lines, 'emtbus_events_total{name="ArrivalsCache",result="miss"} 1'));
+            assert.ok(_.includes(lines, 'emtbus_exceptions_total 1'));
+        });
+
+        it('keeps the durations in a histogram', function () {
+            metrics.trackDuration('EmtCall', 80, {
+                method: 'getArrivals',
+                outcome: 'ok'
+            });
+            metrics.trackDuration('EmtCall', 3000, {
+                method: 'getArrivals',
+                outcome: 'ok'
+            });
+            const lines = _.split(metrics.metrics(), '\n');
+            const labels = 'method="getArrivals",name="EmtCall",outcome="ok"';
+            assert.ok(_.includes(lines, `emtbus_duration_seconds_bucket{le="0.05",${labels}} 0`));
+            assert.ok(_.includes(lines, `emtbus_duration_seconds_bucket{le="0.1",${labels}} 1`));
+            assert.ok(_.includes(lines, `emtbus_duration_seconds_bucket{le="5",${labels}} 2`));
+            assert.ok(_.includes(lines, `emtbus_duration_seconds_bucket{le="+Inf",${labels}} 2`));
+            assert.ok(_.includes(lines, `emtbus_duration_seconds_sum{${labels}} 3.08`));
+            assert.ok(_.includes(lines, `emtbus_duration_seconds_count{${labels}} 2`));
+        });
+
+        it('escapes the labels', function () {
+            metrics.trackEvent('AdminCommand', {
+                command: 'a"b\\c\nd'
+            });
+            assert.ok(_.includes(metrics.metrics(), 'command="a\\"b\\\\c\\nd"'));
+        });
+    });
+
+    describe('createTelemetry', function () {
+        it('is the no-op sink without names', function () {
+            assert.strictEqual(telemetry.createTelemetry(''), telemetry.noop);
+            assert.strictEqual(telemetry.createTelemetry(undefined), telemetry.noop);
+        });
+
+        it('sends to all the sinks and exports the metrics', function () {
+            const events = [];
+            const sink = telemetry.combine([{
+                trackEvent: name => events.push(name),
+                trackException: _.noop,
+                trackDuration: _.noop
+            }, telemetry.createPrometheus()]);
+            sink.trackEvent('InlineQuery');
+            assert.deepStrictEqual(events, ['InlineQuery']);
+            assert.ok(_.includes(sink.metrics(), 'emtbus_events_total{name="InlineQuery"} 1'));
+        });
+    });
+});
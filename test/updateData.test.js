@@ -0,0 +1,118 @@
+// Copyright (c) 2018 Jesús Fernández <jesus@nublar.net>
+// MIT License
+
+'use strict';
+
+const assert = require('assert');
+const _ = require('lodash');
+const xml2json = require('../src/xml2json.js');
+const updateData = require('../src/updateData.js');
+
+const nodesFile = {
+    name: 'NodesLines.xml',
+    key: 'Node',
+    fields: ['Node', 'Name', 'Lines', 'PosxNode', 'PosyNode'],
+    compare: ['Name', 'Lines'],
+    title: 'Paradas'
+};
+
+const reg = function (node, name, lines) {
+    return `<REG><Node>${node}</Node><Name>${name}</Name><Lines>${lines}</Lines>` +
+        '<PosxNode>447148,3</PosxNode><PosyNode>4474608</PosyNode></REG>';
+};
+
+const parse = function (regs) {
+    return xml2json.parseXml(`<?xml version="1.0" encoding="UTF-8"?>
+<TABLA><DocumentElement>${_.join(regs, '')}</DocumentElement></TABLA>`);
+};
+
+const getRegs = function (json) {
+    return json.TABLA.DocumentElement[0].REG;
+};
+
+describe('updateData', function () {
+    describe('validate', function () {
+        it('accepts the files with the expected structure', function () {
+            const json = parse([reg(2443, 'AV.ABRANTES', '34/1'), reg(72, 'CIBELES', '27/1')]);
+            assert.deepStrictEqual(updateData.validate(json, nodesFile), []);
+        });
+
+        it('rejects the files without records', function () {
+            assert.deepStrictEqual(updateData.validate(parse([]), nodesFile), [
+                'NodesLines.xml: TABLA.DocumentElement[0].REG not found or empty'
+            ]);
+            assert.strictEqual(updateData.validate(xml2json.parseXml('<html></html>'), nodesFile).length, 1);
+        });
+
+        it('finds the records without fields and the duplicated keys', function () {
+            const json = parse([
+                reg(2443, 'AV.ABRANTES', '34/1'),
+                '<REG><Node>72</Node><Name>CIBELES</Name></REG>',
+                reg(2443, 'AV.ABRANTES', '34/1')
+            ]);
+            assert.deepStrictEqual(updateData.validate(json, nodesFile), [
+                'NodesLines.xml: 1 records without Lines',
+                'NodesLines.xml: 1 records without PosxNode',
+                'NodesLines.xml: 1 records without PosyNode',
+                'NodesLines.xml: duplicated Node: 2443'
+            ]);
+        });
+    });
+
+    describe('diff', function () {
+        it('finds the records added, removed and changed', function () {
+            const before = getRegs(parse([
+                reg(2443, 'AV.ABRANTES', '34/1'),
+                reg(72, 'CIBELES', '27/1'),
+                reg(4230, 'ALSACIA', '70/1')
+            ]));
+            const after = getRegs(parse([
+                reg(2443, 'AV.ABRANTES ', '34/1'),
+                reg(72, 'PLAZA DE CIBELES', '27/1 150/1'),
+                reg(100, 'SOL', '3/1')
+            ]));
+            const changes = updateData.diff(before, after, nodesFile);
+            assert.deepStrictEqual(changes, {
+                added: ['100'],
+                removed: ['4230'],
+                changed: [{
+                    key: '72',
+                    field: 'Name',
+                    from: 'CIBELES',
+                    to: 'PLAZA DE CIBELES'
+                }, {
+                    key: '72',
+                    field: 'Lines',
+                    from: '27/1',
+                    to: '27/1 150/1'
+                }]
+            });
+            assert.strictEqual(updateData.renderChangelog(new Date('2019-01-07T08:00:00Z'), [{
+                file: nodesFile,
+                changes: changes
+            }]), `## 2019-01-07
+
+### Paradas
+
+- Nuevas: 100
+- Eliminadas: 4230
+- 72 Name: "CIBELES" → "PLAZA DE CIBELES"
+- 72 Lines: "27/1" → "27/1 150/1"
+`);
+        });
+
+        it('compares everything with no records when there wasn\'t a file', function () {
+            const after = getRegs(parse([reg(2443, 'AV.ABRANTES', '34/1')]));
+            assert.deepStrictEqual(updateData.diff([], after, nodesFile), {
+                added: ['2443'],
+                removed: [],
+                changed: []
+            });
+            assert.deepStrictEqual(updateData.diff(after, after, nodesFile), {
+                added: [],
+                removed: [],
+                changed: []
+            });
+        });
+    });
+});
@@ -0,0 +1,204 @@
+// Copyright (c) 2018 Jesús Fernández <jesus@nublar.net>
+// MIT License
+
+'use strict';
+
+const assert = require('assert');
+const _ = require('lodash');
+const P = require('bluebird');
+const settings = require('../src/settings.js');
+const createUpstream = require('../src/upstream.js');
+
+describe('upstream', function () {
+    let clock;
+    let provider;
+    let upstream;
+    let calls;
+    let failing;
+
+    beforeEach(function () {
+        clock = {
+            time: Date.parse('2019-01-01T08:00:00Z'),
+            now: function () {
+                return this.time;
+            }
+        };
+        calls = [];
+        failing = false;
+        provider = {
+            name: 'test',
+            getArrivals: function (stopId) {
+                calls.push(stopId);
+                if (failing) {
+                    return P.reject(new Error('ECONNRESET'));
+                }
+                return P.delay(10).then(function () {
+                    return [{
+                        stopId: +stopId,
+                        lineId: '27',
+                        busTimeLeft: 120
+                    }];
+                });
+            }
+        };
+        upstream = createUpstream(provider, {
+            clock: clock
+        });
+    });
+
+    it('caches the arrivals of a stop', function () {
+        return upstream.getArrivals('2443')
+            .then(function (arrivals) {
+                // Changing the result doesn't change the cache
+                arrivals[0].time = '2';
+                clock.time += (settings.arrivalsCacheTtl - 1) * 1000;
+                return upstream.getArrivals('2443');
+            })
+            .then(function (arrivals) {
+                assert.deepStrictEqual(arrivals, [{
+                    stopId: 2443,
+                    lineId: '27',
+                    busTimeLeft: 120
+                }]);
+                assert.deepStrictEqual(calls, ['2443']);
+                clock.time += 1000;
+                return upstream.getArrivals('2443');
+            })
+            .then(function () {
+                assert.deepStrictEqual(calls, ['2443', '2443']);
+                assert.strictEqual(upstream.status().cacheHits, 1);
+            });
+    });
+
+    it('sends the duration of the calls and the use of the cache', function () {
+        const tracked = [];
+        const track = function (name, properties) {
+            tracked.push(_.join(_.concat([name], _.values(properties)), ' '));
+        };
+        upstream = createUpstream(provider, {
+            clock: clock,
+            telemetry: {
+                trackEvent: track,
+                trackDuration: (name, milliseconds, properties) => track(name, properties)
+            }
+        });
+        return upstream.getArrivals('2443')
+            .then(function () {
+                return upstream.getArrivals('2443');
+            })
+            .then(function () {
+                failing = true;
+                clock.time += settings.arrivalsCacheTtl * 1000;
+                return upstream.getArrivals('2443').catch(_.noop);
+            })
+            .then(function () {
+                assert.deepStrictEqual(tracked, [
+                    'ArrivalsCache miss',
+                    'EmtCall getArrivals ok',
+                    'ArrivalsCache hit',
+                    'ArrivalsCache miss',
+                    'EmtCall getArrivals error'
+                ]);
+            });
+    });
+
+    it('coalesces the requests for the same stop', function () {
+        return P.all([
+            upstream.getArrivals('2443'),
+            upstream.getArrivals('2443'),
+            upstream.getArrivals('72')
+        ]).then(function (results) {
+            assert.deepStrictEqual(results[0], results[1]);
+            assert.notStrictEqual(results[0], results[1]);
+            assert.deepStrictEqual(calls, ['2443', '72']);
+        });
+    });
+
+    it('opens the circuit after too many errors', function () {
+        failing = true;
+        return P.mapSeries(_.range(settings.circuitThreshold + 1), function () {
+            return upstream.getArrivals('2443').reflect();
+        }).then(function (results) {
+            assert.ok(_.every(results, result => result.isRejected()));
+            assert.strictEqual(_.last(results).reason().code, 'CIRCUIT_OPEN');
+            assert.strictEqual(calls.length, settings.circuitThreshold);
+            assert.strictEqual(upstream.status().circuit, 'open');
+        });
+    });
+
+    it('closes the circuit when the API is back', function () {
+        failing = true;
+        return P.mapSeries(_.range(settings.circuitThreshold), function () {
+            return upstream.getArrivals('2443').reflect();
+        }).then(function () {
+            failing = false;
+            clock.time += settings.circuitCooldown * 1000;
+            const first = upstream.getArrivals('2443');
+            // Only one call is let through until the API answers
+            const second = upstream.getArrivals('72').reflect();
+            return P.all([first, second]);
+        }).then(function (results) {
+            assert.strictEqual(results[1].reason().code, 'CIRCUIT_OPEN');
+            assert.strictEqual(upstream.status().circuit, 'closed');
+            return upstream.getArrivals('72');
+        });
+    });
+
+    it('times out the calls', function () {
+        const timeout = settings.providerTimeout;
+        settings.providerTimeout = 0.05;
+        provider.getArrivals = function () {
+            return P.delay(1000);
+        };
+        return upstream.getArrivals('2443')
+            .then(function () {
+                assert.fail('The call didn\'t time out');
+            }, function (error) {
+                assert.strictEqual(error.code, 'TIMEOUT');
+            })
+            .finally(function () {
+                settings.providerTimeout = timeout;
+            });
+    });
+
+    it('limits the calls per second', function () {
+        const rateLimit = settings.rateLimit;
+        settings.rateLimit = 20;
+        upstream = createUpstream(provider);
+        const started = Date.now();
+        return P.all(_.map(_.range(25), function (index) {
+            return upstream.getArrivals(`${index}`);
+        })).then(function () {
+            // The first 20 calls go right away, the other 5 in a quarter second
+            assert.ok(Date.now() - started >= 200);
+        }).finally(function () {
+            settings.rateLimit = rateLimit;
+        });
+    });
+
+    it('doesn\'t make the calls that time out waiting for their turn', function () {
+        const saved = _.pick(settings, ['rateLimit', 'providerTimeout']);
+        settings.rateLimit = 2;
+        settings.providerTimeout = 0.05;
+        upstream = createUpstream(provider, {
+            clock: clock
+        });
+        return P.all(_.map(['1', '2', '3'], function (stopId) {
+            return upstream.getArrivals(stopId).reflect();
+        })).then(function (inspections) {
+            assert.deepStrictEqual(_.map(inspections, (inspection) => inspection.isFulfilled()), [true, true, false]);
+            assert.strictEqual(inspections[2].reason().code, 'TIMEOUT');
+            // The bucket fills up again before the third call checks it
+            clock.time += 1000;
+            return P.delay(600);
+        }).then(function () {
+            assert.deepStrictEqual(calls, ['1', '2']);
+            // Its token is left for the next call
+            return upstream.getArrivals('4');
+        }).then(function () {
+            assert.deepStrictEqual(calls, ['1', '2', '4']);
+        }).finally(function () {
+            _.assign(settings, saved);
+        });
+    });
+});